@@ -0,0 +1,114 @@
+/**
+ * Source for backstop.json. Compile it with: node scripts/compile-config.js
+ *
+ * Scenarios give a "path" that is joined to hosts.test and hosts.reference, and pick up
+ * `defaults`, their group's defaults and any templates they extend, e.g.
+ *
+ *   templates: { form: { misMatchThreshold: 0.5, hideSelectors: ['.captcha'] } },
+ *   scenarios: [{ label: 'Demo Page', path: '/demo', extends: 'form' }],
+ *
+ * `environments` hold top-level overrides, selected with --env (CI compiles with "ci",
+ * backstop-local.js with "local").
+ */
+module.exports = {
+  id: 'visual_regression_test',
+  // Bitmaps are named by viewport label, not by position: filtered runs (--viewport, --changed-only)
+  // narrow each scenario's viewports, which would shift the default {viewportIndex}
+  fileNameTemplate: '{configId}_{scenarioLabel}_{selectorIndex}_{selectorLabel}_{viewportLabel}',
+  viewports: [
+    { label: 'phone', width: 375, height: 667 },
+    { label: 'tablet', width: 768, height: 1024 },
+    { label: 'desktop', width: 1920, height: 1080 },
+  ],
+  onBeforeScript: 'onBefore.js',
+  onReadyScript: 'onReady.js',
+  hosts: {
+    test: 'https://stage--2025recordedfuturewebsite--recorded-future-website.aem.live',
+    reference: 'https://main--2025recordedfuturewebsite--recorded-future-website.aem.live',
+  },
+  defaults: {
+    hideSelectors: ['.cookie-banner', '.loading-spinner', '[data-testid="timestamp"]', '.logo-garden'],
+    removeSelectors: ['.advertisement', '.chat-widget', '.embed-wrapper'],
+    misMatchThreshold: 0.2,
+  },
+  templates: {
+    // For pages that show relative times, which change between the reference and test runs
+    relativeTimes: {
+      maskText: [{ pattern: '\\b\\d+ (second|minute|hour|day|week|month|year)s? ago\\b', replacement: '5 minutes ago' }],
+    },
+  },
+  scenarios: [
+    {
+      group: 'pages',
+      scenarios: [
+        { label: 'Home Page', path: '/' },
+        { label: 'Contact Page', path: '/contact' },
+        { label: 'Platform Page', path: '/platform' },
+        { label: 'Platform Intelligence Graph Page', path: '/platform/intelligence-graph' },
+        { label: 'Products Threat Intelligence Page', path: '/products/threat-intelligence' },
+        { label: 'Services Page', path: '/services' },
+        { label: 'Services Managed Monitoring Page', path: '/services/managed-monitoring' },
+        { label: 'Research Insikt Group Page', path: '/research/insikt-group' },
+        { label: 'Resources Page', path: '/resources' },
+      ],
+    },
+    {
+      group: 'blog',
+      scenarios: [
+        { label: 'Blog Page', path: '/blog?page=1', extends: 'relativeTimes' },
+        {
+          label: 'Blog Post Page',
+          path: '/blog/the-future-of-cyber-defense-is-autonomous-coming-predict-2025',
+          extends: 'relativeTimes',
+        },
+      ],
+    },
+    {
+      group: 'integrations',
+      scenarios: [
+        { label: 'Integration Landing Page', path: '/integrations' },
+        { label: 'Integration Detail Page', path: '/integrations/splunk' },
+      ],
+    },
+  ],
+  paths: {
+    bitmaps_reference: 'backstop_data/bitmaps_reference',
+    bitmaps_test: 'backstop_data/bitmaps_test',
+    engine_scripts: 'backstop_data/engine_scripts',
+    html_report: 'backstop_data/html_report',
+    ci_report: 'backstop_data/ci_report',
+  },
+  report: ['browser', 'CI', 'json'],
+  engine: 'playwright',
+  engineOptions: {
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-web-security',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding',
+      '--disable-ipc-flooding-protection',
+    ],
+    browser: 'chromium',
+    storageState: 'backstop_data/engine_scripts/cookies.json',
+    timeout: 30000,
+    headless: true,
+  },
+  readyEvent: null,
+  readySelector: null,
+  readyTimeout: 30000,
+  asyncCaptureLimit: 3,
+  asyncCompareLimit: 50,
+  debug: false,
+  debugWindow: false,
+  delay: 3000,
+  environments: {
+    ci: {},
+    local: {
+      report: ['browser', 'json'],
+    },
+  },
+};
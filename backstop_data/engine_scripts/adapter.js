@@ -0,0 +1,23 @@
+/**
+ * Picks the engine adapter for a page (see pipeline/index.js). The adapter is kept per page,
+ * so onBefore and onReady share its request interceptors.
+ */
+
+const ADAPTERS = new WeakMap();
+
+function isPuppeteer (page, config) {
+  if (config && config.engine) {
+    return config.engine === 'puppeteer' || config.engine === 'puppet';
+  }
+  return typeof page.setRequestInterception === 'function';
+}
+
+module.exports = (page, browserContext, config) => {
+  if (!ADAPTERS.has(page)) {
+    const adapter = isPuppeteer(page, config)
+      ? require('./puppet/adapter')(page)
+      : require('./playwright/adapter')(page, browserContext);
+    ADAPTERS.set(page, adapter);
+  }
+  return ADAPTERS.get(page);
+};
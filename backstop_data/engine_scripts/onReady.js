@@ -0,0 +1,6 @@
+const createAdapter = require('./adapter');
+
+module.exports = async (page, scenario, viewport, isReference, browserContext, config) => {
+  const adapter = createAdapter(page, browserContext, config);
+  await require('./pipeline').onReady(adapter, scenario, viewport, isReference, config);
+};
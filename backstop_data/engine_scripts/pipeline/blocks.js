@@ -0,0 +1,101 @@
+/**
+ * BLOCK CAPTURES
+ * Captures every EDS block of the page as its own screenshot, next to (or instead of) the
+ * full page, so a change in one block is not lost in a long page and does not fail every
+ * block below it. Turn it on per scenario, in "defaults", or with scripts/blocks.js:
+  ```
+  "blocks": true
+  "blocks": {
+    "sections": true,              // capture the section wrappers instead of the blocks
+    "page": false,                 // drop the full-page capture
+    "include": ["cards", "hero"],  // only these block names
+    "exclude": ["video"]           // never these block names
+  }
+  ```
+ *
+ * Blocks are found once the page has loaded and scrolled. Each one is marked with
+ * data-backstop-block="<block name>-<n>" and added to scenario.selectors, which BackstopJS
+ * reads after onReady, so bitmaps and failures are named e.g. "cards-2". Blocks are numbered
+ * per name in page order, hidden ones included, so the numbers are the same at every viewport.
+ * Each marker matches one element, so selectorExpansion leaves them alone and still expands
+ * the scenario's own selectors.
+ */
+
+// scripts/blocks.js reads the same attribute from the selectors to name failures
+const ATTRIBUTE = 'data-backstop-block';
+
+// Defaults for scenario.blocks
+const DEFAULT_OPTIONS = {
+  selector: 'main .block[data-block-name]',
+  // Blocks before decoration, or on pages that do not load aem.js
+  fallbackSelector: 'main > div > div[class]',
+  sectionSelector: 'main > .section, main > div',
+  sections: false,
+  page: true,
+  include: null,
+  exclude: [],
+  minHeight: 10
+};
+
+/**
+ * Resolves scenario.blocks into options, or null when block captures are off
+ */
+function resolveOptions (scenario) {
+  if (!scenario.blocks) {
+    return null;
+  }
+  return { ...DEFAULT_OPTIONS, ...(typeof scenario.blocks === 'object' ? scenario.blocks : {}) };
+}
+
+/**
+ * Marks the blocks to capture and returns their ids - runs in the browser
+ */
+function markBlocks ({ attribute, selector, fallbackSelector, sectionSelector, sections, include, exclude, minHeight }) {
+  let elements = Array.from(document.querySelectorAll(sections ? sectionSelector : selector));
+  if (elements.length === 0 && !sections) {
+    elements = Array.from(document.querySelectorAll(fallbackSelector));
+  }
+
+  const counts = {};
+  return elements
+    .map(el => {
+      const rawName = sections ? 'section' : el.dataset.blockName || el.classList[0] || 'block';
+      const name = rawName.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+      counts[name] = (counts[name] || 0) + 1;
+      return { el, name, id: `${name}-${counts[name]}` };
+    })
+    .filter(({ el, name }) => {
+      if ((include && !include.includes(name)) || exclude.includes(name)) {
+        return false;
+      }
+      const style = window.getComputedStyle(el);
+      return style.display !== 'none' && style.visibility !== 'hidden' && el.getBoundingClientRect().height >= minHeight;
+    })
+    .map(({ el, id }) => {
+      el.setAttribute(attribute, id);
+      return id;
+    });
+}
+
+module.exports = async (adapter, scenario) => {
+  const options = resolveOptions(scenario);
+  if (!options) {
+    return;
+  }
+
+  const ids = await adapter.page.evaluate(markBlocks, { ...options, attribute: ATTRIBUTE });
+  if (ids.length === 0) {
+    console.warn(`BLOCKS > ${scenario.label}: no blocks found, capturing the full page`);
+    return;
+  }
+
+  const own = (scenario.selectors || []).filter(selector => selector !== 'document');
+  scenario.selectors = [
+    ...(options.page ? ['document'] : []),
+    ...own,
+    ...ids.map(id => `[${ATTRIBUTE}="${id}"]`)
+  ];
+  console.log(`BLOCKS > ${scenario.label}: ${ids.join(', ')}`);
+};
+
+module.exports.ATTRIBUTE = ATTRIBUTE;
@@ -0,0 +1,85 @@
+/**
+ * COOKIES AND STORAGE STATE
+ * Loads the cookies from scenario.cookiePath and, for engines where BackstopJS does not do it
+ * itself, the cookies and localStorage from engineOptions.storageState.
+ *
+ * Both files may be a plain array of cookies or a Playwright storage state
+ * ({ cookies, origins: [{ origin, localStorage: [{ name, value }] }] }).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function readState(filePath) {
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(state) ? { cookies: state, origins: [] } : { cookies: state.cookies || [], origins: state.origins || [] };
+}
+
+/**
+ * Converts cookies from browser-extension exports (expirationDate, hostOnly, session, ...)
+ * to the fields both engines accept
+ */
+function normalizeCookie(cookie) {
+  const normalized = {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path || '/',
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure)
+  };
+  const expires = cookie.expires !== undefined ? cookie.expires : cookie.expirationDate;
+  if (expires !== undefined && !cookie.session) {
+    normalized.expires = expires;
+  }
+  if (['Strict', 'Lax', 'None'].includes(cookie.sameSite)) {
+    normalized.sameSite = cookie.sameSite;
+  }
+  return normalized;
+}
+
+/**
+ * Sets localStorage for the origins in the storage state - runs in the page before its own scripts
+ */
+function restoreLocalStorage(origins) {
+  const entry = origins.find(item => item.origin === window.location.origin);
+  if (entry) {
+    entry.localStorage.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+  }
+}
+
+module.exports = async (adapter, scenario, config) => {
+  const cookies = [];
+  const origins = [];
+  const sources = [];
+
+  if (scenario.cookiePath && fs.existsSync(scenario.cookiePath)) {
+    const state = readState(scenario.cookiePath);
+    cookies.push(...state.cookies);
+    origins.push(...state.origins);
+    sources.push(scenario.cookiePath);
+  }
+
+  const storageState = config && config.engineOptions && config.engineOptions.storageState;
+  if (!adapter.storageStateApplied && typeof storageState === 'string') {
+    if (fs.existsSync(storageState)) {
+      const state = readState(storageState);
+      cookies.push(...state.cookies);
+      origins.push(...state.origins);
+      sources.push(path.relative(process.cwd(), storageState));
+    } else {
+      console.warn(`COOKIES > Storage state ${storageState} not found`);
+    }
+  }
+
+  if (cookies.length > 0) {
+    await adapter.addCookies(cookies.map(normalizeCookie));
+  }
+  if (origins.length > 0) {
+    await adapter.addInitScript(restoreLocalStorage, origins);
+  }
+
+  if (sources.length > 0) {
+    console.log(`COOKIES > ${scenario.label}: ${cookies.length} cookies, localStorage for ${origins.length} origins from ${sources.join(', ')}`);
+  }
+};
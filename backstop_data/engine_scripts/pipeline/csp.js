@@ -0,0 +1,40 @@
+/**
+ * CSP
+ * Turns off the page's Content-Security-Policy, for scenarios whose ready scripts inject
+ * styles or scripts the policy would block. Enable per scenario with "bypassCSP": true.
+ *
+ * Puppeteer can do this itself. For other engines the page's own response is loaded again
+ * without the CSP headers and <meta http-equiv="Content-Security-Policy"> tags.
+ */
+
+const CSP_HEADERS = ['content-security-policy', 'content-security-policy-report-only'];
+const CSP_META_RE = /<meta[^>]+http-equiv\s*=\s*["']?content-security-policy[^>]*>/gi;
+
+module.exports = async (adapter, scenario) => {
+  if (!scenario.bypassCSP) {
+    return;
+  }
+
+  if (adapter.bypassCSP) {
+    await adapter.bypassCSP();
+  } else {
+    await adapter.intercept(async request => {
+      if (!request.isNavigation) {
+        return null;
+      }
+
+      const response = await request.fetch();
+      const headers = Object.fromEntries(
+        Object.entries(response.headers).filter(([name]) => !CSP_HEADERS.includes(name.toLowerCase()))
+      );
+      const isHtml = /text\/html/i.test(headers['content-type'] || '');
+      return {
+        status: response.status,
+        headers,
+        body: isHtml ? response.body.toString('utf8').replace(CSP_META_RE, '') : response.body
+      };
+    });
+  }
+
+  console.log(`CSP > ${scenario.label}: Content-Security-Policy disabled`);
+};
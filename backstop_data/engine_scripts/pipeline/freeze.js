@@ -0,0 +1,206 @@
+/**
+ * FREEZE
+ * Removes sources of random diffs before the screenshot: late web fonts, CSS animations and
+ * transitions, autoplaying videos, Lottie animations, blinking carets, the current time and
+ * Math.random.
+ *
+ * Turn it on per scenario, or for every scenario through "defaults" in backstop.config.js:
+  ```
+  "freeze": true
+  "freeze": { "clock": 500, "videoTime": 2, "date": "2025-06-01T09:00:00Z", "random": false }
+  ```
+ *
+ * before() has to run in onBefore, so Date and Math.random are replaced before the page's
+ * own scripts run. ready() runs in onReady, after the page has been scrolled and loaded.
+ */
+
+// Defaults for scenario.freeze, set an option to false to skip that step
+const DEFAULT_OPTIONS = {
+  fonts: true, // wait for document.fonts.ready
+  fontTimeout: 5000,
+  animations: true, // finish CSS animations (infinite ones are cancelled) and disable transitions
+  clock: false, // ms: pause every animation at this point of its timeline instead of finishing it
+  videos: true, // pause <video> elements at videoTime
+  videoTime: 0, // seconds
+  lottie: true, // stop Lottie animations on their first frame
+  carets: true, // hide text carets
+  date: '2025-01-01T12:00:00.000Z', // fixed value for Date and Date.now()
+  random: 42 // seed for Math.random
+};
+
+/**
+ * Resolves scenario.freeze into options, or null when freezing is off
+ */
+function resolveOptions(scenario) {
+  if (!scenario.freeze) {
+    return null;
+  }
+  return { ...DEFAULT_OPTIONS, ...(typeof scenario.freeze === 'object' ? scenario.freeze : {}) };
+}
+
+/**
+ * Replaces Date and Math.random - runs in the page before any of its scripts
+ */
+function freezeGlobals({ date, random }) {
+  if (date !== false) {
+    const OriginalDate = Date;
+    const fixed = new OriginalDate(date).getTime();
+
+    function FrozenDate (...args) {
+      if (!new.target) {
+        return new OriginalDate(fixed).toString();
+      }
+      return args.length > 0 ? new OriginalDate(...args) : new OriginalDate(fixed);
+    }
+    FrozenDate.prototype = OriginalDate.prototype;
+    FrozenDate.now = () => fixed;
+    FrozenDate.parse = OriginalDate.parse;
+    FrozenDate.UTC = OriginalDate.UTC;
+    window.Date = FrozenDate;
+  }
+
+  if (random !== false) {
+    // mulberry32, so every run gets the same sequence
+    let state = Number(random) >>> 0;
+    Math.random = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+/**
+ * Stops animations, videos and Lottie players - runs in browser context
+ */
+async function freezePage({ fonts, fontTimeout, animations, clock, videos, videoTime, lottie }) {
+  const result = { fonts: null, animations: 0, videos: 0, lottie: 0 };
+
+  if (fonts && document.fonts) {
+    const timedOut = await Promise.race([
+      document.fonts.ready.then(() => false),
+      new Promise(resolve => setTimeout(() => resolve(true), fontTimeout))
+    ]);
+    result.fonts = timedOut ? 'timeout' : document.fonts.size;
+  }
+
+  if (animations && document.getAnimations) {
+    document.getAnimations().forEach(animation => {
+      if (clock !== false) {
+        animation.pause();
+        animation.currentTime = clock;
+      } else if (animation.effect && animation.effect.getComputedTiming().endTime !== Infinity) {
+        animation.finish();
+      } else {
+        animation.cancel();
+      }
+      result.animations++;
+    });
+  }
+
+  if (videos) {
+    await Promise.all(Array.from(document.querySelectorAll('video')).map(video => {
+      video.autoplay = false;
+      video.pause();
+      result.videos++;
+      if (video.readyState === 0 || video.currentTime === videoTime) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        const timeoutId = setTimeout(resolve, 3000);
+        video.addEventListener('seeked', () => {
+          clearTimeout(timeoutId);
+          resolve();
+        }, { once: true });
+        video.currentTime = videoTime;
+      });
+    }));
+  }
+
+  if (lottie) {
+    // lottie-web
+    if (window.lottie && window.lottie.getRegisteredAnimations) {
+      window.lottie.getRegisteredAnimations().forEach(item => {
+        item.goToAndStop(0, true);
+        result.lottie++;
+      });
+    }
+    // <lottie-player> and <dotlottie-player> web components
+    document.querySelectorAll('lottie-player, dotlottie-player').forEach(player => {
+      if (typeof player.seek === 'function') {
+        player.seek(0);
+      }
+      if (typeof player.pause === 'function') {
+        player.pause();
+      }
+      result.lottie++;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Freezes Date and Math.random for the scenario. Call from onBefore.
+ */
+async function before(adapter, scenario) {
+  const options = resolveOptions(scenario);
+  if (options && (options.date !== false || options.random !== false)) {
+    await adapter.addInitScript(freezeGlobals, { date: options.date, random: options.random });
+  }
+}
+
+/**
+ * Waits for fonts and stops everything that moves. Call from onReady, after scrolling.
+ */
+async function ready(adapter, scenario) {
+  const options = resolveOptions(scenario);
+  if (!options) {
+    return;
+  }
+
+  const page = adapter.page;
+
+  const css = [];
+  if (options.animations) {
+    css.push('*, *::before, *::after { transition: none !important; }');
+  }
+  if (options.carets) {
+    css.push('*, *::before, *::after { caret-color: transparent !important; }');
+  }
+  if (css.length > 0) {
+    await page.addStyleTag({ content: css.join('\n') });
+  }
+
+  const result = await page.evaluate(freezePage, options);
+
+  const neutralized = [];
+  if (result.fonts !== null) {
+    neutralized.push(result.fonts === 'timeout' ? 'fonts still loading after timeout' : `${result.fonts} fonts ready`);
+  }
+  if (options.animations) {
+    const action = options.clock !== false ? `paused at ${options.clock}ms` : 'finished';
+    neutralized.push(`${result.animations} animations ${action}`, 'transitions disabled');
+  }
+  if (options.videos) {
+    neutralized.push(`${result.videos} videos paused at ${options.videoTime}s`);
+  }
+  if (options.lottie) {
+    neutralized.push(`${result.lottie} Lottie animations stopped`);
+  }
+  if (options.carets) {
+    neutralized.push('carets hidden');
+  }
+  if (options.date !== false) {
+    neutralized.push(`Date frozen at ${new Date(options.date).toISOString()}`);
+  }
+  if (options.random !== false) {
+    neutralized.push(`Math.random seeded with ${options.random}`);
+  }
+
+  console.log(`FREEZE > ${scenario.label}: ${neutralized.join(', ')}`);
+}
+
+module.exports = { before, ready };
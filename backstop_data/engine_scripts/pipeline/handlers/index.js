@@ -0,0 +1,83 @@
+/**
+ * COMPONENT HANDLERS
+ * Every other .js file in this directory stabilizes one kind of block before the screenshot:
+ *
+  ```
+  module.exports = {
+    name: 'tabs',                 // used to enable/disable the handler per scenario
+    selector: '.tabs',            // elements passed to stabilize
+    enabled: true,                // optional, false to only run when a scenario enables it
+    stabilize: (elements, options) => {
+      // runs in the browser, options come from the scenario
+    }
+  };
+  ```
+ *
+ * Scenarios pick handlers with a "handlers" map: false disables a handler, true enables it
+ * and an object enables it and is passed to stabilize as options, e.g.
+ * "handlers": { "roll-cards": false, "tabs": { "panel": 2 } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads the handler modules in a directory
+ * @param {string} [dir] - Directory with handler modules
+ * @returns {Array<Object>} - Handlers sorted by file name
+ */
+function loadHandlers (dir = __dirname) {
+  return fs
+    .readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .map(file => {
+      const handler = require(path.join(dir, file));
+      if (!handler.name || !handler.selector || typeof handler.stabilize !== 'function') {
+        throw new Error(`Handler ${file} must export name, selector and stabilize`);
+      }
+      return handler;
+    });
+}
+
+/**
+ * Picks the handlers to run for a scenario
+ * @param {Object} scenario - Backstop scenario, with an optional "handlers" map
+ * @param {Array<Object>} [handlers] - From loadHandlers
+ * @returns {Array<{handler: Object, options: Object}>} - Handlers to run and their options
+ */
+function resolveHandlers (scenario, handlers = loadHandlers()) {
+  const settings = scenario.handlers || {};
+
+  Object.keys(settings)
+    .filter(name => !handlers.some(handler => handler.name === name))
+    .forEach(name => console.warn(`Unknown handler "${name}" in scenario "${scenario.label}"`));
+
+  return handlers
+    .filter(handler => (settings[handler.name] === undefined ? handler.enabled !== false : settings[handler.name] !== false))
+    .map(handler => ({
+      handler,
+      options: typeof settings[handler.name] === 'object' && settings[handler.name] !== null ? settings[handler.name] : {}
+    }));
+}
+
+/**
+ * Runs the scenario's handlers in the page. A failing handler is logged and does not stop the others.
+ * @param {Object} page - Playwright or Puppeteer page
+ * @param {Object} scenario - Backstop scenario
+ */
+async function runHandlers (page, scenario) {
+  for (const { handler, options } of resolveHandlers(scenario)) {
+    try {
+      const count = await page.$$eval(handler.selector, elements => elements.length);
+      if (count > 0) {
+        await page.$$eval(handler.selector, handler.stabilize, options);
+        console.log(`Stabilized ${count} ${handler.name} elements`);
+      }
+    } catch (error) {
+      console.warn(`Handler ${handler.name} failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { loadHandlers, resolveHandlers, runHandlers };
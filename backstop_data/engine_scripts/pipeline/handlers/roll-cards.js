@@ -0,0 +1,16 @@
+/**
+ * ROLL CARDS
+ * The roll-cards carousel only shows the active card, so make every card visible and active.
+ */
+
+module.exports = {
+  name: 'roll-cards',
+  selector: '.roll-card',
+  stabilize: cards => {
+    cards.forEach(card => {
+      card.style.visibility = 'visible';
+      card.style.opacity = '1';
+      card.classList.add('active');
+    });
+  }
+};
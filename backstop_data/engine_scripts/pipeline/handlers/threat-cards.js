@@ -0,0 +1,15 @@
+/**
+ * THREAT CARDS
+ * Threat card images fade in on scroll, so make their containers visible.
+ */
+
+module.exports = {
+  name: 'threat-cards',
+  selector: '.threat-card-item-image',
+  stabilize: containers => {
+    containers.forEach(container => {
+      container.style.visibility = 'visible';
+      container.style.opacity = '1';
+    });
+  }
+};
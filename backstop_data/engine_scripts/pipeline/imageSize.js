@@ -0,0 +1,101 @@
+/**
+ * IMAGE SIZE
+ * Reads the pixel size from the header of a PNG, GIF, JPEG, WebP, AVIF or SVG file,
+ * without decoding the image.
+ */
+
+function pngSize(buffer) {
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function gifSize(buffer) {
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function avifSize(buffer) {
+  // The "ispe" property box holds the image size: version/flags, then width and height
+  const index = buffer.indexOf('ispe');
+  if (index < 0 || index + 16 > buffer.length) {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(index + 8), height: buffer.readUInt32BE(index + 12) };
+}
+
+function svgSize(buffer) {
+  const tag = (buffer.toString('utf8').match(/<svg\b[^>]*>/i) || [])[0];
+  if (!tag) {
+    return null;
+  }
+  const attribute = name => {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1] : null;
+  };
+  const pixels = value => (value && /^\s*[\d.]+(px)?\s*$/.test(value) ? parseFloat(value) : null);
+
+  const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const width = pixels(attribute('width')) || (viewBox.length === 4 ? viewBox[2] : null);
+  const height = pixels(attribute('height')) || (viewBox.length === 4 ? viewBox[3] : null);
+  return width && height ? { width: Math.round(width), height: Math.round(height) } : null;
+}
+
+/**
+ * Reads the size of an image
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{width: number, height: number}|null} - The size, or null for unknown formats
+ */
+module.exports = function imageSize (buffer) {
+  try {
+    if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return pngSize(buffer);
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+      return gifSize(buffer);
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return jpegSize(buffer);
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      return webpSize(buffer);
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+      return avifSize(buffer);
+    }
+    if (/<svg\b/i.test(buffer.toString('utf8', 0, 1024))) {
+      return svgSize(buffer);
+    }
+  } catch (error) {
+    // Truncated or corrupt header
+  }
+  return null;
+};
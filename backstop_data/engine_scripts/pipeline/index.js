@@ -0,0 +1,79 @@
+/**
+ * READY PIPELINE
+ * The steps run for every scenario, shared by the Playwright and Puppeteer engines. Each step
+ * takes an adapter (../playwright/adapter.js or ../puppet/adapter.js) instead of the engine's
+ * page, so switching "engine" in backstop.json does not need another set of scripts:
+  ```
+  {
+    engine,                         // 'playwright' | 'puppeteer'
+    page,                           // the engine's page, for calls both engines share (evaluate, $$eval, click, ...)
+    storageStateApplied,            // true when BackstopJS already loaded engineOptions.storageState
+    addCookies(cookies),
+    addInitScript(fn, arg),         // runs fn(arg) in the page before its own scripts
+    waitForTimeout(ms),
+    waitForNetworkIdle(timeout),
+    intercept(interceptor),         // see below
+    bypassCSP(),                    // optional, when the engine can turn off CSP itself
+    har(scenario, viewport, isReference) // optional, HAR record and replay
+  }
+  ```
+ *
+ * intercept() adds a request interceptor. Interceptors run in the order they were added with
+ * { url, resourceType, method, headers, isNavigation, fetch() }, where fetch() loads the request
+ * and resolves to { status, headers, body }. An interceptor returns a response
+ * ({ status, headers, contentType, body }) to fulfill the request, 'abort' to fail it, or
+ * nothing to pass it on to the next interceptor and then the network.
+ *
+ * Add more steps to onBefore or onReady below.
+ */
+
+/**
+ * Runs before the page is loaded
+ * @param {Object} adapter - Engine adapter
+ * @param {Object} scenario - Backstop scenario
+ * @param {Object} viewport - Backstop viewport
+ * @param {boolean} isReference - Whether this is a reference run
+ * @param {Object} config - Backstop config
+ */
+async function onBefore (adapter, scenario, viewport, isReference, config) {
+  if (scenario.har && scenario.har.mode) {
+    if (adapter.har) {
+      await adapter.har(scenario, viewport, isReference);
+    } else {
+      console.warn(`HAR > ${scenario.label}: not supported by the ${adapter.engine} engine, loading from the network`);
+    }
+  }
+  await require('./csp')(adapter, scenario);
+  await require('./cookies')(adapter, scenario, config);
+  await require('./stubImages')(adapter, scenario);
+  await require('./freeze').before(adapter, scenario);
+}
+
+/**
+ * Runs after the page has loaded, before the screenshot
+ * @param {Object} adapter - Engine adapter
+ * @param {Object} scenario - Backstop scenario
+ * @param {Object} viewport - Backstop viewport
+ * @param {boolean} isReference - Whether this is a reference run
+ * @param {Object} config - Backstop config
+ */
+async function onReady (adapter, scenario, viewport, isReference, config) {
+  console.log('SCENARIO > ' + scenario.label);
+  await require('./interactions')(adapter, scenario);
+
+  // add more ready handlers here...
+  await require('./scroll')(adapter, scenario, viewport);
+  await require('./stubImages').stubPictures(adapter, scenario);
+  await require('./maskText')(adapter, scenario);
+
+  // Last, so nothing starts moving again before the screenshot
+  await require('./freeze').ready(adapter, scenario);
+
+  // Adds the blocks to scenario.selectors, once they have loaded
+  await require('./blocks')(adapter, scenario);
+
+  // After everything else, so the snapshot matches the screenshot
+  await require('./snapshot')(adapter, scenario, viewport, isReference, config);
+}
+
+module.exports = { onBefore, onReady };
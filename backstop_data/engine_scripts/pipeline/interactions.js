@@ -1,4 +1,10 @@
-module.exports = async (page, scenario) => {
+/**
+ * INTERACTIONS
+ * Key presses, hovers and clicks from the scenario, then postInteractionWait and scrollToSelector.
+ */
+
+module.exports = async (adapter, scenario) => {
+  const page = adapter.page;
   const hoverSelector = scenario.hoverSelectors || scenario.hoverSelector;
   const clickSelector = scenario.clickSelectors || scenario.clickSelector;
   const keyPressSelector = scenario.keyPressSelectors || scenario.keyPressSelector;
@@ -28,7 +34,7 @@ module.exports = async (page, scenario) => {
 
   if (postInteractionWait) {
     if (parseInt(postInteractionWait) > 0) {
-      await page.waitForTimeout(postInteractionWait);
+      await adapter.waitForTimeout(parseInt(postInteractionWait));
     } else {
       await page.waitForSelector(postInteractionWait);
     }
@@ -0,0 +1,97 @@
+/**
+ * MASK TEXT
+ * Replaces dynamic text (dates, "5 minutes ago", view counts, ...) with fixed placeholder
+ * text, for content that has no stable selector to hide. Runs in onReady (see ./index.js).
+ *
+ * Rules come from scenario.maskText. A rule is a regex string or an object:
+  ```
+  "maskText": [
+    "\\d+ views",
+    { "pattern": "\\d+ (minutes|hours|days) ago", "replacement": "5 minutes ago" },
+    { "pattern": "[A-Z][a-z]+ \\d{1,2}, \\d{4}", "within": ".blog-card", "flags": "i" }
+  ]
+  ```
+ * "replacement" defaults to "•••" and can use $1, and "within" limits a rule to the elements
+ * matching a selector. Only text inside a single text node is matched, and "g" is always
+ * added to the flags.
+ * Rules in "defaults" in backstop.config.js apply to every scenario.
+ */
+
+const DEFAULT_REPLACEMENT = '•••';
+
+/**
+ * Normalizes scenario.maskText into { pattern, flags, replacement, within } rules
+ */
+function resolveRules(scenario) {
+  return [].concat(scenario.maskText || []).map(rule => {
+    const { pattern, flags = '', replacement = DEFAULT_REPLACEMENT, within = null } =
+      typeof rule === 'string' ? { pattern: rule } : rule;
+    return { pattern, flags: flags.includes('g') ? flags : `${flags}g`, replacement, within };
+  });
+}
+
+/**
+ * Replaces matching text in text nodes - runs in browser context
+ */
+function maskTextNodes(rules) {
+  const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA'];
+
+  return rules.map(rule => {
+    const result = { pattern: rule.pattern, count: 0, error: null };
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, rule.flags);
+    } catch (error) {
+      result.error = error.message;
+      return result;
+    }
+
+    let roots;
+    try {
+      roots = rule.within ? Array.from(document.querySelectorAll(rule.within)) : [document.body];
+    } catch (error) {
+      result.error = error.message;
+      return result;
+    }
+
+    roots.forEach(root => {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node =>
+          node.parentElement && SKIPPED_TAGS.includes(node.parentElement.tagName)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+      });
+
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const text = node.nodeValue;
+        const matches = text.match(regex);
+        if (matches) {
+          node.nodeValue = text.replace(regex, rule.replacement);
+          result.count += matches.length;
+        }
+      }
+    });
+
+    return result;
+  });
+}
+
+module.exports = async (adapter, scenario) => {
+  const rules = resolveRules(scenario);
+  if (rules.length === 0) {
+    return;
+  }
+
+  const results = await adapter.page.evaluate(maskTextNodes, rules);
+
+  results
+    .filter(result => result.error)
+    .forEach(result => console.warn(`MASK TEXT > Skipped rule /${result.pattern}/: ${result.error}`));
+
+  const total = results.reduce((sum, result) => sum + result.count, 0);
+  const details = results
+    .filter(result => !result.error)
+    .map(result => `/${result.pattern}/: ${result.count}`)
+    .join(', ');
+  console.log(`MASK TEXT > ${scenario.label}: ${total} replacements (${details})`);
+};
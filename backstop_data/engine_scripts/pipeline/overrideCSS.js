@@ -4,8 +4,8 @@
  *
  * Use this in an onReady script E.G.
   ```
-  module.exports = async function(page, scenario) {
-    await require('./overrideCSS')(page, scenario);
+  module.exports = async function(adapter, scenario) {
+    await require('./overrideCSS')(adapter, scenario);
   }
   ```
  *
@@ -17,9 +17,9 @@ const BACKSTOP_TEST_CSS_OVERRIDE = `
   }
 `;
 
-module.exports = async (page, scenario) => {
+module.exports = async (adapter, scenario) => {
   // inject arbitrary css to override styles
-  await page.addStyleTag({
+  await adapter.page.addStyleTag({
     content: BACKSTOP_TEST_CSS_OVERRIDE
   });
 
@@ -0,0 +1,155 @@
+/**
+ * BackstopJS Script for Image Loading and Screenshot Preparation
+ *
+ * This script ensures all images are loaded before taking screenshots by:
+ * 1. Scrolling through the entire page to trigger lazy loading
+ * 2. Stabilizing components with the handlers in ./handlers (carousels, cards, ...)
+ * 3. Forcing all images to load immediately
+ * 4. Scrolling back to top for proper navigation positioning
+ *
+ * Scenarios can override the timings with "scrollOptions", e.g.
+ * "scrollOptions": { "scrollStep": 800, "scrollDelay": 100 }
+ * and enable or disable handlers with "handlers" (see handlers/index.js).
+ */
+
+const { runHandlers } = require('./handlers');
+
+// Defaults for scenario.scrollOptions
+const DEFAULT_OPTIONS = {
+  initialTimeout: 10000,
+  finalTimeout: 30000,
+  scrollStep: 400,
+  scrollDelay: 300,
+  imageTimeout: 3000,
+  finalWait: 1000
+};
+
+module.exports = async (adapter, scenario, vp) => {
+  const page = adapter.page;
+  console.log('Starting image loading process...');
+
+  const options = { ...DEFAULT_OPTIONS, ...scenario.scrollOptions };
+
+  // Wait for initial page load
+  await waitForInitialLoad(adapter, options.initialTimeout);
+
+  // 1. Scroll through page to trigger lazy loading
+  await scrollThroughPage(adapter, options);
+
+  // 2. Handle special components
+  console.log('Handling special components...');
+  await runHandlers(page, scenario);
+
+  // 3. Force load all images
+  await forceLoadAllImages(page, options.imageTimeout);
+
+  // 4. Scroll back to top
+  console.log('Scrolling to top...');
+  await page.evaluate(() => window.scrollTo(0, 0));
+
+  // Final cleanup and preparation
+  await finalizeForScreenshot(adapter, options.finalTimeout, options.finalWait);
+
+  console.log('Ready for screenshot');
+};
+
+/**
+ * Force load images - runs in browser context
+ */
+function forceLoadImages(images) {
+  images.forEach(img => {
+    // Set loading to eager
+    img.loading = 'eager';
+
+    // Handle data-src attributes
+    if (img.dataset.src && !img.src) {
+      img.src = img.dataset.src;
+    }
+
+    // Force reload existing src to trigger loading
+    if (img.src) {
+      const currentSrc = img.src;
+      img.src = '';
+      img.src = currentSrc;
+    }
+  });
+}
+
+/**
+ * Wait for images to load, each with a timeout - runs in browser context
+ */
+function waitForImages(images, timeout) {
+  return Promise.all(images.map(img => {
+    // Skip if already loaded
+    if (img.complete && img.naturalWidth > 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const timeoutId = setTimeout(() => {
+        console.warn('Image load timeout:', img.src || 'no src');
+        resolve();
+      }, timeout);
+
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        resolve();
+      };
+
+      img.onload = cleanup;
+      img.onerror = cleanup;
+    });
+  }));
+}
+
+/**
+ * Wait for initial page load and network idle
+ */
+async function waitForInitialLoad(adapter, timeout) {
+  console.log('Waiting for initial page load...');
+  await adapter.waitForNetworkIdle(timeout);
+}
+
+/**
+ * Scroll through entire page to trigger lazy loading
+ */
+async function scrollThroughPage(adapter, { scrollStep, scrollDelay }) {
+  const page = adapter.page;
+  console.log('Scrolling through page...');
+
+  const totalHeight = await page.evaluate(() => document.body.scrollHeight);
+
+  for (let currentScroll = 0; currentScroll < totalHeight; currentScroll += scrollStep) {
+    await page.evaluate(y => window.scrollTo(0, y), currentScroll);
+    await adapter.waitForTimeout(scrollDelay);
+
+    // Force load images in current viewport during scroll
+    await page.$$eval('img', forceLoadImages);
+  }
+
+  // Scroll to bottom
+  await page.evaluate(y => window.scrollTo(0, y), totalHeight);
+  await adapter.waitForTimeout(scrollDelay);
+}
+
+/**
+ * Force load all images on the page
+ */
+async function forceLoadAllImages(page, imageTimeout) {
+  console.log('Force loading all images...');
+  await page.$$eval('img', forceLoadImages);
+
+  // Wait for all images to actually load
+  console.log('Waiting for images to load...');
+  await page.$$eval('img', waitForImages, imageTimeout);
+  console.log('All images loaded');
+}
+
+/**
+ * Final network idle check and preparation for screenshot
+ */
+async function finalizeForScreenshot(adapter, timeout, finalWait) {
+  console.log('Final preparation for screenshot...');
+  await adapter.waitForNetworkIdle(timeout);
+  await adapter.waitForTimeout(finalWait);
+}
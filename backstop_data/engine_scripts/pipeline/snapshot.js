@@ -0,0 +1,172 @@
+/**
+ * DOM SNAPSHOT
+ * Saves a compact snapshot of the page next to each bitmap: the block structure, the layout
+ * box, a few computed styles and the text of every element that matters for the layout.
+ * scripts/dom-diff.js compares the reference and test snapshots of failed tests, to explain
+ * a pixel diff as e.g. "`.hero h1` font-size 48px → 44px".
+ *
+ * The snapshot is <full-page bitmap name>.dom.json, e.g. backstop_default_Home_0_document_0_phone.dom.json,
+ * also when the scenario captures selectors or blocks (./blocks.js). Elements inside a block
+ * capture record the block, so the diff of a block failure only lists changes in that block.
+ * It is on for every scenario. Turn it off or change it per scenario:
+  ```
+  "domSnapshot": false
+  "domSnapshot": { "maxNodes": 3000, "properties": ["font-size", "color"] }
+  ```
+ * Runs last in onReady, so it sees the page as it is screenshotted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const engineTools = require('backstopjs/core/util/engineTools');
+const { ATTRIBUTE } = require('./blocks');
+
+// Elements that are kept in the snapshot: landmarks, EDS sections and blocks, and content
+const SNAPSHOT_SELECTOR = [
+  'header', 'footer', 'nav', 'main', 'aside', 'main > div', '.section', '.block', '[data-block-name]',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'a', 'button', 'img', 'video', 'iframe', 'ul', 'ol', 'li',
+  'table', 'form', 'input', 'select', 'textarea', 'label', 'blockquote', 'figure'
+].join(', ');
+
+// Defaults for scenario.domSnapshot
+const DEFAULT_OPTIONS = {
+  maxNodes: 1500,
+  properties: [
+    'display', 'position', 'margin', 'padding', 'font-family', 'font-size', 'font-weight', 'line-height',
+    'letter-spacing', 'text-transform', 'text-align', 'color', 'background-color', 'border-width',
+    'border-color', 'border-radius', 'gap', 'flex-direction', 'justify-content', 'align-items',
+    'grid-template-columns', 'opacity', 'visibility', 'z-index'
+  ]
+};
+
+/**
+ * Resolves scenario.domSnapshot into options, or null when it is off
+ */
+function resolveOptions (scenario) {
+  if (scenario.domSnapshot === false) {
+    return null;
+  }
+  return { ...DEFAULT_OPTIONS, ...(typeof scenario.domSnapshot === 'object' && scenario.domSnapshot !== null ? scenario.domSnapshot : {}) };
+}
+
+/**
+ * Path of the snapshot: next to the full-page bitmap, whether or not it is captured
+ */
+function snapshotPath (scenario, viewport, isReference, config) {
+  const labelSafe = engineTools.makeSafe(scenario.label);
+  const variantLabelSafe = scenario._parent ? engineTools.makeSafe(scenario._parent.label) : labelSafe;
+  const pair = engineTools.generateTestPair(config, scenario, viewport, variantLabelSafe, labelSafe, 0, 'document');
+  return (isReference ? pair.referenceLog : pair.testLog).replace(/\.log\.json$/, '.dom.json');
+}
+
+/**
+ * Collects the snapshot nodes - runs in the browser
+ */
+function captureNodes ({ selector, maxNodes, properties, blockAttribute }) {
+  const LANDMARKS = ['HEADER', 'FOOTER', 'NAV', 'MAIN', 'ASIDE'];
+  const elements = Array.from(document.body.querySelectorAll(selector)).slice(0, maxNodes);
+  const indexes = new Map();
+  const counts = new Map();
+  const round = value => Math.round(value);
+
+  // ".hero" for classed elements, "h1" / "a.button" for content, "main" for landmarks
+  const segment = el => {
+    const tag = el.tagName.toLowerCase();
+    const className = Array.from(el.classList).find(name => !/^(is-|has-)|^(active|open|loaded|selected|appear(ed)?)$/.test(name));
+    if (el.matches('div, section, span') || (!LANDMARKS.includes(el.tagName) && el.matches('.section, .block, [data-block-name]'))) {
+      return className ? `.${className}` : null;
+    }
+    return className ? `${tag}.${className}` : tag;
+  };
+
+  const ownText = el => {
+    if (el.tagName === 'IMG') {
+      const src = (el.currentSrc || el.src || '').split(/[?#]/)[0].split('/').pop();
+      return [el.alt, src].filter(Boolean).join(' ');
+    }
+    if (el.matches('input, select, textarea')) {
+      return el.value || el.placeholder || '';
+    }
+    return Array.from(el.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 120);
+  };
+
+  const nodes = [];
+  elements.forEach(el => {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    if (style.display === 'none' || (rect.width === 0 && rect.height === 0)) {
+      return;
+    }
+
+    // Nearest kept ancestor, and the named ancestors that make up the key
+    let parent = -1;
+    const path = [];
+    for (let ancestor = el.parentElement; ancestor && ancestor !== document.body; ancestor = ancestor.parentElement) {
+      if (parent === -1 && indexes.has(ancestor)) {
+        parent = indexes.get(ancestor);
+      }
+      const name = segment(ancestor);
+      if (name && path.length < 2) {
+        path.unshift(name);
+      }
+    }
+
+    const base = [...path, segment(el) || el.tagName.toLowerCase()].join(' ');
+    const count = (counts.get(base) || 0) + 1;
+    counts.set(base, count);
+
+    const block = el.closest(`[${blockAttribute}]`);
+
+    indexes.set(el, nodes.length);
+    nodes.push({
+      key: count > 1 ? `${base} (${count})` : base,
+      tag: el.tagName.toLowerCase(),
+      parent,
+      block: block ? block.getAttribute(blockAttribute) : null,
+      rect: [round(rect.left + window.scrollX), round(rect.top + window.scrollY), round(rect.width), round(rect.height)],
+      text: ownText(el),
+      styles: Object.fromEntries(properties.map(property => [property, style.getPropertyValue(property)]))
+    });
+  });
+
+  return nodes;
+}
+
+module.exports = async (adapter, scenario, viewport, isReference, config) => {
+  const options = resolveOptions(scenario);
+  if (!options || !config || !config._bitmapsReferencePath) {
+    return;
+  }
+
+  try {
+    const nodes = await adapter.page.evaluate(captureNodes, {
+      selector: SNAPSHOT_SELECTOR,
+      maxNodes: options.maxNodes,
+      properties: options.properties,
+      blockAttribute: ATTRIBUTE
+    });
+    const file = snapshotPath(scenario, viewport, isReference, config);
+    const snapshot = {
+      version: 1,
+      label: scenario.label,
+      url: isReference && scenario.referenceUrl ? scenario.referenceUrl : scenario.url,
+      viewport: { label: viewport.label, width: viewport.width, height: viewport.height },
+      nodes
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshot));
+    console.log(`DOM SNAPSHOT > ${scenario.label}: ${nodes.length} elements saved to ${path.basename(file)}`);
+  } catch (error) {
+    // A missing snapshot only means the diff has less to say, it must not fail the test
+    console.warn(`DOM SNAPSHOT > ${scenario.label}: ${error.message}`);
+  }
+};
+
+module.exports.snapshotPath = snapshotPath;
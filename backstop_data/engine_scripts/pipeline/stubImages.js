@@ -0,0 +1,150 @@
+/**
+ * STUB IMAGES
+ * Replaces images with placeholders, for scenarios that check layout rather than photos.
+ * Turn it on per scenario (or in "defaults" in backstop.config.js):
+  ```
+  "stubImages": true
+  "stubImages": {
+    "mode": "same-size",              // placeholder with the real image's size, or "fixed" for imageStub.jpg
+    "patterns": ["/media_[0-9a-f]+"], // URLs to stub on top of every image request
+    "allow": ["logo", "icon"],        // keep images whose URL matches
+    "color": "#cccccc",               // placeholder color for "same-size"
+    "dom": true                       // also replace <picture>/<img> sources in the page before the screenshot
+  }
+  ```
+ *
+ * Patterns are case-insensitive regex strings matched against the full URL. "same-size" loads
+ * each image once to read its size, so the layout is the same as with the real image. That
+ * needs the network, so with offline HAR replay use "dom" instead.
+ *
+ * The default export goes in onBefore, stubPictures in onReady (it also logs what was stubbed):
+  ```
+  await require('./stubImages')(adapter, scenario);
+  await require('./stubImages').stubPictures(adapter, scenario);
+  ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+const imageSize = require('./imageSize');
+
+const IMAGE_STUB_URL = path.resolve(__dirname, '../imageStub.jpg');
+
+// Stubbed/allowed request counts per page, logged by stubPictures
+const COUNTS = new WeakMap();
+
+// Defaults for scenario.stubImages
+const DEFAULT_OPTIONS = {
+  mode: 'same-size',
+  // Image files, with or without a query string, and EDS media (./media_<hash>.png?width=750&format=webply)
+  patterns: ['\\.(gif|jpe?g|png|webp|avif|svg)(\\?|#|$)', '/media_[0-9a-f]+'],
+  allow: ['logo', 'icon', 'favicon', '\\.svg(\\?|#|$)'],
+  color: '#cccccc',
+  dom: false
+};
+
+/**
+ * Resolves scenario.stubImages into options, or null when stubbing is off
+ */
+function resolveOptions(scenario) {
+  if (!scenario.stubImages) {
+    return null;
+  }
+  return { ...DEFAULT_OPTIONS, ...(typeof scenario.stubImages === 'object' ? scenario.stubImages : {}) };
+}
+
+function placeholderSvg(width, height, color) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="100%" height="100%" fill="${color}"/></svg>`;
+}
+
+module.exports = async function (adapter, scenario) {
+  const options = resolveOptions(scenario);
+  if (!options) {
+    return;
+  }
+
+  const patterns = options.patterns.map(pattern => new RegExp(pattern, 'i'));
+  const allow = options.allow.map(pattern => new RegExp(pattern, 'i'));
+  const fixedStub = options.mode === 'fixed' ? fs.readFileSync(IMAGE_STUB_URL) : null;
+  const counts = { stubbed: 0, allowed: 0 };
+  COUNTS.set(adapter.page, counts);
+
+  await adapter.intercept(async request => {
+    const url = request.url;
+    const isImage = request.resourceType === 'image' || patterns.some(re => re.test(url));
+
+    if (!isImage || url.startsWith('data:')) {
+      return null;
+    }
+    if (allow.some(re => re.test(url))) {
+      counts.allowed++;
+      return null;
+    }
+
+    if (fixedStub) {
+      counts.stubbed++;
+      return { body: fixedStub, contentType: 'image/jpeg', status: 200 };
+    }
+
+    const response = await request.fetch();
+    const size = response.status < 400 ? imageSize(response.body) : null;
+    if (!size) {
+      // Unknown format or a failed request: keep the original so the layout does not change
+      return response;
+    }
+    counts.stubbed++;
+    return {
+      body: placeholderSvg(size.width, size.height, options.color),
+      contentType: 'image/svg+xml',
+      status: 200
+    };
+  });
+};
+
+/**
+ * Logs what was stubbed and, when scenario.stubImages.dom is set, replaces the sources of
+ * <picture> and <img> elements with same-size placeholders. Call from onReady, after lazy
+ * images have loaded.
+ */
+module.exports.stubPictures = async function (adapter, scenario) {
+  const options = resolveOptions(scenario);
+  if (!options) {
+    return;
+  }
+
+  const page = adapter.page;
+  const counts = COUNTS.get(page);
+  if (counts) {
+    console.log(`STUB IMAGES > ${scenario.label}: ${counts.stubbed} requests stubbed (${options.mode}), ${counts.allowed} kept by allowlist`);
+  }
+  if (!options.dom) {
+    return;
+  }
+
+  const count = await page.evaluate(async ({ allow, color }) => {
+    const allowed = allow.map(pattern => new RegExp(pattern, 'i'));
+    const images = Array.from(document.querySelectorAll('img')).filter(img => {
+      const src = img.currentSrc || img.src;
+      return src && !src.startsWith('data:image/svg') && !allowed.some(re => re.test(src));
+    });
+
+    await Promise.all(images.map(img => {
+      const width = img.naturalWidth || img.width || 1;
+      const height = img.naturalHeight || img.height || 1;
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<rect width="100%" height="100%" fill="${color}"/></svg>`;
+
+      if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+        img.parentElement.querySelectorAll('source').forEach(source => source.remove());
+      }
+      img.removeAttribute('srcset');
+      img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+      return img.decode().catch(() => {});
+    }));
+
+    return images.length;
+  }, { allow: options.allow, color: options.color });
+
+  console.log(`STUB IMAGES > ${scenario.label}: replaced ${count} images in the page`);
+};
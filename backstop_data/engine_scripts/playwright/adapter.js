@@ -0,0 +1,75 @@
+/**
+ * PLAYWRIGHT ADAPTER
+ * Maps the engine-specific calls of the ready pipeline (../pipeline) onto Playwright.
+ */
+
+const har = require('./har');
+
+// The body is already decoded and measured again when the response is served
+const STALE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+module.exports = (page, browserContext) => {
+  const interceptors = [];
+
+  return {
+    engine: 'playwright',
+    page,
+
+    // BackstopJS passes engineOptions.storageState to browser.newContext
+    storageStateApplied: true,
+
+    addCookies: cookies => browserContext.addCookies(cookies),
+
+    addInitScript: (fn, arg) => page.addInitScript(fn, arg),
+
+    waitForTimeout: ms => page.waitForTimeout(ms),
+
+    waitForNetworkIdle: timeout => page.waitForLoadState('networkidle', { timeout }),
+
+    /**
+     * Adds a request interceptor, see ../pipeline/index.js
+     */
+    intercept: async interceptor => {
+      interceptors.push(interceptor);
+      if (interceptors.length > 1) {
+        return;
+      }
+
+      await page.route('**/*', async route => {
+        const request = route.request();
+        const info = {
+          url: request.url(),
+          resourceType: request.resourceType(),
+          method: request.method(),
+          headers: request.headers(),
+          isNavigation: request.isNavigationRequest(),
+          fetch: async () => {
+            const response = await route.fetch();
+            const headers = Object.fromEntries(
+              Object.entries(response.headers()).filter(([name]) => !STALE_HEADERS.includes(name))
+            );
+            return { status: response.status(), headers, body: await response.body() };
+          }
+        };
+
+        try {
+          for (const handler of interceptors) {
+            const result = await handler(info);
+            if (result === 'abort') {
+              return route.abort();
+            }
+            if (result) {
+              return route.fulfill(result);
+            }
+          }
+          return route.fallback();
+        } catch (error) {
+          // The page navigated away or was closed while the request was handled
+          return route.abort().catch(() => {});
+        }
+      });
+    },
+
+    har: (scenario, viewport, isReference) => har(page, scenario, viewport, isReference, browserContext)
+  };
+};
@@ -0,0 +1,72 @@
+/**
+ * HAR RECORD AND REPLAY
+ * Records every request of a scenario into a HAR archive, or serves the requests from one,
+ * so captures do not depend on third-party scripts, CDN variance or content edits.
+ *
+ * Enabled through scenario.har, which backstop-local.js sets for "record" and "--replay":
+  ```
+  "har": {
+    "mode": "replay",                  // or "record"
+    "dir": "backstop_data/har",
+    "passthrough": ["localhost:3000"], // hosts that always go to the network when replaying
+    "notFound": "abort"                // or "fallback" to load requests missing from the archive
+  }
+  ```
+ *
+ * Archives are kept per scenario and viewport, separately for reference and test runs:
+ * <dir>/reference/<label>_<viewport>.har and <dir>/test/<label>_<viewport>.har
+ * Archives embed the response bodies and can be large, so decide per project whether to
+ * commit them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Path of the archive for a scenario and viewport
+ */
+function harPath(dir, scenario, viewport, isReference) {
+  const safe = value => String(value).replace(/[ /]/g, '_').replace(/[^a-z0-9_-]/gi, '');
+  const file = `${safe(scenario.label)}_${safe(viewport.label || viewport.name)}.har`;
+  return path.resolve(dir, isReference ? 'reference' : 'test', file);
+}
+
+module.exports = async (page, scenario, viewport, isReference, browserContext) => {
+  const har = scenario.har;
+  if (!har || !har.mode) {
+    return;
+  }
+
+  const file = harPath(har.dir || 'backstop_data/har', scenario, viewport, isReference);
+  const relativeFile = path.relative(process.cwd(), file);
+
+  if (har.mode === 'record') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // The archive is written when BackstopJS closes the browser context
+    await browserContext.routeFromHAR(file, { update: true, updateContent: 'embed', updateMode: 'minimal' });
+    console.log(`HAR > Recording ${scenario.label} (${viewport.label}) to ${relativeFile}`);
+    return;
+  }
+
+  if (har.mode !== 'replay') {
+    console.warn(`HAR > Unknown mode "${har.mode}" for ${scenario.label}, expected "record" or "replay"`);
+    return;
+  }
+
+  if (!fs.existsSync(file)) {
+    console.warn(`HAR > No archive for ${scenario.label} (${viewport.label}) at ${relativeFile}, loading it from the network`);
+    return;
+  }
+
+  await browserContext.routeFromHAR(file, { notFound: har.notFound || 'abort' });
+
+  // Routes registered later take precedence, so these hosts skip the archive
+  const passthrough = har.passthrough || [];
+  if (passthrough.length > 0) {
+    const isLive = url => passthrough.includes(url.host) || passthrough.includes(url.hostname);
+    await browserContext.route(isLive, route => route.continue());
+  }
+
+  const live = passthrough.length > 0 ? `, live: ${passthrough.join(', ')}` : '';
+  console.log(`HAR > Replaying ${scenario.label} (${viewport.label}) from ${relativeFile}${live}`);
+};
@@ -1,3 +0,0 @@
-module.exports = async (page, scenario, viewport, isReference, browserContext) => {
-  await require('./loadCookies')(browserContext, scenario);
-};
@@ -1,7 +0,0 @@
-module.exports = async (page, scenario, viewport, isReference, browserContext) => {
-  console.log('SCENARIO > ' + scenario.label);
-  await require('./clickAndHoverHelper')(page, scenario);
-
-  // add more ready handlers here...
-  await require('./scroll')(page, scenario, viewport);
-};
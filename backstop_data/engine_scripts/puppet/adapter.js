@@ -0,0 +1,100 @@
+/**
+ * PUPPETEER ADAPTER
+ * Maps the engine-specific calls of the ready pipeline (../pipeline) onto Puppeteer.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The body is already decoded and measured again when the response is served
+const STALE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Loads an intercepted request with Node's fetch, with the page's cookies
+ */
+async function fetchRequest(page, request) {
+  const cookies = await page.cookies(request.url());
+  const headers = { ...request.headers() };
+  if (cookies.length > 0) {
+    headers.cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  const response = await fetch(request.url(), {
+    method: request.method(),
+    headers,
+    body: request.postData(),
+    redirect: 'follow'
+  });
+  return {
+    status: response.status,
+    headers: Object.fromEntries([...response.headers].filter(([name]) => !STALE_HEADERS.includes(name))),
+    body: Buffer.from(await response.arrayBuffer())
+  };
+}
+
+module.exports = page => {
+  const interceptors = [];
+
+  return {
+    engine: 'puppeteer',
+    page,
+
+    // BackstopJS does not load engineOptions.storageState for Puppeteer, the pipeline does
+    storageStateApplied: false,
+
+    addCookies: cookies =>
+      page.setCookie(...cookies.map(cookie => {
+        // Older cookie files give the domain as a URL
+        if (/^https?:\/\//.test(cookie.domain || '')) {
+          const { domain, ...rest } = cookie;
+          return { ...rest, url: domain };
+        }
+        return cookie;
+      })),
+
+    addInitScript: (fn, arg) => page.evaluateOnNewDocument(fn, arg),
+
+    waitForTimeout: ms => sleep(ms),
+
+    waitForNetworkIdle: timeout => page.waitForNetworkIdle({ timeout }),
+
+    bypassCSP: () => page.setBypassCSP(true),
+
+    /**
+     * Adds a request interceptor, see ../pipeline/index.js
+     */
+    intercept: async interceptor => {
+      interceptors.push(interceptor);
+      if (interceptors.length > 1) {
+        return;
+      }
+
+      await page.setRequestInterception(true);
+      page.on('request', async request => {
+        const info = {
+          url: request.url(),
+          resourceType: request.resourceType(),
+          method: request.method(),
+          headers: request.headers(),
+          isNavigation: request.isNavigationRequest(),
+          fetch: () => fetchRequest(page, request)
+        };
+
+        try {
+          for (const handler of interceptors) {
+            const result = await handler(info);
+            if (result === 'abort') {
+              return await request.abort();
+            }
+            if (result) {
+              return await request.respond(result);
+            }
+          }
+          return await request.continue();
+        } catch (error) {
+          // The request was already handled, or the page was closed
+          return request.continue().catch(() => {});
+        }
+      });
+    }
+  };
+};
@@ -1,3 +0,0 @@
-module.exports = async (page, scenario, vp) => {
-  await require('./loadCookies')(page, scenario);
-};
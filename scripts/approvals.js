@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { JSON_REPORT_PATH, matchesLabel } = require('./scenario-filter');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_PATH, 'backstop_data', 'approvals.json');
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/approvals.js list [options]
+
+Lists entries from the approval manifest (backstop_data/approvals.json).
+Approvals are made with: node scripts/backstop-local.js approve --label <label> --reason <text>
+
+Each entry records the approver, the time, the old and new bitmap hashes, the mismatch
+percentage and the reason. Commit the manifest with the change: the workflow lists the
+entries added since the target branch in the run summary and the PR comment.
+
+Options:
+  --since <git-ref>   Only list approvals added since this ref, e.g. origin/main
+  --markdown          Print a Markdown list instead of plain text
+  --github-output     Also write the Markdown list to $GITHUB_OUTPUT as "approvals"
+  --help              Show this help message
+`);
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function git(args) {
+  return execFileSync('git', args, { cwd: ROOT_PATH, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+/**
+ * Reads the approval manifest
+ * @param {string} [manifestPath] - Path to approvals.json
+ * @returns {{approvals: Array<Object>}} - The manifest, empty if the file does not exist yet
+ */
+function readManifest(manifestPath = MANIFEST_PATH) {
+  if (!fs.existsSync(manifestPath)) {
+    return { approvals: [] };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Reads the approval manifest as it was at a git ref
+ * @param {string} ref - Any git ref, e.g. origin/main
+ * @param {string} [manifestPath] - Path to approvals.json
+ * @returns {{approvals: Array<Object>}} - The manifest, empty if it did not exist at that ref
+ */
+function readManifestAt(ref, manifestPath = MANIFEST_PATH) {
+  const relativePath = path.relative(ROOT_PATH, manifestPath).split(path.sep).join('/');
+  try {
+    return JSON.parse(git(['show', `${ref}:${relativePath}`]));
+  } catch (error) {
+    return { approvals: [] };
+  }
+}
+
+/**
+ * Works out who is approving: --approver, then $BACKSTOP_APPROVER, then git user.name, then the OS user
+ * @param {string|null} approver - Explicit approver
+ * @returns {string} - The approver name
+ */
+function resolveApprover(approver) {
+  if (approver) {
+    return approver;
+  }
+  if (process.env.BACKSTOP_APPROVER) {
+    return process.env.BACKSTOP_APPROVER;
+  }
+  try {
+    const name = git(['config', 'user.name']);
+    if (name) {
+      return name;
+    }
+  } catch (error) {
+    // Not a git checkout or git is not installed
+  }
+  return os.userInfo().username;
+}
+
+/**
+ * Promotes failing test bitmaps to references and records each one in the approval manifest.
+ * Only tests that failed in the last report are considered, narrowed by the label/viewport filters.
+ * @param {Object} options - { filters: { labels, labelRegex, viewports }, approver, reason, reportPath, manifestPath }
+ * @returns {Array<Object>} - The manifest entries that were added
+ */
+function approveTests({
+  filters = {},
+  approver = null,
+  reason = null,
+  reportPath = JSON_REPORT_PATH,
+  manifestPath = MANIFEST_PATH,
+} = {}) {
+  if (!fs.existsSync(reportPath)) {
+    throw new Error(`No test report found at ${path.relative(process.cwd(), reportPath)} - run a test first`);
+  }
+
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  const reportDir = path.dirname(reportPath);
+  const { viewports = [] } = filters;
+  const approvedBy = resolveApprover(approver);
+  const approvedAt = new Date().toISOString();
+
+  const tests = (report.tests || []).filter(
+    (test) =>
+      test.status === 'fail' &&
+      matchesLabel(test.pair.label, filters) &&
+      (viewports.length === 0 || viewports.includes(test.pair.viewportLabel))
+  );
+
+  const entries = [];
+  tests.forEach(({ pair }) => {
+    const testPath = path.resolve(reportDir, pair.test);
+    const referencePath = path.resolve(reportDir, pair.reference);
+
+    if (!fs.existsSync(testPath)) {
+      console.log(`⚠️  Skipping ${pair.label} (${pair.viewportLabel}): test bitmap ${pair.test} not found`);
+      return;
+    }
+
+    const oldHash = fs.existsSync(referencePath) ? hashFile(referencePath) : null;
+    if (oldHash === hashFile(testPath)) {
+      console.log(`ℹ ${pair.label} (${pair.viewportLabel}) is already approved`);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(referencePath), { recursive: true });
+    fs.copyFileSync(testPath, referencePath);
+
+    const mismatch = pair.diff && pair.diff.misMatchPercentage !== undefined ? Number(pair.diff.misMatchPercentage) : null;
+    entries.push({
+      label: pair.label,
+      viewport: pair.viewportLabel,
+      file: path.basename(referencePath),
+      approvedBy,
+      approvedAt,
+      oldHash,
+      newHash: hashFile(referencePath),
+      misMatchPercentage: Number.isNaN(mismatch) ? null : mismatch,
+      reason: reason || null,
+    });
+    console.log(`✓ Approved ${pair.label} (${pair.viewportLabel})${mismatch !== null ? ` - ${mismatch}% mismatch` : ''}`);
+  });
+
+  if (entries.length > 0) {
+    const manifest = readManifest(manifestPath);
+    manifest.approvals.push(...entries);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`📝 Recorded ${entries.length} approvals in ${path.relative(process.cwd(), manifestPath)}`);
+  }
+
+  return entries;
+}
+
+function entryKey(entry) {
+  return [entry.label, entry.viewport, entry.approvedAt, entry.newHash].join('|');
+}
+
+/**
+ * Lists the approvals added to the manifest since a git ref, e.g. the approvals made in a PR
+ * @param {string} ref - The base ref to compare against
+ * @param {string} [manifestPath] - Path to approvals.json
+ * @returns {Array<Object>} - Entries present now but not at `ref`
+ */
+function approvalsSince(ref, manifestPath = MANIFEST_PATH) {
+  const before = new Set(readManifestAt(ref, manifestPath).approvals.map(entryKey));
+  return readManifest(manifestPath).approvals.filter((entry) => !before.has(entryKey(entry)));
+}
+
+/**
+ * Renders approvals as a Markdown list for the workflow summary and PR comment
+ * @param {Array<Object>} entries - Manifest entries
+ * @returns {string} - Markdown, empty if there are no entries
+ */
+function formatApprovalsMarkdown(entries) {
+  return entries
+    .map((entry) => {
+      const mismatch = entry.misMatchPercentage !== null ? `${entry.misMatchPercentage}% mismatch, ` : '';
+      const reason = entry.reason ? ` - ${entry.reason}` : '';
+      const approved = `approved by ${entry.approvedBy} on ${entry.approvedAt.slice(0, 10)}`;
+      return `- **${entry.label}** (${entry.viewport}): ${mismatch}${approved}${reason}`;
+    })
+    .join('\n');
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { command: null, since: null, markdown: false, githubOutput: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--since' && i + 1 < argv.length) {
+      config.since = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--markdown') {
+      config.markdown = true;
+    } else if (argv[i] === '--github-output') {
+      config.githubOutput = true;
+    } else if (!argv[i].startsWith('--')) {
+      config.command = argv[i];
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+
+  if (args.command !== 'list') {
+    showHelp();
+    process.exit(args.command ? 1 : 0);
+  }
+
+  const entries = args.since ? approvalsSince(args.since) : readManifest().approvals;
+  const markdown = formatApprovalsMarkdown(entries);
+
+  if (entries.length === 0) {
+    console.log(`ℹ No approvals${args.since ? ` since ${args.since}` : ''}`);
+  } else if (args.markdown) {
+    console.log(markdown);
+  } else {
+    entries.forEach((entry) => {
+      console.log(`${entry.approvedAt}  ${entry.label} (${entry.viewport})  ${entry.approvedBy}`);
+      console.log(`  ${entry.oldHash ? entry.oldHash.slice(0, 12) : '(new)'} → ${entry.newHash.slice(0, 12)}`);
+      if (entry.reason) {
+        console.log(`  ${entry.reason}`);
+      }
+    });
+  }
+
+  if (args.githubOutput && process.env.GITHUB_OUTPUT) {
+    // Approval reasons are free text, a fixed delimiter could end the value early
+    const delimiter = `ghadelim_${crypto.randomUUID()}`;
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `approvals<<${delimiter}\n${markdown}\n${delimiter}\n`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  readManifest,
+  approveTests,
+  approvalsSince,
+  formatApprovalsMarkdown,
+};
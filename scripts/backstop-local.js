@@ -2,13 +2,34 @@
 /* eslint-disable no-console */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const readline = require('readline');
 const { spawn } = require('child_process');
-
-const BACKSTOP_CONFIG_PATH = path.join(__dirname, '..', 'backstop.json');
-const BACKUP_CONFIG_PATH = path.join(__dirname, '..', 'backstop.json.backup');
-const COOKIES_PATH = path.join(__dirname, '..', 'backstop_data', 'engine_scripts', 'cookies.json');
-const BACKUP_COOKIES_PATH = path.join(__dirname, '..', 'backstop_data', 'engine_scripts', 'cookies.json.backup');
+const { loadRules, createRewriter, rewriteBackstopConfig, rewriteStorageState } = require('./rewrite-hosts');
+const { filterScenarios } = require('./scenario-filter');
+const { approveTests } = require('./approvals');
+const { findConfigSource, loadBackstopConfig } = require('./compile-config');
+const { lintConfig, readStorageState, printLintResults } = require('./lint-config');
+const { enableBlocks } = require('./blocks');
+const { loadLogins, login } = require('./login');
+const { loadTemplate, applyStorageTemplate } = require('./storage-state');
+const { checkoutBaseline, viewportLabels } = require('./baselines');
+const { retryFailures, writeRetries, printRetries, retryExitCode } = require('./retry-failures');
+const { applyComparisons, comparisonExitCode, printComparisons } = require('./compare');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const BACKSTOP_CONFIG_PATH = path.join(ROOT_PATH, 'backstop.json');
+const COOKIES_PATH = path.join(ROOT_PATH, 'backstop_data', 'engine_scripts', 'cookies.json');
+const HAR_DIR = path.join(ROOT_PATH, 'backstop_data', 'har');
+// Stored baselines are checked out here, outside the temp directory, so the HTML report keeps its references
+const BASELINE_DIR = path.join(ROOT_PATH, 'backstop_data', 'bitmaps_baseline');
+
+// Older versions of this runner rewrote the files above in place and kept these copies
+const LEGACY_BACKUPS = [
+  { backup: path.join(ROOT_PATH, 'backstop.json.backup'), original: BACKSTOP_CONFIG_PATH },
+  { backup: `${COOKIES_PATH}.backup`, original: COOKIES_PATH },
+];
 
 function showHelp() {
   console.log(`
@@ -17,14 +38,52 @@ Usage: node scripts/backstop-local.js [command] [options]
 Commands:
   reference  Generate reference images
   test       Run visual regression tests (default)
-  approve    Approve current test results
+  approve    Approve failing test results and record them in backstop_data/approvals.json
   report     Open the HTML report
+  lint       Check the config the other commands would run with, without running anything
+  record     Save every request of each scenario to a HAR archive (references and reports are not touched)
 
 Options:
   --url <pattern>        Replace 'stage--' with this pattern in URLs
   --ref <pattern>        Replace 'main--' with this pattern in referenceUrls
+  --test-env <name>      Environment for URLs: branch, preview, live, local (see host-rewrite.json)
+  --ref-env <name>       Environment for referenceUrls
+  --rules <path>         Host rewrite rules (default: host-rewrite.json)
+  --config-env <name>    Environment overrides from backstop.config.js (default: local)
+  --label <label>        Only run scenarios with this exact label (repeatable, comma separated)
+  --label-regex <regex>  Only run scenarios whose label matches this regex (case-insensitive)
+  --viewport <label>     Only run these viewports (repeatable, comma separated)
+  --changed-only         Only rerun the scenario/viewport pairs that failed in the last report
+  --reason <text>        Why the change is expected (approve only, stored in the manifest)
+  --approver <name>      Who approves (approve only, default: $BACKSTOP_APPROVER or git user.name)
+  --skip-lint            Run even if the config has lint errors
+  --replay               Serve requests from the HAR archives saved by "record" (reference/test)
+  --passthrough <host>   Load this host from the network when replaying, "test" for the test URLs' hosts
+                         (repeatable, comma separated)
+  --har-fallback         Load requests missing from the archives from the network instead of failing them
+  --har-dir <path>       Where HAR archives are kept (default: backstop_data/har)
+  --blocks               Also capture each EDS block of the page on its own (see scripts/blocks.js)
+  --sections             Like --blocks, with the section wrappers instead of the blocks
+  --baseline <name>      Test against a baseline from the store instead of backstop_data/bitmaps_reference
+                         (test only, see scripts/baselines.js)
+  --retries <n>          Capture failed tests again up to n times and mark each as failing, flaky or error
+                         (test only, see scripts/retry-failures.js)
+  --allow-flaky          With --retries, exit with 0 when every failure passed on a retry
+  --login                Log in to the hosts listed in login.json first and capture with that session
+                         (credentials from the environment, see scripts/login.js)
+  --recover              Restore leftover .backup files from older runs without asking
   --help                 Show this help message
 
+backstop.json and cookies.json are never modified. When backstop.config.js exists it is
+compiled, and the compiled, rewritten or filtered copies are written to a temporary
+directory and passed to BackstopJS. The cookies and localStorage in storage-template.json
+are added there for every host the run loads. reference and test lint that config first
+and stop on errors.
+
+--label, --label-regex, --viewport and --changed-only work for test, reference and approve.
+A filtered reference run only replaces the selected references, and a filtered approve only
+promotes the selected bitmaps.
+
 Examples:
   # Compare local branch against main
   node scripts/backstop-local.js test --url "my-branch--" --ref "main--"
@@ -32,6 +91,36 @@ Examples:
   # Generate references using a specific branch
   node scripts/backstop-local.js reference --url "my-branch--" --ref "production--"
   
+  # Compare a local "aem up" server against the main preview
+  node scripts/backstop-local.js test --test-env local --ref-env preview
+
+  # Recheck one page on desktop, then approve just that page
+  node scripts/backstop-local.js test --label "Contact Page" --viewport desktop
+  node scripts/backstop-local.js approve --label "Contact Page" --viewport desktop --reason "New footer"
+
+  # Rerun whatever failed last time
+  node scripts/backstop-local.js test --changed-only
+
+  # Record the network once, then compare the branch's own code against the archived rest
+  node scripts/backstop-local.js record --url "my-branch--"
+  node scripts/backstop-local.js test --url "my-branch--" --replay --passthrough test
+
+  # Capture every block of one page separately, so a failure names the block
+  node scripts/backstop-local.js reference --label "Platform Page" --blocks
+  node scripts/backstop-local.js test --label "Platform Page" --blocks
+
+  # Capture failures twice more before calling them real, and don't fail on flaky ones
+  node scripts/backstop-local.js test --retries 2 --allow-flaky
+
+  # Test against the references stored for main, without capturing them again
+  node scripts/backstop-local.js test --url "my-branch--" --baseline main
+
+  # Capture a protected preview with a fresh login session
+  BACKSTOP_LOGIN_USER=me BACKSTOP_LOGIN_PASSWORD=secret node scripts/backstop-local.js test --login
+
+  # Check the config for typos, duplicate labels and host mix-ups
+  node scripts/backstop-local.js lint --test-env local
+
   # Use default stage/main comparison
   node scripts/backstop-local.js test
 `);
@@ -43,6 +132,27 @@ function parseArgs() {
     command: 'test',
     urlPattern: null,
     refPattern: null,
+    testEnv: null,
+    refEnv: null,
+    rulesPath: undefined,
+    configEnv: 'local',
+    labels: [],
+    labelRegex: null,
+    viewports: [],
+    changedOnly: false,
+    reason: null,
+    approver: null,
+    skipLint: false,
+    replay: false,
+    passthrough: [],
+    harFallback: false,
+    harDir: HAR_DIR,
+    blocks: null,
+    login: false,
+    baseline: null,
+    retries: 0,
+    allowFlaky: false,
+    recover: false,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -53,6 +163,100 @@ function parseArgs() {
       process.exit(0);
     }
 
+    if (arg === '--recover') {
+      config.recover = true;
+      continue;
+    }
+
+    if (arg === '--skip-lint') {
+      config.skipLint = true;
+      continue;
+    }
+
+    if (arg === '--replay') {
+      config.replay = true;
+      continue;
+    }
+
+    if (arg === '--blocks' || arg === '--sections') {
+      config.blocks = { sections: arg === '--sections' || Boolean(config.blocks && config.blocks.sections) };
+      continue;
+    }
+
+    if (arg === '--login') {
+      config.login = true;
+      continue;
+    }
+
+    if (arg === '--har-fallback') {
+      config.harFallback = true;
+      continue;
+    }
+
+    if (arg === '--passthrough' && i + 1 < args.length) {
+      config.passthrough.push(...args[i + 1].split(',').map((host) => host.trim()).filter(Boolean));
+      i++;
+      continue;
+    }
+
+    if (arg === '--allow-flaky') {
+      config.allowFlaky = true;
+      continue;
+    }
+
+    if (arg === '--retries' && i + 1 < args.length) {
+      config.retries = parseInt(args[i + 1], 10) || 0;
+      i++;
+      continue;
+    }
+
+    if (arg === '--baseline' && i + 1 < args.length) {
+      config.baseline = args[i + 1];
+      i++;
+      continue;
+    }
+
+    if (arg === '--har-dir' && i + 1 < args.length) {
+      config.harDir = path.resolve(args[i + 1]);
+      i++;
+      continue;
+    }
+
+    if (arg === '--changed-only') {
+      config.changedOnly = true;
+      continue;
+    }
+
+    if (arg === '--label' && i + 1 < args.length) {
+      config.labels.push(...args[i + 1].split(',').map((label) => label.trim()).filter(Boolean));
+      i++;
+      continue;
+    }
+
+    if (arg === '--label-regex' && i + 1 < args.length) {
+      config.labelRegex = args[i + 1];
+      i++;
+      continue;
+    }
+
+    if (arg === '--viewport' && i + 1 < args.length) {
+      config.viewports.push(...args[i + 1].split(',').map((vp) => vp.trim()).filter(Boolean));
+      i++;
+      continue;
+    }
+
+    if (arg === '--reason' && i + 1 < args.length) {
+      config.reason = args[i + 1];
+      i++;
+      continue;
+    }
+
+    if (arg === '--approver' && i + 1 < args.length) {
+      config.approver = args[i + 1];
+      i++;
+      continue;
+    }
+
     if (arg === '--url' && i + 1 < args.length) {
       config.urlPattern = args[i + 1];
       i++;
@@ -65,8 +269,32 @@ function parseArgs() {
       continue;
     }
 
+    if (arg === '--test-env' && i + 1 < args.length) {
+      config.testEnv = args[i + 1];
+      i++;
+      continue;
+    }
+
+    if (arg === '--ref-env' && i + 1 < args.length) {
+      config.refEnv = args[i + 1];
+      i++;
+      continue;
+    }
+
+    if (arg === '--config-env' && i + 1 < args.length) {
+      config.configEnv = args[i + 1];
+      i++;
+      continue;
+    }
+
+    if (arg === '--rules' && i + 1 < args.length) {
+      config.rulesPath = args[i + 1];
+      i++;
+      continue;
+    }
+
     if (!arg.startsWith('--')) {
-      if (['reference', 'test', 'approve', 'report'].includes(arg)) {
+      if (['reference', 'test', 'approve', 'report', 'lint', 'record'].includes(arg)) {
         config.command = arg;
       }
     }
@@ -75,162 +303,268 @@ function parseArgs() {
   return config;
 }
 
-function backupConfig() {
-  try {
-    fs.copyFileSync(BACKSTOP_CONFIG_PATH, BACKUP_CONFIG_PATH);
-    console.log('✓ Backed up backstop.json');
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
 
-    if (fs.existsSync(COOKIES_PATH)) {
-      fs.copyFileSync(COOKIES_PATH, BACKUP_COOKIES_PATH);
-      console.log('✓ Backed up cookies.json');
-    }
+/**
+ * Finds .backup files left behind by older runs that were killed before restoring them,
+ * and offers to put them back. Without a TTY the files are only reported unless --recover is set.
+ * @param {boolean} recover - Restore without asking
+ */
+async function recoverLegacyBackups(recover) {
+  const leftovers = LEGACY_BACKUPS.filter(({ backup }) => fs.existsSync(backup));
+  if (leftovers.length === 0) {
+    return;
+  }
 
-    return true;
-  } catch (error) {
-    console.error('✗ Failed to backup configuration files:', error.message);
-    return false;
+  console.log('\n⚠️  Found backup files from an interrupted run:');
+  leftovers.forEach(({ backup }) => console.log(`  ${path.relative(ROOT_PATH, backup)}`));
+  console.log('  The originals may still contain branch-specific URLs.');
+
+  let restore = recover;
+  if (!restore && process.stdin.isTTY) {
+    restore = ['y', 'yes'].includes(await ask('Restore the originals from these backups? [y/N] '));
+  }
+
+  if (!restore) {
+    console.log('ℹ Leaving backups in place. Run with --recover to restore them.');
+    return;
   }
+
+  leftovers.forEach(({ backup, original }) => {
+    fs.copyFileSync(backup, original);
+    fs.unlinkSync(backup);
+    console.log(`✓ Restored ${path.relative(ROOT_PATH, original)}`);
+  });
 }
 
-function restoreConfig() {
-  try {
-    if (fs.existsSync(BACKUP_CONFIG_PATH)) {
-      fs.copyFileSync(BACKUP_CONFIG_PATH, BACKSTOP_CONFIG_PATH);
-      fs.unlinkSync(BACKUP_CONFIG_PATH);
-      console.log('✓ Restored original backstop.json');
-    }
+/**
+ * Turns on HAR recording or replay (engine_scripts/playwright/har.js) for every scenario.
+ * A recording run writes its screenshots and reports to the temp directory, so the references
+ * and the last report stay as they are.
+ * @param {Object} config - Parsed backstop config
+ * @param {Object} har - { mode: 'record'|'replay', dir, passthrough, notFound }
+ * @param {string} dir - Temp directory of the derived config
+ * @returns {Object} - A new config
+ */
+function applyHar(config, { mode, dir: harDir, passthrough = [], notFound = 'abort' }, dir) {
+  if (config.engine !== 'playwright') {
+    throw new Error(`HAR record and replay need the playwright engine (config uses "${config.engine}")`);
+  }
 
-    if (fs.existsSync(BACKUP_COOKIES_PATH)) {
-      fs.copyFileSync(BACKUP_COOKIES_PATH, COOKIES_PATH);
-      fs.unlinkSync(BACKUP_COOKIES_PATH);
-      console.log('✓ Restored original cookies.json');
+  const testHosts = config.scenarios.map((scenario) => {
+    try {
+      return new URL(scenario.url).host;
+    } catch (error) {
+      return null;
     }
-  } catch (error) {
-    console.error('✗ Failed to restore configuration files:', error.message);
+  });
+  const hosts = [...new Set(passthrough.flatMap((host) => (host === 'test' ? testHosts.filter(Boolean) : [host])))];
+  const updated = {
+    ...config,
+    scenarios: config.scenarios.map((scenario) => ({ ...scenario, har: { mode, dir: harDir, passthrough: hosts, notFound } })),
+  };
+
+  if (mode === 'record') {
+    const outputDir = path.join(dir, 'record');
+    updated.paths = {
+      ...config.paths,
+      bitmaps_reference: path.join(outputDir, 'bitmaps_reference'),
+      bitmaps_test: path.join(outputDir, 'bitmaps_test'),
+      html_report: path.join(outputDir, 'html_report'),
+      json_report: path.join(outputDir, 'json_report'),
+      ci_report: path.join(outputDir, 'ci_report'),
+    };
+    // Nothing to look at, so don't open the report
+    updated.report = [];
   }
+
+  console.log(
+    `✓ HAR ${mode === 'record' ? 'recording to' : 'replay from'} ${path.relative(ROOT_PATH, harDir)}` +
+      (hosts.length > 0 && mode === 'replay' ? ` (live: ${hosts.join(', ')})` : '')
+  );
+  return updated;
 }
 
-function updateCookies(urlPattern, refPattern) {
-  try {
-    if (!fs.existsSync(COOKIES_PATH)) {
-      console.log('ℹ No cookies.json file found, skipping cookie updates');
-      return true;
-    }
+/**
+ * Writes the compiled, rewritten and filtered backstop config and storage state to a temporary directory.
+ * The storage templates (scripts/storage-state.js) are expanded for the hosts of the final config.
+ * The files in the repository are only read, so an interrupted run leaves nothing to restore.
+ * @param {Object} options - `rewriter` from scripts/rewrite-hosts.js, `filters` for filterScenarios,
+ *   `configEnv` for backstop.config.js, `har` for applyHar, `blocks` for enableBlocks and `baseline`
+ *   for a stored baseline to use as the references
+ * @returns {{dir: string, configPath: string, selection: Array|null}} - The temp directory, derived
+ *   config path and the selected scenarios when filters were given
+ */
+function writeDerivedConfig({ rewriter = null, filters = null, configEnv = null, har = null, blocks = null, baseline = null }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backstop-local-'));
+  const sourcePath = findConfigSource(ROOT_PATH);
+  let config = loadBackstopConfig({ sourcePath, env: configEnv });
+  let selection = null;
+
+  if (sourcePath) {
+    console.log(`✓ Compiled ${path.relative(ROOT_PATH, sourcePath)}${configEnv ? ` (${configEnv})` : ''}`);
+  }
 
-    const cookiesContent = fs.readFileSync(COOKIES_PATH, 'utf8');
-    const cookies = JSON.parse(cookiesContent);
+  if (rewriter) {
+    config = rewriteBackstopConfig(config, rewriter);
+  }
 
-    let modified = false;
+  if (filters) {
+    ({ config, selection } = filterScenarios(config, filters));
+    console.log(`✓ Selected ${selection.length} scenarios:`);
+    selection.forEach(({ label, viewports }) => console.log(`  ${label} (${viewports.join(', ')})`));
+  }
 
-    // Update cookie domains
-    if (cookies.cookies) {
-      cookies.cookies.forEach((cookie) => {
-        if (urlPattern && cookie.domain && cookie.domain.includes('stage--')) {
-          const newDomain = cookie.domain.replace(/stage--/g, urlPattern);
-          if (newDomain !== cookie.domain) {
-            console.log(`  Cookie domain: ${cookie.domain} → ${newDomain}`);
-            cookie.domain = newDomain;
-            modified = true;
-          }
-        }
-
-        if (refPattern && cookie.domain && cookie.domain.includes('main--')) {
-          const newDomain = cookie.domain.replace(/main--/g, refPattern);
-          if (newDomain !== cookie.domain) {
-            console.log(`  Cookie domain: ${cookie.domain} → ${newDomain}`);
-            cookie.domain = newDomain;
-            modified = true;
-          }
-        }
-      });
-    }
+  if (har) {
+    config = applyHar(config, har, dir);
+  }
 
-    // Update localStorage origins
-    if (cookies.origins) {
-      cookies.origins.forEach((origin) => {
-        if (urlPattern && origin.origin && origin.origin.includes('stage--')) {
-          const newOrigin = origin.origin.replace(/stage--/g, urlPattern);
-          if (newOrigin !== origin.origin) {
-            console.log(`  localStorage origin: ${origin.origin} → ${newOrigin}`);
-            origin.origin = newOrigin;
-            modified = true;
-          }
-        }
-
-        if (refPattern && origin.origin && origin.origin.includes('main--')) {
-          const newOrigin = origin.origin.replace(/main--/g, refPattern);
-          if (newOrigin !== origin.origin) {
-            console.log(`  localStorage origin: ${origin.origin} → ${newOrigin}`);
-            origin.origin = newOrigin;
-            modified = true;
-          }
-        }
-      });
-    }
+  if (blocks) {
+    ({ config } = enableBlocks(config, blocks));
+    console.log(`✓ ${blocks.sections ? 'Section' : 'Block'} captures on for ${config.scenarios.length} scenarios`);
+  }
+
+  if (baseline) {
+    const set = checkoutBaseline(baseline, { out: BASELINE_DIR, viewports: viewportLabels(config) });
+    config.paths = { ...config.paths, bitmaps_reference: BASELINE_DIR };
+    console.log(`✓ Checked out baseline ${set.id} (${Object.keys(set.files).length} files) to ${path.relative(ROOT_PATH, BASELINE_DIR)}`);
+  }
 
-    if (modified) {
-      fs.writeFileSync(COOKIES_PATH, JSON.stringify(cookies, null, 2));
-      console.log('✓ Updated cookies.json with new URLs');
+  const storageState = config.engineOptions && config.engineOptions.storageState;
+  const cookiesPath = storageState ? path.resolve(ROOT_PATH, storageState) : COOKIES_PATH;
+
+  if (rewriter && fs.existsSync(cookiesPath)) {
+    const cookies = rewriteStorageState(JSON.parse(fs.readFileSync(cookiesPath, 'utf8')), rewriter);
+    const derivedCookiesPath = path.join(dir, 'cookies.json');
+    fs.writeFileSync(derivedCookiesPath, JSON.stringify(cookies, null, 2));
+
+    if (storageState) {
+      config.engineOptions.storageState = derivedCookiesPath;
     }
+    console.log(`✓ Wrote storage state to ${derivedCookiesPath}`);
+  } else if (rewriter) {
+    console.log('ℹ No cookies.json file found, skipping cookie updates');
+  } else if (storageState) {
+    config.engineOptions.storageState = cookiesPath;
+  }
 
-    return true;
-  } catch (error) {
-    console.error('✗ Failed to update cookies.json:', error.message);
-    return false;
+  // After the rewrite and filters, so exactly the hosts that are loaded get the entries
+  const template = loadTemplate();
+  if (template) {
+    let hosts;
+    ({ config, hosts } = applyStorageTemplate(config, { template, out: path.join(dir, 'storage-state.json') }));
+    console.log(`✓ Expanded storage templates for ${hosts.length} hosts`);
   }
+
+  const configPath = path.join(dir, 'backstop.json');
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  console.log(`✓ Wrote config to ${configPath}`);
+
+  return { dir, configPath, selection };
 }
 
-function updateConfig(urlPattern, refPattern) {
-  try {
-    const configContent = fs.readFileSync(BACKSTOP_CONFIG_PATH, 'utf8');
-    const config = JSON.parse(configContent);
-
-    let modified = false;
-
-    config.scenarios.forEach((scenario) => {
-      if (urlPattern && scenario.url) {
-        const newUrl = scenario.url.replace(/stage--/g, urlPattern);
-        if (newUrl !== scenario.url) {
-          console.log(`  URL: ${scenario.url} → ${newUrl}`);
-          scenario.url = newUrl;
-          modified = true;
-        }
-      }
+/**
+ * Runs the logins from login.json for the derived config and points its storage state at the
+ * sessions. The state is written to the temp directory, so it is removed with the config.
+ * @param {{dir: string, configPath: string}} derived - From writeDerivedConfig
+ */
+async function applyLogin(derived) {
+  console.log('\n🔍 Checking logins...');
+  const config = JSON.parse(fs.readFileSync(derived.configPath, 'utf8'));
+  const result = await login(config, { logins: loadLogins(), out: path.join(derived.dir, 'storage-state.json'), baseDir: ROOT_PATH });
+
+  if (!result.path) {
+    console.log('ℹ No scenario host needs a login, using the committed storage state');
+    return;
+  }
 
-      if (refPattern && scenario.referenceUrl) {
-        const newRefUrl = scenario.referenceUrl.replace(/main--/g, refPattern);
-        if (newRefUrl !== scenario.referenceUrl) {
-          console.log(`  Ref: ${scenario.referenceUrl} → ${newRefUrl}`);
-          scenario.referenceUrl = newRefUrl;
-          modified = true;
-        }
-      }
-    });
+  config.engineOptions = { ...config.engineOptions, storageState: result.path };
+  fs.writeFileSync(derived.configPath, JSON.stringify(config, null, 2));
+  console.log(`✓ Capturing with the sessions for ${result.hosts.join(', ')}`);
+}
 
-    if (modified) {
-      fs.writeFileSync(BACKSTOP_CONFIG_PATH, JSON.stringify(config, null, 2));
-      console.log('✓ Updated backstop.json with new URLs');
-    } else {
-      console.log('ℹ No backstop.json URL replacements needed');
-    }
+/**
+ * Runs the comparison stage of scripts/compare.js on the test run, for scenarios with a "compare" mode
+ * @param {string} configPath - Path to the (derived) backstop config the test ran with
+ * @param {number} exitCode - Exit code of backstop test
+ * @param {number} startedAt - When the test started, older reports are not compared
+ * @returns {number} - The exit code after the comparisons
+ */
+function compareTest(configPath, exitCode, startedAt) {
+  const result = applyComparisons(JSON.parse(fs.readFileSync(configPath, 'utf8')), { since: startedAt });
+  if (!result) {
+    return exitCode;
+  }
+  printComparisons(result);
+  return comparisonExitCode(exitCode, result);
+}
 
-    // Also update cookies.json
-    if (!updateCookies(urlPattern, refPattern)) {
-      return false;
-    }
+/**
+ * Captures the failures of the test run again and records which ones were flaky
+ * @param {string} configPath - Path to the (derived) backstop config the test ran with
+ * @param {Object} options - { retries, allowFlaky }
+ * @returns {Promise<number|null>} - The exit code after the retries, null if there was nothing to retry
+ */
+async function retryTest(configPath, { retries, allowFlaky }) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const reportPath = path.resolve(ROOT_PATH, (config.paths && config.paths.json_report) || 'backstop_data/json_report', 'jsonReport.json');
+  if (!fs.existsSync(reportPath)) {
+    return null;
+  }
 
-    return true;
-  } catch (error) {
-    console.error('✗ Failed to update backstop.json:', error.message);
-    return false;
+  const result = await retryFailures({ config, reportPath, retries });
+  if (!result) {
+    return null;
+  }
+  printRetries(result);
+  console.log(`✓ Wrote ${path.relative(ROOT_PATH, writeRetries(result, reportPath))}`);
+  return retryExitCode(result, allowFlaky);
+}
+
+/**
+ * Lints the config that is about to be run and prints the results
+ * @param {string} configPath - Path to the (derived) backstop config
+ * @param {string} name - What is linted, for the summary line
+ * @returns {number} - Number of errors
+ */
+function lintBackstopConfig(configPath, name) {
+  console.log('\n🔍 Linting configuration...');
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const result = lintConfig(config, { storageState: readStorageState(config, ROOT_PATH) });
+  printLintResults(result, config, name);
+  return result.errors.length;
+}
+
+function removeDerivedConfig(dir) {
+  if (dir && fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
   }
 }
 
-function runBackstop(command) {
+function shellQuote(value) {
+  return process.platform === 'win32' ? `"${value.replace(/"/g, '\\"')}"` : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function runBackstop(command, configPath, extraArgs = []) {
   return new Promise((resolve, reject) => {
     console.log(`\n🚀 Running backstop ${command}...`);
 
-    const backstopProcess = spawn('npx', ['backstop', command], {
+    const args = ['backstop', command];
+    if (configPath) {
+      args.push(`--config=${shellQuote(configPath)}`);
+    }
+    args.push(...extraArgs);
+
+    const backstopProcess = spawn('npx', args, {
+      cwd: ROOT_PATH,
       stdio: 'inherit',
       shell: true,
     });
@@ -266,61 +600,163 @@ async function main() {
     console.log(`Reference pattern: main-- → ${config.refPattern}`);
   }
 
-  // Setup cleanup handler
+  if (config.testEnv || config.refEnv) {
+    console.log(`Environments: test=${config.testEnv || 'branch'}, reference=${config.refEnv || 'branch'}`);
+  }
+
+  await recoverLegacyBackups(config.recover);
+
+  let derived = null;
+  process.on('exit', () => removeDerivedConfig(derived && derived.dir));
+
+  // Temp files are removed by the 'exit' handler above, nothing in the repo needs restoring
   process.on('SIGINT', () => {
-    console.log('\n\n🛑 Interrupted! Cleaning up...');
-    restoreConfig();
+    console.log('\n\n🛑 Interrupted!');
     process.exit(130);
   });
 
   process.on('SIGTERM', () => {
-    console.log('\n\n🛑 Terminated! Cleaning up...');
-    restoreConfig();
+    console.log('\n\n🛑 Terminated!');
     process.exit(143);
   });
 
   let exitCode = 0;
 
   try {
-    // Only backup and modify if we have patterns to replace
-    if (config.urlPattern || config.refPattern) {
-      if (!backupConfig()) {
-        process.exit(1);
+    const rewrite = config.urlPattern || config.refPattern || config.testEnv || config.refEnv || config.rulesPath;
+    const filtered = config.labels.length > 0 || config.labelRegex || config.viewports.length > 0 || config.changedOnly;
+
+    // Approvals work off the last report, so there is no config to derive
+    if (config.command === 'approve') {
+      console.log('\n📝 Approving test results...');
+      const approved = approveTests({
+        filters: { labels: config.labels, labelRegex: config.labelRegex, viewports: config.viewports },
+        approver: config.approver,
+        reason: config.reason,
+      });
+      if (approved.length === 0) {
+        console.log('ℹ No failing tests match the given filters');
       }
+      console.log('\n✨ Done!');
+      process.exit(0);
+    }
+
+    if (config.baseline && config.command !== 'test') {
+      throw new Error('--baseline only works with test, save new references with scripts/baselines.js save');
+    }
+
+    const compile = Boolean(findConfigSource(ROOT_PATH));
+    const templates = Boolean(loadTemplate());
+    const har =
+      config.command === 'record' || (config.replay && ['reference', 'test'].includes(config.command))
+        ? {
+            mode: config.command === 'record' ? 'record' : 'replay',
+            dir: config.harDir,
+            passthrough: config.passthrough,
+            notFound: config.harFallback ? 'fallback' : 'abort',
+          }
+        : null;
+
+    // Only derive a config if we have a source to compile, hosts to rewrite, scenarios to filter, HARs to use,
+    // blocks to capture, storage templates to expand, logins to run or a stored baseline to use
+    if (compile || rewrite || filtered || har || config.blocks || templates || config.login || config.baseline) {
+      console.log('\n📝 Preparing configuration...');
+      const rewriter = rewrite
+        ? createRewriter(loadRules(config.rulesPath), {
+            testBranch: config.urlPattern,
+            referenceBranch: config.refPattern,
+            testEnv: config.testEnv,
+            referenceEnv: config.refEnv,
+          })
+        : null;
+      const filters = filtered
+        ? {
+            labels: config.labels,
+            labelRegex: config.labelRegex,
+            viewports: config.viewports,
+            changedOnly: config.changedOnly,
+          }
+        : null;
+      derived = writeDerivedConfig({
+        rewriter,
+        filters,
+        configEnv: compile ? config.configEnv : null,
+        har,
+        blocks: config.blocks,
+        baseline: config.baseline,
+      });
+    }
 
-      console.log('\n📝 Updating configuration...');
-      if (!updateConfig(config.urlPattern, config.refPattern)) {
-        restoreConfig();
-        process.exit(1);
+    const extraArgs = [];
+    if (filtered) {
+      if (derived.selection.length === 0) {
+        throw new Error('No scenarios match the given filters');
       }
+
+      // Keep the other references in place instead of regenerating them all
+      if (config.command === 'reference') {
+        extraArgs.push('-i');
+      }
+    }
+
+    const configPath = derived ? derived.configPath : BACKSTOP_CONFIG_PATH;
+    const configName = derived ? 'Derived config' : 'backstop.json';
+
+    if (config.command === 'lint') {
+      exitCode = lintBackstopConfig(configPath, configName) > 0 ? 1 : 0;
+      console.log('\n✨ Done!');
+      process.exit(exitCode);
+    }
+
+    if (['reference', 'test', 'record'].includes(config.command) && !config.skipLint && lintBackstopConfig(configPath, configName) > 0) {
+      throw new Error('The config has lint errors, fix them or run with --skip-lint');
+    }
+
+    if (config.login && ['reference', 'test', 'record'].includes(config.command)) {
+      await applyLogin(derived);
     }
 
-    // Run backstop command
-    exitCode = await runBackstop(config.command);
+    if (config.command === 'record') {
+      // Capture both sides: reference loads referenceUrl, test loads url
+      exitCode = await runBackstop('reference', derived.configPath);
+      if (exitCode === 0) {
+        // Differences between the two passes don't matter here, only the archives do
+        await runBackstop('test', derived.configPath);
+        console.log(`✓ HAR archives saved to ${path.relative(ROOT_PATH, config.harDir)}`);
+      }
+    } else {
+      // Run backstop command
+      const startedAt = Date.now();
+      exitCode = await runBackstop(config.command, derived && derived.configPath, extraArgs);
+
+      if (config.command === 'test') {
+        exitCode = compareTest(configPath, exitCode, startedAt);
+      }
+      if (config.command === 'test' && exitCode !== 0 && config.retries > 0) {
+        const retryExit = await retryTest(configPath, config);
+        exitCode = retryExit === null ? exitCode : retryExit;
+      }
+    }
   } catch (error) {
     console.error('✗ Unexpected error:', error.message);
     exitCode = 1;
-  } finally {
-    // Always restore the original config
-    if (config.urlPattern || config.refPattern) {
-      console.log('\n🔄 Cleaning up...');
-      restoreConfig();
-    }
-
-    console.log('\n✨ Done!');
-    process.exit(exitCode);
   }
+
+  console.log('\n✨ Done!');
+  process.exit(exitCode);
+}
+
+if (require.main === module) {
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+
+  main().catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
 }
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  restoreConfig();
-  process.exit(1);
-});
-
-main().catch((error) => {
-  console.error('Fatal error:', error);
-  restoreConfig();
-  process.exit(1);
-});
+module.exports = { writeDerivedConfig, applyHar };
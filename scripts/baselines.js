@@ -0,0 +1,588 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const STORE_DIR = path.join(ROOT_PATH, 'backstop_data', 'baselines');
+const REFERENCE_DIR = path.join(ROOT_PATH, 'backstop_data', 'bitmaps_reference');
+const DEFAULT_KEEP = 5;
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/baselines.js <command> [options]
+
+Keeps reference sets per branch and commit in a content-addressed store
+(backstop_data/baselines/). Each file is stored once under objects/ by its SHA-256,
+and manifest.json lists the sets and which set is the current baseline of each branch.
+A baseline is named by branch ("main"), by set id ("main@1a2b3c4d5e6f") or by commit prefix.
+
+Commands:
+  save                  Store the current references as a new set and make it the branch's baseline
+  list                  List the stored sets
+  diff <a> [b]          Compare two baselines, or a baseline with the current references
+  promote <baseline>    Make a baseline the baseline of another branch (--to, default: main)
+  checkout <baseline>   Replace the current references with a stored baseline, after checking
+                        its files (a damaged set leaves the references alone)
+  rename                Rename references named by viewport position to the viewport label names
+                        of fileNameTemplate (in --out)
+  prune                 Keep the newest sets per branch and remove unused files
+  verify [baseline]     Check every stored file against its hash and the manifest, or only
+                        the files of one baseline
+
+Options:
+  --store <path>         Store directory (default: backstop_data/baselines)
+  --from <path>          References to save or compare (default: backstop_data/bitmaps_reference)
+  --out <path>           Where checkout writes (default: backstop_data/bitmaps_reference)
+  --branch <name>        Branch to save under (default: the current git branch)
+  --commit <sha>         Commit to save under (default: the current git commit)
+  --to <branch>          Branch to promote to (default: main)
+  --fallback <baseline>  Baseline to check out when the first one is not stored (repeatable)
+  --keep <n>             Sets to keep per branch when pruning (default: ${DEFAULT_KEEP})
+  --json                 Print diff and list results as JSON
+  --help                 Show this help message
+
+Examples:
+  # Save the references of this branch, then test another branch against them
+  node scripts/baselines.js save
+  node scripts/backstop-local.js test --baseline my-branch
+
+  # See which bitmaps changed between main and a branch, and make the branch the new main
+  node scripts/baselines.js diff main my-branch
+  node scripts/baselines.js promote my-branch
+
+backstop-local.js test --baseline checks the baseline out to backstop_data/bitmaps_baseline,
+so approving in that run only changes the checkout.
+
+Sets saved before backstop.config.js named bitmaps by viewport label hold names like
+..._document_0_phone.png. checkout renames them to ..._document_phone.png, for the viewport
+labels of backstop.json, so they still match. Run rename once for references captured
+locally before that.
+
+In CI, the reference workflow pulls the store from the last run on main, saves the new
+references and uploads the store as the backstop-baselines artifact. /update-visual-references
+saves them as pr-<number> and promotes that to main. The test workflow checks out the target
+branch's baseline, or main's, and only captures references itself when the store has neither.
+`);
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function git(args) {
+  return execFileSync('git', args, { cwd: ROOT_PATH, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+function toPosix(value) {
+  return value.split(path.sep).join('/');
+}
+
+function objectPath(store, hash) {
+  return path.join(store, 'objects', hash.slice(0, 2), hash);
+}
+
+function manifestPath(store) {
+  return path.join(store, 'manifest.json');
+}
+
+/**
+ * Reads the store manifest
+ * @param {string} [store] - Store directory
+ * @returns {{version: number, sets: Array<Object>, branches: Object<string, string>}} - Empty if the store is new
+ */
+function readManifest(store = STORE_DIR) {
+  if (!fs.existsSync(manifestPath(store))) {
+    return { version: 1, sets: [], branches: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath(store), 'utf8'));
+}
+
+function writeManifest(manifest, store = STORE_DIR) {
+  fs.mkdirSync(store, { recursive: true });
+  fs.writeFileSync(manifestPath(store), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Lists the files of a reference directory with their hashes
+ * @param {string} dir - E.g. backstop_data/bitmaps_reference
+ * @returns {Object<string, string>} - SHA-256 keyed by path relative to dir, in posix form
+ */
+function hashDir(dir) {
+  const files = {};
+  const walk = (current) => {
+    if (!fs.existsSync(current)) {
+      return;
+    }
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile()) {
+        files[toPosix(path.relative(dir, entryPath))] = hashFile(entryPath);
+      }
+    });
+  };
+  walk(dir);
+  return Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Lists the viewport labels a backstop config uses, at the top level and in its scenarios
+ * @param {Object} config - Parsed backstop config
+ * @returns {string[]}
+ */
+function viewportLabels(config) {
+  const viewports = [config.viewports, ...(config.scenarios || []).map((scenario) => scenario.viewports)];
+  return [...new Set(viewports.flatMap((list) => (list || []).map((viewport) => viewport.label)).filter(Boolean))];
+}
+
+/**
+ * Finds bitmaps named with the {viewportIndex} of backstop's default fileNameTemplate, which
+ * backstop.config.js dropped, and the names they have now
+ * @param {string[]} names - Reference file names
+ * @param {string[]} labels - Viewport labels, from viewportLabels
+ * @returns {Array<[string, string]>} - [old, new] pairs, leaving out names already taken
+ */
+function legacyRenames(names, labels) {
+  if (labels.length === 0) {
+    return [];
+  }
+  const taken = new Set(names);
+  const escaped = labels.map((label) => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`^(.+)_\\d+_(${escaped.join('|')})\\.png$`);
+
+  return names
+    .map((name) => [name, name.replace(pattern, '$1_$2.png')])
+    .filter(([from, to]) => from !== to && !taken.has(to));
+}
+
+/**
+ * Finds a stored set by branch, set id or commit prefix, in that order
+ * @param {Object} manifest - From readManifest
+ * @param {string} ref - Branch, set id or commit prefix of at least 7 characters
+ * @returns {Object|null} - The set, null if nothing matches
+ */
+function resolveBaseline(manifest, ref) {
+  const byId = (id) => manifest.sets.find((set) => set.id === id) || null;
+  if (manifest.branches[ref]) {
+    return byId(manifest.branches[ref]);
+  }
+  if (byId(ref)) {
+    return byId(ref);
+  }
+  const newest = (sets) => sets.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+  if (/^[0-9a-f]{7,40}$/i.test(ref)) {
+    const match = newest(manifest.sets.filter((set) => set.commit && set.commit.startsWith(ref.toLowerCase())));
+    if (match) {
+      return match;
+    }
+  }
+  return newest(manifest.sets.filter((set) => set.branch === ref));
+}
+
+function requireBaseline(manifest, ref) {
+  const set = resolveBaseline(manifest, ref);
+  if (!set) {
+    throw new Error(`No stored baseline matches "${ref}" - run "node scripts/baselines.js list"`);
+  }
+  return set;
+}
+
+function currentGit(args, fallback) {
+  try {
+    return git(args) || fallback;
+  } catch (error) {
+    // Not a git checkout or git is not installed
+    return fallback;
+  }
+}
+
+/**
+ * Stores the files of a reference directory as a set and makes it the branch's baseline.
+ * Saving the same branch and commit again replaces the earlier set.
+ * @param {Object} options - { from, branch, commit, store }
+ * @returns {{set: Object, added: number}} - The new set and the number of files that were not stored yet
+ */
+function saveBaseline({ from = REFERENCE_DIR, branch = null, commit = null, store = STORE_DIR } = {}) {
+  const files = hashDir(from);
+  if (Object.keys(files).length === 0) {
+    throw new Error(`No references found in ${path.relative(process.cwd(), from)}`);
+  }
+
+  const setBranch = branch || currentGit(['rev-parse', '--abbrev-ref', 'HEAD'], 'local');
+  const setCommit = (commit || currentGit(['rev-parse', 'HEAD'], '')).toLowerCase();
+  const createdAt = new Date().toISOString();
+  const id = `${setBranch}@${setCommit ? setCommit.slice(0, 12) : createdAt.replace(/\D/g, '').slice(0, 14)}`;
+
+  let added = 0;
+  Object.entries(files).forEach(([name, hash]) => {
+    const target = objectPath(store, hash);
+    if (!fs.existsSync(target)) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(from, name), target);
+      added++;
+    }
+  });
+
+  const manifest = readManifest(store);
+  const set = { id, branch: setBranch, commit: setCommit || null, createdAt, files };
+  manifest.sets = [...manifest.sets.filter((existing) => existing.id !== id), set];
+  manifest.branches[setBranch] = id;
+  writeManifest(manifest, store);
+
+  return { set, added };
+}
+
+/**
+ * Compares two sets of files
+ * @param {Object<string, string>} before - Files of the first baseline
+ * @param {Object<string, string>} after - Files of the second baseline
+ * @returns {{added: string[], removed: string[], changed: string[], unchanged: number}} - File names
+ */
+function diffFiles(before, after) {
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+  Object.keys(after).forEach((name) => {
+    if (!(name in before)) {
+      result.added.push(name);
+    } else if (before[name] !== after[name]) {
+      result.changed.push(name);
+    } else {
+      result.unchanged++;
+    }
+  });
+  result.removed = Object.keys(before).filter((name) => !(name in after));
+  return result;
+}
+
+/**
+ * Points a branch at a stored baseline
+ * @param {string} ref - Baseline to promote
+ * @param {Object} options - { to, store }
+ * @returns {{set: Object, previous: string|null}} - The promoted set and the set id the branch had before
+ */
+function promoteBaseline(ref, { to = 'main', store = STORE_DIR } = {}) {
+  const manifest = readManifest(store);
+  const set = requireBaseline(manifest, ref);
+  const previous = manifest.branches[to] || null;
+  manifest.branches[to] = set.id;
+  writeManifest(manifest, store);
+  return { set, previous };
+}
+
+/**
+ * Lists the files of a set that are missing from the store or don't match their hash
+ * @param {Object} set - Set from the manifest
+ * @param {string} store - Store directory
+ * @returns {string[]} - Problems, empty when the set is intact
+ */
+function checkSet(set, store) {
+  return Object.entries(set.files)
+    .map(([name, hash]) => {
+      const source = objectPath(store, hash);
+      if (!fs.existsSync(source)) {
+        return `${set.id}: ${name} is missing`;
+      }
+      return hashFile(source) !== hash ? `${set.id}: ${name} does not match its hash` : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Writes the files of a stored baseline to a directory, replacing what was there. The set is
+ * checked first and written to a temporary directory next to `out`, so a damaged set leaves
+ * the current references as they are.
+ * @param {string|string[]} refs - Baseline, or baselines to try in order
+ * @param {Object} options - { out, store, viewports }. Files named with a viewport index are written
+ *   under their name without it, for the `viewports` labels (see legacyRenames).
+ * @returns {Object} - The set that was checked out
+ */
+function checkoutBaseline(refs, { out = REFERENCE_DIR, store = STORE_DIR, viewports = [] } = {}) {
+  const manifest = readManifest(store);
+  const candidates = [].concat(refs);
+  const set = candidates.map((ref) => resolveBaseline(manifest, ref)).find(Boolean);
+  if (!set) {
+    throw new Error(`No stored baseline matches ${candidates.map((ref) => `"${ref}"`).join(' or ')}`);
+  }
+
+  const problems = checkSet(set, store);
+  if (problems.length > 0) {
+    throw new Error(`${set.id} is damaged, the references were not changed:\n  ${problems.join('\n  ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  const staging = fs.mkdtempSync(`${out}.checkout-`);
+  const renames = new Map(legacyRenames(Object.keys(set.files), viewports));
+  try {
+    Object.entries(set.files).forEach(([name, hash]) => {
+      const target = path.join(staging, ...(renames.get(name) || name).split('/'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(objectPath(store, hash), target);
+    });
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.renameSync(staging, out);
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+  return set;
+}
+
+/**
+ * Renames the files of a reference directory that are named with a viewport index
+ * @param {string} dir - E.g. backstop_data/bitmaps_reference
+ * @param {string[]} labels - Viewport labels, from viewportLabels
+ * @returns {Array<[string, string]>} - The renamed files, see legacyRenames
+ */
+function renameLegacyReferences(dir, labels) {
+  const renames = legacyRenames(Object.keys(hashDir(dir)), labels);
+  renames.forEach(([from, to]) => fs.renameSync(path.join(dir, ...from.split('/')), path.join(dir, ...to.split('/'))));
+  return renames;
+}
+
+/**
+ * Keeps the newest sets of each branch, and every set a branch points at, then removes the files
+ * no remaining set uses
+ * @param {Object} options - { keep, store }
+ * @returns {{sets: string[], objects: number}} - Ids of the removed sets and the number of removed files
+ */
+function pruneStore({ keep = DEFAULT_KEEP, store = STORE_DIR } = {}) {
+  const manifest = readManifest(store);
+  const pinned = new Set(Object.values(manifest.branches));
+  const kept = new Set(pinned);
+
+  [...new Set(manifest.sets.map((set) => set.branch))].forEach((branch) => {
+    manifest.sets
+      .filter((set) => set.branch === branch)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, keep)
+      .forEach((set) => kept.add(set.id));
+  });
+
+  const removedSets = manifest.sets.filter((set) => !kept.has(set.id)).map((set) => set.id);
+  manifest.sets = manifest.sets.filter((set) => kept.has(set.id));
+  writeManifest(manifest, store);
+
+  const used = new Set(manifest.sets.flatMap((set) => Object.values(set.files)));
+  let objects = 0;
+  listObjects(store).forEach((hash) => {
+    if (!used.has(hash)) {
+      fs.unlinkSync(objectPath(store, hash));
+      objects++;
+    }
+  });
+
+  return { sets: removedSets, objects };
+}
+
+function listObjects(store) {
+  const objectsDir = path.join(store, 'objects');
+  if (!fs.existsSync(objectsDir)) {
+    return [];
+  }
+  return fs.readdirSync(objectsDir).flatMap((prefix) => fs.readdirSync(path.join(objectsDir, prefix)));
+}
+
+/**
+ * Checks that every file the manifest lists is stored and unchanged, and that branches point at stored sets
+ * @param {Object} options - { store, ref }. With `ref`, only the files of that baseline are checked.
+ * @returns {{errors: string[], warnings: string[], objects: number}} - Problems found and the number of files checked
+ */
+function verifyStore({ store = STORE_DIR, ref = null } = {}) {
+  const manifest = readManifest(store);
+  if (ref) {
+    const set = requireBaseline(manifest, ref);
+    return { errors: checkSet(set, store), warnings: [], objects: new Set(Object.values(set.files)).size };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const objects = listObjects(store);
+
+  objects.forEach((hash) => {
+    if (hashFile(objectPath(store, hash)) !== hash) {
+      errors.push(`objects/${hash.slice(0, 2)}/${hash} does not match its hash`);
+    }
+  });
+
+  const stored = new Set(objects);
+  manifest.sets.forEach((set) => {
+    Object.entries(set.files).forEach(([name, hash]) => {
+      if (!stored.has(hash)) {
+        errors.push(`${set.id}: ${name} is missing`);
+      }
+    });
+  });
+
+  const ids = new Set(manifest.sets.map((set) => set.id));
+  Object.entries(manifest.branches).forEach(([branch, id]) => {
+    if (!ids.has(id)) {
+      errors.push(`branch ${branch} points at ${id}, which is not stored`);
+    }
+  });
+
+  const used = new Set(manifest.sets.flatMap((set) => Object.values(set.files)));
+  const unused = objects.filter((hash) => !used.has(hash)).length;
+  if (unused > 0) {
+    warnings.push(`${unused} stored files are not used by any set - run "node scripts/baselines.js prune"`);
+  }
+
+  return { errors, warnings, objects: objects.length };
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = {
+    command: null,
+    refs: [],
+    store: STORE_DIR,
+    from: REFERENCE_DIR,
+    out: REFERENCE_DIR,
+    branch: null,
+    commit: null,
+    to: 'main',
+    fallbacks: [],
+    keep: DEFAULT_KEEP,
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--store' && i + 1 < argv.length) {
+      config.store = path.resolve(argv[++i]);
+    } else if (argv[i] === '--from' && i + 1 < argv.length) {
+      config.from = path.resolve(argv[++i]);
+    } else if (argv[i] === '--out' && i + 1 < argv.length) {
+      config.out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--branch' && i + 1 < argv.length) {
+      config.branch = argv[++i];
+    } else if (argv[i] === '--commit' && i + 1 < argv.length) {
+      config.commit = argv[++i];
+    } else if (argv[i] === '--to' && i + 1 < argv.length) {
+      config.to = argv[++i];
+    } else if (argv[i] === '--fallback' && i + 1 < argv.length) {
+      config.fallbacks.push(argv[++i]);
+    } else if (argv[i] === '--keep' && i + 1 < argv.length) {
+      config.keep = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--json') {
+      config.json = true;
+    } else if (!argv[i].startsWith('--')) {
+      if (config.command) {
+        config.refs.push(argv[i]);
+      } else {
+        config.command = argv[i];
+      }
+    }
+  }
+
+  return config;
+}
+
+function configViewports() {
+  const configPath = path.join(ROOT_PATH, 'backstop.json');
+  return fs.existsSync(configPath) ? viewportLabels(JSON.parse(fs.readFileSync(configPath, 'utf8'))) : [];
+}
+
+function main() {
+  const args = parseArgs();
+  const { store } = args;
+
+  if (args.command === 'save') {
+    const { set, added } = saveBaseline({ from: args.from, branch: args.branch, commit: args.commit, store });
+    console.log(`✓ Saved ${Object.keys(set.files).length} references as ${set.id} (${added} new files)`);
+  } else if (args.command === 'list') {
+    const manifest = readManifest(store);
+    if (args.json) {
+      console.log(JSON.stringify(manifest, null, 2));
+      return;
+    }
+    if (manifest.sets.length === 0) {
+      console.log(`ℹ No baselines stored in ${path.relative(process.cwd(), store)}`);
+      return;
+    }
+    [...manifest.sets]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .forEach((set) => {
+        const current = Object.keys(manifest.branches).filter((branch) => manifest.branches[branch] === set.id);
+        console.log(`${set.createdAt}  ${set.id}  ${Object.keys(set.files).length} files${current.length > 0 ? `  ← ${current.join(', ')}` : ''}`);
+      });
+  } else if (args.command === 'diff') {
+    if (args.refs.length === 0) {
+      throw new Error('diff needs at least one baseline');
+    }
+    const manifest = readManifest(store);
+    const before = requireBaseline(manifest, args.refs[0]);
+    const after = args.refs[1] ? requireBaseline(manifest, args.refs[1]) : { id: path.relative(process.cwd(), args.from), files: hashDir(args.from) };
+    const result = diffFiles(before.files, after.files);
+    if (args.json) {
+      console.log(JSON.stringify({ before: before.id, after: after.id, ...result }, null, 2));
+      return;
+    }
+    console.log(`🔍 ${before.id} → ${after.id}: ${result.changed.length} changed, ${result.added.length} added, ${result.removed.length} removed, ${result.unchanged} unchanged`);
+    result.changed.forEach((name) => console.log(`  ~ ${name}`));
+    result.added.forEach((name) => console.log(`  + ${name}`));
+    result.removed.forEach((name) => console.log(`  - ${name}`));
+  } else if (args.command === 'promote') {
+    if (args.refs.length !== 1) {
+      throw new Error('promote needs one baseline');
+    }
+    const { set, previous } = promoteBaseline(args.refs[0], { to: args.to, store });
+    console.log(`✓ ${args.to} now uses ${set.id}${previous ? ` (was ${previous})` : ''}`);
+  } else if (args.command === 'checkout') {
+    if (args.refs.length !== 1) {
+      throw new Error('checkout needs one baseline');
+    }
+    const set = checkoutBaseline([args.refs[0], ...args.fallbacks], { out: args.out, store, viewports: configViewports() });
+    console.log(`✓ Checked out ${set.id} (${Object.keys(set.files).length} files) to ${path.relative(process.cwd(), args.out)}`);
+  } else if (args.command === 'rename') {
+    const renames = renameLegacyReferences(args.out, configViewports());
+    renames.forEach(([from, to]) => console.log(`  ${from} → ${to}`));
+    console.log(`✓ Renamed ${renames.length} references in ${path.relative(process.cwd(), args.out)}`);
+  } else if (args.command === 'prune') {
+    if (!(args.keep >= 1)) {
+      throw new Error('--keep must be at least 1');
+    }
+    const { sets, objects } = pruneStore({ keep: args.keep, store });
+    sets.forEach((id) => console.log(`  removed ${id}`));
+    console.log(`✓ Removed ${sets.length} sets and ${objects} unused files`);
+  } else if (args.command === 'verify') {
+    const { errors, warnings, objects } = verifyStore({ store, ref: args.refs[0] || null });
+    errors.forEach((message) => console.log(`✗ ${message}`));
+    warnings.forEach((message) => console.log(`⚠️  ${message}`));
+    if (errors.length > 0) {
+      throw new Error(`The store has ${errors.length} problems`);
+    }
+    console.log(`✓ ${objects} stored files match the manifest`);
+  } else {
+    showHelp();
+    process.exit(args.command ? 1 : 0);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  STORE_DIR,
+  readManifest,
+  hashDir,
+  viewportLabels,
+  legacyRenames,
+  resolveBaseline,
+  saveBaseline,
+  diffFiles,
+  promoteBaseline,
+  checkoutBaseline,
+  renameLegacyReferences,
+  pruneStore,
+  verifyStore,
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesLabel } = require('./scenario-filter');
+
+const ROOT_PATH = path.join(__dirname, '..');
+
+// Set on each captured block by engine_scripts/pipeline/blocks.js
+const BLOCK_ATTRIBUTE = 'data-backstop-block';
+const BLOCK_SELECTOR_RE = new RegExp(`^\\[${BLOCK_ATTRIBUTE}="([a-z0-9-]+)-(\\d+)"\\]$`);
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/blocks.js [options]
+
+Turns on per-block captures for the scenarios in a backstop config. Each EDS block
+on the page (main .block[data-block-name]) is found after the page has loaded and
+captured as its own selector, named by block name and index (e.g. "cards-2").
+See engine_scripts/pipeline/blocks.js for the options.
+
+In CI, the block_captures input of a manual workflow run does this and captures the
+missing block references from the reference URLs. For pull requests, turn blocks on in
+backstop.config.js so the references on main include them.
+
+Options:
+  --config <path>        Backstop config to update in place (default: backstop.json)
+  --label <label>        Only this scenario (repeatable)
+  --label-regex <re>     Only scenarios whose label matches
+  --sections             Capture the section wrappers instead of the blocks
+  --no-page              Drop the full-page capture
+  --help                 Show this help message
+`);
+}
+
+/**
+ * Turns on block captures for the selected scenarios. Options a scenario already has in its
+ * "blocks" object are kept.
+ * @param {Object} config - Parsed backstop config
+ * @param {Object} [options] - { labels, labelRegex, sections, page }
+ * @returns {{config: Object, count: number}} - The updated config and the number of scenarios changed
+ */
+function enableBlocks(config, { labels = [], labelRegex = null, sections = false, page = true } = {}) {
+  let count = 0;
+  const scenarios = config.scenarios.map((scenario) => {
+    if (!matchesLabel(scenario.label, { labels, labelRegex })) {
+      return scenario;
+    }
+    count++;
+    const own = typeof scenario.blocks === 'object' && scenario.blocks !== null ? scenario.blocks : {};
+    return { ...scenario, blocks: { sections, page, ...own } };
+  });
+  return { config: { ...config, scenarios }, count };
+}
+
+/**
+ * Reads the block id from a selector set by engine_scripts/pipeline/blocks.js
+ * @param {string} selector - Selector from a report pair
+ * @returns {{id: string, name: string, index: number}|null} - Null for other selectors
+ */
+function parseBlockSelector(selector) {
+  const match = BLOCK_SELECTOR_RE.exec(selector || '');
+  return match ? { id: `${match[1]}-${match[2]}`, name: match[1], index: Number(match[2]) } : null;
+}
+
+/**
+ * Names a captured block for people, e.g. "cards #2"
+ * @param {string} selector - Selector from a report pair
+ * @returns {string|null} - Null for other selectors
+ */
+function formatBlock(selector) {
+  const block = parseBlockSelector(selector);
+  return block ? `${block.name} #${block.index}` : null;
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { configPath: 'backstop.json', labels: [], labelRegex: null, sections: false, page: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    } else if (argv[i] === '--label' && i + 1 < argv.length) {
+      config.labels.push(argv[++i]);
+    } else if (argv[i] === '--label-regex' && i + 1 < argv.length) {
+      config.labelRegex = argv[++i];
+    } else if (argv[i] === '--sections') {
+      config.sections = true;
+    } else if (argv[i] === '--no-page') {
+      config.page = false;
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const configPath = path.resolve(ROOT_PATH, args.configPath);
+  const { config, count } = enableBlocks(JSON.parse(fs.readFileSync(configPath, 'utf8')), args);
+
+  if (count === 0) {
+    throw new Error('No scenarios match the given labels');
+  }
+
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  const what = args.sections ? 'Section' : 'Block';
+  console.log(`✓ ${what} captures on for ${count} scenarios${args.page ? '' : ' (without full-page captures)'}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  BLOCK_ATTRIBUTE,
+  enableBlocks,
+  parseBlockSelector,
+  formatBlock,
+};
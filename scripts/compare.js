@@ -0,0 +1,551 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const COMPARE_MODES = ['pixel', 'antialias', 'ssim', 'region'];
+
+// Options of each mode and their defaults. maxDiffPercent defaults to the scenario's misMatchThreshold.
+const MODE_DEFAULTS = {
+  pixel: {},
+  antialias: { threshold: 0.1, maxDiffPercent: null },
+  ssim: { minScore: 0.98, window: 8 },
+  region: { threshold: 0.1, maxRegion: 400, gap: 4 },
+};
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/compare.js [options]
+
+Compares the reference and test bitmaps of the last test run again for every scenario
+with a "compare" option, and writes the outcome back into jsonReport.json, xunit.xml and
+the HTML report, so the summary, retries and approvals see the same pass/fail. Scenarios
+without the option keep the pixel mismatch result of BackstopJS.
+
+Modes (scenario option "compare": "<mode>" or { "mode": "<mode>", ...options }):
+  pixel      BackstopJS's mismatch percentage against misMatchThreshold (default)
+  antialias  Mismatch percentage without anti-aliased pixels, so font hinting and sub-pixel
+             rendering differences between runners don't count
+               threshold       Color distance from 0 to 1 (default: 0.1)
+               maxDiffPercent  Allowed percentage (default: the scenario's misMatchThreshold)
+  ssim       Structural similarity of the luminance, averaged over windows
+               minScore        Lowest passing score from 0 to 1 (default: 0.98)
+               window          Window size in pixels (default: 8)
+  region     Fails when one connected changed region is larger than maxRegion pixels, however
+             large the page. Anti-aliased pixels are ignored.
+               maxRegion       Pixels one region may change (default: 400)
+               gap             Changes up to this many pixels apart are one region (default: 4)
+               threshold       Color distance from 0 to 1 (default: 0.1)
+
+Bitmaps of different sizes fail unless the scenario sets requireSameDimensions: false,
+in which case the area both have is compared.
+
+Options:
+  --config <path>        Backstop config of the run (default: backstop.json)
+  --github-output        Write compared and compare_failures counts to $GITHUB_OUTPUT
+  --help                 Show this help message
+
+Example:
+  { "label": "Homepage", "url": "...", "compare": { "mode": "region", "maxRegion": 2500 } }
+`);
+}
+
+/**
+ * Checks a scenario's compare option and fills in the defaults of its mode
+ * @param {string|Object} value - The option, a mode name or { mode, ...options }
+ * @returns {Object} - { mode, ...options }
+ */
+function resolveCompare(value) {
+  const { mode = 'pixel', ...options } = typeof value === 'string' ? { mode: value } : value || {};
+  if (!COMPARE_MODES.includes(mode)) {
+    throw new Error(`unknown mode "${mode}", expected one of ${COMPARE_MODES.join(', ')}`);
+  }
+
+  const defaults = MODE_DEFAULTS[mode];
+  Object.entries(options).forEach(([key, option]) => {
+    if (!(key in defaults)) {
+      const known = Object.keys(defaults);
+      throw new Error(`"${key}" is not an option of ${mode}${known.length > 0 ? `, expected ${known.join(', ')}` : ''}`);
+    }
+    if (typeof option !== 'number' || Number.isNaN(option) || option < 0) {
+      throw new Error(`${key} must be a number of 0 or more`);
+    }
+  });
+  ['threshold', 'minScore'].forEach((key) => {
+    if (options[key] > 1) {
+      throw new Error(`${key} must be between 0 and 1`);
+    }
+  });
+  if (options.window !== undefined && options.window < 1) {
+    throw new Error('window must be at least 1');
+  }
+
+  return { mode, ...defaults, ...options };
+}
+
+function readPng(filePath) {
+  const { PNG } = require('pngjs');
+  return PNG.sync.read(fs.readFileSync(filePath));
+}
+
+function crop(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image.data;
+  }
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    image.data.copy(data, y * width * 4, y * image.width * 4, (y * image.width + width) * 4);
+  }
+  return data;
+}
+
+/**
+ * Marks the changed pixels. Anti-aliased pixels are left out unless `includeAA` is set.
+ * @returns {{count: number, output: Buffer}} - pixelmatch's diff image, changed pixels are pure red
+ */
+function diffPixels(reference, test, width, height, { threshold = 0.1, includeAA = false } = {}) {
+  const pixelmatch = require('pixelmatch');
+  const output = Buffer.alloc(width * height * 4);
+  const count = pixelmatch(reference, test, output, width, height, { threshold, includeAA });
+  return { count, output };
+}
+
+function luminance(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+/**
+ * Mean structural similarity over non-overlapping windows of the luminance
+ * @returns {{score: number, worst: number}} - Mean and lowest window score, from -1 to 1
+ */
+function ssim(reference, test, width, height, window) {
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  let total = 0;
+  let windows = 0;
+  let worst = 1;
+
+  for (let top = 0; top < height; top += window) {
+    for (let left = 0; left < width; left += window) {
+      const bottom = Math.min(top + window, height);
+      const right = Math.min(left + window, width);
+      const n = (bottom - top) * (right - left);
+      let sumX = 0;
+      let sumY = 0;
+      let sumXX = 0;
+      let sumYY = 0;
+      let sumXY = 0;
+
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const i = (y * width + x) * 4;
+          const a = luminance(reference, i);
+          const b = luminance(test, i);
+          sumX += a;
+          sumY += b;
+          sumXX += a * a;
+          sumYY += b * b;
+          sumXY += a * b;
+        }
+      }
+
+      const meanX = sumX / n;
+      const meanY = sumY / n;
+      const varX = sumXX / n - meanX * meanX;
+      const varY = sumYY / n - meanY * meanY;
+      const covariance = sumXY / n - meanX * meanY;
+      const score =
+        ((2 * meanX * meanY + c1) * (2 * covariance + c2)) / ((meanX * meanX + meanY * meanY + c1) * (varX + varY + c2));
+      total += score;
+      windows++;
+      worst = Math.min(worst, score);
+    }
+  }
+
+  return { score: windows > 0 ? total / windows : 1, worst };
+}
+
+/**
+ * Finds the largest connected region of changed pixels. The diff is looked at in cells of
+ * `gap` pixels, so changes that close together count as one region.
+ * @param {Buffer} output - Diff image from diffPixels
+ * @returns {{pixels: number, x: number, y: number, width: number, height: number}|null} - Changed
+ *   pixels and bounding box of the largest region, null when nothing changed
+ */
+function largestRegion(output, width, height, gap) {
+  const size = Math.max(1, Math.round(gap));
+  const columns = Math.ceil(width / size);
+  const rows = Math.ceil(height / size);
+  const cells = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (output[i] === 255 && output[i + 1] === 0 && output[i + 2] === 0) {
+        cells[Math.floor(y / size) * columns + Math.floor(x / size)]++;
+      }
+    }
+  }
+
+  const seen = new Uint8Array(cells.length);
+  let largest = null;
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) {
+      continue;
+    }
+
+    const region = { pixels: 0, left: Infinity, top: Infinity, right: -1, bottom: -1 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const column = cell % columns;
+      const row = (cell - column) / columns;
+      region.pixels += cells[cell];
+      region.left = Math.min(region.left, column);
+      region.right = Math.max(region.right, column);
+      region.top = Math.min(region.top, row);
+      region.bottom = Math.max(region.bottom, row);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nextColumn = column + dx;
+          const nextRow = row + dy;
+          const next = nextRow * columns + nextColumn;
+          if (nextColumn >= 0 && nextColumn < columns && nextRow >= 0 && nextRow < rows && cells[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    if (!largest || region.pixels > largest.pixels) {
+      largest = region;
+    }
+  }
+
+  if (!largest) {
+    return null;
+  }
+  return {
+    pixels: largest.pixels,
+    x: largest.left * size,
+    y: largest.top * size,
+    width: Math.min((largest.right + 1) * size, width) - largest.left * size,
+    height: Math.min((largest.bottom + 1) * size, height) - largest.top * size,
+  };
+}
+
+/**
+ * Compares two decoded bitmaps with a comparison mode
+ * @param {{width: number, height: number, data: Buffer}} reference - Decoded PNG
+ * @param {{width: number, height: number, data: Buffer}} test - Decoded PNG
+ * @param {Object} options - From resolveCompare, plus the pair's misMatchThreshold and requireSameDimensions
+ * @returns {Object} - { mode, passed, summary, ...metrics } and `diff`, the diff image ({ width, height, data })
+ *   when it failed
+ */
+function compareImages(reference, test, options) {
+  const { mode, misMatchThreshold = 0.1, requireSameDimensions = true } = options;
+  const sameDimensions = reference.width === test.width && reference.height === test.height;
+  const dimensions = `${reference.width}×${reference.height} → ${test.width}×${test.height}`;
+
+  if (!sameDimensions && requireSameDimensions !== false) {
+    return { mode, passed: false, summary: `size changed (${dimensions})`, sameDimensions };
+  }
+
+  const width = Math.min(reference.width, test.width);
+  const height = Math.min(reference.height, test.height);
+  const a = crop(reference, width, height);
+  const b = crop(test, width, height);
+  const size = sameDimensions ? '' : `, over the common ${width}×${height} of ${dimensions}`;
+  let result;
+
+  if (mode === 'antialias') {
+    const { count, output } = diffPixels(a, b, width, height, { threshold: options.threshold });
+    const maxDiffPercent = options.maxDiffPercent !== null ? options.maxDiffPercent : misMatchThreshold;
+    const misMatchPercentage = Number(((count / (width * height || 1)) * 100).toFixed(2));
+    const passed = misMatchPercentage <= maxDiffPercent;
+    result = {
+      passed,
+      misMatchPercentage,
+      maxDiffPercent,
+      summary: `${misMatchPercentage}% changed without anti-aliasing (allowed ${maxDiffPercent}%)`,
+      diff: passed ? null : output,
+    };
+  } else if (mode === 'ssim') {
+    const { score, worst } = ssim(a, b, width, height, Math.round(options.window));
+    const rounded = Number(score.toFixed(4));
+    const passed = rounded >= options.minScore;
+    result = {
+      passed,
+      score: rounded,
+      worstWindow: Number(worst.toFixed(4)),
+      minScore: options.minScore,
+      summary: `SSIM ${rounded} (minimum ${options.minScore})`,
+      diff: passed ? null : diffPixels(a, b, width, height, { includeAA: true }).output,
+    };
+  } else if (mode === 'region') {
+    const { output } = diffPixels(a, b, width, height, { threshold: options.threshold });
+    const region = largestRegion(output, width, height, options.gap);
+    const passed = !region || region.pixels <= options.maxRegion;
+    result = {
+      passed,
+      region,
+      maxRegion: options.maxRegion,
+      summary: region
+        ? `largest changed region ${region.pixels} px at ${region.x},${region.y} (${region.width}×${region.height}, allowed ${options.maxRegion} px)`
+        : 'no changed region',
+      diff: passed ? null : output,
+    };
+  } else {
+    throw new Error(`${mode} is not a comparison stage mode`);
+  }
+
+  return {
+    mode,
+    ...result,
+    summary: `${result.summary}${size}`,
+    sameDimensions,
+    diff: result.diff ? { width, height, data: result.diff } : null,
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Sets the outcome of the compared tests in a BackstopJS xunit report. Test cases are matched by
+ * label and selector, in order, so the viewports of a scenario line up with the json report.
+ * @param {string} xml - Contents of xunit.xml
+ * @param {Array<Object>} tests - Tests of jsonReport.json, in report order
+ * @returns {string} - The updated xunit.xml
+ */
+function updateXunit(xml, tests) {
+  // Required here, summarize-results.js depends on retry-failures.js, which depends on this module
+  const { parseXunit } = require('./summarize-results');
+  const cases = parseXunit(xml).cases;
+  const used = new Set();
+  const replacements = new Map();
+
+  tests.forEach(({ pair, status }) => {
+    const index = cases.findIndex(
+      (testCase, i) => !used.has(i) && testCase.label === pair.label.trim() && testCase.selector === pair.selector
+    );
+    if (index === -1) {
+      return;
+    }
+    used.add(index);
+    if (!pair.compare) {
+      return;
+    }
+
+    const open = cases[index].xml.match(/^<testcase\b((?:[^>"]|"[^"]*")*?)\/?>/)[1];
+    if (status === 'pass') {
+      replacements.set(cases[index].xml, `<testcase${open}/>`);
+    } else {
+      // Same message as BackstopJS, with the reason from the comparison stage
+      const message = escapeXml(`Design deviation ›› ${pair.label} (${pair.selector}) component: ${pair.compare.summary}`);
+      replacements.set(cases[index].xml, `<testcase${open}><failure message="${message}"/><error message="${message}"/></testcase>`);
+    }
+  });
+
+  let updated = xml;
+  replacements.forEach((replacement, original) => {
+    updated = updated.replace(original, () => replacement);
+  });
+
+  const result = parseXunit(updated).cases;
+  const failures = result.filter((testCase) => /<failure\b/.test(testCase.xml)).length;
+  const errors = result.filter((testCase) => /<error\b/.test(testCase.xml)).length;
+  return updated.replace(/<(testsuites?)\b((?:[^>"]|"[^"]*")*)>/g, (tag, name, attributes) =>
+    `<${name}${attributes.replace(/\bfailures="\d+"/, `failures="${failures}"`).replace(/\berrors="\d+"/, `errors="${errors}"`)}>`
+  );
+}
+
+function testKey(pair) {
+  return [pair.label, pair.viewportLabel, pair.selector].join('|');
+}
+
+/**
+ * Runs the comparison stage on the last test run and writes the outcomes into its reports
+ * @param {Object} config - Parsed backstop config of the run
+ * @param {Object} [options] - { baseDir, since }. `baseDir` resolves config.paths, and a report written
+ *   before `since` (a timestamp) is left alone, so a run that crashed doesn't pick up the last one's report.
+ * @returns {{compared: number, changed: Array<Object>, failed: number, backstopFailed: number, rejudged: number,
+ *   reportPath: string}|null} - Null when no scenario selects a mode or there is no report. `changed` lists
+ *   the tests whose status the stage changed, `failed` counts every failed test of the report,
+ *   `backstopFailed` the tests backstop failed and `rejudged` those of them the stage passed.
+ */
+function applyComparisons(config, { baseDir = ROOT_PATH, since = 0 } = {}) {
+  const modes = new Map(
+    (config.scenarios || [])
+      .filter((scenario) => scenario.compare !== undefined)
+      .map((scenario) => [scenario.label, resolveCompare(scenario.compare)])
+      .filter(([, options]) => options.mode !== 'pixel')
+  );
+  const paths = config.paths || {};
+  const jsonDir = path.resolve(baseDir, paths.json_report || 'backstop_data/json_report');
+  const reportPath = path.join(jsonDir, 'jsonReport.json');
+  if (modes.size === 0 || !fs.existsSync(reportPath) || fs.statSync(reportPath).mtimeMs < since) {
+    return null;
+  }
+
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  const changed = [];
+  let compared = 0;
+  const backstopFailed = report.tests.filter((test) => test.status === 'fail').length;
+
+  report.tests.forEach((test) => {
+    const { pair } = test;
+    const options = modes.get(pair.label);
+    const referencePath = pair.reference && path.resolve(jsonDir, pair.reference);
+    const testPath = pair.test && path.resolve(jsonDir, pair.test);
+    // Missing references and engine failures stay errors
+    if (!options || pair.error || !referencePath || !testPath || !fs.existsSync(referencePath) || !fs.existsSync(testPath)) {
+      return;
+    }
+
+    const { diff, ...result } = compareImages(readPng(referencePath), readPng(testPath), {
+      ...options,
+      misMatchThreshold: pair.misMatchThreshold,
+      requireSameDimensions: pair.requireSameDimensions,
+    });
+    compared++;
+
+    if (diff && !pair.diffImage) {
+      const { PNG } = require('pngjs');
+      const image = new PNG({ width: diff.width, height: diff.height });
+      diff.data.copy(image.data);
+      const diffPath = path.join(path.dirname(testPath), `compare_diff_${path.basename(testPath)}`);
+      fs.writeFileSync(diffPath, PNG.sync.write(image));
+      pair.diffImage = path.relative(jsonDir, diffPath).split(path.sep).join('/');
+    }
+
+    const status = result.passed ? 'pass' : 'fail';
+    if (status !== test.status) {
+      changed.push({ label: pair.label, viewport: pair.viewportLabel, selector: pair.selector, from: test.status, to: status, summary: result.summary });
+    }
+    pair.compare = result;
+    test.status = status;
+  });
+
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  const byKey = new Map(report.tests.map((test) => [testKey(test.pair), test]));
+
+  const htmlPath = path.resolve(baseDir, paths.html_report || 'backstop_data/html_report', 'config.js');
+  if (fs.existsSync(htmlPath)) {
+    const html = JSON.parse(fs.readFileSync(htmlPath, 'utf8').replace(/^report\(/, '').replace(/\);?\s*$/, ''));
+    html.tests.forEach((test) => {
+      const result = byKey.get(testKey(test.pair));
+      if (result && result.pair.compare) {
+        test.status = result.status;
+        test.pair.compare = result.pair.compare;
+      }
+    });
+    fs.writeFileSync(htmlPath, `report(${JSON.stringify(html, null, 2)});`);
+  }
+
+  const ciReport = config.ciReport || {};
+  const xunitName = (ciReport.testReportFileName || 'xunit').replace(/\.xml$/, '') + '.xml';
+  const xunitPath = path.resolve(baseDir, paths.ci_report || 'backstop_data/ci_report', xunitName);
+  if (fs.existsSync(xunitPath)) {
+    fs.writeFileSync(xunitPath, updateXunit(fs.readFileSync(xunitPath, 'utf8'), report.tests));
+  }
+
+  return {
+    compared,
+    changed,
+    failed: report.tests.filter((test) => test.status === 'fail').length,
+    backstopFailed,
+    rejudged: changed.filter((test) => test.to === 'pass').length,
+    reportPath,
+  };
+}
+
+/**
+ * Exit code of a test run after the comparison stage. A failed backstop run only passes when it
+ * failed tests and the stage passed every one of them, so engine errors and crashes still fail.
+ * @param {number} exitCode - Exit code of backstop test
+ * @param {Object|null} result - From applyComparisons
+ * @returns {number}
+ */
+function comparisonExitCode(exitCode, result) {
+  if (!result) {
+    return exitCode;
+  }
+  if (exitCode !== 0 && (result.backstopFailed === 0 || result.rejudged < result.backstopFailed)) {
+    return exitCode;
+  }
+  return result.failed > 0 ? 1 : 0;
+}
+
+/**
+ * Prints what the comparison stage changed
+ * @param {Object} result - From applyComparisons
+ */
+function printComparisons(result) {
+  console.log(`\n🔍 Comparison stage: ${result.compared} tests compared, ${result.changed.length} changed`);
+  result.changed.forEach((test) => {
+    const icon = test.to === 'pass' ? '✓' : '✗';
+    console.log(`  ${icon} ${test.label} (${test.viewport})${test.selector !== 'document' ? ` ${test.selector}` : ''}: ${test.from} → ${test.to}, ${test.summary}`);
+  });
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { configPath: 'backstop.json', githubOutput: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    } else if (argv[i] === '--github-output') {
+      config.githubOutput = true;
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const config = JSON.parse(fs.readFileSync(path.resolve(ROOT_PATH, args.configPath), 'utf8'));
+  const result = applyComparisons(config);
+
+  if (!result) {
+    console.log('ℹ No scenario selects a comparison mode, or there is no test report');
+  } else {
+    printComparisons(result);
+    console.log(`✓ Updated the reports of ${path.relative(ROOT_PATH, result.reportPath)}`);
+  }
+
+  if (args.githubOutput && process.env.GITHUB_OUTPUT) {
+    const counts = result ? `compared=${result.compared}\ncompare_failures=${result.failed}\n` : 'compared=0\ncompare_failures=0\n';
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, counts);
+  }
+  process.exitCode = result && result.failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  COMPARE_MODES,
+  resolveCompare,
+  compareImages,
+  updateXunit,
+  applyComparisons,
+  comparisonExitCode,
+  printComparisons,
+};
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const SOURCE_NAMES = ['backstop.config.js', 'backstop.config.yaml', 'backstop.config.yml'];
+const BACKSTOP_CONFIG_PATH = path.join(ROOT_PATH, 'backstop.json');
+
+// Source-only keys that are not passed on to BackstopJS
+const SOURCE_KEYS = ['hosts', 'defaults', 'templates', 'environments'];
+
+// Scenario lists that add up through defaults, templates and the scenario instead of replacing each other
+const MERGED_LISTS = ['hideSelectors', 'removeSelectors', 'maskText'];
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/compile-config.js [options]
+
+Compiles backstop.config.js (or backstop.config.yaml) into the plain backstop.json
+that BackstopJS reads.
+
+Options:
+  --source <path>    Config source (default: the first of ${SOURCE_NAMES.join(', ')})
+  --out <path>       Where to write the compiled config (default: backstop.json)
+  --env <name>       Apply the overrides from environments.<name> (CI uses "ci", and
+                     backstop-local.js "local")
+  --check            Exit with 1 if the output is not up to date instead of writing it
+  --help             Show this help message
+
+Source format:
+  hosts:        { test, reference } origins, so scenarios can give a "path" instead of URLs
+  defaults:     Fields applied to every scenario
+  templates:    Named sets of fields, used by scenarios and other templates with "extends"
+  scenarios:    Scenarios, or groups of { group, defaults, scenarios }
+  environments: Top-level overrides per environment, selected with --env
+  Everything else is copied to backstop.json as is. hideSelectors, removeSelectors and
+  maskText are combined from defaults, group defaults, templates and the scenario; other
+  fields override each other in that order.
+`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges objects recursively. Arrays and other values from `override` replace those in `base`.
+ * @param {Object} base - Base object
+ * @param {Object} override - Overrides
+ * @returns {Object} - A new merged object
+ */
+function deepMerge(base, override) {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Layers scenario fields. MERGED_LISTS are concatenated without duplicates, everything else is replaced.
+ * @param {Object} base - Fields so far
+ * @param {Object} layer - Fields to apply on top
+ * @returns {Object} - A new object
+ */
+function layerFields(base, layer) {
+  const merged = { ...base };
+  Object.entries(layer || {}).forEach(([key, value]) => {
+    if (MERGED_LISTS.includes(key) && Array.isArray(merged[key]) && Array.isArray(value)) {
+      merged[key] = [...new Set([...merged[key], ...value])];
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Finds the config source in a directory
+ * @param {string} [dir] - Directory to look in
+ * @returns {string|null} - Absolute path, or null if there is none
+ */
+function findConfigSource(dir = ROOT_PATH) {
+  const name = SOURCE_NAMES.find((candidate) => fs.existsSync(path.join(dir, candidate)));
+  return name ? path.join(dir, name) : null;
+}
+
+/**
+ * Loads a config source. JS sources may export an object or a function of `{ env }`.
+ * @param {string} sourcePath - Path to backstop.config.js / .yaml / .yml
+ * @param {string|null} [env] - Environment name passed to JS sources
+ * @returns {Object} - The raw source
+ */
+function loadConfigSource(sourcePath, env = null) {
+  const absolutePath = path.resolve(sourcePath);
+
+  if (/\.ya?ml$/i.test(absolutePath)) {
+    const yaml = require('js-yaml');
+    return yaml.load(fs.readFileSync(absolutePath, 'utf8')) || {};
+  }
+
+  delete require.cache[absolutePath];
+  const source = require(absolutePath);
+  return typeof source === 'function' ? source({ env }) : source;
+}
+
+/**
+ * Resolves a template and everything it extends
+ * @param {string} name - Template name
+ * @param {Object} templates - All templates
+ * @param {string[]} [chain] - Templates being resolved, to detect cycles
+ * @returns {Object} - The template's fields
+ */
+function resolveTemplate(name, templates, chain = []) {
+  if (chain.includes(name)) {
+    throw new Error(`Template cycle: ${[...chain, name].join(' → ')}`);
+  }
+  if (!templates[name]) {
+    throw new Error(`Unknown template "${name}"${chain.length > 0 ? ` (extended by "${chain[chain.length - 1]}")` : ''}`);
+  }
+
+  const { extends: parents, ...fields } = templates[name];
+  const inherited = []
+    .concat(parents || [])
+    .reduce((acc, parent) => layerFields(acc, resolveTemplate(parent, templates, [...chain, name])), {});
+  return layerFields(inherited, fields);
+}
+
+function joinUrl(host, pagePath) {
+  const base = host.replace(/\/$/, '');
+  // The home page is written as the bare origin, like the rest of backstop.json
+  return pagePath === '/' || pagePath === '' ? base : `${base}${pagePath.startsWith('/') ? '' : '/'}${pagePath}`;
+}
+
+/**
+ * Compiles one scenario entry into a BackstopJS scenario
+ * @param {Object} entry - Scenario from the source, with optional "path" and "extends"
+ * @param {Object} context - { hosts, defaults, templates, groupDefaults }
+ * @returns {Object} - The compiled scenario
+ */
+function compileScenario(entry, { hosts = {}, defaults = {}, templates = {}, groupDefaults = {} } = {}) {
+  const { extends: parents, path: pagePath, ...own } = entry;
+
+  if (!own.label) {
+    throw new Error(`Scenario without a label: ${JSON.stringify(entry)}`);
+  }
+
+  let fields = layerFields(layerFields({}, defaults), groupDefaults);
+  try {
+    [].concat(parents || []).forEach((name) => {
+      fields = layerFields(fields, resolveTemplate(name, templates));
+    });
+  } catch (error) {
+    throw new Error(`Scenario "${own.label}": ${error.message}`);
+  }
+  fields = layerFields(fields, own);
+
+  if (pagePath !== undefined) {
+    if (!hosts.test || !hosts.reference) {
+      throw new Error(`Scenario "${own.label}" uses "path" but hosts.test and hosts.reference are not set`);
+    }
+    fields.url = fields.url || joinUrl(hosts.test, pagePath);
+    fields.referenceUrl = fields.referenceUrl || joinUrl(hosts.reference, pagePath);
+  }
+
+  const { label, url, referenceUrl, ...rest } = fields;
+  return { label, url, referenceUrl, ...rest };
+}
+
+/**
+ * Compiles a config source into a plain BackstopJS config
+ * @param {Object} source - From loadConfigSource
+ * @param {Object} [options] - { env: name of the environment override to apply }
+ * @returns {Object} - The backstop.json contents
+ */
+function compileConfig(source, { env = null } = {}) {
+  const environments = source.environments || {};
+  if (env && !environments[env]) {
+    throw new Error(`Unknown environment "${env}" (available: ${Object.keys(environments).join(', ') || 'none'})`);
+  }
+
+  const resolved = env ? deepMerge(source, environments[env]) : source;
+  const context = { hosts: resolved.hosts || {}, defaults: resolved.defaults || {}, templates: resolved.templates || {} };
+
+  const scenarios = [];
+  (resolved.scenarios || []).forEach((entry) => {
+    if (entry.group !== undefined) {
+      (entry.scenarios || []).forEach((scenario) =>
+        scenarios.push(compileScenario(scenario, { ...context, groupDefaults: entry.defaults || {} }))
+      );
+    } else {
+      scenarios.push(compileScenario(entry, context));
+    }
+  });
+
+  const seen = new Set();
+  scenarios.forEach((scenario) => {
+    if (seen.has(scenario.label)) {
+      throw new Error(`Duplicate scenario label "${scenario.label}"`);
+    }
+    seen.add(scenario.label);
+  });
+
+  const config = {};
+  Object.entries(resolved).forEach(([key, value]) => {
+    if (!SOURCE_KEYS.includes(key)) {
+      config[key] = key === 'scenarios' ? scenarios : value;
+    }
+  });
+  return config;
+}
+
+/**
+ * Builds the compile context from the config source, for tools that add scenarios to the
+ * compiled backstop.json and should apply the same defaults
+ * @param {Object} [options] - { sourcePath, env }
+ * @returns {Object} - { hosts, defaults, templates }, empty if there is no source
+ */
+function loadCompileContext({ sourcePath = findConfigSource(), env = null } = {}) {
+  if (!sourcePath) {
+    return { hosts: {}, defaults: {}, templates: {} };
+  }
+  const source = loadConfigSource(sourcePath, env);
+  const resolved = env && source.environments && source.environments[env] ? deepMerge(source, source.environments[env]) : source;
+  return { hosts: resolved.hosts || {}, defaults: resolved.defaults || {}, templates: resolved.templates || {} };
+}
+
+/**
+ * Loads the config BackstopJS should run with: the compiled source when there is one, backstop.json otherwise
+ * @param {Object} [options] - { sourcePath, env }
+ * @returns {Object} - The backstop config
+ */
+function loadBackstopConfig({ sourcePath = findConfigSource(), env = null } = {}) {
+  if (!sourcePath) {
+    return JSON.parse(fs.readFileSync(BACKSTOP_CONFIG_PATH, 'utf8'));
+  }
+  return compileConfig(loadConfigSource(sourcePath, env), { env });
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { sourcePath: null, outPath: BACKSTOP_CONFIG_PATH, env: null, check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--check') {
+      config.check = true;
+    } else if (argv[i] === '--source' && i + 1 < argv.length) {
+      config.sourcePath = argv[++i];
+    } else if (argv[i] === '--out' && i + 1 < argv.length) {
+      config.outPath = argv[++i];
+    } else if (argv[i] === '--env' && i + 1 < argv.length) {
+      config.env = argv[++i];
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const sourcePath = args.sourcePath || findConfigSource();
+
+  if (!sourcePath) {
+    throw new Error(`No config source found (looked for ${SOURCE_NAMES.join(', ')})`);
+  }
+
+  const config = compileConfig(loadConfigSource(sourcePath, args.env), { env: args.env });
+  const output = `${JSON.stringify(config, null, 2)}\n`;
+  const relativeOut = path.relative(process.cwd(), args.outPath);
+
+  if (args.check) {
+    const current = fs.existsSync(args.outPath) ? fs.readFileSync(args.outPath, 'utf8') : '';
+    if (current !== output) {
+      console.error(`✗ ${relativeOut} is out of date, run: node scripts/compile-config.js`);
+      process.exit(1);
+    }
+    console.log(`✓ ${relativeOut} is up to date`);
+    return;
+  }
+
+  fs.writeFileSync(args.outPath, output);
+  console.log(
+    `✓ Compiled ${path.relative(process.cwd(), sourcePath)}${args.env ? ` (${args.env})` : ''} → ${relativeOut} ` +
+      `(${config.scenarios.length} scenarios)`
+  );
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  findConfigSource,
+  loadConfigSource,
+  compileScenario,
+  compileConfig,
+  loadCompileContext,
+  loadBackstopConfig,
+};
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const { JSON_REPORT_PATH, formatGithubOutput } = require('./summarize-results');
+const { parseBlockSelector, formatBlock } = require('./blocks');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT_PATH, 'backstop_data', 'dom_diff');
+
+// Changes listed per test in the Markdown summary, the JSON report has all of them
+const DEFAULT_MAX_CHANGES = 8;
+
+// Report order: structure first, then styles and text, then geometry
+const KIND_ORDER = ['removed', 'added', 'style', 'text', 'size', 'moved'];
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/dom-diff.js [options]
+       node scripts/dom-diff.js <reference.dom.json> <test.dom.json>
+
+Compares the DOM and computed-style snapshots that the engine scripts save next to
+each bitmap (engine_scripts/pipeline/snapshot.js) for every failed test in
+jsonReport.json, and reports what changed, e.g. "\`.hero h1\` font-size 48px → 44px".
+Writes dom-diff.json and dom-diff.md to ${path.relative(ROOT_PATH, OUTPUT_DIR)}.
+
+With two snapshot files, prints the changes between them.
+
+Options:
+  --json <path>          JSON report (default: backstop_data/json_report/jsonReport.json)
+  --out <dir>            Output directory (default: ${path.relative(ROOT_PATH, OUTPUT_DIR)})
+  --max-changes <n>      Changes per test in the Markdown summary (default: ${DEFAULT_MAX_CHANGES})
+  --tolerance <px>       Ignore size and position changes up to this many pixels (default: 1)
+  --github-output        Write the summary to $GITHUB_OUTPUT as dom_diff
+  --step-summary         Append the summary to $GITHUB_STEP_SUMMARY
+  --help                 Show this help message
+`);
+}
+
+function readSnapshot(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Compares two snapshots. Nodes are matched by key. A node that moved together with its
+ * parent, or by as much as its previous sibling moved and grew, is not reported, so a
+ * taller hero does not list every element below it.
+ * @param {Object} before - Reference snapshot
+ * @param {Object} after - Test snapshot
+ * @param {Object} [options] - { tolerance: pixels, block: only compare the nodes of this block capture }
+ * @returns {Array<Object>} - Changes as { key, kind, property, from, to }, most telling first
+ */
+function diffSnapshots(before, after, { tolerance = 1, block = null } = {}) {
+  if (block) {
+    return diffSnapshots(onlyBlock(before, block), onlyBlock(after, block), { tolerance });
+  }
+
+  const byKey = (snapshot) => new Map(snapshot.nodes.map((node, index) => [node.key, { node, index }]));
+  const beforeNodes = byKey(before);
+  const afterNodes = byKey(after);
+  const changes = [];
+
+  // Offset and size change of each matched test node, by test node index
+  const shifts = new Map();
+  const lastChild = new Map();
+
+  after.nodes.forEach((node, index) => {
+    const match = beforeNodes.get(node.key);
+    if (!match) {
+      // Only report the outermost added element
+      if (!(node.parent >= 0 && !beforeNodes.has(after.nodes[node.parent].key))) {
+        changes.push({ key: node.key, kind: 'added', property: null, from: null, to: null });
+      }
+      return;
+    }
+
+    const old = match.node;
+    Object.keys({ ...old.styles, ...node.styles })
+      .filter((property) => (old.styles[property] || '') !== (node.styles[property] || ''))
+      .forEach((property) => {
+        changes.push({ key: node.key, kind: 'style', property, from: old.styles[property] || null, to: node.styles[property] || null });
+      });
+
+    if ((old.text || '') !== (node.text || '')) {
+      changes.push({ key: node.key, kind: 'text', property: 'text', from: old.text, to: node.text });
+    }
+
+    [['width', 2], ['height', 3]].forEach(([property, i]) => {
+      if (Math.abs(old.rect[i] - node.rect[i]) > tolerance) {
+        changes.push({ key: node.key, kind: 'size', property, from: `${old.rect[i]}px`, to: `${node.rect[i]}px` });
+      }
+    });
+
+    const shift = [node.rect[0] - old.rect[0], node.rect[1] - old.rect[1]];
+    const grow = [node.rect[2] - old.rect[2], node.rect[3] - old.rect[3]];
+    const expected = [shifts.get(node.parent) ? shifts.get(node.parent).shift : [0, 0]];
+    if (lastChild.has(node.parent)) {
+      // Pushed down (or sideways, in a row) by the previous sibling
+      const previous = shifts.get(lastChild.get(node.parent));
+      expected.push([previous.shift[0], previous.shift[1] + previous.grow[1]], [previous.shift[0] + previous.grow[0], previous.shift[1]]);
+    }
+    shifts.set(index, { shift, grow });
+    lastChild.set(node.parent, index);
+
+    const explained = expected.some(([x, y]) => Math.abs(shift[0] - x) <= tolerance && Math.abs(shift[1] - y) <= tolerance);
+    if (!explained) {
+      changes.push({
+        key: node.key,
+        kind: 'moved',
+        property: 'position',
+        from: `${old.rect[0]},${old.rect[1]}`,
+        to: `${node.rect[0]},${node.rect[1]}`,
+      });
+    }
+  });
+
+  before.nodes.forEach((node) => {
+    if (!afterNodes.has(node.key) && !(node.parent >= 0 && !afterNodes.has(before.nodes[node.parent].key))) {
+      changes.push({ key: node.key, kind: 'removed', property: null, from: null, to: null });
+    }
+  });
+
+  return changes
+    .map((change, order) => ({ change, order }))
+    .sort((a, b) => KIND_ORDER.indexOf(a.change.kind) - KIND_ORDER.indexOf(b.change.kind) || a.order - b.order)
+    .map(({ change }) => change);
+}
+
+/**
+ * Keeps the nodes inside one block capture, with parents re-indexed
+ */
+function onlyBlock(snapshot, block) {
+  const indexes = new Map();
+  const nodes = [];
+  snapshot.nodes.forEach((node, index) => {
+    if (node.block === block) {
+      indexes.set(index, nodes.length);
+      nodes.push(node);
+    }
+  });
+  return { ...snapshot, nodes: nodes.map((node) => ({ ...node, parent: indexes.has(node.parent) ? indexes.get(node.parent) : -1 })) };
+}
+
+function quote(value) {
+  const text = String(value);
+  return `"${text.length > 40 ? `${text.slice(0, 39)}…` : text}"`;
+}
+
+/**
+ * Formats a change as one line, e.g. "`.hero h1` font-size 48px → 44px"
+ * @param {Object} change - From diffSnapshots
+ * @returns {string} - Markdown
+ */
+function formatChange(change) {
+  const key = `\`${change.key}\``;
+  switch (change.kind) {
+    case 'added':
+      return `${key} added`;
+    case 'removed':
+      return `${key} removed`;
+    case 'text':
+      return `${key} text ${quote(change.from)} → ${quote(change.to)}`;
+    default:
+      return `${key} ${change.property} ${change.from} → ${change.to}`;
+  }
+}
+
+/**
+ * Finds the snapshots of a report pair. There is one per scenario and viewport, named after the
+ * full-page bitmap log with .dom.json instead of .log.json, also for selector and block captures.
+ * @param {Object} pair - jsonReport.json test pair
+ * @param {string} reportDir - Directory the pair paths are relative to
+ * @returns {{reference: string|null, test: string|null}} - Absolute paths
+ */
+function snapshotPaths(pair, reportDir) {
+  // BackstopJS names bitmaps ..._{selectorIndex}_{selectorLabel}_..., the snapshot has 0_document
+  const selectorName = (pair.selector || 'document').replace(/[^a-z0-9_-]/gi, '');
+  const toDocument = (file) =>
+    selectorName === 'document' ? file : file.replace(new RegExp(`_\\d+_${selectorName}(?=_|\\.|$)`), '_0_document');
+
+  const resolve = (logPath, bitmapPath) => {
+    const base = logPath ? logPath.replace(/\.log\.json$/, '') : bitmapPath ? bitmapPath.replace(/\.(png|jpe?g)$/i, '') : null;
+    if (!base) {
+      return null;
+    }
+    const dir = path.dirname(base);
+    return path.resolve(reportDir, dir, `${toDocument(path.basename(base))}.dom.json`);
+  };
+  return {
+    reference: resolve(pair.referenceLog, pair.reference),
+    test: resolve(pair.testLog, pair.test),
+  };
+}
+
+/**
+ * Diffs the snapshots of every failed test in a JSON report
+ * @param {Object} report - Parsed jsonReport.json
+ * @param {string} reportDir - Directory of jsonReport.json
+ * @param {Object} [options] - Passed to diffSnapshots
+ * @returns {Array<Object>} - { label, viewport, reference, test, missing, changes } per failed test
+ */
+function diffReport(report, reportDir, options = {}) {
+  return (report.tests || [])
+    .filter((test) => test.status !== 'pass')
+    .map(({ pair = {} }) => {
+      const files = snapshotPaths(pair, reportDir);
+      const before = readSnapshot(files.reference);
+      const after = readSnapshot(files.test);
+      const relative = (file) => (file ? path.relative(ROOT_PATH, file) : null);
+      const block = parseBlockSelector(pair.selector);
+      return {
+        label: pair.label,
+        viewport: pair.viewportLabel || null,
+        block: formatBlock(pair.selector),
+        reference: relative(files.reference),
+        test: relative(files.test),
+        missing: [!before && 'reference', !after && 'test'].filter(Boolean),
+        changes: before && after ? diffSnapshots(before, after, { ...options, block: block && block.id }) : [],
+      };
+    });
+}
+
+/**
+ * Renders the results for the PR comment and the step summary
+ * @param {Array<Object>} results - From diffReport
+ * @param {Object} [options] - { maxChanges, heading }
+ * @returns {string} - Markdown, empty when there is nothing to report
+ */
+function renderMarkdown(results, { maxChanges = DEFAULT_MAX_CHANGES, heading = '####' } = {}) {
+  const withSnapshots = results.filter((result) => result.missing.length === 0);
+  if (withSnapshots.length === 0) {
+    return '';
+  }
+
+  let markdown = `${heading} 🧬 What changed in the DOM\n\n`;
+  withSnapshots.forEach((result) => {
+    const name = `**${result.label}**${result.viewport ? ` (${result.viewport})` : ''}${result.block ? ` › **${result.block}**` : ''}`;
+    if (result.changes.length === 0) {
+      markdown += `- ${name}: no DOM or style changes, the difference is in images, canvas or rendering\n`;
+      return;
+    }
+    markdown += `- ${name}:\n`;
+    result.changes.slice(0, maxChanges).forEach((change) => {
+      markdown += `  - ${formatChange(change)}\n`;
+    });
+    if (result.changes.length > maxChanges) {
+      markdown += `  - _…and ${result.changes.length - maxChanges} more in dom-diff.md_\n`;
+    }
+  });
+
+  const missing = results.length - withSnapshots.length;
+  if (missing > 0) {
+    markdown += `\n_Failed tests without DOM snapshots to compare: ${missing}_\n`;
+  }
+  return markdown.trimEnd();
+}
+
+/**
+ * Writes dom-diff.json and the full dom-diff.md
+ * @param {Array<Object>} results - From diffReport
+ * @param {string} outDir - Output directory
+ */
+function writeResults(results, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'dom-diff.json'), JSON.stringify(results, null, 2));
+  const markdown = renderMarkdown(results, { maxChanges: Infinity, heading: '#' }) || '# 🧬 What changed in the DOM\n\nNo failed tests with DOM snapshots.';
+  fs.writeFileSync(path.join(outDir, 'dom-diff.md'), `${markdown}\n`);
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = {
+    jsonPath: JSON_REPORT_PATH,
+    outDir: OUTPUT_DIR,
+    maxChanges: DEFAULT_MAX_CHANGES,
+    tolerance: 1,
+    githubOutput: false,
+    stepSummary: false,
+    files: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--json' && i + 1 < argv.length) {
+      config.jsonPath = path.resolve(argv[++i]);
+    } else if (argv[i] === '--out' && i + 1 < argv.length) {
+      config.outDir = path.resolve(argv[++i]);
+    } else if (argv[i] === '--max-changes' && i + 1 < argv.length) {
+      config.maxChanges = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--tolerance' && i + 1 < argv.length) {
+      config.tolerance = Number(argv[++i]);
+    } else if (argv[i] === '--github-output') {
+      config.githubOutput = true;
+    } else if (argv[i] === '--step-summary') {
+      config.stepSummary = true;
+    } else if (!argv[i].startsWith('--')) {
+      config.files.push(path.resolve(argv[i]));
+    }
+  }
+
+  if (Number.isNaN(config.maxChanges) || Number.isNaN(config.tolerance)) {
+    throw new Error('--max-changes and --tolerance must be numbers');
+  }
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+
+  if (args.files.length === 2) {
+    const [before, after] = args.files.map(readSnapshot);
+    if (!before || !after) {
+      throw new Error('Snapshot file not found');
+    }
+    const changes = diffSnapshots(before, after, { tolerance: args.tolerance });
+    console.log(changes.length > 0 ? changes.map(formatChange).join('\n') : '✓ No DOM or style changes');
+    return;
+  }
+
+  if (!fs.existsSync(args.jsonPath)) {
+    console.log(`ℹ No JSON report at ${path.relative(ROOT_PATH, args.jsonPath)}, nothing to diff`);
+    return;
+  }
+
+  const report = JSON.parse(fs.readFileSync(args.jsonPath, 'utf8'));
+  const results = diffReport(report, path.dirname(args.jsonPath), { tolerance: args.tolerance });
+  writeResults(results, args.outDir);
+
+  const compared = results.filter((result) => result.missing.length === 0).length;
+  console.log(`🔍 Compared DOM snapshots for ${compared} of ${results.length} failed tests`);
+  results
+    .filter((result) => result.missing.length > 0)
+    .forEach((result) => console.log(`⚠️  ${result.label} (${result.viewport}): no ${result.missing.join(' or ')} snapshot`));
+  console.log(`✓ Wrote ${path.relative(ROOT_PATH, args.outDir)}/dom-diff.md and dom-diff.json`);
+
+  const markdown = renderMarkdown(results, { maxChanges: args.maxChanges });
+  if (markdown) {
+    console.log(`\n${markdown}`);
+  }
+
+  if (args.githubOutput && process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, formatGithubOutput({ dom_diff: markdown }));
+  }
+  if (args.stepSummary && process.env.GITHUB_STEP_SUMMARY && markdown) {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${renderMarkdown(results, { maxChanges: args.maxChanges, heading: '###' })}\n\n`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  OUTPUT_DIR,
+  diffSnapshots,
+  formatChange,
+  snapshotPaths,
+  diffReport,
+  renderMarkdown,
+  writeResults,
+};
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const crypto = require('crypto');
+const http = require('http');
+const { login } = require('./login');
+
+const DEFAULT_PORT = 3100;
+const USERNAME = 'backstop';
+const PASSWORD = 'secret';
+
+// The login.json entry for this server
+const FAKE_LOGIN = {
+  hosts: ['localhost:*', '127.0.0.1:*'],
+  url: '{origin}/login',
+  fields: [
+    { selector: '#username', env: 'BACKSTOP_LOGIN_USER' },
+    { selector: '#password', env: 'BACKSTOP_LOGIN_PASSWORD' },
+  ],
+  submit: 'button[type=submit]',
+  success: '.account-menu',
+  timeout: 10000,
+};
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/fake-login-server.js [options]
+
+Serves a site behind a login form, to try scripts/login.js without real credentials.
+Every page redirects to /login until the form is submitted with ${USERNAME} / ${PASSWORD}.
+The session is a cookie, and /account also sets a localStorage entry.
+
+Options:
+  --port <port>       Port to listen on (default: ${DEFAULT_PORT})
+  --check             Start the server, log in to it with scripts/login.js, check the
+                      resulting storage state and exit
+  --help              Show this help message
+
+login.json entry for this server:
+${JSON.stringify({ logins: [FAKE_LOGIN] }, null, 2)}
+`);
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><title>${title}</title></head><body><main>${body}</main></body></html>`;
+}
+
+function loginForm(error = '') {
+  return page(
+    'Log in',
+    `${error ? `<p class="error">${error}</p>` : ''}<form method="post" action="/login">` +
+      '<input id="username" name="username"><input id="password" name="password" type="password">' +
+      '<button type="submit">Log in</button></form>'
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+  });
+}
+
+/**
+ * Creates the fake site. Sessions live in memory.
+ * @returns {http.Server} - Not yet listening
+ */
+function createServer() {
+  const sessions = new Set();
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const cookie = (req.headers.cookie || '').match(/(?:^|;\s*)session=([^;]+)/);
+    const signedIn = Boolean(cookie && sessions.has(cookie[1]));
+    const send = (status, html, headers = {}) => {
+      res.writeHead(status, { 'content-type': 'text/html; charset=utf-8', ...headers });
+      res.end(html);
+    };
+
+    if (url.pathname === '/login' && req.method === 'POST') {
+      const form = new URLSearchParams(await readBody(req));
+      if (form.get('username') !== USERNAME || form.get('password') !== PASSWORD) {
+        send(401, loginForm('Wrong username or password'));
+        return;
+      }
+      const session = crypto.randomBytes(16).toString('hex');
+      sessions.add(session);
+      send(302, '', { location: '/account', 'set-cookie': `session=${session}; Path=/; HttpOnly; SameSite=Lax` });
+      return;
+    }
+
+    if (url.pathname === '/login') {
+      send(200, loginForm());
+      return;
+    }
+
+    if (!signedIn) {
+      send(302, '', { location: '/login' });
+      return;
+    }
+
+    if (url.pathname === '/account') {
+      send(200, page('Account', '<div class="account-menu">Signed in</div><script>localStorage.setItem("signedIn", "true")</script>'));
+      return;
+    }
+
+    send(200, page('Protected', `<h1>Protected page ${url.pathname}</h1>`));
+  });
+}
+
+/**
+ * Logs in to a running fake server with scripts/login.js and checks the storage state
+ * @param {number} port - Port the server listens on
+ * @returns {Promise<Object>} - The storage state
+ */
+async function check(port) {
+  const origin = `http://localhost:${port}`;
+  const env = { BACKSTOP_LOGIN_USER: USERNAME, BACKSTOP_LOGIN_PASSWORD: PASSWORD };
+  Object.entries(env).forEach(([name, value]) => {
+    process.env[name] = process.env[name] || value;
+  });
+
+  const config = { scenarios: [{ label: 'Fake', url: `${origin}/` }], engineOptions: {} };
+  const result = await login(config, { logins: [FAKE_LOGIN] });
+  if (!result.path) {
+    throw new Error('login.js did not log in');
+  }
+
+  const state = JSON.parse(require('fs').readFileSync(result.path, 'utf8'));
+  const session = state.cookies.find((cookie) => cookie.name === 'session');
+  if (!session) {
+    throw new Error(`No session cookie in ${result.path}`);
+  }
+  const response = await fetch(`${origin}/`, { headers: { cookie: `session=${session.value}` }, redirect: 'manual' });
+  if (response.status !== 200) {
+    throw new Error(`The session cookie was not accepted (HTTP ${response.status})`);
+  }
+  console.log(`✓ Session cookie and ${state.origins.length} localStorage origins in ${result.path}`);
+  return state;
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { port: DEFAULT_PORT, check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--port' && i + 1 < argv.length) {
+      config.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--check') {
+      config.check = true;
+    }
+  }
+
+  return config;
+}
+
+async function main() {
+  const args = parseArgs();
+  const server = createServer();
+  await new Promise((resolve) => server.listen(args.port, resolve));
+  console.log(`🚀 Fake login server on http://localhost:${args.port} (${USERNAME} / ${PASSWORD})`);
+
+  if (args.check) {
+    try {
+      await check(args.port);
+      console.log('✅ Login flow works');
+    } finally {
+      server.close();
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  FAKE_LOGIN,
+  createServer,
+  check,
+};
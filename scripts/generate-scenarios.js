@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const path = require('path');
+const { updateBackstopConfig } = require('./parse-pr-urls');
+const { findConfigSource } = require('./compile-config');
+const { filterPaths, fetchIndexPaths, labelFromPath, uniqueLabel } = require('./site-index');
+
+const DEFAULT_SITE = '2025recordedfuturewebsite--recorded-future-website.aem.live';
+const DEFAULT_MAX_PAGES = 50;
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/generate-scenarios.js [options]
+
+Adds a stage--/main-- scenario pair to the backstop config for every page in the site's
+index. Pages that already have a scenario are skipped, and labels that different paths
+share are numbered, e.g. "A B Page (2)".
+
+Options:
+  --site <host>          EDS site host without the branch prefix
+                         (default: ${DEFAULT_SITE})
+  --index <url>          Index to read pages from (query-index.json, sitemap.xml or a sitemap index)
+                         (default: https://main--<site>/query-index.json)
+  --include <glob>       Only include paths matching this glob (repeatable)
+  --exclude <glob>       Skip paths matching this glob (repeatable)
+  --max <n>              Maximum number of pages to add (default: ${DEFAULT_MAX_PAGES})
+  --config <path>        Backstop config to update (default: backstop.json). When it is compiled
+                         from backstop.config.js or .yaml, the entries to add there are printed
+                         and nothing is written.
+  --dry-run              Print the scenarios without writing them
+  --help                 Show this help message
+
+Examples:
+  # Add every page under /products
+  node scripts/generate-scenarios.js --include "/products/**"
+
+  # Use the sitemap and skip blog posts
+  node scripts/generate-scenarios.js --index "https://main--<site>/sitemap.xml" --exclude "/blog/**"
+`);
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = {
+    site: DEFAULT_SITE,
+    index: null,
+    include: [],
+    exclude: [],
+    max: DEFAULT_MAX_PAGES,
+    backstopPath: 'backstop.json',
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    if (arg === '--help') {
+      showHelp();
+      process.exit(0);
+    }
+
+    if (arg === '--dry-run') {
+      config.dryRun = true;
+      continue;
+    }
+
+    if (next === undefined) {
+      continue;
+    }
+
+    if (arg === '--site') {
+      config.site = next;
+    } else if (arg === '--index') {
+      config.index = next;
+    } else if (arg === '--include') {
+      config.include.push(next);
+    } else if (arg === '--exclude') {
+      config.exclude.push(next);
+    } else if (arg === '--max') {
+      config.max = parseInt(next, 10);
+    } else if (arg === '--config') {
+      config.backstopPath = next;
+    } else {
+      continue;
+    }
+    i++;
+  }
+
+  if (!config.index) {
+    config.index = `https://main--${config.site}/query-index.json`;
+  }
+
+  return config;
+}
+
+/**
+ * Turns page paths into stage--/main-- URL pairs for updateBackstopConfig
+ * @param {string[]} paths - Page paths
+ * @param {string} site - Site host without the branch prefix
+ * @returns {Array<{label: string, before: string, after: string}>} - URL pairs, with a number added to
+ *   labels that repeat
+ */
+function buildUrlPairs(paths, site) {
+  const labels = new Set();
+  return paths.map((pagePath) => {
+    const suffix = pagePath === '/' ? '' : pagePath;
+    return {
+      label: uniqueLabel(labelFromPath(pagePath), labels),
+      before: `https://main--${site}${suffix}`,
+      after: `https://stage--${site}${suffix}`,
+    };
+  });
+}
+
+/**
+ * Finds the source a backstop config is compiled from, i.e. a backstop.config.js or .yaml next to
+ * a backstop.json
+ * @param {string} backstopPath - Path to the backstop config
+ * @returns {string|null} - Path to the source, null if the config is not compiled
+ */
+function compiledFrom(backstopPath) {
+  const resolved = path.resolve(backstopPath);
+  return path.basename(resolved) === 'backstop.json' ? findConfigSource(path.dirname(resolved)) : null;
+}
+
+async function main() {
+  const config = parseArgs();
+
+  console.log(`Reading pages from ${config.index}...`);
+  const paths = await fetchIndexPaths(config.index);
+  console.log(`Found ${paths.length} pages in index`);
+
+  const selected = filterPaths(paths, config);
+  console.log(`Selected ${selected.length} pages after filtering`);
+
+  const urlPairs = buildUrlPairs(selected, config.site);
+
+  if (config.dryRun) {
+    urlPairs.forEach((pair) => console.log(`${pair.label}: ${pair.after} -> ${pair.before}`));
+    return;
+  }
+
+  // build:config rebuilds backstop.json from the source, which would drop the added scenarios
+  const sourcePath = compiledFrom(config.backstopPath);
+  if (sourcePath) {
+    console.log(`\nAdd these entries to the scenarios of ${path.basename(sourcePath)}:`);
+    selected.forEach((pagePath, i) => {
+      console.log(`  { label: ${JSON.stringify(urlPairs[i].label)}, path: ${JSON.stringify(pagePath)} },`);
+    });
+    throw new Error(
+      `${config.backstopPath} is compiled from ${path.basename(sourcePath)}, add the entries above there ` +
+        'and run "npm run build:config", or pass --config with a config that is not compiled'
+    );
+  }
+
+  updateBackstopConfig(urlPairs, config.backstopPath);
+  console.log('✅ Successfully generated scenarios');
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildUrlPairs, compiledFrom };
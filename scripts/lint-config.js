@@ -0,0 +1,847 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const { EDS_HOST_RE } = require('./rewrite-hosts');
+const { resolveCompare } = require('./compare');
+
+// Value types:
+//   selectors       - array of CSS selectors, run through document.querySelectorAll
+//   engineSelectors - Playwright selector or array of them (CSS, text=, xpath=, chained with >>)
+//   threshold       - number from 0 to 100
+//   switch          - true/false, or an object of options (implies true)
+//   maskRules       - regex strings or { pattern, flags, replacement, within } (see engine_scripts/pipeline/maskText.js)
+//   compare         - comparison mode name or { mode, ...options } (see scripts/compare.js)
+const CONFIG_SCHEMA = {
+  id: 'string',
+  viewports: 'viewports',
+  scenarios: 'array',
+  onBeforeScript: 'string',
+  onReadyScript: 'string',
+  paths: 'object',
+  report: 'array',
+  engine: 'string',
+  engineOptions: 'object',
+  fileNameTemplate: 'string',
+  outputFormat: 'string',
+  readyEvent: 'string',
+  readySelector: 'engineSelectors',
+  readyTimeout: 'number',
+  delay: 'number',
+  asyncCaptureLimit: 'number',
+  asyncCompareLimit: 'number',
+  debug: 'boolean',
+  debugWindow: 'boolean',
+  scenarioLogsInReports: 'boolean',
+  resembleOutputOptions: 'object',
+  defaultMisMatchThreshold: 'threshold',
+  archiveReport: 'boolean',
+  openReport: 'boolean',
+  dockerCommandTemplate: 'string',
+  ci: 'object',
+};
+
+const SCENARIO_SCHEMA = {
+  label: 'string',
+  url: 'string',
+  referenceUrl: 'string',
+  cookiePath: 'string',
+  onBeforeScript: 'string',
+  onReadyScript: 'string',
+  readyEvent: 'string',
+  readySelector: 'engineSelectors',
+  readyTimeout: 'number',
+  delay: 'number',
+  hideSelectors: 'selectors',
+  removeSelectors: 'selectors',
+  selectors: 'selectors',
+  selectorExpansion: 'boolean',
+  expect: 'number',
+  misMatchThreshold: 'threshold',
+  requireSameDimensions: 'boolean',
+  viewports: 'viewports',
+  hoverSelector: 'engineSelectors',
+  hoverSelectors: 'engineSelectors',
+  clickSelector: 'engineSelectors',
+  clickSelectors: 'engineSelectors',
+  keyPressSelector: 'keyPresses',
+  keyPressSelectors: 'keyPresses',
+  scrollToSelector: 'engineSelectors',
+  postInteractionWait: 'wait',
+  gotoParameters: 'object',
+  // Read by engine_scripts/pipeline/scroll.js
+  scrollOptions: 'object',
+  handlers: 'object',
+  // Read by engine_scripts/pipeline/freeze.js
+  freeze: 'switch',
+  // Read by engine_scripts/pipeline/maskText.js
+  maskText: 'maskRules',
+  // Read by engine_scripts/playwright/har.js, set by backstop-local.js record / --replay
+  har: 'object',
+  // Read by engine_scripts/pipeline/stubImages.js
+  stubImages: 'switch',
+  // Read by engine_scripts/pipeline/csp.js
+  bypassCSP: 'boolean',
+  // Read by engine_scripts/pipeline/snapshot.js
+  domSnapshot: 'switch',
+  // Read by engine_scripts/pipeline/blocks.js, set by scripts/blocks.js
+  blocks: 'switch',
+  // Read by scripts/compare.js
+  compare: 'compare',
+};
+
+const PATH_KEYS = ['bitmaps_reference', 'bitmaps_test', 'engine_scripts', 'html_report', 'ci_report', 'json_report'];
+const REPORT_TYPES = ['browser', 'CI', 'json'];
+const ENGINES = ['puppeteer', 'playwright'];
+
+// Playwright selector engines that are not CSS, e.g. text=Sign in or xpath=//button
+const ENGINE_PREFIX_RE = /^\s*(?:[a-z][a-z0-9_-]*(?::[a-z0-9_-]+)*)=/i;
+
+// Pseudo-classes whose argument is itself a selector list
+const SELECTOR_PSEUDOS = ['not', 'is', 'where', 'matches', 'has', '-webkit-any', 'host', 'host-context', 'slotted'];
+
+const IDENT_RE = /(?:--|-?(?:[_a-zA-Z\u00a0-\uffff]|\\[\s\S]))(?:[-\w\u00a0-\uffff]|\\[\s\S])*/y;
+const NAME_RE = /(?:[-\w\u00a0-\uffff]|\\[\s\S])+/y;
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/lint-config.js [options]
+
+Checks a backstop config before it is run:
+  Errors:   missing or duplicate labels, missing or invalid URLs, values of the wrong type,
+            thresholds outside 0-100, invalid CSS selectors, url and referenceUrl on
+            different sites or swapped, a storage state file that does not exist
+  Warnings: unknown keys, a scenario on other hosts than the rest, url and referenceUrl
+            on the same host, cookie domains and localStorage origins no scenario uses
+
+Options:
+  --config <path>    Backstop config (default: backstop.json)
+  --help             Show this help message
+
+Exits with 1 when there are errors. backstop-local.js runs the same checks before every
+run, and "node scripts/backstop-local.js lint" checks the config it would run with.
+`);
+}
+
+/**
+ * Checks the syntax of a CSS selector list. Pseudo-class names are not checked, so
+ * browser-specific and Playwright pseudo-classes such as :has-text() are accepted.
+ * @param {string} selector - Selector list, e.g. ".nav > a, [data-testid='x']"
+ * @returns {string|null} - Why the selector is invalid, or null if it is valid
+ */
+function checkSelector(selector) {
+  const state = { source: selector, pos: 0 };
+  try {
+    parseSelectorList(state, false);
+    if (state.pos < selector.length) {
+      fail(state, `unexpected "${selector[state.pos]}"`);
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function fail(state, message) {
+  throw new Error(`${message} at position ${state.pos}`);
+}
+
+function skipWhitespace(state) {
+  const start = state.pos;
+  while (/\s/.test(state.source[state.pos] || '')) {
+    state.pos++;
+  }
+  return state.pos > start;
+}
+
+function readPattern(state, re) {
+  re.lastIndex = state.pos;
+  const match = re.exec(state.source);
+  if (!match) {
+    return null;
+  }
+  state.pos += match[0].length;
+  return match[0];
+}
+
+function readString(state) {
+  const quote = state.source[state.pos];
+  state.pos++;
+  while (state.pos < state.source.length && state.source[state.pos] !== quote) {
+    state.pos += state.source[state.pos] === '\\' ? 2 : 1;
+  }
+  if (state.pos >= state.source.length) {
+    fail(state, `unterminated string, missing ${quote}`);
+  }
+  state.pos++;
+}
+
+function parseSelectorList(state, relative) {
+  for (;;) {
+    skipWhitespace(state);
+    parseComplexSelector(state, relative);
+    skipWhitespace(state);
+    if (state.source[state.pos] !== ',') {
+      return;
+    }
+    state.pos++;
+  }
+}
+
+function parseComplexSelector(state, relative) {
+  if (relative && /[>+~]/.test(state.source[state.pos] || '')) {
+    state.pos++;
+    skipWhitespace(state);
+  }
+  parseCompoundSelector(state);
+
+  for (;;) {
+    const hadWhitespace = skipWhitespace(state);
+    const char = state.source[state.pos];
+    if (char === undefined || char === ',' || char === ')') {
+      return;
+    }
+    if (/[>+~]/.test(char)) {
+      state.pos++;
+      skipWhitespace(state);
+      parseCompoundSelector(state);
+    } else if (hadWhitespace) {
+      parseCompoundSelector(state);
+    } else {
+      fail(state, `unexpected "${char}"`);
+    }
+  }
+}
+
+function parseCompoundSelector(state) {
+  const start = state.pos;
+
+  if (state.source[state.pos] === '*') {
+    state.pos++;
+  } else {
+    readPattern(state, IDENT_RE);
+  }
+
+  for (;;) {
+    const char = state.source[state.pos];
+    if (char === '#') {
+      state.pos++;
+      if (!readPattern(state, NAME_RE)) {
+        fail(state, 'expected an id after "#"');
+      }
+    } else if (char === '.') {
+      state.pos++;
+      if (!readPattern(state, IDENT_RE)) {
+        fail(state, 'expected a class name after "."');
+      }
+    } else if (char === '[') {
+      parseAttribute(state);
+    } else if (char === ':') {
+      parsePseudo(state);
+    } else {
+      break;
+    }
+  }
+
+  if (state.pos === start) {
+    fail(state, state.pos < state.source.length ? `unexpected "${state.source[state.pos]}"` : 'selector ends early');
+  }
+}
+
+function parseAttribute(state) {
+  state.pos++;
+  skipWhitespace(state);
+  if (!readPattern(state, IDENT_RE)) {
+    fail(state, 'expected an attribute name after "["');
+  }
+  skipWhitespace(state);
+
+  if (state.source[state.pos] !== ']') {
+    if (!readPattern(state, /[~|^$*]?=/y)) {
+      fail(state, 'expected "]" or an operator such as "="');
+    }
+    skipWhitespace(state);
+    if (state.source[state.pos] === '"' || state.source[state.pos] === "'") {
+      readString(state);
+    } else if (!readPattern(state, IDENT_RE)) {
+      fail(state, 'expected a quoted or plain attribute value');
+    }
+    skipWhitespace(state);
+    readPattern(state, /[is](?=[\s\]])/iy);
+    skipWhitespace(state);
+  }
+
+  if (state.source[state.pos] !== ']') {
+    fail(state, 'missing "]"');
+  }
+  state.pos++;
+}
+
+function parsePseudo(state) {
+  state.pos++;
+  if (state.source[state.pos] === ':') {
+    state.pos++;
+  }
+  const name = readPattern(state, IDENT_RE);
+  if (!name) {
+    fail(state, 'expected a pseudo-class name after ":"');
+  }
+  if (state.source[state.pos] !== '(') {
+    return;
+  }
+
+  state.pos++;
+  if (SELECTOR_PSEUDOS.includes(name.toLowerCase())) {
+    parseSelectorList(state, name.toLowerCase() === 'has');
+  } else {
+    let depth = 0;
+    while (state.pos < state.source.length && (state.source[state.pos] !== ')' || depth > 0)) {
+      const char = state.source[state.pos];
+      if (char === '"' || char === "'") {
+        readString(state);
+        continue;
+      }
+      depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+      state.pos++;
+    }
+  }
+
+  if (state.source[state.pos] !== ')') {
+    fail(state, `missing ")" for :${name}(`);
+  }
+  state.pos++;
+}
+
+/**
+ * Checks a Playwright selector. CSS parts are checked with checkSelector, parts that use
+ * another engine (text=, xpath=, role=, ...) or XPath are accepted as they are.
+ * @param {string} selector - Selector passed to page.waitForSelector / page.click
+ * @returns {string|null} - Why the selector is invalid, or null if it is valid
+ */
+function checkEngineSelector(selector) {
+  const parts = selector.split('>>').map((part) => part.trim());
+  for (const part of parts) {
+    if (part === '') {
+      return 'empty part in a ">>" chain';
+    }
+    const css = part.replace(/^css(?::light)?=/i, '');
+    if (ENGINE_PREFIX_RE.test(css) || css.startsWith('//') || css.startsWith('..') || /^["']/.test(css)) {
+      continue;
+    }
+    const problem = checkSelector(css);
+    if (problem) {
+      return problem;
+    }
+  }
+  return null;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggestKey(key, known) {
+  const best = known
+    .map((candidate) => ({ candidate, distance: levenshtein(key, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return best && best.distance <= Math.max(2, Math.floor(key.length / 4)) ? best.candidate : null;
+}
+
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  return value === null ? 'null' : `a ${typeof value}`;
+}
+
+/**
+ * Checks one value against a schema type, adding problems to `issues`
+ * @param {string} type - Type from CONFIG_SCHEMA / SCENARIO_SCHEMA
+ * @param {*} value - The value
+ * @param {string} where - Path of the value, e.g. scenarios[2].hideSelectors
+ * @param {Object} issues - { errors, warnings }
+ */
+function checkValue(type, value, where, issues) {
+  const error = (message, at = where) => issues.errors.push({ path: at, message });
+  const selectorList = (checker) => (selectors, at) =>
+    selectors.forEach((selector, i) => {
+      if (typeof selector !== 'string') {
+        error(`expected a selector string, got ${describe(selector)}`, `${at}[${i}]`);
+        return;
+      }
+      const problem = checker(selector);
+      if (problem) {
+        error(`invalid selector "${selector}": ${problem}`, `${at}[${i}]`);
+      }
+    });
+
+  switch (type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      if (typeof value !== type || (type === 'number' && Number.isNaN(value))) {
+        error(`expected a ${type}, got ${describe(value)}`);
+      }
+      break;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        error(`expected an object, got ${describe(value)}`);
+      }
+      break;
+    case 'switch':
+      if (typeof value !== 'boolean' && (typeof value !== 'object' || Array.isArray(value))) {
+        error(`expected true, false or an object of options, got ${describe(value)}`);
+      }
+      break;
+    case 'maskRules':
+      if (!Array.isArray(value)) {
+        error(`expected an array of rules, got ${describe(value)}`);
+        break;
+      }
+      value.forEach((rule, i) => {
+        const at = `${where}[${i}]`;
+        const { pattern, flags = '', within, ...rest } = typeof rule === 'string' ? { pattern: rule } : rule || {};
+        if (typeof pattern !== 'string') {
+          error('expected a regex string or an object with a "pattern"', at);
+          return;
+        }
+        try {
+          new RegExp(pattern, flags); // eslint-disable-line no-new
+        } catch (regexError) {
+          error(`invalid pattern: ${regexError.message}`, at);
+        }
+        const problem = typeof within === 'string' ? checkSelector(within) : null;
+        if (problem) {
+          error(`invalid selector "${within}": ${problem}`, `${at}.within`);
+        }
+        Object.keys(rest)
+          .filter((key) => key !== 'replacement')
+          .forEach((key) => {
+            const suggestion = suggestKey(key, ['pattern', 'flags', 'replacement', 'within']);
+            issues.warnings.push({
+              path: `${at}.${key}`,
+              message: `unknown key "${key}"${suggestion ? `, did you mean "${suggestion}"?` : ''}`,
+            });
+          });
+      });
+      break;
+    case 'compare':
+      if (typeof value !== 'string' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+        error(`expected a mode name or { mode, ...options }, got ${describe(value)}`);
+        break;
+      }
+      try {
+        resolveCompare(value);
+      } catch (compareError) {
+        error(compareError.message);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        error(`expected an array, got ${describe(value)}`);
+      }
+      break;
+    case 'threshold':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        error(`expected a number from 0 to 100, got ${describe(value)}`);
+      } else if (value < 0 || value > 100) {
+        error(`${value} is outside 0-100 (the threshold is a mismatch percentage)`);
+      }
+      break;
+    case 'selectors':
+      if (!Array.isArray(value)) {
+        error(`expected an array of selectors, got ${describe(value)}`);
+      } else {
+        selectorList(checkSelector)(value, where);
+      }
+      break;
+    case 'engineSelectors':
+      if (typeof value === 'string') {
+        selectorList(checkEngineSelector)([value], where);
+        // Report a single selector without the [0] suffix
+        const last = issues.errors[issues.errors.length - 1];
+        if (last && last.path === `${where}[0]`) {
+          last.path = where;
+        }
+      } else if (Array.isArray(value)) {
+        selectorList(checkEngineSelector)(value, where);
+      } else {
+        error(`expected a selector or an array of selectors, got ${describe(value)}`);
+      }
+      break;
+    case 'keyPresses':
+      [].concat(value).forEach((item, i) => {
+        const at = Array.isArray(value) ? `${where}[${i}]` : where;
+        if (!item || typeof item.selector !== 'string' || typeof item.keyPress !== 'string') {
+          error('expected { selector, keyPress } with string values', at);
+        } else {
+          checkValue('engineSelectors', item.selector, `${at}.selector`, issues);
+        }
+      });
+      break;
+    case 'wait':
+      if (typeof value !== 'number') {
+        checkValue('engineSelectors', value, where, issues);
+      }
+      break;
+    case 'viewports':
+      if (!Array.isArray(value)) {
+        error(`expected an array of viewports, got ${describe(value)}`);
+        break;
+      }
+      value.forEach((viewport, i) => {
+        const at = `${where}[${i}]`;
+        if (!viewport || typeof viewport !== 'object') {
+          error(`expected a viewport object, got ${describe(viewport)}`, at);
+          return;
+        }
+        if (typeof viewport.label !== 'string' && typeof viewport.name !== 'string') {
+          error('viewport has no label', at);
+        }
+        ['width', 'height'].forEach((key) => {
+          if (!(typeof viewport[key] === 'number' && viewport[key] > 0)) {
+            error(`${key} must be a positive number, got ${JSON.stringify(viewport[key])}`, `${at}.${key}`);
+          }
+        });
+      });
+      findDuplicates(value.map((viewport) => viewport && (viewport.label || viewport.name))).forEach(({ value: label, index }) =>
+        error(`duplicate viewport label "${label}"`, `${where}[${index}]`)
+      );
+      break;
+    default:
+      break;
+  }
+}
+
+function findDuplicates(values) {
+  const seen = new Set();
+  const duplicates = [];
+  values.forEach((value, index) => {
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (seen.has(value)) {
+      duplicates.push({ value, index });
+    }
+    seen.add(value);
+  });
+  return duplicates;
+}
+
+function checkKeys(object, schema, where, issues) {
+  Object.entries(object).forEach(([key, value]) => {
+    const at = where ? `${where}.${key}` : key;
+    if (!schema[key]) {
+      const suggestion = suggestKey(key, Object.keys(schema));
+      issues.warnings.push({
+        path: at,
+        message: `unknown key "${key}"${suggestion ? `, did you mean "${suggestion}"?` : ''}`,
+      });
+      return;
+    }
+    // BackstopJS treats null like a missing key
+    if (value !== null) {
+      checkValue(schema[key], value, at, issues);
+    }
+  });
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return top && top[1] > 1 ? top[0] : null;
+}
+
+function checkUrls(scenarios, issues) {
+  const hosts = scenarios.map((scenario) => ({
+    test: scenario && hostnameOf(scenario.url),
+    reference: scenario && hostnameOf(scenario.referenceUrl),
+  }));
+  const usualTest = mostCommon(hosts.map((host) => host.test));
+  const usualReference = mostCommon(hosts.map((host) => host.reference));
+
+  scenarios.forEach((scenario, index) => {
+    if (!scenario || typeof scenario !== 'object') {
+      return;
+    }
+    const at = `scenarios[${index}]`;
+    const { test, reference } = hosts[index];
+
+    if (scenario.url === undefined || scenario.url === null || scenario.url === '') {
+      issues.errors.push({ path: `${at}.url`, message: 'missing url' });
+    } else if (typeof scenario.url === 'string' && !/^https?:$/.test(safeProtocol(scenario.url))) {
+      issues.errors.push({ path: `${at}.url`, message: `"${scenario.url}" is not an http(s) URL` });
+    }
+    if (typeof scenario.referenceUrl === 'string' && !/^https?:$/.test(safeProtocol(scenario.referenceUrl))) {
+      issues.errors.push({ path: `${at}.referenceUrl`, message: `"${scenario.referenceUrl}" is not an http(s) URL` });
+    }
+    if (!test || !reference) {
+      return;
+    }
+
+    const testEds = test.match(EDS_HOST_RE);
+    const referenceEds = reference.match(EDS_HOST_RE);
+
+    if (testEds && referenceEds && testEds[2] !== referenceEds[2]) {
+      issues.errors.push({
+        path: at,
+        message: `url and referenceUrl are on different sites (${testEds[2]} vs ${referenceEds[2]})`,
+      });
+    } else if (test === reference) {
+      issues.warnings.push({ path: at, message: `url and referenceUrl both use ${test}, the page is compared with itself` });
+    } else if (usualTest && usualReference && usualTest !== usualReference && test === usualReference && reference === usualTest) {
+      issues.errors.push({
+        path: at,
+        message: `url and referenceUrl are swapped (url is on ${test}, which the other scenarios use as reference)`,
+      });
+    } else {
+      if (usualTest && test !== usualTest) {
+        issues.warnings.push({ path: `${at}.url`, message: `${test} differs from the other scenarios (${usualTest})` });
+      }
+      if (usualReference && reference !== usualReference) {
+        issues.warnings.push({
+          path: `${at}.referenceUrl`,
+          message: `${reference} differs from the other scenarios (${usualReference})`,
+        });
+      }
+    }
+  });
+}
+
+function safeProtocol(url) {
+  try {
+    return new URL(url).protocol;
+  } catch (error) {
+    return '';
+  }
+}
+
+function checkStorageState(storageState, scenarios, issues) {
+  const hosts = new Set();
+  scenarios.forEach((scenario) => {
+    [scenario && scenario.url, scenario && scenario.referenceUrl].map(hostnameOf).filter(Boolean).forEach((host) => hosts.add(host));
+  });
+  if (hosts.size === 0) {
+    return;
+  }
+
+  (storageState.cookies || []).forEach((cookie, i) => {
+    const domain = (cookie.domain || hostnameOf(cookie.url) || '').replace(/^\./, '').toLowerCase();
+    const matches = [...hosts].some((host) => host === domain || host.endsWith(`.${domain}`));
+    if (!matches) {
+      issues.warnings.push({
+        path: `storageState.cookies[${i}]`,
+        message: `cookie "${cookie.name}" is for ${domain || '(no domain)'}, which no scenario uses`,
+      });
+    }
+  });
+
+  (storageState.origins || []).forEach((entry, i) => {
+    const host = hostnameOf(entry.origin);
+    if (!host || !hosts.has(host)) {
+      issues.warnings.push({
+        path: `storageState.origins[${i}]`,
+        message: `localStorage for ${entry.origin} is not used by any scenario`,
+      });
+    }
+  });
+}
+
+/**
+ * Reads the storage state (cookies.json) a config points at
+ * @param {Object} config - Parsed backstop config
+ * @param {string} [baseDir] - Directory relative paths in the config are resolved against
+ * @returns {{path: string, state: Object|null}|null} - null if the config has no storage state,
+ *   `state` is null if the file does not exist
+ */
+function readStorageState(config, baseDir = process.cwd()) {
+  const storageState = config.engineOptions && config.engineOptions.storageState;
+  if (typeof storageState !== 'string') {
+    return null;
+  }
+  const statePath = path.resolve(baseDir, storageState);
+  return { path: statePath, state: fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null };
+}
+
+/**
+ * Checks a backstop config for problems that would otherwise only show up during a run
+ * @param {Object} config - Parsed backstop config
+ * @param {Object} [options] - { storageState: result of readStorageState }
+ * @returns {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+function lintConfig(config, { storageState = null } = {}) {
+  const issues = { errors: [], warnings: [] };
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    issues.errors.push({ path: '', message: 'the config is not an object' });
+    return issues;
+  }
+
+  checkKeys(config, CONFIG_SCHEMA, '', issues);
+
+  if (!Array.isArray(config.viewports) || config.viewports.length === 0) {
+    issues.errors.push({ path: 'viewports', message: 'no viewports configured' });
+  }
+  if (config.engine !== undefined && !ENGINES.includes(config.engine)) {
+    issues.errors.push({ path: 'engine', message: `unknown engine "${config.engine}" (expected ${ENGINES.join(' or ')})` });
+  }
+  if (Array.isArray(config.report)) {
+    config.report
+      .filter((type) => !REPORT_TYPES.includes(type))
+      .forEach((type) =>
+        issues.errors.push({ path: 'report', message: `unknown report type "${type}" (expected ${REPORT_TYPES.join(', ')})` })
+      );
+  }
+  if (config.paths && typeof config.paths === 'object') {
+    Object.keys(config.paths)
+      .filter((key) => !PATH_KEYS.includes(key))
+      .forEach((key) => {
+        const suggestion = suggestKey(key, PATH_KEYS);
+        issues.warnings.push({
+          path: `paths.${key}`,
+          message: `unknown key "${key}"${suggestion ? `, did you mean "${suggestion}"?` : ''}`,
+        });
+      });
+  }
+
+  const scenarios = Array.isArray(config.scenarios) ? config.scenarios : [];
+  if (scenarios.length === 0) {
+    issues.errors.push({ path: 'scenarios', message: 'no scenarios configured' });
+  }
+
+  scenarios.forEach((scenario, index) => {
+    const at = `scenarios[${index}]`;
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+      issues.errors.push({ path: at, message: `expected a scenario object, got ${describe(scenario)}` });
+      return;
+    }
+    if (scenario.label === undefined || scenario.label === null || scenario.label === '') {
+      issues.errors.push({ path: `${at}.label`, message: 'missing label' });
+    }
+    checkKeys(scenario, SCENARIO_SCHEMA, at, issues);
+  });
+
+  findDuplicates(scenarios.map((scenario) => scenario && scenario.label)).forEach(({ value, index }) =>
+    issues.errors.push({ path: `scenarios[${index}].label`, message: `duplicate label "${value}"` })
+  );
+
+  checkUrls(scenarios, issues);
+
+  if (storageState && !storageState.state) {
+    issues.errors.push({
+      path: 'engineOptions.storageState',
+      message: `${path.relative(process.cwd(), storageState.path)} does not exist`,
+    });
+  } else if (storageState) {
+    checkStorageState(storageState.state, scenarios, issues);
+  }
+
+  return issues;
+}
+
+/**
+ * The index of the scenario an issue belongs to
+ * @param {{path: string}} issue - From lintConfig
+ * @returns {number|null} - Scenario index, or null for top-level issues
+ */
+function scenarioIndex(issue) {
+  const match = /^scenarios\[(\d+)\]/.exec(issue.path);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Formats an issue for the console, naming the scenario by its label
+ * @param {{path: string, message: string}} issue - From lintConfig
+ * @param {Object} config - The config that was linted
+ * @returns {string} - One line
+ */
+function formatIssue(issue, config) {
+  const index = scenarioIndex(issue);
+  const scenario = index !== null && config.scenarios ? config.scenarios[index] : null;
+  const label = scenario && scenario.label ? ` (${scenario.label})` : '';
+  const where = issue.path ? issue.path.replace(/^(scenarios\[\d+\])/, `$1${label}`) : '';
+  return where ? `${where}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Prints lint results
+ * @param {{errors: Array, warnings: Array}} result - From lintConfig
+ * @param {Object} config - The config that was linted
+ * @param {string} name - What was linted, for the summary line
+ */
+function printLintResults(result, config, name) {
+  result.errors.forEach((issue) => console.log(`✗ ${formatIssue(issue, config)}`));
+  result.warnings.forEach((issue) => console.log(`⚠️  ${formatIssue(issue, config)}`));
+
+  if (result.errors.length === 0 && result.warnings.length === 0) {
+    console.log(`✓ ${name} looks good`);
+  } else {
+    console.log(`${result.errors.length > 0 ? '❌' : '✓'} ${name}: ${result.errors.length} errors, ${result.warnings.length} warnings`);
+  }
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { configPath: 'backstop.json' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const config = JSON.parse(fs.readFileSync(args.configPath, 'utf8'));
+  const result = lintConfig(config, { storageState: readStorageState(config) });
+
+  printLintResults(result, config, args.configPath);
+  if (result.errors.length > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  SCENARIO_SCHEMA,
+  checkSelector,
+  checkEngineSelector,
+  readStorageState,
+  lintConfig,
+  scenarioIndex,
+  formatIssue,
+  printLintResults,
+};
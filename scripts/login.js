@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const DEFAULT_LOGINS_PATH = path.join(ROOT_PATH, 'login.json');
+const DEFAULT_TIMEOUT = 30000;
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/login.js [options]
+
+Logs in to the scenario hosts that need it, once per host, and writes the resulting
+storage state (cookies and localStorage) to a temporary file. Login steps come from
+login.json. The committed storage state (engineOptions.storageState) is kept and the
+login sessions are added to it. Hosts whose credentials are not set are skipped.
+
+--update-config notes the storage state it started from next to the written file
+(<out>.base.json), so logging in again on the same runner starts from the same state.
+--restore-config points the config back at that state. Run it before the config leaves
+the runner, the session file it points at does not.
+
+The workflows log in before capturing with the BACKSTOP_LOGIN_USER and BACKSTOP_LOGIN_PASSWORD
+secrets. Each shard runner logs in again, so sessions never end up in an artifact.
+
+login.json:
+  {
+    "logins": [
+      {
+        "hosts": ["*.aem.page"],                     // host patterns, * matches any part of a name
+        "url": "{origin}/login",                      // login page, {origin} and {host} are filled in
+        "fields": [
+          { "selector": "#username", "env": "BACKSTOP_LOGIN_USER" },
+          { "selector": "#password", "env": "BACKSTOP_LOGIN_PASSWORD" }
+        ],
+        "submit": "button[type=submit]",
+        "success": ".account-menu",                  // shown once logged in
+        "timeout": 30000
+      }
+    ]
+  }
+
+Options:
+  --config <path>        Backstop config with the scenario hosts (default: backstop.json)
+  --logins <path>        Login steps (default: login.json)
+  --out <path>           Where to write the storage state (default: a new temporary directory)
+  --update-config        Point engineOptions.storageState of the config at the written file
+  --restore-config       Point engineOptions.storageState back at the state the login started from
+  --host <host>          Only log in to this host (repeatable)
+  --headed               Show the browser
+  --github-output        Write storage_state=<path> to $GITHUB_OUTPUT
+  --help                 Show this help message
+
+Examples:
+  # Log in with credentials from the environment and run against the session
+  BACKSTOP_LOGIN_USER=me BACKSTOP_LOGIN_PASSWORD=secret node scripts/backstop-local.js test --login
+
+  # Try the flow against the fake login server
+  node scripts/fake-login-server.js --check
+`);
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Reads and checks login.json
+ * @param {string} [loginsPath] - Path to login.json
+ * @returns {Array<Object>} - Login steps, empty when the file does not exist
+ */
+function loadLogins(loginsPath = DEFAULT_LOGINS_PATH) {
+  if (!fs.existsSync(loginsPath)) {
+    return [];
+  }
+
+  const logins = readJson(loginsPath).logins || [];
+  logins.forEach((login, index) => {
+    const where = `login ${index + 1} in ${path.basename(loginsPath)}`;
+    ['hosts', 'url', 'success'].forEach((key) => {
+      if (!login[key] || (key === 'hosts' && (!Array.isArray(login.hosts) || login.hosts.length === 0))) {
+        throw new Error(`${where} needs "${key}"`);
+      }
+    });
+    (login.fields || []).forEach((field) => {
+      if (!field.selector || !field.env) {
+        throw new Error(`${where}: every field needs "selector" and "env"`);
+      }
+    });
+  });
+  return logins;
+}
+
+/**
+ * Checks a host against a pattern where * matches any run of characters except dots
+ * @param {string} pattern - E.g. "*.aem.page" or "localhost:3100"
+ * @param {string} host - Host with optional port
+ * @returns {boolean} - True if the host matches
+ */
+function matchesHost(pattern, host) {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.]*');
+  return new RegExp(`^${source}$`, 'i').test(host);
+}
+
+/**
+ * Lists the origins of the scenario URLs and referenceUrls
+ * @param {Object} config - Parsed backstop config
+ * @returns {string[]} - Unique origins, in scenario order
+ */
+function scenarioOrigins(config) {
+  const origins = new Set();
+  (config.scenarios || []).forEach((scenario) => {
+    [scenario.url, scenario.referenceUrl].filter(Boolean).forEach((url) => {
+      try {
+        origins.add(new URL(url).origin);
+      } catch (error) {
+        // Invalid URLs are reported by lint-config.js
+      }
+    });
+  });
+  return [...origins];
+}
+
+/**
+ * Pairs each scenario origin with the first login whose hosts match it
+ * @param {string[]} origins - From scenarioOrigins
+ * @param {Array<Object>} logins - From loadLogins
+ * @returns {Array<{origin: string, host: string, login: Object}>} - One entry per origin that needs a login
+ */
+function planLogins(origins, logins) {
+  return origins
+    .map((origin) => {
+      const host = new URL(origin).host;
+      const login = logins.find((candidate) => candidate.hosts.some((pattern) => matchesHost(pattern, host)));
+      return login ? { origin, host, login } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Lists the environment variables a login needs that are not set
+ * @param {Object} login - Login step
+ * @param {Object} [env] - Environment
+ * @returns {string[]} - Missing variable names
+ */
+function missingCredentials(login, env = process.env) {
+  return (login.fields || []).map((field) => field.env).filter((name) => !env[name]);
+}
+
+/**
+ * Path of the note that records which storage state a session file was started from
+ * @param {string} statePath - Session file written by login()
+ * @returns {string}
+ */
+function baseNotePath(statePath) {
+  return `${statePath.replace(/\.json$/, '')}.base.json`;
+}
+
+/**
+ * Finds the storage state logins start from: the one noted next to the session file that
+ * --update-config pointed the config at, or else engineOptions.storageState
+ * @param {Object} config - Parsed backstop config
+ * @param {string} [baseDir] - Directory the storage state path is relative to
+ * @returns {string|null} - Path as written in the config, null if there is none
+ */
+function baseStorageState(config, baseDir = ROOT_PATH) {
+  const storageState = config.engineOptions && config.engineOptions.storageState;
+  if (typeof storageState !== 'string') {
+    return null;
+  }
+  const notePath = baseNotePath(path.resolve(baseDir, storageState));
+  return fs.existsSync(notePath) ? readJson(notePath).storageState : storageState;
+}
+
+/**
+ * Runs one login in a fresh browser context
+ * @param {Object} browser - Playwright browser
+ * @param {Object} step - { origin, host, login } from planLogins
+ * @param {Object} [env] - Environment with the credentials
+ * @returns {Promise<Object>} - The context's storage state
+ */
+async function runLogin(browser, { origin, host, login }, env = process.env) {
+  const timeout = login.timeout || DEFAULT_TIMEOUT;
+  const context = await browser.newContext({ ignoreHTTPSErrors: true });
+
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeout);
+
+    const url = login.url.replace(/\{origin\}/g, origin).replace(/\{host\}/g, host);
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+
+    for (const field of login.fields || []) {
+      await page.fill(field.selector, env[field.env]);
+    }
+    if (login.submit) {
+      await page.click(login.submit);
+    } else if (login.fields && login.fields.length > 0) {
+      await page.press(login.fields[login.fields.length - 1].selector, 'Enter');
+    }
+
+    try {
+      await page.waitForSelector(login.success, { timeout });
+    } catch (error) {
+      throw new Error(`"${login.success}" did not appear within ${timeout}ms after logging in at ${url}`);
+    }
+
+    return await context.storageState();
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Adds login sessions to a storage state. Cookies with the same name, domain and path,
+ * and localStorage entries of the same origin and name, are replaced.
+ * @param {Object} base - Storage state to start from ({ cookies, origins } or a plain cookie array)
+ * @param {Array<Object>} states - Storage states from runLogin
+ * @returns {Object} - The merged storage state
+ */
+function mergeStorageStates(base, states) {
+  const start = Array.isArray(base) ? { cookies: base, origins: [] } : base || {};
+  const cookies = new Map();
+  const origins = new Map();
+
+  [start, ...states].forEach((state) => {
+    (state.cookies || []).forEach((cookie) => {
+      cookies.set(`${cookie.name}|${cookie.domain}|${cookie.path || '/'}`, cookie);
+    });
+    (state.origins || []).forEach(({ origin, localStorage = [] }) => {
+      const entries = origins.get(origin) || new Map();
+      localStorage.forEach((entry) => entries.set(entry.name, entry));
+      origins.set(origin, entries);
+    });
+  });
+
+  return {
+    cookies: [...cookies.values()],
+    origins: [...origins.entries()].map(([origin, entries]) => ({ origin, localStorage: [...entries.values()] })),
+  };
+}
+
+/**
+ * Logs in to every scenario host that needs it and writes the combined storage state
+ * @param {Object} config - Parsed backstop config
+ * @param {Object} options - { logins, out, hosts, headed, baseDir, browser }. `browser` replaces
+ *   the Chromium instance that is otherwise launched, `baseDir` resolves the storage state from
+ *   baseStorageState. That file has to exist, and is noted next to the written file.
+ * @returns {Promise<{path: string|null, hosts: string[], skipped: string[]}>} - path is null when
+ *   no login was needed
+ */
+async function login(config, { logins, out = null, hosts = [], headed = false, baseDir = ROOT_PATH, browser = null }) {
+  const plan = planLogins(scenarioOrigins(config), logins).filter((step) => hosts.length === 0 || hosts.includes(step.host));
+  const skipped = [];
+  const steps = plan.filter((step) => {
+    const missing = missingCredentials(step.login);
+    if (missing.length > 0) {
+      console.log(`⚠️  Skipping login to ${step.host}: ${missing.join(', ')} not set`);
+      skipped.push(step.host);
+      return false;
+    }
+    return true;
+  });
+
+  if (steps.length === 0) {
+    return { path: null, hosts: [], skipped };
+  }
+
+  const storageState = baseStorageState(config, baseDir);
+  const basePath = storageState ? path.resolve(baseDir, storageState) : null;
+  if (basePath && !fs.existsSync(basePath)) {
+    throw new Error(`Storage state ${storageState} does not exist, the sessions would replace its cookies and localStorage`);
+  }
+  const base = basePath ? readJson(basePath) : {};
+
+  const ownBrowser = browser ? null : await require('playwright').chromium.launch({ headless: !headed });
+  const states = [];
+  try {
+    for (const step of steps) {
+      console.log(`🔍 Logging in to ${step.host}...`);
+      states.push(await runLogin(browser || ownBrowser, step));
+      console.log(`✓ Logged in to ${step.host}`);
+    }
+  } finally {
+    if (ownBrowser) {
+      await ownBrowser.close();
+    }
+  }
+
+  const outPath = out || path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backstop-login-')), 'storage-state.json');
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  // Holds live sessions, keep it readable by this user only
+  fs.writeFileSync(outPath, JSON.stringify(mergeStorageStates(base, states), null, 2), { mode: 0o600 });
+  if (storageState) {
+    fs.writeFileSync(baseNotePath(outPath), JSON.stringify({ storageState: path.relative(baseDir, basePath) }, null, 2));
+  }
+
+  return { path: outPath, hosts: steps.map((step) => step.host), skipped };
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = {
+    configPath: 'backstop.json',
+    loginsPath: DEFAULT_LOGINS_PATH,
+    out: null,
+    updateConfig: false,
+    restoreConfig: false,
+    hosts: [],
+    headed: false,
+    githubOutput: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    } else if (argv[i] === '--logins' && i + 1 < argv.length) {
+      config.loginsPath = path.resolve(argv[++i]);
+    } else if (argv[i] === '--out' && i + 1 < argv.length) {
+      config.out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--update-config') {
+      config.updateConfig = true;
+    } else if (argv[i] === '--restore-config') {
+      config.restoreConfig = true;
+    } else if (argv[i] === '--host' && i + 1 < argv.length) {
+      config.hosts.push(argv[++i]);
+    } else if (argv[i] === '--headed') {
+      config.headed = true;
+    } else if (argv[i] === '--github-output') {
+      config.githubOutput = true;
+    }
+  }
+
+  return config;
+}
+
+async function main() {
+  const args = parseArgs();
+  const configPath = path.resolve(ROOT_PATH, args.configPath);
+  const config = readJson(configPath);
+  const logins = loadLogins(args.loginsPath);
+
+  const base = baseStorageState(config);
+  if (args.restoreConfig) {
+    if (base && base !== config.engineOptions.storageState) {
+      config.engineOptions = { ...config.engineOptions, storageState: base };
+      fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+      console.log(`✓ ${path.relative(ROOT_PATH, configPath)} uses ${base} again`);
+    }
+    return;
+  }
+
+  const result = await login(config, { logins, out: args.out, hosts: args.hosts, headed: args.headed });
+  if (!result.path) {
+    console.log('ℹ No scenario host needs a login');
+    return;
+  }
+
+  console.log(`✓ Wrote storage state for ${result.hosts.join(', ')} to ${result.path}`);
+
+  if (args.updateConfig) {
+    config.engineOptions = { ...config.engineOptions, storageState: result.path };
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    console.log(`✓ ${path.relative(ROOT_PATH, configPath)} now uses it as engineOptions.storageState`);
+  }
+  if (args.githubOutput && process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `storage_state=${result.path}\n`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_LOGINS_PATH,
+  loadLogins,
+  matchesHost,
+  scenarioOrigins,
+  planLogins,
+  missingCredentials,
+  baseNotePath,
+  baseStorageState,
+  runLogin,
+  mergeStorageStates,
+  login,
+};
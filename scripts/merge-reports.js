@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const { SHARDS_DIR, TIMINGS_PATH } = require('./shard');
+const { parseXunit } = require('./summarize-results');
+
+const ROOT_PATH = path.join(__dirname, '..');
+
+// Keys of a report pair that hold paths, relative to the report's own directory
+const PAIR_PATH_KEYS = ['reference', 'test', 'diffImage', 'referenceLog', 'testLog'];
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/merge-reports.js [shard-dir...] [options]
+
+Combines the results of sharded runs (see scripts/shard.js) into the paths of
+backstop.json: bitmaps_test, json_report/jsonReport.json, ci_report/xunit.xml and
+html_report. Without shard directories, every directory under ${SHARDS_DIR}
+that contains a shard.json or json_report is merged. It fails, naming the shards, when
+a shard of the run has no shard.json (crashed, or its artifact is missing) or did not
+finish, instead of merging a report without their scenarios.
+
+Options:
+  --config <path>     Backstop config with the output paths (default: backstop.json)
+  --timings <path>    Where to update per-scenario timings (default: backstop_data/shard_timings.json)
+  --github-output     Write backstop_exit_code and shards to $GITHUB_OUTPUT
+  --help              Show this help message
+`);
+}
+
+function toPosix(value) {
+  return value.split(path.sep).join('/');
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Finds the shard result directories under backstop_data/shards
+ * @param {string} [shardsDir] - Directory to search
+ * @returns {string[]} - Absolute paths, sorted by name
+ */
+function findShardDirs(shardsDir = path.join(ROOT_PATH, SHARDS_DIR)) {
+  if (!fs.existsSync(shardsDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(shardsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(shardsDir, entry.name))
+    .filter((dir) => fs.existsSync(path.join(dir, 'shard.json')) || fs.existsSync(path.join(dir, 'json_report')))
+    .sort();
+}
+
+/**
+ * Loads one shard's results. Paths inside the reports are resolved against the paths the shard
+ * was run with (from shard.json), so shard directories can be moved, e.g. when downloaded as artifacts.
+ * @param {string} dir - Absolute shard directory
+ * @returns {Object} - { dir, manifest, recorded, htmlDir, jsonReport, htmlReport, xunit, runDir, runName }
+ */
+function loadShard(dir) {
+  const manifestPath = path.join(dir, 'shard.json');
+  const manifest = fs.existsSync(manifestPath) ? readJson(manifestPath) : {};
+  const root = (manifest.paths && manifest.paths.root) || toPosix(path.relative(ROOT_PATH, dir));
+  const recorded = {
+    root,
+    bitmaps_test: `${root}/bitmaps_test`,
+    html_report: `${root}/html_report`,
+    json_report: `${root}/json_report`,
+    ...(manifest.paths || {}),
+  };
+  const local = (recordedPath) => path.join(dir, path.relative(recorded.root, recordedPath));
+
+  const jsonReportPath = path.join(local(recorded.json_report), 'jsonReport.json');
+  const htmlConfigPath = path.join(local(recorded.html_report), 'config.js');
+  const xunitPath = path.join(local(recorded.ci_report || `${root}/ci_report`), 'xunit.xml');
+
+  // Each run writes its bitmaps to a new timestamped directory, the latest one belongs to this run
+  const bitmapsDir = local(recorded.bitmaps_test);
+  const runs = fs.existsSync(bitmapsDir)
+    ? fs
+        .readdirSync(bitmapsDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort()
+    : [];
+
+  let htmlReport = null;
+  if (fs.existsSync(htmlConfigPath)) {
+    const jsonp = fs.readFileSync(htmlConfigPath, 'utf8').trim();
+    htmlReport = JSON.parse(jsonp.replace(/^report\(/, '').replace(/\);?$/, ''));
+  }
+
+  return {
+    dir,
+    manifest,
+    recorded,
+    htmlDir: local(recorded.html_report),
+    jsonReport: fs.existsSync(jsonReportPath) ? readJson(jsonReportPath) : null,
+    htmlReport,
+    xunit: fs.existsSync(xunitPath) ? fs.readFileSync(xunitPath, 'utf8') : null,
+    runDir: runs.length > 0 ? path.join(bitmapsDir, runs[runs.length - 1]) : null,
+    runName: runs.length > 0 ? runs[runs.length - 1] : null,
+  };
+}
+
+/**
+ * Rewrites the paths of a report pair from a shard report directory to the merged one.
+ * Test bitmaps move to the merged run directory, references stay where they are.
+ * @param {Object} pair - Report pair, modified in place
+ * @param {Object} shard - From loadShard
+ * @param {string} fromDir - Recorded report directory the paths are relative to
+ * @param {string} toDir - Absolute merged report directory
+ * @param {string} runDir - Absolute merged bitmaps_test run directory
+ */
+function remapPair(pair, shard, fromDir, toDir, runDir) {
+  const shardBitmaps = `${shard.recorded.bitmaps_test}/`;
+
+  PAIR_PATH_KEYS.filter((key) => typeof pair[key] === 'string' && pair[key]).forEach((key) => {
+    const fromRoot = toPosix(path.relative(ROOT_PATH, path.resolve(ROOT_PATH, fromDir, pair[key])));
+    let target = path.resolve(ROOT_PATH, fromRoot);
+
+    if (fromRoot.startsWith(shardBitmaps)) {
+      // Drop the shard's run directory, the files are copied into the merged one
+      const [, ...rest] = fromRoot.slice(shardBitmaps.length).split('/');
+      target = path.join(runDir, ...rest);
+    }
+    pair[key] = toPosix(path.relative(toDir, target));
+  });
+}
+
+function copyDir(from, to, skip = []) {
+  fs.mkdirSync(to, { recursive: true });
+  fs.readdirSync(from, { withFileTypes: true })
+    .filter((entry) => !skip.includes(entry.name))
+    .forEach((entry) => {
+      const source = path.join(from, entry.name);
+      const target = path.join(to, entry.name);
+      if (entry.isDirectory()) {
+        copyDir(source, target);
+      } else {
+        fs.copyFileSync(source, target);
+      }
+    });
+}
+
+/**
+ * Builds one xunit report from the <testcase> elements of every shard
+ * @param {string[]} reports - Contents of each shard's xunit.xml
+ * @returns {string} - The merged xunit.xml
+ */
+function mergeXunit(reports) {
+  const parsed = reports.map(parseXunit);
+  const cases = parsed.flatMap((report) => report.cases);
+  const suite = (parsed.find((report) => report.suite) || {}).suite || 'BackstopJS';
+  const failures = cases.filter((testCase) => /<failure\b/.test(testCase.xml)).length;
+  const errors = cases.filter((testCase) => /<error\b/.test(testCase.xml)).length;
+  const counts = `tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="0"`;
+  const escapedSuite = suite.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${counts}>`,
+    `  <testsuite name="${escapedSuite}" ${counts}>`,
+    ...cases.map((testCase) => `    ${testCase.xml}`),
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Spreads each shard's run time over its scenarios by number of tests, and merges the
+ * result into the existing timings so scenarios that did not run keep their last value
+ * @param {Array<Object>} shards - From loadShard
+ * @param {Object<string, number>} previous - Existing timings
+ * @returns {Object<string, number>} - Milliseconds keyed by scenario label
+ */
+function computeTimings(shards, previous = {}) {
+  const timings = { ...previous };
+
+  shards
+    .filter((shard) => shard.manifest.durationMs > 0 && shard.jsonReport && shard.jsonReport.tests.length > 0)
+    .forEach((shard) => {
+      const perTest = shard.manifest.durationMs / shard.jsonReport.tests.length;
+      const counts = {};
+      shard.jsonReport.tests.forEach((test) => {
+        counts[test.pair.label] = (counts[test.pair.label] || 0) + 1;
+      });
+      Object.entries(counts).forEach(([label, count]) => {
+        timings[label] = Math.round(perTest * count);
+      });
+    });
+
+  return timings;
+}
+
+/**
+ * Lists the shards of a run that have no results. The run's shard count comes from the
+ * manifests that were found, so a shard that crashed before writing shard.json, or whose
+ * artifact is missing, is still noticed.
+ * @param {Array<Object>} shards - From loadShard
+ * @returns {string[]} - E.g. ["shard 2/3 (no shard.json)", "shard 3/3 (did not finish)"]
+ */
+function findMissingShards(shards) {
+  const total = Math.max(0, ...shards.map((shard) => shard.manifest.total || 0));
+  const found = new Map(shards.filter((shard) => shard.manifest.index).map((shard) => [shard.manifest.index, shard]));
+  const missing = [];
+
+  for (let index = 1; index <= total; index++) {
+    const shard = found.get(index);
+    if (!shard) {
+      missing.push(`shard ${index}/${total} (no shard.json)`);
+    } else if (shard.manifest.exitCode === null || shard.manifest.exitCode === undefined) {
+      // shard.json is written with exitCode null before the run and updated once it finishes
+      missing.push(`shard ${index}/${total} (did not finish)`);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Merges shard results into the output paths of a backstop config
+ * @param {string[]} shardDirs - Absolute shard directories
+ * @param {Object} options - { config: parsed backstop config, timingsPath }
+ * @returns {Object} - { tests, shards, exitCode, runDir }. Throws when shards of the run are missing.
+ */
+function mergeReports(shardDirs, { config, timingsPath = TIMINGS_PATH }) {
+  const shards = shardDirs.map(loadShard);
+  const missing = findMissingShards(shards);
+  if (missing.length > 0) {
+    throw new Error(`Missing results of ${missing.join(', ')}, their scenarios would drop out of the report`);
+  }
+  const paths = config.paths || {};
+  const out = {
+    bitmaps_test: path.resolve(ROOT_PATH, paths.bitmaps_test || 'backstop_data/bitmaps_test'),
+    html_report: path.resolve(ROOT_PATH, paths.html_report || 'backstop_data/html_report'),
+    json_report: path.resolve(ROOT_PATH, paths.json_report || 'backstop_data/json_report'),
+    ci_report: path.resolve(ROOT_PATH, paths.ci_report || 'backstop_data/ci_report'),
+  };
+
+  const runName = shards.map((shard) => shard.runName).filter(Boolean).sort().pop();
+  if (!runName) {
+    throw new Error('No shard results found to merge');
+  }
+  const runDir = path.join(out.bitmaps_test, runName);
+
+  shards
+    .filter((shard) => shard.runDir)
+    .forEach((shard) => copyDir(shard.runDir, runDir, ['report.json']));
+  console.log(`✓ Copied test bitmaps to ${path.relative(ROOT_PATH, runDir)}`);
+
+  const withJson = shards.filter((shard) => shard.jsonReport);
+  if (withJson.length > 0) {
+    const tests = withJson.flatMap((shard) =>
+      shard.jsonReport.tests.map((test) => {
+        remapPair(test.pair, shard, shard.recorded.json_report, out.json_report, runDir);
+        return test;
+      })
+    );
+    fs.mkdirSync(out.json_report, { recursive: true });
+    fs.writeFileSync(
+      path.join(out.json_report, 'jsonReport.json'),
+      JSON.stringify({ ...withJson[0].jsonReport, tests }, null, 2)
+    );
+    console.log(`✓ Merged ${tests.length} tests into ${path.relative(ROOT_PATH, out.json_report)}/jsonReport.json`);
+  }
+
+  const withHtml = shards.filter((shard) => shard.htmlReport);
+  if (withHtml.length > 0) {
+    const tests = withHtml.flatMap((shard) =>
+      shard.htmlReport.tests.map((test) => {
+        remapPair(test.pair, shard, shard.recorded.html_report, out.html_report, runDir);
+        return test;
+      })
+    );
+    copyDir(withHtml[0].htmlDir, out.html_report, ['config.js']);
+    fs.writeFileSync(
+      path.join(out.html_report, 'config.js'),
+      `report(${JSON.stringify({ ...withHtml[0].htmlReport, tests }, null, 2)});`
+    );
+    console.log(`✓ Merged HTML report into ${path.relative(ROOT_PATH, out.html_report)}`);
+  }
+
+  const xunitReports = shards.map((shard) => shard.xunit).filter(Boolean);
+  if (xunitReports.length > 0) {
+    fs.mkdirSync(out.ci_report, { recursive: true });
+    fs.writeFileSync(path.join(out.ci_report, 'xunit.xml'), mergeXunit(xunitReports));
+    console.log(`✓ Merged ${xunitReports.length} xunit reports into ${path.relative(ROOT_PATH, out.ci_report)}/xunit.xml`);
+  }
+
+  const previous = fs.existsSync(timingsPath) ? readJson(timingsPath).labels || {} : {};
+  fs.mkdirSync(path.dirname(timingsPath), { recursive: true });
+  fs.writeFileSync(
+    timingsPath,
+    JSON.stringify({ updatedAt: new Date().toISOString(), labels: computeTimings(shards, previous) }, null, 2)
+  );
+  console.log(`✓ Updated timings in ${path.relative(ROOT_PATH, timingsPath)}`);
+
+  const failedShard = shards.find((shard) => shard.manifest.exitCode);
+  return {
+    tests: withJson.reduce((sum, shard) => sum + shard.jsonReport.tests.length, 0),
+    shards: shards.length,
+    exitCode: failedShard ? failedShard.manifest.exitCode : 0,
+    runDir,
+  };
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { shardDirs: [], configPath: 'backstop.json', timingsPath: TIMINGS_PATH, githubOutput: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    } else if (argv[i] === '--timings' && i + 1 < argv.length) {
+      config.timingsPath = argv[++i];
+    } else if (argv[i] === '--github-output') {
+      config.githubOutput = true;
+    } else if (!argv[i].startsWith('--')) {
+      config.shardDirs.push(path.resolve(argv[i]));
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const shardDirs = args.shardDirs.length > 0 ? args.shardDirs : findShardDirs();
+
+  if (shardDirs.length === 0) {
+    throw new Error(`No shard directories found in ${SHARDS_DIR}`);
+  }
+
+  console.log(`📝 Merging ${shardDirs.length} shards...`);
+  const config = readJson(args.configPath);
+  const result = mergeReports(shardDirs, { config, timingsPath: args.timingsPath });
+  console.log(`✅ Merged ${result.tests} tests from ${result.shards} shards`);
+
+  if (args.githubOutput && process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `backstop_exit_code=${result.exitCode}\nshards=${result.shards}\n`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  findShardDirs,
+  loadShard,
+  findMissingShards,
+  mergeXunit,
+  computeTimings,
+  mergeReports,
+};
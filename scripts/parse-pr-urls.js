@@ -1,77 +1,251 @@
 #!/usr/bin/env node
 /* eslint-disable no-console */
 
+const crypto = require('crypto');
 const fs = require('fs');
-const https = require('https');
-const http = require('http');
+const path = require('path');
+const yaml = require('js-yaml');
+const { globToRegExp, fetchIndexPaths, labelFromPath, uniqueLabel } = require('./site-index');
+const { validatePairs, formatRejectedMarkdown } = require('./validate-urls');
+const { compileScenario, loadCompileContext } = require('./compile-config');
+const { lintConfig, readStorageState, scenarioIndex, printLintResults } = require('./lint-config');
+
+// Upper limit on pages a single wildcard entry may expand to
+const MAX_WILDCARD_PAGES = 20;
+
+const VALIDATION_REPORT_PATH = path.join('backstop_data', 'url_validation.json');
+
+const PAIR_OPTION_KEYS = {
+  label: 'label',
+  hide: 'hideSelectors',
+  hideselectors: 'hideSelectors',
+  remove: 'removeSelectors',
+  removeselectors: 'removeSelectors',
+  selectors: 'selectors',
+  viewport: 'viewports',
+  viewports: 'viewports',
+  threshold: 'misMatchThreshold',
+  mismatchthreshold: 'misMatchThreshold',
+  click: 'clickSelectors',
+  clickselectors: 'clickSelectors',
+  hover: 'hoverSelectors',
+  hoverselectors: 'hoverSelectors',
+};
+
+const LIST_OPTIONS = ['hideSelectors', 'removeSelectors', 'selectors', 'viewports', 'clickSelectors', 'hoverSelectors'];
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/parse-pr-urls.js "<pr-body>" [backstop-path]
+
+Adds a scenario for every URL pair in a PR description to backstop.json (or backstop-path).
+Each pair is checked with scripts/validate-urls.js first; pairs that fail are listed in
+${VALIDATION_REPORT_PATH}, and added pages with lint errors are left out. Added pages pick
+up the defaults and templates of backstop.config.js.
+
+Pairs, with options as indented sub-bullets:
+  - Before: https://main--site--org.aem.live/pricing
+  - After: https://my-branch--site--org.aem.live/pricing
+    - Label: Pricing page
+    - Hide: .promo-ticker, .countdown
+    - Remove: .chat-launcher
+    - Selectors: .hero, .pricing-table
+    - Viewports: phone, desktop
+    - Threshold: 0.5
+    - Click: .tab-annual
+    - Hover: .nav-products
+
+  A single path on the hosts the existing scenarios use also works, e.g.
+  "- Page: /products/threat-intelligence". A path with * (one segment) or ** (any depth),
+  e.g. "- Page: /blog/*", is resolved through the reference host's query-index.json and
+  expands to at most ${MAX_WILDCARD_PAGES} pages.
+
+  Fenced yaml or json blocks take a list of entries (or { pairs: [...] }) with before/after
+  or path keys and the same options. Unknown or malformed options are skipped with a warning.
+
+Environment:
+  PR_BODY                     The PR description, instead of the first argument
+  BACKSTOP_PATH               Backstop config to update, instead of the second argument
+  SITE_INDEX_URL              Index for wildcard paths (default: the reference host's query-index.json)
+  VALIDATE_REWRITE_REDIRECTS  "true" to test the final URL of a redirect instead of the original
+  VALIDATE_RETRIES            Retries for timeouts and 5xx responses (default: 2)
+  VALIDATE_CONCURRENCY        URLs checked at once (default: 4)
+`);
+}
 
 /**
- * Validates if a URL returns a 200 status code
- * @param {string} url - The URL to validate
- * @returns {Promise<boolean>} - True if URL returns 200, false otherwise
+ * Splits a comma separated option value into a list, passing arrays through
+ * @param {string|string[]} value - The raw option value
+ * @returns {string[]|null} - The list, or null if the value is not a string or list of strings
  */
-function validateUrl(url) {
-  return new Promise((resolve) => {
-    try {
-      const urlObj = new URL(url);
-      const client = urlObj.protocol === 'https:' ? https : http;
-
-      const options = {
-        method: 'HEAD',
-        hostname: urlObj.hostname,
-        port: urlObj.port,
-        path: urlObj.pathname + urlObj.search,
-        timeout: 10000, // 10 second timeout
-      };
-
-      const req = client.request(options, (res) => {
-        resolve(res.statusCode === 200);
-      });
+function toList(value) {
+  // A mapping (e.g. a mistyped YAML option) would otherwise become "[object Object]"
+  if (!Array.isArray(value) && typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  if (!items.every((item) => typeof item === 'string' || typeof item === 'number')) {
+    return null;
+  }
+  return items.map((item) => String(item).trim().replace(/^`(.*)`$/, '$1')).filter(Boolean);
+}
 
-      req.on('error', () => {
-        resolve(false);
-      });
+/**
+ * Validates a single per-pair option and stores it under its canonical scenario key.
+ * Malformed options are reported and skipped so the pair itself is still tested.
+ * @param {Object} pair - The URL pair being built
+ * @param {string} key - The option name as written in the PR body
+ * @param {*} value - The option value
+ */
+function applyPairOption(pair, key, value) {
+  const name = PAIR_OPTION_KEYS[key.toLowerCase().replace(/[\s_-]/g, '')];
+  const where = pair.after || pair.before || pair.path;
+
+  if (!name) {
+    console.log(`Warning: Ignoring unknown option "${key}" for ${where}`);
+    console.log(`  Supported options: ${[...new Set(Object.values(PAIR_OPTION_KEYS))].join(', ')}`);
+    return;
+  }
 
-      req.on('timeout', () => {
-        req.destroy();
-        resolve(false);
-      });
+  if (value === null || value === undefined || String(value).trim() === '') {
+    console.log(`Warning: Ignoring empty "${key}" option for ${where}`);
+    return;
+  }
 
-      req.end();
-    } catch (error) {
-      // Invalid URL format
-      console.log(`Invalid URL format: ${url}`);
-      resolve(false);
+  if (name === 'label') {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      console.log(`Warning: Ignoring "${key}" for ${where} - expected text, got ${JSON.stringify(value)}`);
+      return;
     }
-  });
+    pair.label = String(value).trim();
+    return;
+  }
+
+  if (name === 'misMatchThreshold') {
+    const threshold = Number(String(value).trim().replace(/%$/, ''));
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+      console.log(`Warning: Ignoring "${key}: ${value}" for ${where} - expected a number between 0 and 100`);
+      return;
+    }
+    pair.options.misMatchThreshold = threshold;
+    return;
+  }
+
+  const list = LIST_OPTIONS.includes(name) ? toList(value) : null;
+  if (!list || list.length === 0) {
+    console.log(`Warning: Ignoring "${key}" for ${where} - expected a comma separated list or a list of strings, got ${JSON.stringify(value)}`);
+    return;
+  }
+  pair.options[name] = (pair.options[name] || []).concat(list);
 }
 
 /**
- * Parses PR body for before/after URL pairs and updates backstop.json
- * Expected format in PR body:
- * - Before: https://example.com/before-url
- * - After: https://example.com/after-url
+ * Reads URL pairs from fenced yaml/json blocks. A block holds either a list of
+ * entries or an object with a `pairs` list; each entry needs `before` and `after` and
+ * may carry the same options as the sub-bullet format.
+ * @param {string} source - The block contents
+ * @param {string} language - "yaml" or "json"
+ * @returns {Array<Object>} - URL pairs found in the block
  */
+function parseFencedBlock(source, language) {
+  let data;
+  try {
+    data = language === 'json' ? JSON.parse(source) : yaml.load(source);
+  } catch (error) {
+    if (/\bbefore\b/i.test(source)) {
+      console.log(`Warning: Could not parse ${language} block with URL pairs: ${error.message.split('\n')[0]}`);
+    }
+    return [];
+  }
 
-async function parsePRBody(prBody) {
-  if (!prBody) {
-    console.log('No PR body provided');
+  const entries = Array.isArray(data) ? data : data && Array.isArray(data.pairs) ? data.pairs : null;
+  if (!entries) {
     return [];
   }
 
+  const pairs = [];
+  entries.forEach((entry, index) => {
+    if (entry && typeof entry === 'object' && typeof entry.path === 'string' && entry.path.startsWith('/')) {
+      const page = { path: entry.path.trim(), options: {} };
+      Object.entries(entry).forEach(([key, value]) => {
+        if (key !== 'path') {
+          applyPairOption(page, key, value);
+        }
+      });
+      pairs.push(page);
+      console.log(`Found page path: ${page.path}`);
+      return;
+    }
+
+    if (!entry || typeof entry !== 'object' || !entry.before || !entry.after) {
+      console.log(
+        `Warning: Skipping ${language} entry ${index + 1} - either "before" and "after" or a "path" starting with / is required`
+      );
+      return;
+    }
+
+    const pair = { before: String(entry.before).trim(), after: String(entry.after).trim(), options: {} };
+    Object.entries(entry).forEach(([key, value]) => {
+      if (key !== 'before' && key !== 'after') {
+        applyPairOption(pair, key, value);
+      }
+    });
+    pairs.push(pair);
+    console.log(`Found potential URL pair: ${pair.before} -> ${pair.after}`);
+  });
+
+  return pairs;
+}
+
+/**
+ * Extracts before/after URL pairs and their options from the PR body without validating them.
+ * Options are indented sub-bullets below a pair, e.g.
+ * - Before: https://example.com/before-url
+ * - After: https://example.com/after-url
+ *   - Label: Pricing page
+ *   - Threshold: 0.5
+ * A "Page: /path" line (optionally with * wildcards) is returned as a path entry for expandPathEntries.
+ * @param {string} prBody - The PR description
+ * @returns {Array<Object>} - Pairs of { before, after, label?, options } and entries of { path, label?, options }
+ */
+function extractUrlPairs(prBody) {
   const potentialPairs = [];
-  const lines = prBody.split('\n').map((line) => line.trim());
+  const lines = prBody.split('\n');
 
   let currentBefore = null;
   let currentAfter = null;
+  let pendingOptions = [];
+  let lastPair = null;
+  let fence = null;
 
   for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+    const rawLine = lines[i];
+    const line = rawLine.trim();
+
+    // Collect fenced yaml/json blocks separately
+    const fenceMatch = line.match(/^```\s*([A-Za-z]*)\s*$/);
+    if (fence) {
+      if (fenceMatch && !fenceMatch[1]) {
+        if (fence.language) {
+          potentialPairs.push(...parseFencedBlock(fence.lines.join('\n'), fence.language));
+        }
+        fence = null;
+      } else {
+        fence.lines.push(rawLine);
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      const language = { yaml: 'yaml', yml: 'yaml', json: 'json' }[fenceMatch[1].toLowerCase()] || null;
+      fence = { language, lines: [] };
+      continue;
+    }
 
     // Look for "Before:" patterns with various bullet points and prefixes
     const beforeMatch = line.match(/^[\*\-•\s]*[Bb]efore:\s*(.+)$/);
     if (beforeMatch) {
       currentBefore = beforeMatch[1].trim();
+      lastPair = null;
       continue;
     }
 
@@ -82,36 +256,46 @@ async function parsePRBody(prBody) {
 
       // If we have both before and after, add to potential pairs for validation
       if (currentBefore && currentAfter) {
-        potentialPairs.push({
+        lastPair = {
           before: currentBefore,
           after: currentAfter,
-        });
+          options: {},
+        };
+        pendingOptions.forEach(([key, value]) => applyPairOption(lastPair, key, value));
+        potentialPairs.push(lastPair);
 
         console.log(`Found potential URL pair: ${currentBefore} -> ${currentAfter}`);
 
         // Reset for next pair
         currentBefore = null;
         currentAfter = null;
+        pendingOptions = [];
       }
+      continue;
     }
-  }
-
-  // Validate all potential pairs
-  const urlPairs = [];
-  console.log(`Validating ${potentialPairs.length} URL pairs...`);
 
-  for (const pair of potentialPairs) {
-    console.log(`Validating: ${pair.before} -> ${pair.after}`);
+    // Look for path-only "Page:" entries, expanded against the scenario hosts later
+    const pageMatch = line.match(/^[\*\-•\s]*[Pp]age:\s*`?(\/[^\s`]*)`?$/);
+    if (pageMatch) {
+      lastPair = { path: pageMatch[1], options: {} };
+      potentialPairs.push(lastPair);
+      console.log(`Found page path: ${pageMatch[1]}`);
+      continue;
+    }
 
-    const [beforeValid, afterValid] = await Promise.all([validateUrl(pair.before), validateUrl(pair.after)]);
+    // Indented "key: value" sub-bullets belong to the pair above them
+    const optionMatch = /^\s+/.test(rawLine) && line.match(/^[\*\-•]+\s*([A-Za-z][\w -]*?):\s*(.*)$/);
+    if (optionMatch) {
+      if (lastPair) {
+        applyPairOption(lastPair, optionMatch[1], optionMatch[2]);
+      } else if (currentBefore) {
+        pendingOptions.push([optionMatch[1], optionMatch[2]]);
+      }
+      continue;
+    }
 
-    if (beforeValid && afterValid) {
-      urlPairs.push(pair);
-      console.log(`✅ Valid URL pair: ${pair.before} -> ${pair.after}`);
-    } else {
-      console.log(
-        `❌ Invalid URL pair (before: ${beforeValid ? '✅' : '❌'}, after: ${afterValid ? '✅' : '❌'}): ${pair.before} -> ${pair.after}`
-      );
+    if (line) {
+      lastPair = null;
     }
   }
 
@@ -123,7 +307,155 @@ async function parsePRBody(prBody) {
     console.log(`Warning: Found "After" URL without matching "Before": ${currentAfter}`);
   }
 
-  return urlPairs;
+  return potentialPairs;
+}
+
+/**
+ * Finds the test and reference origins used by the existing scenarios
+ * @param {Object} backstopConfig - The parsed backstop config
+ * @returns {{test: string, reference: string}|null} - The origins, or null if no scenario has both URLs
+ */
+function getScenarioHosts(backstopConfig) {
+  const scenario = (backstopConfig.scenarios || []).find((s) => s.url && s.referenceUrl);
+  if (!scenario) {
+    return null;
+  }
+
+  try {
+    return { test: new URL(scenario.url).origin, reference: new URL(scenario.referenceUrl).origin };
+  } catch (error) {
+    console.log(`Invalid URL format in scenario "${scenario.label}"`);
+    return null;
+  }
+}
+
+/**
+ * Expands path-only and wildcard entries into before/after pairs on the scenario hosts.
+ * Wildcards are resolved through the site's query-index.json on the reference host.
+ * @param {Array<Object>} entries - Output of extractUrlPairs
+ * @param {{test: string, reference: string}|null} hosts - Origins from getScenarioHosts
+ * @param {string} [indexUrl] - Index to resolve wildcards against
+ * @returns {Promise<Array<Object>>} - Only before/after pairs
+ */
+async function expandPathEntries(entries, hosts, indexUrl) {
+  const pairs = [];
+  let indexPaths = null;
+
+  for (const entry of entries) {
+    if (!entry.path) {
+      pairs.push(entry);
+      continue;
+    }
+
+    if (!hosts) {
+      console.log(`Warning: Skipping page ${entry.path} - no existing scenario to take the test and reference hosts from`);
+      continue;
+    }
+
+    // Only * is a wildcard, a query string or hash is kept as given and added to every page
+    const [, pathPart, query] = entry.path.match(/^([^?#]*)(.*)$/);
+    let paths = [pathPart];
+    const isWildcard = pathPart.includes('*');
+
+    if (isWildcard) {
+      if (!indexPaths) {
+        const source = indexUrl || `${hosts.reference}/query-index.json`;
+        try {
+          console.log(`Reading site index from ${source}...`);
+          indexPaths = await fetchIndexPaths(source);
+        } catch (error) {
+          console.log(`Warning: Could not read site index ${source}: ${error.message}`);
+          indexPaths = [];
+        }
+      }
+
+      const re = globToRegExp(pathPart);
+      paths = [...new Set(indexPaths.filter((indexPath) => re.test(indexPath)))];
+      if (paths.length === 0) {
+        console.log(`Warning: No pages in the site index match ${entry.path}`);
+        continue;
+      }
+      if (paths.length > MAX_WILDCARD_PAGES) {
+        console.log(`Warning: ${entry.path} matches ${paths.length} pages, only the first ${MAX_WILDCARD_PAGES} are tested`);
+        paths = paths.slice(0, MAX_WILDCARD_PAGES);
+      }
+      console.log(`Expanded ${entry.path} to ${paths.length} pages`);
+    }
+
+    paths.forEach((pagePath) => {
+      const suffix = pagePath === '/' && !query ? '' : `${pagePath}${query}`;
+      let label = entry.label || labelFromPath(pagePath);
+      if (entry.label && isWildcard) {
+        label = `${entry.label} (${pagePath})`;
+      }
+
+      pairs.push({
+        before: `${hosts.reference}${suffix}`,
+        after: `${hosts.test}${suffix}`,
+        label,
+        options: { ...entry.options },
+      });
+    });
+  }
+
+  return pairs;
+}
+
+/**
+ * Parses PR body for before/after URL pairs and validates them
+ * Expected format in PR body:
+ * - Before: https://example.com/before-url
+ * - After: https://example.com/after-url
+ * or a path on the hosts of the existing scenarios:
+ * - Page: /products/threat-intelligence
+ * - Page: /blog/*
+ * @param {string} prBody - The PR description
+ * @param {Object} [options] - `hosts` for path entries (see getScenarioHosts), `indexUrl` for wildcards
+ *   and `validation` overrides passed to validatePairs
+ * @returns {Promise<{urlPairs: Array<Object>, rejected: Array<Object>}>} - Valid pairs and rejected pairs with reasons
+ */
+async function validatePRBody(prBody, { hosts = null, indexUrl, validation = {} } = {}) {
+  if (!prBody) {
+    console.log('No PR body provided');
+    return { urlPairs: [], rejected: [] };
+  }
+
+  const potentialPairs = await expandPathEntries(extractUrlPairs(prBody), hosts, indexUrl);
+
+  // Validate all potential pairs
+  console.log(`Validating ${potentialPairs.length} URL pairs...`);
+  const { valid, rejected } = await validatePairs(potentialPairs, validation);
+
+  return { urlPairs: valid, rejected };
+}
+
+/**
+ * Parses PR body for before/after URL pairs, see validatePRBody
+ * @param {string} prBody - The PR description
+ * @param {Object} [options] - Same as validatePRBody
+ * @returns {Promise<Array<Object>>} - The valid pairs
+ */
+async function parsePRBody(prBody, options) {
+  return (await validatePRBody(prBody, options)).urlPairs;
+}
+
+/**
+ * Writes the validation outcome to backstop_data and, in GitHub Actions, exposes the
+ * rejected pairs as the `rejected_pairs` step output for the PR comment
+ * @param {number} checked - Number of pairs that were validated
+ * @param {Array<Object>} rejected - Rejected pairs from validatePRBody
+ * @param {string} [reportPath] - Where to write the JSON report
+ */
+function writeValidationReport(checked, rejected, reportPath = VALIDATION_REPORT_PATH) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({ checked, rejected }, null, 2));
+
+  if (process.env.GITHUB_OUTPUT) {
+    const markdown = formatRejectedMarkdown(rejected);
+    // A random delimiter, a line of the PR body could otherwise end the value early
+    const delimiter = `ghadelim_${crypto.randomUUID()}`;
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `rejected_pairs<<${delimiter}\n${markdown}\n${delimiter}\n`);
+  }
 }
 
 function updateBackstopConfig(urlPairs, backstopPath = 'backstop.json') {
@@ -133,46 +465,132 @@ function updateBackstopConfig(urlPairs, backstopPath = 'backstop.json') {
   }
 
   const backstopConfig = JSON.parse(fs.readFileSync(backstopPath, 'utf8'));
+  const context = loadCompileContext();
 
   if (!backstopConfig.scenarios) {
     backstopConfig.scenarios = [];
   }
 
-  // Add new scenarios for each URL pair
+  // Add new scenarios for each URL pair, skipping pages that are already covered
+  const existingCount = backstopConfig.scenarios.length;
+  let added = 0;
   urlPairs.forEach((pair, index) => {
-    const scenario = {
-      label: `Additional test page (${index + 1})`,
-      url: pair.after,
-      referenceUrl: pair.before,
-      hideSelectors: ['.cookie-banner', '.loading-spinner', '[data-testid="timestamp"]', '.logo-garden'],
-      removeSelectors: ['.advertisement', '.chat-widget'],
-      misMatchThreshold: 0.1,
-    };
+    const exists = backstopConfig.scenarios.some((s) => s.url === pair.after && s.referenceUrl === pair.before);
+    if (exists) {
+      console.log(`Skipped existing scenario: ${pair.after}`);
+      return;
+    }
+
+    const options = pair.options || {};
+    let label = pair.label || `Additional test page (${index + 1})`;
+    const used = new Set(backstopConfig.scenarios.map((s) => s.label));
+    if (used.has(label)) {
+      // The first free number, so the new label can't collide either
+      const renamed = uniqueLabel(label, used);
+      console.log(`Warning: Label "${label}" is already used, renaming to "${renamed}"`);
+      label = renamed;
+    }
+
+    // Defaults and templates come from backstop.config.js, extra selectors are added to the defaults
+    const entry = { label, url: pair.after, referenceUrl: pair.before };
+    ['hideSelectors', 'removeSelectors', 'misMatchThreshold', 'selectors', 'clickSelectors', 'hoverSelectors']
+      .filter((key) => options[key] !== undefined)
+      .forEach((key) => {
+        entry[key] = options[key];
+      });
+    const scenario = compileScenario(entry, context);
+
+    // Restrict the scenario to a subset of the configured viewports
+    if (options.viewports) {
+      const known = backstopConfig.viewports || [];
+      const viewports = known.filter((vp) => options.viewports.includes(vp.label));
+      const unknown = options.viewports.filter((name) => !known.some((vp) => vp.label === name));
+
+      if (unknown.length > 0) {
+        console.log(
+          `Warning: Unknown viewports for "${label}": ${unknown.join(', ')} (available: ${known.map((vp) => vp.label).join(', ')})`
+        );
+      }
+      if (viewports.length > 0) {
+        scenario.viewports = viewports;
+      }
+    }
 
     backstopConfig.scenarios.push(scenario);
+    added++;
     console.log(`Added scenario: ${scenario.label}`);
   });
 
+  // Run the same checks as backstop-local.js and leave out added scenarios with errors,
+  // so a typo in the PR description does not break the whole run
+  const lint = lintConfig(backstopConfig, { storageState: readStorageState(backstopConfig) });
+  printLintResults(lint, backstopConfig, backstopPath);
+  const invalid = new Set(lint.errors.map(scenarioIndex).filter((index) => index !== null && index >= existingCount));
+  if (invalid.size > 0) {
+    invalid.forEach((index) =>
+      console.log(`Warning: Skipping scenario "${backstopConfig.scenarios[index].label}" because of the errors above`)
+    );
+    backstopConfig.scenarios = backstopConfig.scenarios.filter((_, index) => !invalid.has(index));
+    added -= invalid.size;
+  }
+
   // Write updated config
   fs.writeFileSync(backstopPath, JSON.stringify(backstopConfig, null, 2));
-  console.log(`Updated ${backstopPath} with ${urlPairs.length} additional scenarios`);
+  console.log(`Updated ${backstopPath} with ${added} additional scenarios`);
 
   return backstopConfig;
 }
 
+/**
+ * Reads a whole number from the environment
+ * @param {string} name - Variable name
+ * @param {number} min - Smallest allowed value
+ * @returns {number} - The value
+ */
+function readCount(name, min) {
+  const value = process.env[name].trim();
+  if (!/^\d+$/.test(value) || Number(value) < min) {
+    throw new Error(`${name} must be a whole number of at least ${min}, got "${process.env[name]}"`);
+  }
+  return Number(value);
+}
+
 async function main() {
   const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    showHelp();
+    process.exit(0);
+  }
   const prBody = process.env.PR_BODY || args[0];
   const backstopPath = process.env.BACKSTOP_PATH || args[1] || 'backstop.json';
 
   if (!prBody) {
-    console.log('No PR body provided. Usage: node parse-pr-urls.js "<pr-body>" [backstop-path]');
-    console.log('Or set PR_BODY environment variable');
+    console.log('No PR body provided, pass it as the first argument or in PR_BODY (see --help)');
     process.exit(0);
   }
 
+  let hosts = null;
+  if (fs.existsSync(backstopPath)) {
+    hosts = getScenarioHosts(JSON.parse(fs.readFileSync(backstopPath, 'utf8')));
+  }
+
+  const validation = {
+    rewriteRedirects: process.env.VALIDATE_REWRITE_REDIRECTS === 'true',
+  };
+  if (process.env.VALIDATE_CONCURRENCY) {
+    validation.concurrency = readCount('VALIDATE_CONCURRENCY', 1);
+  }
+  if (process.env.VALIDATE_RETRIES) {
+    validation.retries = readCount('VALIDATE_RETRIES', 0);
+  }
+
   console.log('Parsing PR body for URL pairs...');
-  const urlPairs = await parsePRBody(prBody);
+  const { urlPairs, rejected } = await validatePRBody(prBody, { hosts, indexUrl: process.env.SITE_INDEX_URL, validation });
+  writeValidationReport(urlPairs.length + rejected.length, rejected);
+
+  if (rejected.length > 0) {
+    console.log(`⚠️ ${rejected.length} URL pairs were rejected, see ${VALIDATION_REPORT_PATH}`);
+  }
 
   if (urlPairs.length === 0) {
     console.log('No valid URL pairs found in PR body');
@@ -192,4 +610,12 @@ if (require.main === module) {
   });
 }
 
-module.exports = { parsePRBody, updateBackstopConfig };
+module.exports = {
+  parsePRBody,
+  validatePRBody,
+  extractUrlPairs,
+  getScenarioHosts,
+  expandPathEntries,
+  writeValidationReport,
+  updateBackstopConfig,
+};
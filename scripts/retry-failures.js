@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { JSON_REPORT_PATH, filterScenarios } = require('./scenario-filter');
+const { applyComparisons } = require('./compare');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const RETRIES_FILE = 'retries.json';
+const DEFAULT_RETRIES = 2;
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/retry-failures.js [options]
+
+Captures the failed label/viewport pairs of the last test run again, up to --retries
+times, and classifies each failed test:
+  failing  failed every retry
+  flaky    passed on a retry, e.g. a 0.25% mismatch against a 0.2% threshold that was capture noise
+  error    still could not be compared on the last retry (missing reference, page error, ...)
+
+Retries only capture what is still failing, and stop once every test has passed once.
+jsonReport.json and the bitmaps of the original run are not changed. The classification
+is written to ${RETRIES_FILE} next to jsonReport.json, where summarize-results.js and
+backstop-local.js pick it up.
+
+In CI, run-visual-tests retries failures after merging the shards. The BACKSTOP_RETRIES
+repository variable sets the number of retries (0 turns them off), and BACKSTOP_ALLOW_FLAKY=true
+lets runs whose failures were all flaky pass the status check.
+
+Options:
+  --config <path>     Backstop config of the run (default: backstop.json)
+  --report <path>     Report of the run (default: backstop_data/json_report/jsonReport.json)
+  --retries <n>       Captures per failed pair (default: ${DEFAULT_RETRIES})
+  --allow-flaky       Exit with 0 when every failure was flaky
+  --github-output     Write flaky, failing and retry_errors counts to $GITHUB_OUTPUT
+  --help              Show this help message
+`);
+}
+
+function testKey(pair) {
+  return [pair.label, pair.viewportLabel, pair.selector].join('|');
+}
+
+function hashReport(reportPath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(reportPath)).digest('hex');
+}
+
+function readReport(reportPath) {
+  return fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf8')) : null;
+}
+
+function retriesPath(reportPath = JSON_REPORT_PATH) {
+  return path.join(path.dirname(reportPath), RETRIES_FILE);
+}
+
+function toAttempt(test, attempt) {
+  if (!test) {
+    return { attempt, status: 'missing', misMatchPercentage: null, error: 'no result' };
+  }
+  const { pair } = test;
+  const mismatch = pair.diff && pair.diff.misMatchPercentage !== undefined ? Number(pair.diff.misMatchPercentage) : null;
+  return {
+    attempt,
+    status: test.status,
+    misMatchPercentage: Number.isNaN(mismatch) ? null : mismatch,
+    error: pair.error || null,
+  };
+}
+
+/**
+ * Classifies a failed test by its retries
+ * @param {Array<Object>} attempts - { status: 'pass'|'fail'|'missing', misMatchPercentage, error } per retry
+ * @returns {'flaky'|'failing'|'error'} - flaky if any retry passed, error if the last one could not compare
+ */
+function classify(attempts) {
+  if (attempts.some((attempt) => attempt.status === 'pass')) {
+    return 'flaky';
+  }
+  const last = attempts[attempts.length - 1];
+  return !last || last.status === 'missing' || last.error || last.misMatchPercentage === null ? 'error' : 'failing';
+}
+
+/**
+ * Writes a config that captures only the pairs that failed in a report, to its own directory,
+ * so the original run's bitmaps and reports stay as they are
+ * @param {Object} config - Parsed backstop config of the run
+ * @param {string} reportPath - jsonReport.json whose failures to capture
+ * @param {string} dir - Output directory of this attempt
+ * @returns {{config: Object|null, configPath: string|null, reportPath: string}} - configPath is null when nothing failed
+ */
+function writeRetryConfig(config, reportPath, dir) {
+  const { config: filtered, selection } = filterScenarios(config, { changedOnly: true }, reportPath);
+  if (selection.length === 0) {
+    return { config: null, configPath: null, reportPath: null };
+  }
+
+  const retryConfig = {
+    ...filtered,
+    paths: {
+      ...filtered.paths,
+      bitmaps_test: path.join(dir, 'bitmaps_test'),
+      html_report: path.join(dir, 'html_report'),
+      json_report: path.join(dir, 'json_report'),
+      ci_report: path.join(dir, 'ci_report'),
+    },
+    report: ['json'],
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  const configPath = path.join(dir, 'backstop.json');
+  fs.writeFileSync(configPath, JSON.stringify(retryConfig, null, 2));
+  return { config: retryConfig, configPath, reportPath: path.join(dir, 'json_report', 'jsonReport.json') };
+}
+
+function runBackstopTest(configPath) {
+  return new Promise((resolve, reject) => {
+    const backstopProcess = spawn('npx', ['backstop', 'test', `--config=${configPath}`], {
+      cwd: ROOT_PATH,
+      stdio: 'inherit',
+      shell: true,
+    });
+    backstopProcess.on('close', resolve);
+    backstopProcess.on('error', reject);
+  });
+}
+
+/**
+ * Captures the failed pairs of a run again and classifies each failed test
+ * @param {Object} options - { config (parsed), reportPath, retries, run }. `run(configPath)` runs
+ *   "backstop test" and defaults to npx.
+ * @returns {Promise<Object|null>} - { report, retries, createdAt, counts: { failing, flaky, error }, tests },
+ *   null when the run had no failures. Each test is { label, viewport, selector, url, classification,
+ *   misMatchPercentage, threshold, attempts }.
+ */
+async function retryFailures({ config, reportPath = JSON_REPORT_PATH, retries = DEFAULT_RETRIES, run = runBackstopTest }) {
+  const report = readReport(reportPath);
+  if (!report) {
+    throw new Error(`No test report found at ${path.relative(process.cwd(), reportPath)} - run a test first`);
+  }
+
+  const failed = (report.tests || []).filter((test) => test.status === 'fail');
+  if (failed.length === 0) {
+    return null;
+  }
+
+  const attempts = new Map(failed.map((test) => [testKey(test.pair), []]));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backstop-retry-'));
+  let pendingReport = reportPath;
+
+  try {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const retry = writeRetryConfig(config, pendingReport, path.join(dir, `attempt-${attempt}`));
+      if (!retry.configPath) {
+        break;
+      }
+
+      const pending = [...attempts.keys()].filter((key) => !attempts.get(key).some((result) => result.status === 'pass'));
+      console.log(`\n🔍 Retry ${attempt}/${retries}: capturing ${pending.length} failed tests again...`);
+      await run(retry.configPath);
+      // Judge retries with the same comparison modes as the run
+      applyComparisons(retry.config);
+
+      const results = new Map(((readReport(retry.reportPath) || {}).tests || []).map((test) => [testKey(test.pair), test]));
+      pending.forEach((key) => attempts.get(key).push(toAttempt(results.get(key), attempt)));
+
+      // A crashed attempt leaves no report, so the next one retries the same pairs
+      if (fs.existsSync(retry.reportPath)) {
+        pendingReport = retry.reportPath;
+      }
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const tests = failed.map(({ pair }) => {
+    const mismatch = pair.diff && pair.diff.misMatchPercentage !== undefined ? Number(pair.diff.misMatchPercentage) : null;
+    const results = attempts.get(testKey(pair));
+    return {
+      label: pair.label,
+      viewport: pair.viewportLabel,
+      selector: pair.selector,
+      url: pair.url || null,
+      classification: classify(results),
+      misMatchPercentage: Number.isNaN(mismatch) ? null : mismatch,
+      threshold: pair.misMatchThreshold !== undefined ? pair.misMatchThreshold : null,
+      attempts: results,
+    };
+  });
+
+  const counts = { failing: 0, flaky: 0, error: 0 };
+  tests.forEach((test) => counts[test.classification]++);
+
+  return { report: hashReport(reportPath), retries, createdAt: new Date().toISOString(), counts, tests };
+}
+
+/**
+ * Writes the classification next to the report it belongs to
+ * @param {Object} result - From retryFailures
+ * @param {string} [reportPath] - The run's jsonReport.json
+ * @returns {string} - Path of retries.json
+ */
+function writeRetries(result, reportPath = JSON_REPORT_PATH) {
+  const outPath = retriesPath(reportPath);
+  fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
+  return outPath;
+}
+
+/**
+ * Reads the classification of a run's failures
+ * @param {string} [reportPath] - The run's jsonReport.json
+ * @returns {Object|null} - From retryFailures, null if there is none or it belongs to another run
+ */
+function readRetries(reportPath = JSON_REPORT_PATH) {
+  const outPath = retriesPath(reportPath);
+  if (!fs.existsSync(outPath) || !fs.existsSync(reportPath)) {
+    return null;
+  }
+  const result = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+  return result.report === hashReport(reportPath) ? result : null;
+}
+
+/**
+ * Describes the retries of a test, e.g. "flaky, passed on retry 2"
+ * @param {Object} test - Test from retryFailures
+ * @returns {string} - Plain text
+ */
+function formatRetry(test) {
+  const total = test.attempts.length;
+  if (test.classification === 'flaky') {
+    const passed = test.attempts.find((attempt) => attempt.status === 'pass');
+    return `flaky, passed on retry ${passed.attempt}`;
+  }
+  if (test.classification === 'error') {
+    const last = test.attempts[total - 1];
+    return `error on retry${last && last.error ? `: ${last.error}` : ''}`;
+  }
+  const mismatches = test.attempts.map((attempt) => `${attempt.misMatchPercentage}%`).join(', ');
+  return `failed all ${total} retries (${mismatches})`;
+}
+
+/**
+ * Works out the exit code of a run after its retries
+ * @param {Object|null} result - From retryFailures
+ * @param {boolean} allowFlaky - Whether flaky failures pass
+ * @returns {number} - 0 or 1
+ */
+function retryExitCode(result, allowFlaky) {
+  if (!result) {
+    return 0;
+  }
+  const { failing, error, flaky } = result.counts;
+  return failing + error > 0 || (flaky > 0 && !allowFlaky) ? 1 : 0;
+}
+
+/**
+ * Prints the classification of each failed test
+ * @param {Object} result - From retryFailures
+ */
+function printRetries(result) {
+  const { failing, flaky, error } = result.counts;
+  console.log(`\n📝 After ${result.retries} retries: ${failing} failing, ${flaky} flaky, ${error} errors`);
+  result.tests.forEach((test) => {
+    const icon = { failing: '✗', flaky: '⚠️ ', error: '✗' }[test.classification];
+    console.log(`  ${icon} ${test.label} (${test.viewport})${test.selector !== 'document' ? ` ${test.selector}` : ''}: ${formatRetry(test)}`);
+  });
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = {
+    configPath: 'backstop.json',
+    reportPath: JSON_REPORT_PATH,
+    retries: DEFAULT_RETRIES,
+    allowFlaky: false,
+    githubOutput: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    } else if (argv[i] === '--report' && i + 1 < argv.length) {
+      config.reportPath = path.resolve(argv[++i]);
+    } else if (argv[i] === '--retries' && i + 1 < argv.length) {
+      config.retries = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--allow-flaky') {
+      config.allowFlaky = true;
+    } else if (argv[i] === '--github-output') {
+      config.githubOutput = true;
+    }
+  }
+
+  return config;
+}
+
+async function main() {
+  const args = parseArgs();
+  if (!(args.retries >= 1)) {
+    throw new Error('--retries must be at least 1');
+  }
+
+  const config = JSON.parse(fs.readFileSync(path.resolve(ROOT_PATH, args.configPath), 'utf8'));
+  const result = await retryFailures({ config, reportPath: args.reportPath, retries: args.retries });
+
+  if (!result) {
+    console.log('ℹ No failed tests to retry');
+  } else {
+    printRetries(result);
+    console.log(`✓ Wrote ${path.relative(ROOT_PATH, writeRetries(result, args.reportPath))}`);
+  }
+
+  if (args.githubOutput && process.env.GITHUB_OUTPUT) {
+    const counts = result ? result.counts : { failing: 0, flaky: 0, error: 0 };
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `flaky=${counts.flaky}\nfailing=${counts.failing}\nretry_errors=${counts.error}\n`);
+  }
+  process.exitCode = retryExitCode(result, args.allowFlaky);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  RETRIES_FILE,
+  classify,
+  retryFailures,
+  writeRetries,
+  readRetries,
+  formatRetry,
+  retryExitCode,
+  printRetries,
+};
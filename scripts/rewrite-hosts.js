@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const DEFAULT_RULES_PATH = path.join(ROOT_PATH, 'host-rewrite.json');
+
+const DEFAULT_VARS = {
+  testBranch: 'stage',
+  referenceBranch: 'main',
+  testEnv: 'branch',
+  referenceEnv: 'branch',
+};
+
+// branch--repo--owner.aem.live / .aem.page
+const EDS_HOST_RE = /^([a-z0-9-]+?)--([a-z0-9-]+--[a-z0-9-]+)\.aem\.(live|page)$/i;
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/rewrite-hosts.js [options]
+
+Rewrites scenario URLs, cookie domains and localStorage origins using the rules in
+host-rewrite.json. Files are rewritten in place unless --out-dir is given. The workflows
+and backstop-local.js both use it, so CI and local runs rewrite hosts the same way.
+
+host-rewrite.json:
+  environments   Origin per environment: branch (<branch>--site--org), preview (.aem.page),
+                 live (.aem.live) and local (http://localhost:3000 from "aem up")
+  rules          Each one of the following, "side": "test" or "reference" limits it to that side:
+                   { match, environment, branch }  hosts matching the regex move to an environment
+                   { match, replace }              regex replacement of the host
+                   { host, to }                    one host to another
+
+Options:
+  --test-branch <name>   Branch for test URLs (default: ${DEFAULT_VARS.testBranch})
+  --ref-branch <name>    Branch for reference URLs (default: ${DEFAULT_VARS.referenceBranch})
+  --test-env <name>      Environment for test URLs: branch, preview, live, local (default: ${DEFAULT_VARS.testEnv})
+  --ref-env <name>       Environment for reference URLs (default: ${DEFAULT_VARS.referenceEnv})
+  --rules <path>         Rules file (default: host-rewrite.json)
+  --config <path>        Backstop config (default: backstop.json)
+  --cookies <path>       Storage state (default: engineOptions.storageState of the config)
+  --out-dir <dir>        Write rewritten copies here instead of rewriting in place
+  --help                 Show this help message
+
+Examples:
+  # Compare a feature branch preview against main
+  node scripts/rewrite-hosts.js --test-branch feature/hero --test-env preview
+
+  # Compare a local "aem up" server against main
+  node scripts/rewrite-hosts.js --test-env local
+`);
+}
+
+/**
+ * Turns a git branch name into the form EDS uses in hostnames, e.g. "feature/Hero" -> "feature-hero"
+ * @param {string} branch - The git branch name
+ * @returns {string} - The host-safe branch name
+ */
+function toHostBranch(branch) {
+  return String(branch)
+    .toLowerCase()
+    .replace(/--$/, '')
+    .replace(/[^a-z0-9-]/g, '-');
+}
+
+function fillTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+/**
+ * Splits a rewrite target into protocol and host. Targets are either an origin
+ * ("http://localhost:3000") or a bare host ("feature--site--org.aem.page").
+ * @param {string} target - The target
+ * @returns {{protocol: string|null, host: string, hostname: string}} - protocol is null for bare hosts
+ */
+function parseTarget(target) {
+  if (target.includes('://')) {
+    const url = new URL(target);
+    return { protocol: url.protocol, host: url.host, hostname: url.hostname };
+  }
+  return { protocol: null, host: target, hostname: target.split(':')[0] };
+}
+
+function loadRules(rulesPath = DEFAULT_RULES_PATH) {
+  if (!fs.existsSync(rulesPath)) {
+    throw new Error(`Host rewrite rules not found: ${rulesPath}`);
+  }
+  return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+}
+
+/**
+ * Compiles the rules file into a rewriter. Each hostname is rewritten by the first
+ * matching rule only, so chained rules (stage -> main -> ...) cannot cascade.
+ *
+ * Rules take one of three forms, all accepting {testBranch}-style variables:
+ * - { "match": "<regex>", "environment": "<name>", "branch": "<branch>" } maps an EDS host to a named environment
+ * - { "match": "<regex>", "replace": "<replacement>" } rewrites the hostname with a regex
+ * - { "host": "<hostname>", "to": "<hostname or origin>" } maps one host to another
+ * A rule with "side": "test" or "reference" only applies to that side's scenario URLs.
+ *
+ * @param {Object} rules - Parsed rules file
+ * @param {Object} [vars] - Overrides for DEFAULT_VARS
+ * @returns {Object} - { rewriteUrl(url, side), rewriteDomain(domain), rewriteOrigin(origin) }
+ */
+function createRewriter(rules, vars = {}) {
+  const values = { ...DEFAULT_VARS };
+  Object.entries(vars).forEach(([name, value]) => {
+    if (value) {
+      values[name] = value;
+    }
+  });
+  values.testBranch = toHostBranch(values.testBranch);
+  values.referenceBranch = toHostBranch(values.referenceBranch);
+
+  const environments = rules.environments || {};
+
+  const compiled = (rules.rules || []).map((rule, index) => {
+    const where = `host rewrite rule ${index + 1}`;
+
+    if (rule.host) {
+      return { side: rule.side, test: (hostname) => hostname === rule.host, target: () => fillTemplate(rule.to, values) };
+    }
+
+    if (!rule.match) {
+      throw new Error(`${where} needs either "host" or "match"`);
+    }
+    const re = new RegExp(fillTemplate(rule.match, values), 'i');
+
+    if (rule.environment) {
+      const name = fillTemplate(rule.environment, values);
+      if (!environments[name]) {
+        throw new Error(`${where}: unknown environment "${name}" (available: ${Object.keys(environments).join(', ')})`);
+      }
+
+      return {
+        side: rule.side,
+        test: (hostname) => re.test(hostname),
+        target: (hostname) => {
+          const eds = hostname.match(EDS_HOST_RE);
+          const target = fillTemplate(environments[name], {
+            ...values,
+            branch: toHostBranch(fillTemplate(rule.branch || '{testBranch}', values)),
+            site: eds ? eds[2] : '',
+            tld: eds ? eds[3] : 'live',
+          });
+          return eds || !/\{site\}|\{tld\}/.test(environments[name]) ? target : null;
+        },
+      };
+    }
+
+    if (rule.replace === undefined) {
+      throw new Error(`${where} needs "environment" or "replace" alongside "match"`);
+    }
+    return {
+      side: rule.side,
+      test: (hostname) => re.test(hostname),
+      target: (hostname) => hostname.replace(re, fillTemplate(rule.replace, values)),
+    };
+  });
+
+  const findTarget = (hostname, side) => {
+    const rule = compiled.find((r) => (!side || !r.side || r.side === side) && r.test(hostname));
+    const target = rule && rule.target(hostname);
+    return target ? parseTarget(target) : null;
+  };
+
+  const rewriteUrl = (value, side) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return value;
+    }
+
+    const target = findTarget(url.hostname, side);
+    if (!target) {
+      return value;
+    }
+
+    const rewritten = `${target.protocol || url.protocol}//${target.host}${url.pathname}${url.search}${url.hash}`;
+    // Keep bare origins (and the home page) exactly as written, without a trailing slash
+    return /^[a-z]+:\/\/[^/]+$/i.test(value) && url.pathname === '/' && !url.search && !url.hash
+      ? rewritten.replace(/\/$/, '')
+      : rewritten;
+  };
+
+  const rewriteDomain = (domain) => {
+    if (!domain) {
+      return domain;
+    }
+
+    const leadingDot = domain.startsWith('.');
+    const target = findTarget(leadingDot ? domain.slice(1) : domain);
+    if (!target) {
+      return domain;
+    }
+
+    // localhost and IPs don't accept domain cookies
+    const isLocal = target.hostname === 'localhost' || /^[\d.]+$/.test(target.hostname);
+    return leadingDot && !isLocal ? `.${target.hostname}` : target.hostname;
+  };
+
+  return { rewriteUrl, rewriteDomain, rewriteOrigin: (origin) => rewriteUrl(origin) };
+}
+
+function logChange(label, before, after) {
+  if (before !== after) {
+    console.log(`  ${label}: ${before} → ${after}`);
+  }
+}
+
+/**
+ * Rewrites scenario URLs in a backstop config
+ * @param {Object} config - Parsed backstop.json
+ * @param {Object} rewriter - From createRewriter
+ * @returns {Object} - A rewritten copy
+ */
+function rewriteBackstopConfig(config, rewriter) {
+  const rewritten = JSON.parse(JSON.stringify(config));
+
+  (rewritten.scenarios || []).forEach((scenario) => {
+    if (scenario.url) {
+      const url = rewriter.rewriteUrl(scenario.url, 'test');
+      logChange('URL', scenario.url, url);
+      scenario.url = url;
+    }
+    if (scenario.referenceUrl) {
+      const referenceUrl = rewriter.rewriteUrl(scenario.referenceUrl, 'reference');
+      logChange('Ref', scenario.referenceUrl, referenceUrl);
+      scenario.referenceUrl = referenceUrl;
+    }
+  });
+
+  return rewritten;
+}
+
+/**
+ * Rewrites cookie domains and localStorage origins in a Playwright storage state
+ * @param {Object} state - Parsed cookies.json
+ * @param {Object} rewriter - From createRewriter
+ * @returns {Object} - A rewritten copy
+ */
+function rewriteStorageState(state, rewriter) {
+  const rewritten = JSON.parse(JSON.stringify(state));
+
+  (rewritten.cookies || []).forEach((cookie) => {
+    const domain = rewriter.rewriteDomain(cookie.domain);
+    logChange('Cookie domain', cookie.domain, domain);
+    cookie.domain = domain;
+  });
+
+  (rewritten.origins || []).forEach((origin) => {
+    const rewrittenOrigin = rewriter.rewriteOrigin(origin.origin);
+    logChange('localStorage origin', origin.origin, rewrittenOrigin);
+    origin.origin = rewrittenOrigin;
+  });
+
+  return rewritten;
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const flags = {
+    '--test-branch': 'testBranch',
+    '--ref-branch': 'referenceBranch',
+    '--test-env': 'testEnv',
+    '--ref-env': 'referenceEnv',
+    '--rules': 'rulesPath',
+    '--config': 'configPath',
+    '--cookies': 'cookiesPath',
+    '--out-dir': 'outDir',
+  };
+  const config = { configPath: 'backstop.json' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    }
+    if (flags[argv[i]] && i + 1 < argv.length) {
+      config[flags[argv[i]]] = argv[i + 1];
+      i++;
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const rewriter = createRewriter(loadRules(args.rulesPath), args);
+
+  const config = JSON.parse(fs.readFileSync(args.configPath, 'utf8'));
+  const cookiesPath = args.cookiesPath || (config.engineOptions && config.engineOptions.storageState);
+
+  const outPath = (file) => (args.outDir ? path.join(args.outDir, path.basename(file)) : file);
+  if (args.outDir) {
+    fs.mkdirSync(args.outDir, { recursive: true });
+  }
+
+  console.log('📝 Rewriting hosts...');
+  const rewritten = rewriteBackstopConfig(config, rewriter);
+
+  if (cookiesPath && fs.existsSync(cookiesPath)) {
+    const state = JSON.parse(fs.readFileSync(cookiesPath, 'utf8'));
+    fs.writeFileSync(outPath(cookiesPath), JSON.stringify(rewriteStorageState(state, rewriter), null, 2));
+    console.log(`✓ Updated ${outPath(cookiesPath)}`);
+
+    if (args.outDir && rewritten.engineOptions && rewritten.engineOptions.storageState) {
+      rewritten.engineOptions.storageState = outPath(cookiesPath);
+    }
+  } else {
+    console.log('ℹ No cookies.json file found, skipping cookie updates');
+  }
+
+  fs.writeFileSync(outPath(args.configPath), JSON.stringify(rewritten, null, 2));
+  console.log(`✓ Updated ${outPath(args.configPath)}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH,
+  EDS_HOST_RE,
+  toHostBranch,
+  loadRules,
+  createRewriter,
+  rewriteBackstopConfig,
+  rewriteStorageState,
+};
@@ -0,0 +1,100 @@
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+
+const JSON_REPORT_PATH = path.join(__dirname, '..', 'backstop_data', 'json_report', 'jsonReport.json');
+
+/**
+ * Reads the label/viewport pairs that failed in the last test run
+ * @param {string} [reportPath] - Path to jsonReport.json
+ * @returns {Map<string, Set<string>>} - Failed viewport labels keyed by scenario label
+ */
+function readFailedTests(reportPath = JSON_REPORT_PATH) {
+  if (!fs.existsSync(reportPath)) {
+    throw new Error(`No previous test report found at ${path.relative(process.cwd(), reportPath)} - run a test first`);
+  }
+
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  const failed = new Map();
+
+  (report.tests || [])
+    .filter((test) => test.status === 'fail')
+    .forEach((test) => {
+      if (!failed.has(test.pair.label)) {
+        failed.set(test.pair.label, new Set());
+      }
+      failed.get(test.pair.label).add(test.pair.viewportLabel);
+    });
+
+  return failed;
+}
+
+/**
+ * Checks a scenario label against the --label / --label-regex filters
+ * @param {string} label - Scenario label
+ * @param {Object} filters - { labels: string[], labelRegex: string|null }
+ * @returns {boolean} - True if the label is selected
+ */
+function matchesLabel(label, { labels = [], labelRegex = null }) {
+  if (labels.length > 0 && !labels.includes(label)) {
+    return false;
+  }
+  return !labelRegex || new RegExp(labelRegex, 'i').test(label);
+}
+
+/**
+ * Narrows a backstop config to the scenarios and viewports selected by the filters.
+ * Selected viewports are set on each scenario, so the global viewport list and the
+ * bitmap names of everything else stay untouched.
+ * @param {Object} config - Parsed backstop config
+ * @param {Object} filters - { labels: string[], labelRegex: string|null, viewports: string[], changedOnly: boolean }
+ * @param {string} [reportPath] - jsonReport.json used by `changedOnly`
+ * @returns {{config: Object, selection: Array<{label: string, viewports: string[]}>}} - Filtered copy and what was selected
+ */
+function filterScenarios(config, filters, reportPath) {
+  const { labels = [], labelRegex = null, viewports = [], changedOnly = false } = filters;
+  const filtered = JSON.parse(JSON.stringify(config));
+  const allViewports = filtered.viewports || [];
+  const failed = changedOnly ? readFailedTests(reportPath) : null;
+
+  labels
+    .filter((label) => !filtered.scenarios.some((scenario) => scenario.label === label))
+    .forEach((label) => console.log(`⚠️  No scenario labelled "${label}"`));
+
+  const knownViewports = new Set(allViewports.map((vp) => vp.label));
+  filtered.scenarios.forEach((scenario) => (scenario.viewports || []).forEach((vp) => knownViewports.add(vp.label)));
+  viewports
+    .filter((name) => !knownViewports.has(name))
+    .forEach((name) => console.log(`⚠️  No viewport labelled "${name}" (available: ${[...knownViewports].join(', ')})`));
+
+  const selection = [];
+  filtered.scenarios = filtered.scenarios.filter((scenario) => {
+    if (!matchesLabel(scenario.label, { labels, labelRegex })) {
+      return false;
+    }
+    if (failed && !failed.has(scenario.label)) {
+      return false;
+    }
+
+    const scenarioViewports = (scenario.viewports && scenario.viewports.length > 0 ? scenario.viewports : allViewports).filter(
+      (vp) => (viewports.length === 0 || viewports.includes(vp.label)) && (!failed || failed.get(scenario.label).has(vp.label))
+    );
+    if (scenarioViewports.length === 0) {
+      return false;
+    }
+
+    scenario.viewports = scenarioViewports;
+    selection.push({ label: scenario.label, viewports: scenarioViewports.map((vp) => vp.label) });
+    return true;
+  });
+
+  return { config: filtered, selection };
+}
+
+module.exports = {
+  JSON_REPORT_PATH,
+  readFailedTests,
+  matchesLabel,
+  filterScenarios,
+};
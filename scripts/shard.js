@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { applyComparisons, comparisonExitCode, printComparisons } = require('./compare');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const SHARDS_DIR = 'backstop_data/shards';
+const TIMINGS_PATH = path.join(ROOT_PATH, 'backstop_data', 'shard_timings.json');
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/shard.js --shard <index>/<total> [options]
+
+Splits the scenarios in backstop.json into <total> shards and writes the config for
+shard <index> to ${SHARDS_DIR}/shard-<index>/backstop.json. Shards are balanced with
+the per-scenario timings from earlier runs when available, and the split only depends
+on the config and the timings file, so every runner computes the same shards.
+
+Options:
+  --shard <i>/<n>     Shard to write, e.g. 2/3
+  --config <path>     Backstop config (default: backstop.json)
+  --timings <path>    Timings from earlier runs (default: backstop_data/shard_timings.json)
+  --plan              Print the scenarios of every shard without writing anything
+  --run               Run "backstop test" for the shard, then the comparison stage of
+                      scripts/compare.js, and record its duration
+  --help              Show this help message
+
+Results are written to ${SHARDS_DIR}/shard-<index>/. Combine them with:
+  node scripts/merge-reports.js
+
+Examples:
+  # See how the scenarios would be split over 3 runners
+  node scripts/shard.js --shard 1/3 --plan
+
+  # Run the second of three shards locally
+  node scripts/shard.js --shard 2/3 --run
+`);
+}
+
+/**
+ * Reads the per-scenario timings written by scripts/merge-reports.js
+ * @param {string} [timingsPath] - Path to shard_timings.json
+ * @returns {Object<string, number>} - Milliseconds keyed by scenario label, empty if there are none yet
+ */
+function readTimings(timingsPath = TIMINGS_PATH) {
+  if (!fs.existsSync(timingsPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(timingsPath, 'utf8')).labels || {};
+  } catch (error) {
+    console.log(`Warning: Could not parse ${timingsPath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * The output paths of a shard, relative to the project root
+ * @param {number} index - 1-based shard index
+ * @returns {Object} - { root, bitmaps_test, html_report, json_report, ci_report }
+ */
+function shardPaths(index) {
+  const root = `${SHARDS_DIR}/shard-${index}`;
+  return {
+    root,
+    bitmaps_test: `${root}/bitmaps_test`,
+    html_report: `${root}/html_report`,
+    json_report: `${root}/json_report`,
+    ci_report: `${root}/ci_report`,
+  };
+}
+
+/**
+ * Splits scenarios into shards, placing the slowest scenario on the least loaded shard first.
+ * Scenarios without timings are weighted by viewport count, scaled to the average known
+ * time per viewport. Ties are broken by label and shard index, so the result is deterministic.
+ * @param {Object} config - Parsed backstop config
+ * @param {number} total - Number of shards
+ * @param {Object<string, number>} [timings] - From readTimings
+ * @returns {Array<{index: number, labels: string[], estimate: number}>} - One entry per shard
+ */
+function planShards(config, total, timings = {}) {
+  const viewportCount = (scenario) =>
+    (scenario.viewports && scenario.viewports.length > 0 ? scenario.viewports : config.viewports || []).length || 1;
+
+  const known = config.scenarios.filter((scenario) => timings[scenario.label] > 0);
+  const perViewport =
+    known.length > 0
+      ? known.reduce((sum, scenario) => sum + timings[scenario.label] / viewportCount(scenario), 0) / known.length
+      : 1;
+
+  const weighted = config.scenarios
+    .map((scenario) => ({
+      label: scenario.label,
+      weight: timings[scenario.label] > 0 ? timings[scenario.label] : viewportCount(scenario) * perViewport,
+    }))
+    .sort((a, b) => b.weight - a.weight || (a.label < b.label ? -1 : a.label > b.label ? 1 : 0));
+
+  const shards = Array.from({ length: total }, (_, i) => ({ index: i + 1, labels: [], estimate: 0 }));
+  weighted.forEach(({ label, weight }) => {
+    const lightest = shards.reduce((min, shard) => (shard.estimate < min.estimate ? shard : min));
+    lightest.labels.push(label);
+    lightest.estimate += weight;
+  });
+
+  return shards;
+}
+
+/**
+ * Builds the backstop config for one shard. Test output goes to the shard's own directories,
+ * references are shared with the main config.
+ * @param {Object} config - Parsed backstop config
+ * @param {number} index - 1-based shard index
+ * @param {number} total - Number of shards
+ * @param {Object<string, number>} [timings] - From readTimings
+ * @returns {{config: Object, shard: Object}} - The shard config and its plan entry with paths
+ */
+function buildShardConfig(config, index, total, timings = {}) {
+  const shard = planShards(config, total, timings)[index - 1];
+  const labels = new Set(shard.labels);
+  const paths = shardPaths(index);
+
+  const shardConfig = JSON.parse(JSON.stringify(config));
+  shardConfig.scenarios = shardConfig.scenarios.filter((scenario) => labels.has(scenario.label));
+  shardConfig.paths = {
+    ...shardConfig.paths,
+    bitmaps_test: paths.bitmaps_test,
+    html_report: paths.html_report,
+    json_report: paths.json_report,
+    ci_report: paths.ci_report,
+  };
+
+  return { config: shardConfig, shard: { ...shard, total, paths } };
+}
+
+function parseShard(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(value || '');
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > Number(match[2])) {
+    throw new Error(`--shard must look like <index>/<total>, e.g. 1/3 (got "${value}")`);
+  }
+  return { index: Number(match[1]), total: Number(match[2]) };
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { shard: null, configPath: 'backstop.json', timingsPath: TIMINGS_PATH, plan: false, run: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--plan') {
+      config.plan = true;
+    } else if (argv[i] === '--run') {
+      config.run = true;
+    } else if (argv[i] === '--shard' && i + 1 < argv.length) {
+      config.shard = argv[++i];
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    } else if (argv[i] === '--timings' && i + 1 < argv.length) {
+      config.timingsPath = argv[++i];
+    }
+  }
+
+  return config;
+}
+
+function runBackstopTest(configPath) {
+  return new Promise((resolve, reject) => {
+    console.log(`\n🚀 Running backstop test with ${configPath}...`);
+    const backstopProcess = spawn('npx', ['backstop', 'test', `--config=${configPath}`], {
+      cwd: ROOT_PATH,
+      stdio: 'inherit',
+      shell: true,
+    });
+    backstopProcess.on('close', resolve);
+    backstopProcess.on('error', reject);
+  });
+}
+
+async function main() {
+  const args = parseArgs();
+  const { index, total } = parseShard(args.shard);
+  const config = JSON.parse(fs.readFileSync(args.configPath, 'utf8'));
+  const timings = readTimings(args.timingsPath);
+
+  if (args.plan) {
+    console.log(`📝 ${config.scenarios.length} scenarios over ${total} shards`);
+    planShards(config, total, timings).forEach((shard) => {
+      console.log(`\nShard ${shard.index}/${total} (estimate: ${Math.round(shard.estimate)})`);
+      shard.labels.forEach((label) => console.log(`  ${label}`));
+    });
+    return;
+  }
+
+  const { config: shardConfig, shard } = buildShardConfig(config, index, total, timings);
+  const shardRoot = path.join(ROOT_PATH, shard.paths.root);
+  const configPath = path.join(shard.paths.root, 'backstop.json');
+  const manifestPath = path.join(shardRoot, 'shard.json');
+
+  fs.mkdirSync(shardRoot, { recursive: true });
+  fs.writeFileSync(path.join(ROOT_PATH, configPath), JSON.stringify(shardConfig, null, 2));
+  console.log(`✓ Shard ${index}/${total}: ${shard.labels.length} scenarios → ${configPath}`);
+  shard.labels.forEach((label) => console.log(`  ${label}`));
+
+  const manifest = { ...shard, durationMs: null, exitCode: null };
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+  if (!args.run) {
+    return;
+  }
+
+  if (shard.labels.length === 0) {
+    console.log('ℹ No scenarios in this shard, nothing to run');
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, durationMs: 0, exitCode: 0 }, null, 2));
+    return;
+  }
+
+  const startedAt = Date.now();
+  let exitCode = await runBackstopTest(configPath);
+  // Before the reports are merged, so every shard report already has the comparison stage's outcome
+  const comparisons = applyComparisons(shardConfig, { since: startedAt });
+  if (comparisons) {
+    printComparisons(comparisons);
+    exitCode = comparisonExitCode(exitCode, comparisons);
+  }
+  fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, durationMs: Date.now() - startedAt, exitCode }, null, 2));
+  console.log(`${exitCode === 0 ? '✓' : '✗'} Shard ${index}/${total} finished with exit code ${exitCode}`);
+  process.exitCode = exitCode;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SHARDS_DIR,
+  TIMINGS_PATH,
+  readTimings,
+  shardPaths,
+  planShards,
+  buildShardConfig,
+};
@@ -0,0 +1,266 @@
+/* eslint-disable no-console */
+
+const https = require('https');
+const http = require('http');
+
+/**
+ * Converts a path glob into a regular expression.
+ * `*` matches within a single path segment, `**` matches across segments.
+ * @param {string} glob - The glob, e.g. "/blog/*" or "/products/**"
+ * @returns {RegExp} - Anchored expression matching whole paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Filters paths by include/exclude globs and caps the result
+ * @param {string[]} paths - Page paths from the index
+ * @param {Object} options - `include` and `exclude` glob lists, `max` page count
+ * @returns {string[]} - Matching, de-duplicated paths
+ */
+function filterPaths(paths, { include = [], exclude = [], max = Infinity } = {}) {
+  const includeRes = include.map(globToRegExp);
+  const excludeRes = exclude.map(globToRegExp);
+  const seen = new Set();
+
+  return paths
+    .filter((pagePath) => {
+      if (seen.has(pagePath)) {
+        return false;
+      }
+      seen.add(pagePath);
+
+      if (includeRes.length > 0 && !includeRes.some((re) => re.test(pagePath))) {
+        return false;
+      }
+      return !excludeRes.some((re) => re.test(pagePath));
+    })
+    .slice(0, max > 0 ? max : undefined);
+}
+
+/**
+ * Fetches a URL and resolves with the response body, following redirects
+ * @param {string} url - The URL to fetch
+ * @param {number} redirects - Remaining redirects to follow
+ * @returns {Promise<string>} - The response body
+ */
+function fetchText(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const client = urlObj.protocol === 'https:' ? https : http;
+
+    const req = client.get(urlObj, { timeout: 10000 }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        resolve(fetchText(new URL(res.headers.location, url).href, redirects - 1));
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Request to ${url} failed with status ${res.statusCode}`));
+        return;
+      }
+
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve(body));
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request to ${url} timed out`));
+    });
+  });
+}
+
+// A sitemap index can list other indexes, these bound how far and how many are read
+const MAX_SITEMAP_DEPTH = 3;
+const MAX_SITEMAPS = 50;
+
+function readLocs(xml, element) {
+  const locs = [];
+  const re = new RegExp(`<${element}\\b[^>]*>([\\s\\S]*?)</${element}>`, 'g');
+  let match;
+
+  while ((match = re.exec(xml)) !== null) {
+    const loc = match[1].match(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/);
+    if (loc) {
+      locs.push(loc[1].replace(/&amp;/g, '&'));
+    }
+  }
+
+  return locs;
+}
+
+/**
+ * Extracts page paths from a sitemap.xml document
+ * @param {string} xml - The sitemap contents
+ * @returns {string[]} - Paths of the <loc> of every <url> entry
+ */
+function parseSitemap(xml) {
+  const paths = [];
+
+  readLocs(xml, 'url').forEach((loc) => {
+    try {
+      paths.push(new URL(loc).pathname);
+    } catch (error) {
+      console.log(`Skipping invalid sitemap entry: ${loc}`);
+    }
+  });
+
+  return paths;
+}
+
+/**
+ * Extracts the child sitemap URLs of a sitemap index
+ * @param {string} xml - The sitemap contents
+ * @returns {string[]|null} - URLs of every <sitemap> entry, null if the document is not a <sitemapindex>
+ */
+function parseSitemapIndex(xml) {
+  return /<sitemapindex\b/.test(xml) ? readLocs(xml, 'sitemap') : null;
+}
+
+/**
+ * Reads the page paths of a sitemap, following sitemap indexes
+ * @param {string} url - URL of the sitemap
+ * @param {string} xml - Its contents
+ * @param {Object} [options] - { depth, fetcher, counter }. `counter.read` counts the sitemaps read
+ *   across the whole recursion.
+ * @returns {Promise<string[]>} - Page paths in sitemap order
+ */
+async function fetchSitemapPaths(url, xml, { depth = 0, fetcher = fetchText, counter = { read: 1 } } = {}) {
+  const children = parseSitemapIndex(xml);
+  if (!children) {
+    return parseSitemap(xml);
+  }
+  if (depth >= MAX_SITEMAP_DEPTH) {
+    console.log(`Warning: Not following sitemap index ${url}, it is nested more than ${MAX_SITEMAP_DEPTH} levels deep`);
+    return [];
+  }
+
+  const paths = [];
+  for (const child of children) {
+    if (counter.read >= MAX_SITEMAPS) {
+      console.log(`Warning: Only the first ${MAX_SITEMAPS} sitemaps are read, skipping the rest of ${url}`);
+      break;
+    }
+    counter.read++;
+
+    const childUrl = new URL(child, url).href;
+    try {
+      const body = await fetcher(childUrl);
+      paths.push(...(await fetchSitemapPaths(childUrl, body, { depth: depth + 1, fetcher, counter })));
+    } catch (error) {
+      console.log(`Warning: Could not read sitemap ${childUrl}: ${error.message}`);
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Reads page paths from an EDS query-index.json or sitemap.xml.
+ * Paginated query indexes are followed until `total` entries have been read,
+ * and sitemap indexes are followed to their sitemaps.
+ * @param {string} indexUrl - URL of the index
+ * @param {Function} [fetcher] - Fetches a URL and resolves with its body, defaults to fetchText
+ * @returns {Promise<string[]>} - Page paths in index order
+ */
+async function fetchIndexPaths(indexUrl, fetcher = fetchText) {
+  const body = await fetcher(indexUrl);
+
+  if (body.trimStart().startsWith('<')) {
+    return fetchSitemapPaths(indexUrl, body, { fetcher });
+  }
+
+  let page = JSON.parse(body);
+  const paths = [];
+
+  for (;;) {
+    const entries = page.data || [];
+    entries.forEach((entry) => {
+      if (entry.path) {
+        paths.push(entry.path);
+      }
+    });
+
+    const offset = (page.offset || 0) + entries.length;
+    if (entries.length === 0 || !page.total || offset >= page.total) {
+      break;
+    }
+
+    const nextUrl = new URL(indexUrl);
+    nextUrl.searchParams.set('offset', offset);
+    page = JSON.parse(await fetcher(nextUrl.href));
+  }
+
+  return paths;
+}
+
+/**
+ * Builds a readable scenario label from a page path, e.g.
+ * "/products/threat-intelligence" -> "Products Threat Intelligence Page"
+ * @param {string} pagePath - The page path
+ * @returns {string} - The scenario label
+ */
+function labelFromPath(pagePath) {
+  const words = pagePath
+    .split(/[/\-_]/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1));
+
+  if (words.length === 0) {
+    return 'Home Page';
+  }
+  return words[words.length - 1] === 'Page' ? words.join(' ') : `${words.join(' ')} Page`;
+}
+
+/**
+ * Makes a label unique among the ones already used by adding a number, e.g. "A B Page (2)".
+ * Different paths can give the same label ("/a-b" and "/a/b"), and BackstopJS names bitmaps by label.
+ * @param {string} label - The label
+ * @param {Set<string>} used - Labels taken so far, the returned one is added
+ * @returns {string} - The label, or the label with the first free number
+ */
+function uniqueLabel(label, used) {
+  let unique = label;
+  for (let n = 2; used.has(unique); n++) {
+    unique = `${label} (${n})`;
+  }
+  used.add(unique);
+  return unique;
+}
+
+module.exports = {
+  globToRegExp,
+  filterPaths,
+  fetchText,
+  parseSitemap,
+  parseSitemapIndex,
+  fetchSitemapPaths,
+  fetchIndexPaths,
+  labelFromPath,
+  uniqueLabel,
+};
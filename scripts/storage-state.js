@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesHost, scenarioOrigins, mergeStorageStates } = require('./login');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const DEFAULT_TEMPLATE_PATH = path.join(ROOT_PATH, 'backstop_data', 'engine_scripts', 'storage-template.json');
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/storage-state.js [options]
+
+Expands the cookie and localStorage templates into a Playwright storage state for every
+host of the scenarios' url and referenceUrl, and adds them to the config's storage state
+(engineOptions.storageState). Run it after the hosts are final, i.e. after rewrite-hosts.js
+and parse-pr-urls.js, so every host gets the entries.
+
+"npm test" and "npm run reference" run BackstopJS on the committed backstop.json and storage
+state directly, so the committed cookies.json keeps the entries for the committed hosts. Run
+this script after changing the template or the hosts, commit the result, and use --check to
+find a storage state that is out of date.
+
+storage-template.json:
+  {
+    "cookies": [
+      { "name": "hide-banner", "value": "true" },                 // set on every host
+      { "name": "consent", "value": "1", "hosts": ["*.aem.live"] } // only on matching hosts
+    ],
+    "localStorage": [
+      { "name": "indexToUse", "value": "prod_RF_SITE" }
+    ]
+  }
+
+  Cookies default to domain ".{host}" (just "{host}" for localhost and IPs), path "/" and
+  sameSite "Lax". {host}, {hostname} and {origin} are filled in wherever they appear.
+
+Options:
+  --config <path>        Backstop config to update (default: backstop.json)
+  --template <path>      Templates (default: backstop_data/engine_scripts/storage-template.json)
+  --out <path>           Where to write the storage state (default: the config's storage state, in place)
+  --check                Exit with 1 if the config's storage state is missing template entries
+                         instead of writing it
+  --help                 Show this help message
+`);
+}
+
+/**
+ * Reads and checks the templates
+ * @param {string} [templatePath] - Path to storage-template.json
+ * @returns {{cookies: Array<Object>, localStorage: Array<Object>}|null} - Null when the file does not exist
+ */
+function loadTemplate(templatePath = DEFAULT_TEMPLATE_PATH) {
+  if (!fs.existsSync(templatePath)) {
+    return null;
+  }
+
+  const template = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+  const result = { cookies: template.cookies || [], localStorage: template.localStorage || [] };
+  Object.entries(result).forEach(([key, entries]) => {
+    entries.forEach((entry, index) => {
+      if (!entry.name || typeof entry.value !== 'string') {
+        throw new Error(`${key}[${index}] in ${path.basename(templatePath)} needs a "name" and a string "value"`);
+      }
+      if (entry.hosts !== undefined && !Array.isArray(entry.hosts)) {
+        throw new Error(`${key}[${index}] in ${path.basename(templatePath)}: "hosts" must be a list of host patterns`);
+      }
+    });
+  });
+  return result;
+}
+
+function fill(value, placeholders) {
+  return typeof value === 'string' ? value.replace(/\{(host|hostname|origin)\}/g, (match, name) => placeholders[name]) : value;
+}
+
+function appliesTo(entry, host) {
+  return !entry.hosts || entry.hosts.some((pattern) => matchesHost(pattern, host));
+}
+
+/**
+ * Expands the templates for each origin
+ * @param {Object} template - From loadTemplate
+ * @param {string[]} origins - E.g. from scenarioOrigins
+ * @returns {{cookies: Array<Object>, origins: Array<Object>}} - A Playwright storage state
+ */
+function expandTemplate(template, origins) {
+  const state = { cookies: [], origins: [] };
+
+  origins.forEach((origin) => {
+    const { host, hostname } = new URL(origin);
+    const placeholders = { host, hostname, origin };
+    // localhost and IPs don't accept domain cookies
+    const isLocal = hostname === 'localhost' || /^[\d.]+$/.test(hostname);
+
+    template.cookies
+      .filter((entry) => appliesTo(entry, host))
+      .forEach(({ hosts, ...cookie }) => {
+        const domain = fill(cookie.domain || '.{hostname}', { ...placeholders, host: hostname });
+        state.cookies.push({
+          path: '/',
+          expires: -1,
+          httpOnly: false,
+          secure: false,
+          sameSite: 'Lax',
+          ...cookie,
+          name: fill(cookie.name, placeholders),
+          value: fill(cookie.value, placeholders),
+          domain: isLocal ? domain.replace(/^\./, '') : domain,
+        });
+      });
+
+    const localStorage = template.localStorage
+      .filter((entry) => appliesTo(entry, host))
+      .map(({ name, value }) => ({ name: fill(name, placeholders), value: fill(value, placeholders) }));
+    if (localStorage.length > 0) {
+      state.origins.push({ origin, localStorage });
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Adds the expanded templates to the config's storage state, writes it and points the config at it
+ * @param {Object} config - Parsed backstop config, with its final hosts
+ * @param {Object} options - { template (from loadTemplate), out, baseDir }. `out` defaults to the
+ *   config's storage state file, `baseDir` resolves engineOptions.storageState.
+ * @returns {{config: Object, path: string, hosts: string[]}} - An updated copy of the config, the
+ *   storage state path and the hosts that got entries
+ */
+function applyStorageTemplate(config, { template, out = null, baseDir = ROOT_PATH }) {
+  const storageState = config.engineOptions && config.engineOptions.storageState;
+  const basePath = typeof storageState === 'string' ? path.resolve(baseDir, storageState) : null;
+  const outPath = out || basePath;
+  if (!outPath) {
+    throw new Error('The config has no engineOptions.storageState, pass --out');
+  }
+
+  const origins = scenarioOrigins(config);
+  const expanded = expandTemplate(template, origins);
+  const base = basePath && fs.existsSync(basePath) ? JSON.parse(fs.readFileSync(basePath, 'utf8')) : {};
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, `${JSON.stringify(mergeStorageStates(base, [expanded]), null, 2)}\n`);
+
+  const entries = [...template.cookies, ...template.localStorage];
+  return {
+    config: { ...config, engineOptions: { ...config.engineOptions, storageState: outPath } },
+    path: outPath,
+    hosts: origins.map((origin) => new URL(origin).host).filter((host) => entries.some((entry) => appliesTo(entry, host))),
+  };
+}
+
+/**
+ * Lists the template entries that the config's storage state is missing for its hosts
+ * @param {Object} config - Parsed backstop config
+ * @param {Object} options - { template (from loadTemplate), baseDir }. `baseDir` resolves engineOptions.storageState.
+ * @returns {string[]} - E.g. 'cookie "hide-banner" for .main--site--org.aem.live', empty when nothing is missing
+ */
+function findMissingEntries(config, { template, baseDir = ROOT_PATH }) {
+  const storageState = config.engineOptions && config.engineOptions.storageState;
+  const statePath = typeof storageState === 'string' ? path.resolve(baseDir, storageState) : null;
+  // Also turns a plain cookie array into { cookies, origins }
+  const state = mergeStorageStates(statePath && fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {}, []);
+  const expanded = expandTemplate(template, scenarioOrigins(config));
+  const missing = [];
+
+  expanded.cookies.forEach((cookie) => {
+    const found = state.cookies.some(
+      (existing) =>
+        existing.name === cookie.name &&
+        existing.domain === cookie.domain &&
+        (existing.path || '/') === cookie.path &&
+        existing.value === cookie.value
+    );
+    if (!found) {
+      missing.push(`cookie "${cookie.name}" for ${cookie.domain}`);
+    }
+  });
+  expanded.origins.forEach(({ origin, localStorage }) => {
+    const entries = (state.origins.find((existing) => existing.origin === origin) || { localStorage: [] }).localStorage;
+    localStorage
+      .filter((entry) => !entries.some((existing) => existing.name === entry.name && existing.value === entry.value))
+      .forEach((entry) => missing.push(`localStorage "${entry.name}" for ${origin}`));
+  });
+
+  return missing;
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { configPath: 'backstop.json', templatePath: DEFAULT_TEMPLATE_PATH, out: null, check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--config' && i + 1 < argv.length) {
+      config.configPath = argv[++i];
+    } else if (argv[i] === '--template' && i + 1 < argv.length) {
+      config.templatePath = path.resolve(argv[++i]);
+    } else if (argv[i] === '--out' && i + 1 < argv.length) {
+      config.out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--check') {
+      config.check = true;
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const template = loadTemplate(args.templatePath);
+  if (!template) {
+    console.log(`ℹ No ${path.relative(ROOT_PATH, args.templatePath)} found, nothing to expand`);
+    return;
+  }
+
+  const configPath = path.resolve(ROOT_PATH, args.configPath);
+  const original = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  if (args.check) {
+    const missing = findMissingEntries(original, { template });
+    if (missing.length > 0) {
+      missing.forEach((entry) => console.log(`✗ No ${entry}`));
+      console.log('✗ The storage state is out of date, run: node scripts/storage-state.js');
+      process.exit(1);
+    }
+    console.log('✓ The storage state has every template entry');
+    return;
+  }
+
+  const result = applyStorageTemplate(original, { template, out: args.out });
+  // Updated in place, the config already points at the file
+  if (args.out) {
+    fs.writeFileSync(configPath, JSON.stringify(result.config, null, 2));
+  }
+  console.log(`✓ Storage state for ${result.hosts.length} hosts written to ${path.relative(ROOT_PATH, result.path)}`);
+  result.hosts.forEach((host) => console.log(`  ${host}`));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_PATH,
+  loadTemplate,
+  expandTemplate,
+  applyStorageTemplate,
+  findMissingEntries,
+};
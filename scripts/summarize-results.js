@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const { formatBlock } = require('./blocks');
+const { readRetries, formatRetry } = require('./retry-failures');
+
+const ROOT_PATH = path.join(__dirname, '..');
+const JSON_REPORT_PATH = path.join(ROOT_PATH, 'backstop_data', 'json_report', 'jsonReport.json');
+const XUNIT_REPORT_PATH = path.join(ROOT_PATH, 'backstop_data', 'ci_report', 'xunit.xml');
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/summarize-results.js [options]
+
+Summarizes the BackstopJS jsonReport.json (falling back to xunit.xml) and prints
+the summary as Markdown: totals, results per page and per viewport, and each failed test
+with its mismatch percentage. Failures are split into visual differences and errors such
+as a missing reference, and the classifications of scripts/retry-failures.js are added.
+
+Options:
+  --json <path>       JSON report (default: backstop_data/json_report/jsonReport.json)
+  --xunit <path>      xunit report (default: backstop_data/ci_report/xunit.xml)
+  --github-output     Write the summary outputs to $GITHUB_OUTPUT
+  --step-summary      Append the summary to $GITHUB_STEP_SUMMARY
+  --help              Show this help message
+`);
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readAttributes(tag) {
+  const attributes = {};
+  const re = /([\w:-]+)="([^"]*)"/g;
+  let match;
+  while ((match = re.exec(tag)) !== null) {
+    attributes[match[1]] = decodeXml(match[2]);
+  }
+  return attributes;
+}
+
+/**
+ * Parses the xunit report written by BackstopJS. BackstopJS marks every failing test case
+ * with both a <failure> and an <error>, so each test case is counted once.
+ * @param {string} xml - Contents of xunit.xml
+ * @returns {{total: number, failed: number, suite: string|null, cases: Array<Object>}} - Cases are
+ *   { label, selector, failed, message, xml } where `xml` is the raw <testcase> element
+ */
+function parseXunit(xml) {
+  const cases = [];
+  // Attribute values may contain an unescaped ">", so skip over quoted strings
+  const re = /<testcase\b((?:[^>"]|"[^"]*")*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+
+  while ((match = re.exec(xml)) !== null) {
+    const attributes = readAttributes(match[1]);
+    const body = match[2] || '';
+    const problem = body.match(/<(?:failure|error)\b((?:[^>"]|"[^"]*")*)/);
+
+    cases.push({
+      label: (attributes.name || '').replace(/^\s*››\s*/, ''),
+      selector: attributes.classname || '',
+      failed: Boolean(problem),
+      message: problem ? readAttributes(problem[1]).message || null : null,
+      xml: match[0],
+    });
+  }
+
+  const suite = xml.match(/<testsuite\b((?:[^>"]|"[^"]*")*)/);
+  return {
+    total: cases.length,
+    failed: cases.filter((testCase) => testCase.failed).length,
+    suite: suite ? readAttributes(suite[1]).name || null : null,
+    cases,
+  };
+}
+
+function countBy(tests, key) {
+  const groups = new Map();
+  tests.forEach((test) => {
+    const name = test[key];
+    if (!groups.has(name)) {
+      groups.set(name, { name, passed: 0, failed: 0 });
+    }
+    groups.get(name)[test.passed ? 'passed' : 'failed']++;
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Builds one summary from a parsed jsonReport.json and/or xunit.xml. The JSON report is
+ * preferred, since only it has viewports and mismatch percentages.
+ * @param {Object} reports - { json: parsed jsonReport.json or null, xunit: xunit.xml contents or null,
+ *   retries: the run's retries.json from scripts/retry-failures.js or null }
+ * @returns {Object} - { source, status, total, passed, failed, flaky, errors, diffs, byLabel, byViewport, failures }
+ *   where each failure is { label, viewport, block, url, kind: 'diff'|'error', misMatchPercentage, threshold, message,
+ *   comparison, retry } and `block` names a block capture (see scripts/blocks.js), e.g. "cards #2". `comparison`
+ *   describes the outcome of the scenario's comparison mode (see scripts/compare.js). `retry` is the failure's test
+ *   from retries.json. The status is 'flaky' when every failure passed on a retry.
+ */
+function summarize({ json = null, xunit = null, retries = null }) {
+  let source = 'none';
+  let tests = [];
+
+  if (json && Array.isArray(json.tests)) {
+    source = 'json';
+    tests = json.tests.map(({ status, pair = {} }) => {
+      const mismatch = pair.diff && pair.diff.misMatchPercentage !== undefined ? Number(pair.diff.misMatchPercentage) : null;
+      return {
+        label: pair.label,
+        viewport: pair.viewportLabel || null,
+        selector: pair.selector,
+        block: formatBlock(pair.selector),
+        url: pair.url || null,
+        passed: status === 'pass',
+        // Missing references and engine failures come with an error instead of a diff
+        kind: pair.error || mismatch === null ? 'error' : 'diff',
+        misMatchPercentage: Number.isNaN(mismatch) ? null : mismatch,
+        threshold: pair.misMatchThreshold !== undefined ? pair.misMatchThreshold : null,
+        message: pair.error || null,
+        // Outcome of the comparison stage, see scripts/compare.js
+        comparison: pair.compare ? pair.compare.summary : null,
+      };
+    });
+  } else if (xunit) {
+    source = 'xunit';
+    tests = parseXunit(xunit).cases.map((testCase) => ({
+      label: testCase.label,
+      viewport: null,
+      block: formatBlock(testCase.selector),
+      url: null,
+      passed: !testCase.failed,
+      kind: 'diff',
+      misMatchPercentage: null,
+      threshold: null,
+      message: testCase.message,
+      comparison: null,
+    }));
+  }
+
+  const retried = retries ? retries.tests : [];
+  const failures = tests
+    .filter((test) => !test.passed)
+    .map(({ label, viewport, selector, block, url, kind, misMatchPercentage, threshold, message, comparison }) => ({
+      label,
+      viewport,
+      block,
+      url,
+      kind,
+      misMatchPercentage,
+      threshold,
+      message,
+      comparison,
+      retry: retried.find((test) => test.label === label && test.viewport === viewport && test.selector === selector) || null,
+    }));
+  const failed = failures.length;
+  const flaky = failures.filter((failure) => failure.retry && failure.retry.classification === 'flaky').length;
+
+  let status = failed > 0 ? 'failed' : 'passed';
+  if (source === 'none') {
+    status = 'unknown';
+  } else if (failed > 0 && flaky === failed) {
+    status = 'flaky';
+  }
+
+  return {
+    source,
+    status,
+    total: tests.length,
+    passed: tests.length - failed,
+    failed,
+    flaky,
+    retried: Boolean(retries),
+    errors: failures.filter((failure) => failure.kind === 'error').length,
+    diffs: failures.filter((failure) => failure.kind === 'diff').length,
+    byLabel: countBy(tests, 'label'),
+    byViewport: source === 'json' ? countBy(tests, 'viewport') : [],
+    failures,
+  };
+}
+
+/**
+ * Reads the reports from disk and summarizes them
+ * @param {Object} [paths] - { jsonPath, xunitPath }
+ * @returns {Object} - See summarize
+ */
+function summarizeFiles({ jsonPath = JSON_REPORT_PATH, xunitPath = XUNIT_REPORT_PATH } = {}) {
+  let json = null;
+  let retries = null;
+  if (fs.existsSync(jsonPath)) {
+    try {
+      json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      retries = readRetries(jsonPath);
+    } catch (error) {
+      console.log(`Warning: Could not parse ${jsonPath}: ${error.message}`);
+    }
+  }
+  const xunit = fs.existsSync(xunitPath) ? fs.readFileSync(xunitPath, 'utf8') : null;
+  return summarize({ json, xunit, retries });
+}
+
+function formatHeadline(summary) {
+  if (summary.status === 'unknown') {
+    return '⚠️ No test report found';
+  }
+  if (summary.status === 'flaky') {
+    return `⚠️ ${summary.failed} of ${summary.total} visual tests were flaky and passed on retry`;
+  }
+  return summary.failed > 0
+    ? `❌ ${summary.failed} of ${summary.total} visual tests failed${summary.flaky > 0 ? ` (${summary.flaky} flaky)` : ''}`
+    : `✅ All ${summary.total} visual tests passed`;
+}
+
+function formatBreakdown(groups) {
+  return groups.map((group) => `- **${group.name}**: ${group.passed} passed, ${group.failed} failed`).join('\n');
+}
+
+function urlPath(url) {
+  try {
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+function formatFailures(failures) {
+  return failures
+    .map((failure) => {
+      let name = `**${failure.label}**${failure.viewport ? ` (${failure.viewport})` : ''}`;
+      if (failure.block) {
+        // Block captures: "cards #2 on /platform"
+        name += ` › **${failure.block}**${failure.url ? ` on \`${urlPath(failure.url)}\`` : ''}`;
+      }
+      // Classification from scripts/retry-failures.js
+      const retry = failure.retry ? ` · _${formatRetry(failure.retry)}_` : '';
+      if (failure.kind === 'error') {
+        return `- ${name}: error - ${failure.message || 'no comparison was made'}${retry}`;
+      }
+      if (failure.comparison) {
+        return `- ${name}: ${failure.comparison}${retry}`;
+      }
+      if (failure.misMatchPercentage === null) {
+        return `- ${name}: ${failure.message || 'mismatch'}${retry}`;
+      }
+      const threshold = failure.threshold !== null ? ` (threshold ${failure.threshold}%)` : '';
+      return `- ${name}: ${failure.misMatchPercentage}% difference${threshold}${retry}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Renders the totals and breakdowns for the PR comment
+ * @param {Object} summary - From summarize
+ * @param {string} [heading] - Markdown heading prefix, e.g. "###"
+ * @returns {string} - Markdown, empty if no report was found
+ */
+function renderMarkdown(summary, heading = '###') {
+  if (summary.status === 'unknown') {
+    return '';
+  }
+
+  let markdown = `${heading} 📊 Detailed Test Summary\n\n`;
+  markdown += `- **Total Tests**: ${summary.total}\n`;
+  markdown += `- **✅ Passed**: ${summary.passed}\n`;
+  markdown += `- **❌ Failed**: ${summary.failed}`;
+  if (summary.failed > 0) {
+    markdown += ` (${summary.diffs} visual differences, ${summary.errors} errors)`;
+  }
+  if (summary.retried && summary.failed > 0) {
+    markdown += `\n- **⚠️ Flaky**: ${summary.flaky} of the failures passed when captured again`;
+  }
+  markdown += '\n\n';
+
+  if (summary.byLabel.length > 0) {
+    markdown += `${heading}# 🌐 Results by Page/URL\n${formatBreakdown(summary.byLabel)}\n\n`;
+  }
+  if (summary.byViewport.length > 0) {
+    markdown += `${heading}# 📱 Results by Viewport\n${formatBreakdown(summary.byViewport)}\n\n`;
+  }
+  if (summary.source === 'xunit') {
+    markdown += '_Note: Viewport breakdown unavailable (JSON report not found)_\n\n';
+  }
+
+  return markdown.trimEnd();
+}
+
+/**
+ * Renders the summary for $GITHUB_STEP_SUMMARY
+ * @param {Object} summary - From summarize
+ * @returns {string} - Markdown
+ */
+function renderStepSummary(summary) {
+  if (summary.status === 'unknown') {
+    return '## ⚠️ No test results\n\n_Neither jsonReport.json nor xunit.xml was found_\n';
+  }
+
+  const title = { passed: '✅ All Tests Passed', flaky: '⚠️ Only Flaky Failures', failed: '❌ Tests Failed' }[summary.status];
+  let markdown = `## ${title}\n\n`;
+  markdown += `${renderMarkdown(summary, '###')}\n\n`;
+  if (summary.failures.length > 0) {
+    markdown += `### 🔍 Failed Test Details\n${formatFailures(summary.failures)}\n\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Flattens the summary into workflow step outputs
+ * @param {Object} summary - From summarize
+ * @returns {Object<string, string>} - Output names and values
+ */
+function toGithubOutputs(summary) {
+  return {
+    status: summary.status,
+    summary: formatHeadline(summary),
+    total: String(summary.total),
+    passed: String(summary.passed),
+    failures: String(summary.failed),
+    flaky: String(summary.flaky),
+    errors: String(summary.errors),
+    label_breakdown: formatBreakdown(summary.byLabel),
+    viewport_breakdown: formatBreakdown(summary.byViewport),
+    failed_details: formatFailures(summary.failures),
+    details_markdown: renderMarkdown(summary),
+  };
+}
+
+/**
+ * Writes outputs in the $GITHUB_OUTPUT format, using a heredoc for multi-line values
+ * @param {Object<string, string>} outputs - Output names and values
+ * @returns {string} - The lines to append to $GITHUB_OUTPUT
+ */
+function formatGithubOutput(outputs) {
+  return Object.entries(outputs)
+    .map(([name, value]) => {
+      if (!value.includes('\n')) {
+        return `${name}=${value}\n`;
+      }
+      let delimiter = 'EOF';
+      while (value.includes(delimiter)) {
+        delimiter += '_';
+      }
+      return `${name}<<${delimiter}\n${value}\n${delimiter}\n`;
+    })
+    .join('');
+}
+
+function parseArgs(argv = process.argv.slice(2)) {
+  const config = { jsonPath: undefined, xunitPath: undefined, githubOutput: false, stepSummary: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (argv[i] === '--json' && i + 1 < argv.length) {
+      config.jsonPath = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--xunit' && i + 1 < argv.length) {
+      config.xunitPath = argv[i + 1];
+      i++;
+    } else if (argv[i] === '--github-output') {
+      config.githubOutput = true;
+    } else if (argv[i] === '--step-summary') {
+      config.stepSummary = true;
+    }
+  }
+
+  return config;
+}
+
+function main() {
+  const args = parseArgs();
+  const summary = summarizeFiles(args);
+
+  console.log(formatHeadline(summary));
+  if (summary.status !== 'unknown') {
+    console.log(`(from ${summary.source === 'json' ? 'jsonReport.json' : 'xunit.xml'})\n`);
+    console.log(renderMarkdown(summary));
+  }
+  if (summary.failures.length > 0) {
+    console.log(`\n${formatFailures(summary.failures)}`);
+  }
+
+  if (args.githubOutput && process.env.GITHUB_OUTPUT) {
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, formatGithubOutput(toGithubOutputs(summary)));
+  }
+  if (args.stepSummary && process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, renderStepSummary(summary));
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  JSON_REPORT_PATH,
+  XUNIT_REPORT_PATH,
+  parseXunit,
+  summarize,
+  summarizeFiles,
+  renderMarkdown,
+  renderStepSummary,
+  toGithubOutputs,
+  formatGithubOutput,
+};
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_OPTIONS = {
+  timeout: 10000, // per request
+  retries: 2,
+  retryDelay: 500, // doubled after every attempt
+  maxRedirects: 5,
+  concurrency: 4,
+  rewriteRedirects: false,
+};
+
+// Statuses that mean the server does not support HEAD, not that the page is missing
+const HEAD_REJECTED_STATUSES = [403, 405, 501];
+
+// Statuses worth retrying, together with timeouts and network errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+function showHelp() {
+  console.log(`
+Usage: node scripts/validate-urls.js <url> [url...]
+
+Checks that URLs load, the same way scripts/parse-pr-urls.js checks every URL pair before
+adding it. Redirects are followed (up to ${DEFAULT_OPTIONS.maxRedirects}), a server that rejects HEAD is asked
+again with GET, and timeouts, network errors and ${RETRYABLE_STATUSES.join('/')} responses are
+retried ${DEFAULT_OPTIONS.retries} times with backoff. At most ${DEFAULT_OPTIONS.concurrency} URLs are checked at once.
+Exits with 1 when a URL still fails.
+
+parse-pr-urls.js reads VALIDATE_RETRIES, VALIDATE_CONCURRENCY and VALIDATE_REWRITE_REDIRECTS
+to change these checks for the URL pairs of a PR.
+
+Options:
+  --help    Show this help message
+`);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at once
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {function(function(): Promise): Promise} - Wraps a task and resolves with its result
+ */
+function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Sends a single request without following redirects
+ * @param {string} url - The URL to request
+ * @param {string} method - HEAD or GET
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<{status: number, location: string|undefined}>} - The response status and redirect target.
+ *   Rejects with `code` set to "timeout" or "network-error".
+ */
+function request(url, method, timeout) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const client = urlObj.protocol === 'https:' ? https : http;
+
+    const options = {
+      method,
+      hostname: urlObj.hostname,
+      port: urlObj.port,
+      path: urlObj.pathname + urlObj.search,
+      timeout,
+    };
+
+    const req = client.request(options, (res) => {
+      // Only the status matters, don't download GET bodies
+      res.destroy();
+      resolve({ status: res.statusCode, location: res.headers.location });
+    });
+
+    req.on('error', (error) => {
+      if (error.code !== 'timeout') {
+        error.code = 'network-error';
+      }
+      reject(error);
+    });
+
+    req.on('timeout', () => {
+      const error = new Error(`No response within ${timeout}ms`);
+      error.code = 'timeout';
+      req.destroy(error);
+    });
+
+    req.end();
+  });
+}
+
+/**
+ * Requests a URL, following redirects and falling back to GET when HEAD is rejected
+ * @param {string} url - The URL to check
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {Promise<Object>} - { status, finalUrl, method, redirects }
+ */
+async function followRedirects(url, options) {
+  const redirects = [];
+  let current = url;
+
+  for (;;) {
+    let method = 'HEAD';
+    let res = await request(current, method, options.timeout);
+
+    if (HEAD_REJECTED_STATUSES.includes(res.status)) {
+      method = 'GET';
+      res = await request(current, method, options.timeout);
+    }
+
+    if (res.status >= 300 && res.status < 400 && res.location) {
+      if (redirects.length >= options.maxRedirects) {
+        const error = new Error(`More than ${options.maxRedirects} redirects`);
+        error.code = 'too-many-redirects';
+        throw error;
+      }
+      current = new URL(res.location, current).href;
+      redirects.push(current);
+      continue;
+    }
+
+    return { status: res.status, finalUrl: current, method, redirects };
+  }
+}
+
+/**
+ * Checks that a URL responds with a 2xx status, retrying transient failures with backoff
+ * @param {string} url - The URL to validate
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Promise<Object>} - { ok, url, finalUrl, status, method, attempts, redirects, reason }
+ *   where `reason` is { code, message } for rejected URLs and null otherwise
+ */
+async function checkUrl(url, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const result = { ok: false, url, finalUrl: url, status: null, method: null, attempts: 0, redirects: [], reason: null };
+
+  try {
+    new URL(url); // eslint-disable-line no-new
+  } catch (error) {
+    result.reason = { code: 'invalid-url', message: `Invalid URL format: ${url}` };
+    return result;
+  }
+
+  for (let attempt = 1; attempt <= opts.retries + 1; attempt++) {
+    result.attempts = attempt;
+    let retryable = false;
+
+    try {
+      const res = await followRedirects(url, opts);
+      Object.assign(result, res);
+
+      if (res.status >= 200 && res.status < 300) {
+        result.ok = true;
+        result.reason = null;
+        return result;
+      }
+
+      result.reason = { code: 'http-status', status: res.status, message: `HTTP ${res.status} from ${res.finalUrl}` };
+      retryable = RETRYABLE_STATUSES.includes(res.status);
+    } catch (error) {
+      result.reason = { code: error.code || 'network-error', message: error.message };
+      retryable = error.code !== 'too-many-redirects';
+    }
+
+    if (!retryable || attempt > opts.retries) {
+      break;
+    }
+    await sleep(opts.retryDelay * 2 ** (attempt - 1));
+  }
+
+  return result;
+}
+
+/**
+ * Validates before/after pairs, checking at most `concurrency` URLs at once.
+ * With `rewriteRedirects` the pair is updated to point at the final URL of any redirect.
+ * @param {Array<Object>} pairs - Pairs of { before, after, ... }
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {Promise<{valid: Array<Object>, rejected: Array<Object>}>} - Rejected entries are
+ *   { before, after, label, reasons: { before, after } } with a null reason for the side that passed
+ */
+async function validatePairs(pairs, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const limit = createLimiter(opts.concurrency);
+
+  const results = await Promise.all(
+    pairs.map(async (pair) => {
+      const [before, after] = await Promise.all([
+        limit(() => checkUrl(pair.before, opts)),
+        limit(() => checkUrl(pair.after, opts)),
+      ]);
+      return { pair, before, after };
+    })
+  );
+
+  const valid = [];
+  const rejected = [];
+
+  results.forEach(({ pair, before, after }) => {
+    if (before.ok && after.ok) {
+      const validPair = { ...pair };
+      if (opts.rewriteRedirects) {
+        validPair.before = before.finalUrl;
+        validPair.after = after.finalUrl;
+      }
+      [before, after].forEach((res) => {
+        if (res.finalUrl !== res.url) {
+          console.log(`  ↪ ${res.url} redirects to ${res.finalUrl}${opts.rewriteRedirects ? ' (rewritten)' : ''}`);
+        }
+      });
+      valid.push(validPair);
+      console.log(`✅ Valid URL pair: ${validPair.before} -> ${validPair.after}`);
+      return;
+    }
+
+    rejected.push({
+      before: pair.before,
+      after: pair.after,
+      label: pair.label || null,
+      reasons: { before: before.reason, after: after.reason },
+    });
+    console.log(
+      `❌ Invalid URL pair (before: ${before.ok ? '✅' : '❌'}, after: ${after.ok ? '✅' : '❌'}): ${pair.before} -> ${pair.after}`
+    );
+    [before, after].forEach((res) => {
+      if (res.reason) {
+        console.log(`  ${res.url}: ${res.reason.code} - ${res.reason.message} (${res.attempts} attempts)`);
+      }
+    });
+  });
+
+  return { valid, rejected };
+}
+
+/**
+ * Renders rejected pairs as a Markdown list for the PR comment
+ * @param {Array<Object>} rejected - Rejected entries from validatePairs
+ * @returns {string} - Markdown, empty if nothing was rejected
+ */
+function formatRejectedMarkdown(rejected) {
+  return rejected
+    .map((entry) => {
+      const reasons = ['before', 'after']
+        .filter((side) => entry.reasons[side])
+        .map((side) => `${side}: \`${entry.reasons[side].code}\` ${entry.reasons[side].message}`)
+        .join('; ');
+      return `- ${entry.label ? `**${entry.label}** ` : ''}${entry.before} → ${entry.after} (${reasons})`;
+    })
+    .join('\n');
+}
+
+async function main() {
+  const urls = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+
+  if (urls.length === 0 || process.argv.includes('--help')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const limit = createLimiter(DEFAULT_OPTIONS.concurrency);
+  const results = await Promise.all(urls.map((url) => limit(() => checkUrl(url))));
+
+  results.forEach((res) => {
+    if (res.ok) {
+      console.log(`✅ ${res.url} (${res.status} via ${res.method}${res.finalUrl !== res.url ? ` → ${res.finalUrl}` : ''})`);
+    } else {
+      console.log(`❌ ${res.url}: ${res.reason.code} - ${res.reason.message} (${res.attempts} attempts)`);
+    }
+  });
+
+  process.exit(results.every((res) => res.ok) ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createLimiter,
+  checkUrl,
+  validatePairs,
+  formatRejectedMarkdown,
+};
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { readManifest, approveTests, approvalsSince, formatApprovalsMarkdown } = require('../scripts/approvals');
+
+/**
+ * Lays out a report directory with one passing and two failing tests
+ * @param {Object} t - The node:test context
+ * @returns {{reportPath: string, manifestPath: string, dir: string}}
+ */
+function setupReport(t) {
+  const dir = tempDir(t);
+  const reportDir = path.join(dir, 'json_report');
+  fs.mkdirSync(path.join(dir, 'reference'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'test'), { recursive: true });
+  fs.mkdirSync(reportDir);
+
+  const tests = [
+    ['Home Page', 'desktop', 'pass', '0.00'],
+    ['Blog Page', 'desktop', 'fail', '2.50'],
+    ['Blog Page', 'phone', 'fail', '1.25'],
+  ].map(([label, viewportLabel, status, misMatchPercentage]) => {
+    const file = `${label.replace(' ', '_')}_${viewportLabel}.png`;
+    fs.writeFileSync(path.join(dir, 'reference', file), 'old');
+    fs.writeFileSync(path.join(dir, 'test', file), `new ${label} ${viewportLabel}`);
+    return {
+      status,
+      pair: {
+        label,
+        viewportLabel,
+        reference: `../reference/${file}`,
+        test: `../test/${file}`,
+        diff: { misMatchPercentage },
+      },
+    };
+  });
+
+  const reportPath = path.join(reportDir, 'jsonReport.json');
+  fs.writeFileSync(reportPath, JSON.stringify({ tests }));
+  return { reportPath, manifestPath: path.join(dir, 'approvals.json'), dir };
+}
+
+test('approveTests promotes the selected failures and records them', (t) => {
+  const { reportPath, manifestPath, dir } = setupReport(t);
+
+  const entries = approveTests({
+    filters: { labels: ['Blog Page'], viewports: ['desktop'] },
+    approver: 'Reviewer',
+    reason: 'New hero image',
+    reportPath,
+    manifestPath,
+  });
+
+  assert.equal(entries.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, 'reference', 'Blog_Page_desktop.png'), 'utf8'), 'new Blog Page desktop');
+  assert.equal(fs.readFileSync(path.join(dir, 'reference', 'Blog_Page_phone.png'), 'utf8'), 'old');
+  assert.deepEqual(
+    { ...entries[0], approvedAt: null, oldHash: null, newHash: null },
+    {
+      label: 'Blog Page',
+      viewport: 'desktop',
+      file: 'Blog_Page_desktop.png',
+      approvedBy: 'Reviewer',
+      approvedAt: null,
+      oldHash: null,
+      newHash: null,
+      misMatchPercentage: 2.5,
+      reason: 'New hero image',
+    }
+  );
+  assert.notEqual(entries[0].oldHash, entries[0].newHash);
+  assert.deepEqual(readManifest(manifestPath).approvals, entries);
+});
+
+test('approveTests skips bitmaps that are already approved', (t) => {
+  const { reportPath, manifestPath } = setupReport(t);
+
+  assert.equal(approveTests({ approver: 'Reviewer', reportPath, manifestPath }).length, 2);
+  assert.equal(approveTests({ approver: 'Reviewer', reportPath, manifestPath }).length, 0);
+  assert.equal(readManifest(manifestPath).approvals.length, 2);
+});
+
+test('approveTests needs a report', (t) => {
+  assert.throws(() => approveTests({ reportPath: path.join(tempDir(t), 'missing.json') }), /No test report found/);
+});
+
+test('approvalsSince lists every entry of a manifest that is not in git yet', (t) => {
+  const { reportPath, manifestPath } = setupReport(t);
+  approveTests({ approver: 'Reviewer', reportPath, manifestPath });
+
+  assert.equal(approvalsSince('HEAD', manifestPath).length, 2);
+});
+
+test('formatApprovalsMarkdown renders one line per approval', () => {
+  const entries = [
+    {
+      label: 'Blog Page',
+      viewport: 'desktop',
+      approvedBy: 'Reviewer',
+      approvedAt: '2026-10-19T12:00:00.000Z',
+      misMatchPercentage: 2.5,
+      reason: 'New hero image',
+    },
+    {
+      label: 'Home Page',
+      viewport: 'phone',
+      approvedBy: 'Reviewer',
+      approvedAt: '2026-10-18T08:00:00.000Z',
+      misMatchPercentage: null,
+      reason: null,
+    },
+  ];
+
+  assert.equal(
+    formatApprovalsMarkdown(entries),
+    [
+      '- **Blog Page** (desktop): 2.5% mismatch, approved by Reviewer on 2026-10-19 - New hero image',
+      '- **Home Page** (phone): approved by Reviewer on 2026-10-18',
+    ].join('\n')
+  );
+});
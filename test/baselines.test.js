@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const {
+  readManifest,
+  hashDir,
+  viewportLabels,
+  legacyRenames,
+  resolveBaseline,
+  saveBaseline,
+  diffFiles,
+  promoteBaseline,
+  checkoutBaseline,
+  renameLegacyReferences,
+  pruneStore,
+  verifyStore,
+} = require('../scripts/baselines');
+
+/**
+ * Writes a reference directory
+ * @param {string} dir - Directory to create
+ * @param {Object<string, string>} files - Contents keyed by relative path
+ * @returns {string} - The directory
+ */
+function writeRefs(dir, files) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+  return dir;
+}
+
+test('saveBaseline stores each file once and points the branch at the set', (t) => {
+  const dir = tempDir(t);
+  const store = path.join(dir, 'store');
+  const from = writeRefs(path.join(dir, 'refs'), { 'home.png': 'A', 'nested/blog.png': 'B', 'copy.png': 'A' });
+
+  const { set, added } = saveBaseline({ from, branch: 'main', commit: 'ABCDEF1234567890', store });
+
+  assert.equal(set.id, 'main@abcdef123456');
+  assert.equal(added, 2);
+  assert.deepEqual(Object.keys(set.files), ['copy.png', 'home.png', 'nested/blog.png']);
+  assert.deepEqual(readManifest(store).branches, { main: 'main@abcdef123456' });
+  assert.equal(resolveBaseline(readManifest(store), 'abcdef1').id, set.id);
+  assert.deepEqual(verifyStore({ store }), { errors: [], warnings: [], objects: 2 });
+});
+
+test('diffFiles and promoteBaseline compare and move baselines between branches', (t) => {
+  const dir = tempDir(t);
+  const store = path.join(dir, 'store');
+  const refs = path.join(dir, 'refs');
+  writeRefs(refs, { 'a.png': '1', 'b.png': '2' });
+  const main = saveBaseline({ from: refs, branch: 'main', commit: 'a'.repeat(40), store });
+  writeRefs(refs, { 'a.png': '1', 'b.png': '3', 'c.png': '4' });
+  const feature = saveBaseline({ from: refs, branch: 'feature', commit: 'b'.repeat(40), store });
+
+  assert.deepEqual(diffFiles(main.set.files, feature.set.files), {
+    added: ['c.png'],
+    removed: [],
+    changed: ['b.png'],
+    unchanged: 1,
+  });
+  assert.deepEqual(promoteBaseline('feature', { store }), { set: feature.set, previous: main.set.id });
+  assert.equal(resolveBaseline(readManifest(store), 'main').id, feature.set.id);
+  assert.throws(() => promoteBaseline('missing', { store }), /No stored baseline matches "missing"/);
+});
+
+test('checkoutBaseline falls back to the next baseline and replaces the output', (t) => {
+  const dir = tempDir(t);
+  const store = path.join(dir, 'store');
+  saveBaseline({ from: writeRefs(path.join(dir, 'refs'), { 'nested/home.png': 'H' }), branch: 'main', store });
+  const out = writeRefs(path.join(dir, 'out'), { 'stale.png': 'S' });
+
+  const set = checkoutBaseline(['feature', 'main'], { out, store });
+
+  assert.equal(set.branch, 'main');
+  assert.deepEqual(Object.keys(hashDir(out)), ['nested/home.png']);
+  assert.equal(fs.readFileSync(path.join(out, 'nested', 'home.png'), 'utf8'), 'H');
+  assert.throws(() => checkoutBaseline(['x', 'y'], { out, store }), /No stored baseline matches "x" or "y"/);
+});
+
+test('pruneStore keeps the newest sets per branch and removes unused files', (t) => {
+  const dir = tempDir(t);
+  const store = path.join(dir, 'store');
+  const refs = path.join(dir, 'refs');
+  ['1', '2', '3'].forEach((content, index) => {
+    saveBaseline({ from: writeRefs(refs, { 'home.png': content }), branch: 'main', commit: String(index).repeat(40), store });
+  });
+  // createdAt can repeat within a millisecond, order the sets explicitly
+  const manifest = readManifest(store);
+  manifest.sets.forEach((set, index) => {
+    set.createdAt = new Date(Date.UTC(2026, 0, index + 1)).toISOString();
+  });
+  fs.writeFileSync(path.join(store, 'manifest.json'), JSON.stringify(manifest));
+
+  assert.deepEqual(pruneStore({ keep: 1, store }), { sets: ['main@000000000000', 'main@111111111111'], objects: 2 });
+  assert.deepEqual(verifyStore({ store }), { errors: [], warnings: [], objects: 1 });
+
+  fs.mkdirSync(path.join(store, 'objects', 'ex'));
+  fs.writeFileSync(path.join(store, 'objects', 'ex', 'extra'), 'X');
+  const { errors, warnings } = verifyStore({ store });
+  assert.deepEqual(errors, ['objects/ex/extra does not match its hash']);
+  assert.equal(warnings.length, 1);
+});
+
+test('checkoutBaseline leaves the references alone when the set is damaged', (t) => {
+  const dir = tempDir(t);
+  const store = path.join(dir, 'store');
+  const from = writeRefs(path.join(dir, 'refs'), { 'home.png': 'H', 'blog.png': 'B' });
+  const { set } = saveBaseline({ from, branch: 'main', store });
+  const out = writeRefs(path.join(dir, 'out'), { 'current.png': 'C' });
+  const hash = set.files['home.png'];
+  fs.writeFileSync(path.join(store, 'objects', hash.slice(0, 2), hash), 'changed');
+
+  assert.throws(
+    () => checkoutBaseline('main', { out, store }),
+    /is damaged, the references were not changed:\n  main@\w+: home\.png does not match its hash/
+  );
+  assert.deepEqual(Object.keys(hashDir(out)), ['current.png']);
+  assert.deepEqual(verifyStore({ store, ref: 'main' }).errors, [`${set.id}: home.png does not match its hash`]);
+
+  fs.writeFileSync(path.join(store, 'objects', hash.slice(0, 2), hash), 'H');
+  checkoutBaseline('main', { out, store });
+  assert.deepEqual(Object.keys(hashDir(out)), ['blog.png', 'home.png']);
+  // The staging directory next to the references is gone
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['out', 'refs', 'store']);
+});
+
+test('checkout and rename drop the viewport index from bitmaps saved before fileNameTemplate', (t) => {
+  const dir = tempDir(t);
+  const store = path.join(dir, 'store');
+  const config = { viewports: [{ label: 'phone' }], scenarios: [{ label: 'Home', viewports: [{ label: 'wide.screen' }] }] };
+  const labels = viewportLabels(config);
+  assert.deepEqual(labels, ['phone', 'wide.screen']);
+  const legacy = {
+    'vrt_Home_0_document_0_phone.png': 'A',
+    'vrt_Home_0_document_1_wide.screen.png': 'B',
+    'vrt_Blog_0_document_0_phone.png': 'C',
+    'vrt_Blog_0_document_phone.png': 'D',
+  };
+  saveBaseline({ from: writeRefs(path.join(dir, 'refs'), legacy), branch: 'main', commit: 'abcdef1234567', store });
+
+  assert.deepEqual(legacyRenames(Object.keys(legacy), labels), [
+    ['vrt_Home_0_document_0_phone.png', 'vrt_Home_0_document_phone.png'],
+    ['vrt_Home_0_document_1_wide.screen.png', 'vrt_Home_0_document_wide.screen.png'],
+  ]);
+  const out = path.join(dir, 'out');
+  checkoutBaseline('main', { out, store, viewports: labels });
+  assert.deepEqual(fs.readdirSync(out).sort(), [
+    'vrt_Blog_0_document_0_phone.png',
+    'vrt_Blog_0_document_phone.png',
+    'vrt_Home_0_document_phone.png',
+    'vrt_Home_0_document_wide.screen.png',
+  ]);
+
+  const local = writeRefs(path.join(dir, 'local'), legacy);
+  assert.equal(renameLegacyReferences(local, labels).length, 2);
+  assert.equal(fs.readFileSync(path.join(local, 'vrt_Home_0_document_phone.png'), 'utf8'), 'A');
+  assert.deepEqual(renameLegacyReferences(local, labels), []);
+});
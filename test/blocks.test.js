@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeAdapter } = require('./helpers');
+const { enableBlocks, parseBlockSelector, formatBlock } = require('../scripts/blocks');
+const { diffSnapshots } = require('../scripts/dom-diff');
+const { summarize, toGithubOutputs } = require('../scripts/summarize-results');
+const captureBlocks = require('../backstop_data/engine_scripts/pipeline/blocks');
+
+test('enableBlocks turns on block captures for the selected scenarios and keeps their options', () => {
+  const config = {
+    scenarios: [{ label: 'Home' }, { label: 'Blog', blocks: { include: ['cards'], page: true } }, { label: 'About' }],
+  };
+
+  const { config: updated, count } = enableBlocks(config, { labelRegex: '^(home|blog)$', page: false });
+
+  assert.equal(count, 2);
+  assert.deepEqual(
+    updated.scenarios.map((scenario) => scenario.blocks),
+    [{ sections: false, page: false }, { sections: false, page: true, include: ['cards'] }, undefined]
+  );
+  assert.equal(config.scenarios[0].blocks, undefined);
+});
+
+test('parseBlockSelector and formatBlock read the capture markers', () => {
+  assert.deepEqual(parseBlockSelector('[data-backstop-block="cards-2"]'), { id: 'cards-2', name: 'cards', index: 2 });
+  assert.equal(formatBlock('[data-backstop-block="hero-1"]'), 'hero #1');
+  assert.equal(parseBlockSelector('.cards'), null);
+  assert.equal(formatBlock('document'), null);
+});
+
+test('the blocks step adds one selector per block found in the page', async () => {
+  const adapter = fakeAdapter({ evaluate: () => ['hero-1', 'cards-1', 'cards-2'] });
+  const scenario = { label: 'Home', selectors: ['document', '.nav'], blocks: { page: false } };
+
+  await captureBlocks(adapter, scenario);
+
+  assert.equal(adapter.evaluated[0].attribute, 'data-backstop-block');
+  assert.deepEqual(scenario.selectors, [
+    '.nav',
+    '[data-backstop-block="hero-1"]',
+    '[data-backstop-block="cards-1"]',
+    '[data-backstop-block="cards-2"]',
+  ]);
+});
+
+test('the blocks step keeps the page capture when no blocks are found', async () => {
+  const scenario = { label: 'Home', blocks: true };
+  await captureBlocks(fakeAdapter({ evaluate: () => [] }), scenario);
+
+  assert.equal(scenario.selectors, undefined);
+});
+
+test('diffSnapshots with a block only compares the nodes of that block', () => {
+  const snapshot = (heroColor, cardsColor) => ({
+    nodes: [
+      { key: '.hero', parent: -1, block: 'hero-1', rect: [0, 0, 10, 10], styles: { color: heroColor }, text: '' },
+      { key: '.cards', parent: -1, block: 'cards-1', rect: [0, 10, 10, 10], styles: { color: cardsColor }, text: '' },
+    ],
+  });
+
+  const changes = diffSnapshots(snapshot('red', 'red'), snapshot('blue', 'green'), { block: 'cards-1' });
+
+  assert.deepEqual(changes, [{ key: '.cards', kind: 'style', property: 'color', from: 'red', to: 'green' }]);
+});
+
+test('summarize names failed block captures and their page', () => {
+  const json = {
+    tests: [
+      {
+        status: 'fail',
+        pair: {
+          label: 'Home',
+          viewportLabel: 'desktop',
+          selector: '[data-backstop-block="cards-2"]',
+          url: 'https://stage--site--org.aem.page/platform?x=1',
+          diff: { misMatchPercentage: '3.00' },
+          misMatchThreshold: 0.1,
+        },
+      },
+    ],
+  };
+
+  const summary = summarize({ json });
+
+  assert.equal(summary.failures[0].block, 'cards #2');
+  assert.match(toGithubOutputs(summary).failed_details, /\*\*Home\*\* \(desktop\) › \*\*cards #2\*\* on `\/platform\?x=1`/);
+});
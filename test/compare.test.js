@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { readFixture, tempDir } = require('./helpers');
+const { resolveCompare, compareImages, applyComparisons, comparisonExitCode } = require('../scripts/compare');
+
+/**
+ * Builds a grey decoded bitmap with black squares
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<{x: number, y: number, size: number}>} [squares] - Black squares to draw
+ * @returns {{width: number, height: number, data: Buffer}} - Same shape as pngjs' PNG.sync.read
+ */
+function image(width, height, squares = []) {
+  const data = Buffer.alloc(width * height * 4, 200);
+  squares.forEach(({ x, y, size }) => {
+    for (let row = y; row < y + size; row++) {
+      for (let column = x; column < x + size; column++) {
+        data.fill(0, (row * width + column) * 4, (row * width + column) * 4 + 3);
+      }
+    }
+  });
+  return { width, height, data };
+}
+
+function writePng(filePath, { width, height, data }) {
+  const png = new PNG({ width, height });
+  data.copy(png.data);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, PNG.sync.write(png));
+}
+
+test('resolveCompare fills in the defaults of a mode and rejects bad options', () => {
+  assert.deepEqual(resolveCompare('ssim'), { mode: 'ssim', minScore: 0.98, window: 8 });
+  assert.deepEqual(resolveCompare({ mode: 'region', maxRegion: 50 }), { mode: 'region', threshold: 0.1, maxRegion: 50, gap: 4 });
+  assert.deepEqual(resolveCompare(undefined), { mode: 'pixel' });
+  assert.throws(() => resolveCompare('fuzzy'), /unknown mode "fuzzy"/);
+  assert.throws(() => resolveCompare({ mode: 'ssim', gap: 2 }), /"gap" is not an option of ssim, expected minScore, window/);
+  assert.throws(() => resolveCompare({ mode: 'ssim', minScore: 2 }), /minScore must be between 0 and 1/);
+});
+
+test('antialias mode compares the changed share with the misMatchThreshold', () => {
+  const reference = image(20, 20);
+  const changed = image(20, 20, [{ x: 5, y: 5, size: 2 }]);
+
+  const passed = compareImages(reference, changed, { ...resolveCompare('antialias'), misMatchThreshold: 1 });
+  assert.equal(passed.passed, true);
+  assert.equal(passed.misMatchPercentage, 1);
+  assert.equal(passed.diff, null);
+
+  const failed = compareImages(reference, changed, { ...resolveCompare({ mode: 'antialias', maxDiffPercent: 0.5 }) });
+  assert.equal(failed.passed, false);
+  assert.equal(failed.summary, '1% changed without anti-aliasing (allowed 0.5%)');
+  assert.equal(failed.diff.data.length, 20 * 20 * 4);
+});
+
+test('ssim mode scores structural similarity', () => {
+  const reference = image(16, 16, [{ x: 0, y: 0, size: 4 }]);
+
+  assert.equal(compareImages(reference, image(16, 16, [{ x: 0, y: 0, size: 4 }]), resolveCompare('ssim')).score, 1);
+  const moved = compareImages(reference, image(16, 16, [{ x: 8, y: 8, size: 4 }]), resolveCompare('ssim'));
+  assert.equal(moved.passed, false);
+  assert.ok(moved.worstWindow < moved.score);
+});
+
+test('region mode only fails when one changed region is larger than maxRegion', () => {
+  const reference = image(40, 40);
+  const options = resolveCompare({ mode: 'region', maxRegion: 20 });
+
+  // Two small changes far apart pass, even though together they are larger than maxRegion
+  const scattered = compareImages(reference, image(40, 40, [{ x: 0, y: 0, size: 4 }, { x: 30, y: 30, size: 4 }]), options);
+  assert.equal(scattered.passed, true);
+  assert.equal(scattered.region.pixels, 16);
+
+  const block = compareImages(reference, image(40, 40, [{ x: 10, y: 10, size: 6 }]), options);
+  assert.equal(block.passed, false);
+  assert.deepEqual(block.region, { pixels: 36, x: 8, y: 8, width: 8, height: 8 });
+});
+
+test('compareImages fails on a size change unless requireSameDimensions is off', () => {
+  const options = resolveCompare('antialias');
+
+  assert.equal(compareImages(image(10, 10), image(10, 12), options).summary, 'size changed (10×10 → 10×12)');
+  const cropped = compareImages(image(10, 10), image(10, 12), { ...options, requireSameDimensions: false });
+  assert.equal(cropped.passed, true);
+  assert.match(cropped.summary, /over the common 10×10 of 10×10 → 10×12$/);
+});
+
+test('applyComparisons re-judges failed tests and updates the json and xunit reports', (t) => {
+  const dir = tempDir(t);
+  writePng(path.join(dir, 'reference', 'blog.png'), image(40, 40));
+  writePng(path.join(dir, 'test', 'blog.png'), image(40, 40, [{ x: 2, y: 2, size: 3 }]));
+  const reportPath = path.join(dir, 'json_report', 'jsonReport.json');
+  fs.mkdirSync(path.dirname(reportPath));
+  const pair = { label: 'Blog Page', viewportLabel: 'desktop', selector: 'document', reference: '../reference/blog.png', test: '../test/blog.png' };
+  fs.writeFileSync(reportPath, JSON.stringify({ testSuite: 'BackstopJS', tests: [{ status: 'fail', pair }] }));
+  fs.mkdirSync(path.join(dir, 'ci_report'));
+  fs.writeFileSync(path.join(dir, 'ci_report', 'xunit.xml'), readFixture('shards', 'shard-2', 'ci_report', 'xunit.xml'));
+
+  const config = { scenarios: [{ label: 'Blog Page', compare: 'region' }], paths: { json_report: 'json_report', ci_report: 'ci_report' } };
+  const result = applyComparisons(config, { baseDir: dir });
+
+  assert.equal(result.compared, 1);
+  assert.equal(result.failed, 0);
+  assert.equal(result.backstopFailed, 1);
+  assert.equal(result.rejudged, 1);
+  assert.equal(comparisonExitCode(1, result), 0);
+  assert.deepEqual(
+    result.changed.map(({ from, to, summary }) => `${from} → ${to}: ${summary}`),
+    ['fail → pass: largest changed region 9 px at 0,0 (8×8, allowed 400 px)']
+  );
+  assert.equal(JSON.parse(fs.readFileSync(reportPath, 'utf8')).tests[0].status, 'pass');
+  const xunit = fs.readFileSync(path.join(dir, 'ci_report', 'xunit.xml'), 'utf8');
+  assert.match(xunit, /<testsuites tests="1" failures="0" errors="0"/);
+  assert.match(xunit, /<testcase name="›› Blog Page" classname="document"\/>/);
+
+  assert.equal(applyComparisons({ ...config, scenarios: [{ label: 'Blog Page', compare: 'pixel' }] }, { baseDir: dir }), null);
+});
+
+test('comparisonExitCode keeps a failed backstop run unless the stage passed every failure', () => {
+  const result = (failed, backstopFailed, rejudged) => ({ failed, backstopFailed, rejudged });
+
+  assert.equal(comparisonExitCode(1, null), 1);
+  assert.equal(comparisonExitCode(0, result(1, 0, 0)), 1);
+  assert.equal(comparisonExitCode(0, result(0, 0, 0)), 0);
+  assert.equal(comparisonExitCode(1, result(0, 2, 2)), 0);
+  assert.equal(comparisonExitCode(1, result(1, 2, 1)), 1);
+  // A crash or engine error with no failed test in the report
+  assert.equal(comparisonExitCode(2, result(0, 0, 0)), 2);
+});
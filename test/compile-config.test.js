@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { findConfigSource, loadConfigSource, compileScenario, compileConfig } = require('../scripts/compile-config');
+
+const SOURCE = {
+  id: 'site',
+  hosts: { test: 'https://stage--site--org.aem.page', reference: 'https://main--site--org.aem.page/' },
+  defaults: { delay: 500, hideSelectors: ['.cookie-banner'] },
+  templates: {
+    slow: { delay: 3000 },
+    carousel: { extends: 'slow', hideSelectors: ['.carousel'] },
+  },
+  scenarios: [
+    { label: 'Home', path: '/' },
+    {
+      group: 'Blog',
+      defaults: { hideSelectors: ['.date'] },
+      scenarios: [{ label: 'Blog post', path: 'blog/post', extends: 'carousel' }],
+    },
+  ],
+  environments: { ci: { hosts: { test: 'http://localhost:3000' } } },
+};
+
+test('compileConfig resolves paths, groups and templates', () => {
+  const config = compileConfig(SOURCE);
+
+  assert.deepEqual(Object.keys(config), ['id', 'scenarios']);
+  assert.deepEqual(config.scenarios, [
+    {
+      label: 'Home',
+      url: 'https://stage--site--org.aem.page',
+      referenceUrl: 'https://main--site--org.aem.page',
+      delay: 500,
+      hideSelectors: ['.cookie-banner'],
+    },
+    {
+      label: 'Blog post',
+      url: 'https://stage--site--org.aem.page/blog/post',
+      referenceUrl: 'https://main--site--org.aem.page/blog/post',
+      delay: 3000,
+      hideSelectors: ['.cookie-banner', '.date', '.carousel'],
+    },
+  ]);
+});
+
+test('compileConfig combines maskText rules from defaults and the scenario', () => {
+  const rule = { pattern: '\\d+ views' };
+  const [scenario] = compileConfig({
+    defaults: { maskText: [rule] },
+    scenarios: [{ label: 'Blog', url: 'https://a.example', maskText: ['\\d+ likes', rule] }],
+  }).scenarios;
+
+  assert.deepEqual(scenario.maskText, [rule, '\\d+ likes']);
+});
+
+test('compileConfig applies environment overrides', () => {
+  const [home] = compileConfig(SOURCE, { env: 'ci' }).scenarios;
+
+  assert.equal(home.url, 'http://localhost:3000');
+  assert.equal(home.referenceUrl, 'https://main--site--org.aem.page');
+  assert.throws(() => compileConfig(SOURCE, { env: 'prod' }), /Unknown environment "prod" \(available: ci\)/);
+});
+
+test('compileConfig rejects duplicate labels', () => {
+  assert.throws(
+    () => compileConfig({ scenarios: [{ label: 'A' }, { label: 'A' }] }),
+    /Duplicate scenario label "A"/
+  );
+});
+
+test('compileScenario reports template and host problems', () => {
+  const templates = { a: { extends: 'b' }, b: { extends: 'a' } };
+
+  assert.throws(() => compileScenario({ label: 'X', extends: 'a' }, { templates }), /Scenario "X": Template cycle: a → b → a/);
+  assert.throws(() => compileScenario({ label: 'X', extends: 'missing' }), /Unknown template "missing"/);
+  assert.throws(() => compileScenario({ label: 'X', path: '/x' }), /uses "path" but hosts\.test/);
+  assert.throws(() => compileScenario({ url: 'https://a.example' }), /Scenario without a label/);
+});
+
+test('findConfigSource and loadConfigSource read yaml sources', (t) => {
+  const dir = tempDir(t);
+  assert.equal(findConfigSource(dir), null);
+
+  fs.writeFileSync(path.join(dir, 'backstop.config.yaml'), 'id: site\nscenarios:\n  - label: Home\n    url: https://a.example\n');
+  const sourcePath = findConfigSource(dir);
+
+  assert.equal(sourcePath, path.join(dir, 'backstop.config.yaml'));
+  assert.deepEqual(loadConfigSource(sourcePath), { id: 'site', scenarios: [{ label: 'Home', url: 'https://a.example' }] });
+});
+
+test('loadConfigSource calls function sources with the environment', (t) => {
+  const sourcePath = path.join(tempDir(t), 'backstop.config.js');
+  fs.writeFileSync(sourcePath, 'module.exports = ({ env }) => ({ id: env });\n');
+
+  assert.deepEqual(loadConfigSource(sourcePath, 'ci'), { id: 'ci' });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { diffSnapshots, formatChange, snapshotPaths, diffReport, renderMarkdown } = require('../scripts/dom-diff');
+
+/**
+ * Builds a snapshot node
+ */
+function node(key, parent, rect, styles = {}, text = '') {
+  return { key, parent, rect, styles, text };
+}
+
+const BEFORE = {
+  nodes: [
+    node('body', -1, [0, 0, 100, 400]),
+    node('.hero', 0, [0, 0, 100, 200]),
+    node('.hero h1', 1, [0, 10, 100, 50], { 'font-size': '48px' }, 'Welcome'),
+    node('.cards', 0, [0, 200, 100, 100]),
+    node('footer', 0, [0, 300, 100, 100]),
+  ],
+};
+
+const AFTER = {
+  nodes: [
+    node('body', -1, [0, 0, 100, 440]),
+    node('.hero', 0, [0, 0, 100, 240]),
+    node('.hero h1', 1, [0, 10, 100, 50], { 'font-size': '44px' }, 'Welcome!'),
+    // Pushed down by the taller hero, not reported
+    node('.cards', 0, [0, 240, 100, 100]),
+    node('.banner', 0, [0, 340, 100, 100]),
+    node('.banner p', 4, [0, 340, 100, 20]),
+  ],
+};
+
+test('diffSnapshots reports what changed, structure first', () => {
+  const changes = diffSnapshots(BEFORE, AFTER);
+
+  assert.deepEqual(changes.map(formatChange), [
+    '`footer` removed',
+    '`.banner` added',
+    '`.hero h1` font-size 48px → 44px',
+    '`.hero h1` text "Welcome" → "Welcome!"',
+    '`body` height 400px → 440px',
+    '`.hero` height 200px → 240px',
+  ]);
+});
+
+test('diffSnapshots reports moves that neither parent nor sibling explain', () => {
+  const before = { nodes: [node('body', -1, [0, 0, 100, 100]), node('.logo', 0, [10, 10, 20, 20])] };
+  const after = { nodes: [node('body', -1, [0, 0, 100, 100]), node('.logo', 0, [30, 10, 20, 20])] };
+
+  assert.deepEqual(diffSnapshots(before, after), [
+    { key: '.logo', kind: 'moved', property: 'position', from: '10,10', to: '30,10' },
+  ]);
+  assert.deepEqual(diffSnapshots(before, after, { tolerance: 20 }), []);
+});
+
+test('snapshotPaths and diffReport read the snapshots next to the bitmaps', (t) => {
+  const dir = tempDir(t);
+  const reportDir = path.join(dir, 'json_report');
+  fs.mkdirSync(reportDir);
+  fs.writeFileSync(path.join(dir, 'ref.dom.json'), JSON.stringify(BEFORE));
+  fs.writeFileSync(path.join(dir, 'test.dom.json'), JSON.stringify(AFTER));
+
+  const pair = { label: 'Home', viewportLabel: 'desktop', reference: '../ref.png', testLog: '../test.log.json' };
+  assert.deepEqual(snapshotPaths(pair, reportDir), {
+    reference: path.join(dir, 'ref.dom.json'),
+    test: path.join(dir, 'test.dom.json'),
+  });
+
+  const report = {
+    tests: [
+      { status: 'pass', pair: { label: 'Blog' } },
+      { status: 'fail', pair },
+      { status: 'fail', pair: { label: 'About', viewportLabel: 'phone', reference: '../missing.png' } },
+    ],
+  };
+  const results = diffReport(report, reportDir);
+
+  assert.equal(results.length, 2);
+  assert.equal(results[0].changes.length, 6);
+  assert.deepEqual(results[1].missing, ['reference', 'test']);
+
+  const markdown = renderMarkdown(results, { maxChanges: 2 });
+  assert.match(markdown, /^#### 🧬 What changed in the DOM/);
+  assert.match(markdown, /- \*\*Home\*\* \(desktop\):\n {2}- `footer` removed\n {2}- `\.banner` added\n {2}- _…and 4 more in dom-diff\.md_/);
+  assert.match(markdown, /Failed tests without DOM snapshots to compare: 1/);
+});
+
+test('renderMarkdown is empty without snapshots to compare', () => {
+  assert.equal(renderMarkdown([{ label: 'Home', missing: ['test'], changes: [] }]), '');
+});
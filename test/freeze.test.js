@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { fakeAdapter } = require('./helpers');
+const freeze = require('../backstop_data/engine_scripts/pipeline/freeze');
+
+const RESULT = { fonts: 3, animations: 2, videos: 1, lottie: 0 };
+
+test('freeze does nothing unless the scenario turns it on', async () => {
+  const adapter = fakeAdapter({ evaluate: () => RESULT });
+  await freeze.before(adapter, { label: 'Home' });
+  await freeze.ready(adapter, { label: 'Home' });
+
+  assert.deepEqual([adapter.initScripts, adapter.styles, adapter.evaluated], [[], [], []]);
+});
+
+test('before installs a fixed Date and a seeded Math.random', async () => {
+  const adapter = fakeAdapter({ evaluate: () => RESULT });
+  await freeze.before(adapter, { label: 'Home', freeze: { date: '2026-10-19T12:00:00Z' } });
+
+  const [{ fn, arg }] = adapter.initScripts;
+  assert.deepEqual(arg, { date: '2026-10-19T12:00:00Z', random: 42 });
+
+  // Run the init script in a fresh context, as the browser would
+  const sequence = () => {
+    const context = vm.createContext({});
+    context.window = context;
+    vm.runInContext(`(${fn})(${JSON.stringify(arg)})`, context);
+    const values = '[Date.now(), new Date().toISOString(), new Date(0).getTime(), Math.random(), Math.random()]';
+    return Array.from(vm.runInContext(values, context));
+  };
+  const [now, iso, epoch, first, second] = sequence();
+
+  assert.equal(now, Date.parse('2026-10-19T12:00:00Z'));
+  assert.equal(iso, '2026-10-19T12:00:00.000Z');
+  assert.equal(epoch, 0);
+  assert.notEqual(first, second);
+  assert.deepEqual(sequence().slice(3), [first, second]);
+});
+
+test('before skips the init script when date and random are both off', async () => {
+  const adapter = fakeAdapter({ evaluate: () => RESULT });
+  await freeze.before(adapter, { label: 'Home', freeze: { date: false, random: false } });
+
+  assert.deepEqual(adapter.initScripts, []);
+});
+
+test('ready disables transitions and carets and passes the options to the page', async () => {
+  const adapter = fakeAdapter({ evaluate: () => RESULT });
+  await freeze.ready(adapter, { label: 'Home', freeze: { clock: 500, carets: false } });
+
+  assert.deepEqual(adapter.styles, ['*, *::before, *::after { transition: none !important; }']);
+  assert.equal(adapter.evaluated[0].clock, 500);
+  assert.equal(adapter.evaluated[0].videos, true);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startServer, tempDir } = require('./helpers');
+const { buildUrlPairs, compiledFrom } = require('../scripts/generate-scenarios');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'generate-scenarios.js');
+
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRIPT, ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('buildUrlPairs turns paths into labelled stage--/main-- pairs', () => {
+  assert.deepEqual(buildUrlPairs(['/', '/blog'], 'site--org.aem.page'), [
+    { label: 'Home Page', before: 'https://main--site--org.aem.page', after: 'https://stage--site--org.aem.page' },
+    { label: 'Blog Page', before: 'https://main--site--org.aem.page/blog', after: 'https://stage--site--org.aem.page/blog' },
+  ]);
+});
+
+test('buildUrlPairs numbers labels that repeat', () => {
+  assert.deepEqual(
+    buildUrlPairs(['/a-b', '/a/b'], 'site--org.aem.page').map((pair) => pair.label),
+    ['A B Page', 'A B Page (2)']
+  );
+});
+
+test('compiledFrom finds the source next to a compiled backstop.json', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'backstop.json'), '{}');
+  assert.equal(compiledFrom(path.join(dir, 'backstop.json')), null);
+
+  fs.writeFileSync(path.join(dir, 'backstop.config.yaml'), 'scenarios: []\n');
+  assert.equal(compiledFrom(path.join(dir, 'backstop.json')), path.join(dir, 'backstop.config.yaml'));
+  assert.equal(compiledFrom(path.join(dir, 'other.json')), null);
+});
+
+test('generate-scenarios exits with 1 instead of writing a compiled backstop.json', async (t) => {
+  const dir = tempDir(t);
+  const backstopPath = path.join(dir, 'backstop.json');
+  fs.writeFileSync(path.join(dir, 'backstop.config.yaml'), 'scenarios: []\n');
+  fs.writeFileSync(backstopPath, JSON.stringify({ scenarios: [] }));
+  const origin = await startServer(t, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ total: 1, data: [{ path: '/pricing' }] }));
+  });
+
+  const result = await run(['--index', `${origin}/query-index.json`, '--config', backstopPath]);
+
+  assert.equal(result.code, 1);
+  assert.match(result.stdout, /\{ label: "Pricing Page", path: "\/pricing" \},/);
+  assert.match(result.stderr, /is compiled from backstop\.config\.yaml/);
+  assert.equal(fs.readFileSync(backstopPath, 'utf8'), JSON.stringify({ scenarios: [] }));
+});
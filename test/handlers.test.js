@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { loadHandlers, resolveHandlers, runHandlers } = require('../backstop_data/engine_scripts/pipeline/handlers');
+
+const HANDLERS = [
+  { name: 'a', selector: '.a', stabilize: () => {} },
+  { name: 'b', selector: '.b', enabled: false, stabilize: () => {} },
+  { name: 'c', selector: '.c', stabilize: () => {} },
+];
+
+test('loadHandlers loads every handler module in the directory', () => {
+  const names = loadHandlers().map((handler) => handler.name);
+
+  assert.ok(names.includes('roll-cards'), names.join(', '));
+  assert.deepEqual(names, [...names].sort());
+});
+
+test('loadHandlers rejects modules without name, selector and stabilize', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'broken.js'), "module.exports = { name: 'broken' };\n");
+
+  assert.throws(() => loadHandlers(dir), /Handler broken\.js must export name, selector and stabilize/);
+});
+
+test('resolveHandlers applies the scenario "handlers" map', () => {
+  const names = (scenario) => resolveHandlers(scenario, HANDLERS).map(({ handler }) => handler.name);
+
+  assert.deepEqual(names({}), ['a', 'c']);
+  assert.deepEqual(names({ handlers: { a: false, b: true } }), ['b', 'c']);
+
+  const [, { options }] = resolveHandlers({ handlers: { c: { panel: 2 } } }, HANDLERS);
+  assert.deepEqual(options, { panel: 2 });
+});
+
+test('runHandlers keeps going when a handler fails in the page', async () => {
+  const calls = [];
+  const page = {
+    $$eval: async (selector, fn, options) => {
+      if (options === undefined) {
+        // The element count
+        return selector === '.roll-card' ? 2 : 0;
+      }
+      calls.push([selector, options]);
+      throw new Error('detached');
+    },
+  };
+
+  await runHandlers(page, { label: 'Home', handlers: { 'roll-cards': { speed: 0 } } });
+
+  assert.deepEqual(calls, [['.roll-card', { speed: 0 }]]);
+});
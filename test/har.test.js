@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const har = require('../backstop_data/engine_scripts/playwright/har');
+const { applyHar } = require('../scripts/backstop-local');
+
+const VIEWPORT = { label: 'desktop' };
+
+/**
+ * A browser context double that records HAR routing
+ * @returns {Object} - The context, with `harRoutes` and `routes` arrays
+ */
+function fakeContext() {
+  const context = { harRoutes: [], routes: [] };
+  context.routeFromHAR = async (file, options) => context.harRoutes.push({ file, options });
+  context.route = async (matcher, handler) => context.routes.push({ matcher, handler });
+  return context;
+}
+
+test('har records each scenario and viewport to its own archive', async (t) => {
+  const dir = tempDir(t);
+  const context = fakeContext();
+  const scenario = { label: 'Blog / Post', har: { mode: 'record', dir } };
+
+  await har(null, scenario, VIEWPORT, true, context);
+  await har(null, scenario, VIEWPORT, false, context);
+
+  assert.deepEqual(
+    context.harRoutes.map(({ file }) => path.relative(dir, file)),
+    [path.join('reference', 'Blog___Post_desktop.har'), path.join('test', 'Blog___Post_desktop.har')]
+  );
+  assert.equal(context.harRoutes[0].options.update, true);
+  assert.ok(fs.existsSync(path.join(dir, 'reference')));
+});
+
+test('har replays from an existing archive and lets passthrough hosts through', async (t) => {
+  const dir = tempDir(t);
+  fs.mkdirSync(path.join(dir, 'test'));
+  fs.writeFileSync(path.join(dir, 'test', 'Home_desktop.har'), '{}');
+  const context = fakeContext();
+
+  await har(null, { label: 'Home', har: { mode: 'replay', dir, passthrough: ['localhost:3000'] } }, VIEWPORT, false, context);
+
+  assert.deepEqual(context.harRoutes[0].options, { notFound: 'abort' });
+  const [{ matcher }] = context.routes;
+  assert.equal(matcher(new URL('http://localhost:3000/scripts/aem.js')), true);
+  assert.equal(matcher(new URL('https://cdn.example/lib.js')), false);
+});
+
+test('har loads from the network when replaying without an archive', async (t) => {
+  const context = fakeContext();
+  await har(null, { label: 'Home', har: { mode: 'replay', dir: tempDir(t) } }, VIEWPORT, false, context);
+  await har(null, { label: 'Home' }, VIEWPORT, false, context);
+
+  assert.deepEqual([context.harRoutes, context.routes], [[], []]);
+});
+
+test('applyHar sets the HAR options on every scenario and isolates recording output', () => {
+  const config = {
+    engine: 'playwright',
+    report: ['browser'],
+    paths: { bitmaps_reference: 'backstop_data/bitmaps_reference' },
+    scenarios: [
+      { label: 'A', url: 'https://feature--site--org.aem.page/a' },
+      { label: 'B', url: 'https://feature--site--org.aem.page/b' },
+    ],
+  };
+
+  const replay = applyHar(config, { mode: 'replay', dir: '/har', passthrough: ['test', 'cdn.example'] }, '/tmp/x');
+  assert.deepEqual(replay.scenarios[1].har, {
+    mode: 'replay',
+    dir: '/har',
+    passthrough: ['feature--site--org.aem.page', 'cdn.example'],
+    notFound: 'abort',
+  });
+  assert.equal(replay.paths, config.paths);
+
+  const record = applyHar(config, { mode: 'record', dir: '/har' }, '/tmp/x');
+  assert.equal(record.paths.bitmaps_reference, path.join('/tmp/x', 'record', 'bitmaps_reference'));
+  assert.deepEqual(record.report, []);
+
+  assert.throws(() => applyHar({ ...config, engine: 'puppeteer' }, { mode: 'record' }, '/tmp/x'), /need the playwright engine/);
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Reads a file from test/fixtures
+ * @param {...string} parts - Path below test/fixtures
+ * @returns {string} - The file contents
+ */
+function readFixture(...parts) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, ...parts), 'utf8');
+}
+
+/**
+ * Creates a temporary directory that is removed when the test ends
+ * @param {Object} t - The node:test context
+ * @returns {string} - Absolute path of the directory
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backstop-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Starts an HTTP server on a free local port that is closed when the test ends
+ * @param {Object} t - The node:test context
+ * @param {Function} handler - Request handler, (req, res) => void
+ * @returns {Promise<string>} - The server's origin, e.g. http://127.0.0.1:41234
+ */
+function startServer(t, handler) {
+  const server = http.createServer(handler);
+  t.after(
+    () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        // Keep-alive connections would hold the server open
+        server.closeAllConnections();
+      })
+  );
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+/**
+ * An engine adapter double (see backstop_data/engine_scripts/pipeline/index.js) that records
+ * what the pipeline steps send to the browser
+ * @param {Object} [options] - { evaluate: (fn, arg) => result of page.evaluate, ...adapter overrides }
+ * @returns {Object} - The adapter, with `cookies`, `initScripts`, `interceptors`, `styles` and
+ *   `evaluated` arrays
+ */
+function fakeAdapter({ evaluate = () => undefined, ...overrides } = {}) {
+  const adapter = {
+    cookies: [],
+    initScripts: [],
+    interceptors: [],
+    styles: [],
+    evaluated: [],
+    engine: 'playwright',
+    storageStateApplied: true,
+    page: {
+      addStyleTag: async ({ content }) => adapter.styles.push(content),
+      evaluate: async (fn, arg) => {
+        adapter.evaluated.push(arg);
+        return evaluate(fn, arg);
+      },
+    },
+    addCookies: async (cookies) => adapter.cookies.push(...cookies),
+    addInitScript: async (fn, arg) => adapter.initScripts.push({ fn, arg }),
+    waitForTimeout: async () => {},
+    waitForNetworkIdle: async () => {},
+    intercept: async (interceptor) => adapter.interceptors.push(interceptor),
+    ...overrides,
+  };
+  return adapter;
+}
+
+/**
+ * A request as passed to adapter.intercept() interceptors
+ * @param {string} url - The request URL
+ * @param {Object} [options] - { resourceType, isNavigation, response: what fetch() resolves with }
+ * @returns {Object} - The request
+ */
+function fakeRequest(url, { resourceType = 'image', isNavigation = false, response = null } = {}) {
+  return {
+    url,
+    resourceType,
+    method: 'GET',
+    headers: {},
+    isNavigation,
+    fetch: async () => response,
+  };
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  readFixture,
+  tempDir,
+  startServer,
+  fakeAdapter,
+  fakeRequest,
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSelector, checkEngineSelector, lintConfig, formatIssue } = require('../scripts/lint-config');
+
+const TEST_HOST = 'https://stage--site--org.aem.page';
+const REFERENCE_HOST = 'https://main--site--org.aem.page';
+
+/**
+ * Builds a config with valid viewports around the given scenarios
+ * @param {Array<Object>} scenarios - Scenario overrides, merged onto a valid scenario
+ * @returns {Object} - The config
+ */
+function configWith(scenarios) {
+  return {
+    id: 'site',
+    viewports: [{ label: 'desktop', width: 1440, height: 900 }],
+    scenarios: scenarios.map((scenario, i) => ({
+      label: `Page ${i + 1}`,
+      url: `${TEST_HOST}/page-${i + 1}`,
+      referenceUrl: `${REFERENCE_HOST}/page-${i + 1}`,
+      ...scenario,
+    })),
+  };
+}
+
+test('checkSelector accepts valid CSS and explains invalid selectors', () => {
+  [".nav > a, [data-testid='x']", 'li:not(.active, :first-child)', 'a[href^="/"]::after', '.hero :has-text("Buy")'].forEach(
+    (selector) => assert.equal(checkSelector(selector), null, selector)
+  );
+
+  assert.match(checkSelector('.nav >'), /position 6/);
+  assert.notEqual(checkSelector('[data-x'), null);
+  assert.notEqual(checkSelector('.a,,.b'), null);
+});
+
+test('checkEngineSelector accepts Playwright selector engines', () => {
+  assert.equal(checkEngineSelector('text=Sign in'), null);
+  assert.equal(checkEngineSelector('xpath=//button'), null);
+  assert.equal(checkEngineSelector('.menu >> text=More'), null);
+  assert.notEqual(checkEngineSelector('.menu >> .a['), null);
+});
+
+test('lintConfig passes a valid config', () => {
+  assert.deepEqual(lintConfig(configWith([{}, {}])), { errors: [], warnings: [] });
+});
+
+test('lintConfig reports labels, types, thresholds and selectors', () => {
+  const config = configWith([
+    { label: 'Home', misMatchThreshold: 150, hideSelectors: ['.ok', '.bad['] },
+    { label: 'Home', delay: '500', hidSelectors: ['.x'] },
+  ]);
+  const { errors, warnings } = lintConfig(config);
+
+  assert.deepEqual(
+    errors.map((issue) => issue.path),
+    ['scenarios[0].misMatchThreshold', 'scenarios[0].hideSelectors[1]', 'scenarios[1].delay', 'scenarios[1].label']
+  );
+  assert.match(errors[0].message, /outside 0-100/);
+  assert.deepEqual(warnings, [
+    { path: 'scenarios[1].hidSelectors', message: 'unknown key "hidSelectors", did you mean "hideSelectors"?' },
+  ]);
+  assert.equal(formatIssue(errors[3], config), 'scenarios[1] (Home).label: duplicate label "Home"');
+});
+
+test('lintConfig catches swapped hosts and scenarios on another site', () => {
+  const config = configWith([
+    {},
+    {},
+    { url: `${REFERENCE_HOST}/page-3`, referenceUrl: `${TEST_HOST}/page-3` },
+    { referenceUrl: 'https://main--other--org.aem.page/page-4' },
+    { url: 'ftp://example.com/x' },
+  ]);
+  const { errors } = lintConfig(config);
+
+  assert.deepEqual(
+    errors.map((issue) => [issue.path, issue.message.split(' (')[0]]),
+    [
+      ['scenarios[2]', 'url and referenceUrl are swapped'],
+      ['scenarios[3]', 'url and referenceUrl are on different sites'],
+      ['scenarios[4].url', '"ftp://example.com/x" is not an http(s) URL'],
+    ]
+  );
+});
+
+test('lintConfig checks the storage state against the scenario hosts', () => {
+  const config = configWith([{}]);
+  const storageState = {
+    path: '/tmp/cookies.json',
+    state: {
+      cookies: [
+        { name: 'banner', domain: '.stage--site--org.aem.page' },
+        { name: 'old', domain: 'www.example.com' },
+      ],
+      origins: [{ origin: 'https://example.com', localStorage: [] }],
+    },
+  };
+
+  assert.deepEqual(
+    lintConfig(config, { storageState }).warnings.map((issue) => issue.path),
+    ['storageState.cookies[1]', 'storageState.origins[0]']
+  );
+  assert.deepEqual(
+    lintConfig(config, { storageState: { path: '/tmp/missing.json', state: null } }).errors.map((issue) => issue.path),
+    ['engineOptions.storageState']
+  );
+});
+
+test('lintConfig checks maskText rules', () => {
+  const maskText = ['\\d+ views', { pattern: '(', within: '.a[' }, { pattern: 'x', flag: 'i' }, 3];
+  const { errors, warnings } = lintConfig(configWith([{ maskText }]));
+
+  assert.deepEqual(
+    errors.map((issue) => issue.path),
+    ['scenarios[0].maskText[1]', 'scenarios[0].maskText[1].within', 'scenarios[0].maskText[3]']
+  );
+  assert.deepEqual(warnings, [
+    { path: 'scenarios[0].maskText[2].flag', message: 'unknown key "flag", did you mean "flags"?' },
+  ]);
+});
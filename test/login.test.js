@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const {
+  matchesHost,
+  scenarioOrigins,
+  planLogins,
+  missingCredentials,
+  baseNotePath,
+  baseStorageState,
+  mergeStorageStates,
+  login,
+} = require('../scripts/login');
+const { FAKE_LOGIN, createServer } = require('../scripts/fake-login-server');
+
+const CREDENTIALS = { BACKSTOP_LOGIN_USER: 'backstop', BACKSTOP_LOGIN_PASSWORD: 'secret' };
+
+/**
+ * Starts scripts/fake-login-server.js on a free port that is closed when the test ends
+ * @param {Object} t - The node:test context
+ * @returns {Promise<string>} - The server's origin
+ */
+async function startFakeLoginServer(t) {
+  const server = createServer();
+  t.after(
+    () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      })
+  );
+  await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+  return `http://localhost:${server.address().port}`;
+}
+
+/**
+ * A Playwright browser double that submits the login form over HTTP, so the login flow can be
+ * tested without Chromium. Only handles the selectors of FAKE_LOGIN.
+ * @returns {Object} - The browser
+ */
+function httpBrowser() {
+  return {
+    newContext: async () => {
+      const cookies = [];
+      const form = {};
+      let url = null;
+      let html = '';
+
+      const request = async (target, options = {}) => {
+        const cookie = cookies.map(({ name, value }) => `${name}=${value}`).join('; ');
+        const response = await fetch(target, { ...options, redirect: 'manual', headers: { ...options.headers, cookie } });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) {
+          const [name, value] = setCookie.split(';')[0].split('=');
+          cookies.push({ name, value, domain: new URL(target).hostname, path: '/' });
+        }
+        url = target;
+        html = await response.text();
+        if (response.headers.get('location')) {
+          await request(new URL(response.headers.get('location'), target).href);
+        }
+      };
+
+      const page = {
+        setDefaultTimeout: () => {},
+        goto: (target) => request(target),
+        fill: async (selector, value) => {
+          form[selector.replace('#', '')] = value;
+        },
+        click: () =>
+          request(url, {
+            method: 'POST',
+            headers: { 'content-type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(form).toString(),
+          }),
+        waitForSelector: async (selector) => {
+          if (!html.includes(`class="${selector.replace('.', '')}"`)) {
+            throw new Error(`${selector} not found`);
+          }
+        },
+      };
+
+      return { newPage: async () => page, storageState: async () => ({ cookies, origins: [] }), close: async () => {} };
+    },
+  };
+}
+
+test('matchesHost lets * stand for one part of a host name', () => {
+  assert.equal(matchesHost('*.aem.page', 'main--site--org.aem.page'), true);
+  assert.equal(matchesHost('*.aem.page', 'a.b.aem.page'), false);
+  assert.equal(matchesHost('localhost:*', 'localhost:3100'), true);
+  assert.equal(matchesHost('*.aem.page', 'main--site--org.aem.live'), false);
+});
+
+test('planLogins pairs each scenario origin with the first matching login', () => {
+  const config = {
+    scenarios: [
+      { label: 'Home', url: 'https://stage--site--org.aem.page/', referenceUrl: 'https://main--site--org.aem.live/' },
+      { label: 'Blog', url: 'https://stage--site--org.aem.page/blog', referenceUrl: 'not a url' },
+    ],
+  };
+  const logins = [{ hosts: ['*.aem.page'], url: '{origin}/login', success: '.account-menu' }];
+
+  assert.deepEqual(scenarioOrigins(config), ['https://stage--site--org.aem.page', 'https://main--site--org.aem.live']);
+  assert.deepEqual(planLogins(scenarioOrigins(config), logins), [
+    { origin: 'https://stage--site--org.aem.page', host: 'stage--site--org.aem.page', login: logins[0] },
+  ]);
+  assert.deepEqual(missingCredentials(FAKE_LOGIN, { BACKSTOP_LOGIN_USER: 'me' }), ['BACKSTOP_LOGIN_PASSWORD']);
+});
+
+test('mergeStorageStates replaces cookies and localStorage entries with the same key', () => {
+  const base = [
+    { name: 'hide-banner', value: '1', domain: 'main--site--org.aem.page', path: '/' },
+    { name: 'session', value: 'old', domain: 'localhost', path: '/' },
+  ];
+  const merged = mergeStorageStates(base, [
+    {
+      cookies: [{ name: 'session', value: 'new', domain: 'localhost', path: '/' }],
+      origins: [{ origin: 'http://localhost:3100', localStorage: [{ name: 'signedIn', value: 'true' }] }],
+    },
+  ]);
+
+  assert.deepEqual(
+    merged.cookies.map((cookie) => `${cookie.name}=${cookie.value}`),
+    ['hide-banner=1', 'session=new']
+  );
+  assert.deepEqual(merged.origins, [
+    { origin: 'http://localhost:3100', localStorage: [{ name: 'signedIn', value: 'true' }] },
+  ]);
+});
+
+test('baseStorageState prefers the state noted next to the session file', (t) => {
+  const dir = tempDir(t);
+  const config = { engineOptions: { storageState: 'session.json' } };
+
+  assert.equal(baseStorageState(config, dir), 'session.json');
+  fs.writeFileSync(baseNotePath(path.join(dir, 'session.json')), JSON.stringify({ storageState: 'cookies.json' }));
+  assert.equal(baseNotePath(path.join(dir, 'session.json')), path.join(dir, 'session.base.json'));
+  assert.equal(baseStorageState(config, dir), 'cookies.json');
+  assert.equal(baseStorageState({ engineOptions: { storageState: { cookies: [] } } }), null);
+});
+
+test('login skips hosts whose credentials are not set', async (t) => {
+  const origin = await startFakeLoginServer(t);
+  const config = { scenarios: [{ label: 'Fake', url: `${origin}/` }] };
+  const saved = { ...process.env };
+  t.after(() => {
+    process.env = saved;
+  });
+  // login() reports progress on the console, which would end up in the test output
+  t.mock.method(console, 'log', () => {});
+  delete process.env.BACKSTOP_LOGIN_USER;
+  delete process.env.BACKSTOP_LOGIN_PASSWORD;
+
+  assert.deepEqual(await login(config, { logins: [FAKE_LOGIN], browser: httpBrowser() }), {
+    path: null,
+    hosts: [],
+    skipped: [new URL(origin).host],
+  });
+});
+
+test('login saves a storage state whose session the fake login server accepts', async (t) => {
+  const origin = await startFakeLoginServer(t);
+  const dir = tempDir(t);
+  const saved = { ...process.env };
+  t.after(() => {
+    process.env = saved;
+  });
+  t.mock.method(console, 'log', () => {});
+  Object.assign(process.env, CREDENTIALS);
+
+  fs.writeFileSync(
+    path.join(dir, 'cookies.json'),
+    JSON.stringify([{ name: 'hide-banner', value: '1', domain: 'localhost', path: '/' }])
+  );
+  const config = { scenarios: [{ label: 'Fake', url: `${origin}/` }], engineOptions: { storageState: 'cookies.json' } };
+  const out = path.join(dir, 'state', 'storage-state.json');
+
+  const result = await login(config, { logins: [FAKE_LOGIN], out, baseDir: dir, browser: httpBrowser() });
+
+  assert.deepEqual(result, { path: out, hosts: [new URL(origin).host], skipped: [] });
+  assert.equal(fs.statSync(out).mode & 0o777, 0o600);
+  assert.equal(baseStorageState({ engineOptions: { storageState: out } }, dir), 'cookies.json');
+  const state = JSON.parse(fs.readFileSync(out, 'utf8'));
+  assert.deepEqual(
+    state.cookies.map((cookie) => cookie.name),
+    ['hide-banner', 'session']
+  );
+
+  const session = state.cookies.find((cookie) => cookie.name === 'session');
+  const response = await fetch(`${origin}/`, { headers: { cookie: `session=${session.value}` }, redirect: 'manual' });
+  assert.equal(response.status, 200);
+
+  // The sessions would otherwise replace the committed cookies and localStorage
+  fs.rmSync(path.join(dir, 'cookies.json'));
+  await assert.rejects(
+    login(config, { logins: [FAKE_LOGIN], out, baseDir: dir, browser: httpBrowser() }),
+    /Storage state cookies\.json does not exist/
+  );
+});
+
+test('login with Chromium saves a session the fake login server accepts', async (t) => {
+  const { chromium } = require('playwright');
+  if (!fs.existsSync(chromium.executablePath())) {
+    t.skip('Chromium is not installed, run: npx playwright install chromium');
+    return;
+  }
+  const origin = await startFakeLoginServer(t);
+  const saved = { ...process.env };
+  t.after(() => {
+    process.env = saved;
+  });
+  t.mock.method(console, 'log', () => {});
+  Object.assign(process.env, CREDENTIALS);
+  const out = path.join(tempDir(t), 'storage-state.json');
+
+  await login({ scenarios: [{ label: 'Fake', url: `${origin}/` }] }, { logins: [FAKE_LOGIN], out });
+
+  const session = JSON.parse(fs.readFileSync(out, 'utf8')).cookies.find((cookie) => cookie.name === 'session');
+  const response = await fetch(`${origin}/`, { headers: { cookie: `session=${session.value}` }, redirect: 'manual' });
+  assert.equal(response.status, 200);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeAdapter } = require('./helpers');
+const maskText = require('../backstop_data/engine_scripts/pipeline/maskText');
+
+test('maskText normalizes string and object rules before sending them to the page', async () => {
+  const adapter = fakeAdapter({
+    evaluate: () => [
+      { pattern: '\\d+ views', count: 2, error: null },
+      { pattern: '\\d+ days ago', count: 1, error: null },
+    ],
+  });
+
+  await maskText(adapter, {
+    label: 'Blog',
+    maskText: ['\\d+ views', { pattern: '\\d+ days ago', replacement: '5 days ago', flags: 'i', within: '.card' }],
+  });
+
+  assert.deepEqual(adapter.evaluated[0], [
+    { pattern: '\\d+ views', flags: 'g', replacement: '•••', within: null },
+    { pattern: '\\d+ days ago', flags: 'ig', replacement: '5 days ago', within: '.card' },
+  ]);
+});
+
+test('maskText keeps an existing g flag and skips scenarios without rules', async () => {
+  const adapter = fakeAdapter({ evaluate: () => [{ pattern: 'x', count: 0, error: null }] });
+
+  await maskText(adapter, { label: 'A', maskText: { pattern: 'x', flags: 'gi' } });
+  assert.equal(adapter.evaluated[0][0].flags, 'gi');
+
+  const untouched = fakeAdapter();
+  await maskText(untouched, { label: 'B' });
+  assert.deepEqual(untouched.evaluated, []);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, tempDir } = require('./helpers');
+const { loadShard, findMissingShards, mergeXunit, mergeReports } = require('../scripts/merge-reports');
+const { parseXunit } = require('../scripts/summarize-results');
+
+const shardDirs = ['shard-1', 'shard-2'].map((name) => path.join(FIXTURES_DIR, 'shards', name));
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Builds a config whose report paths point into a temporary directory
+ * @param {Object} t - The node:test context
+ * @returns {{dir: string, config: Object, timingsPath: string}}
+ */
+function withOutput(t) {
+  const dir = tempDir(t);
+  const config = {
+    paths: {
+      bitmaps_test: path.join(dir, 'bitmaps_test'),
+      html_report: path.join(dir, 'html_report'),
+      json_report: path.join(dir, 'json_report'),
+      ci_report: path.join(dir, 'ci_report'),
+    },
+  };
+  return { dir, config, timingsPath: path.join(dir, 'shard_timings.json') };
+}
+
+test('mergeXunit keeps every test case and recounts the failures', () => {
+  const reports = shardDirs.map((dir) => fs.readFileSync(path.join(dir, 'ci_report', 'xunit.xml'), 'utf8'));
+  const merged = mergeXunit(reports);
+  const parsed = parseXunit(merged);
+
+  assert.equal(parsed.suite, 'BackstopJS');
+  assert.deepEqual(
+    parsed.cases.map((testCase) => [testCase.label, testCase.failed]),
+    [
+      ['Home Page', false],
+      ['Blog Page', true],
+    ]
+  );
+  assert.match(merged, /<testsuites tests="2" failures="1" errors="1" skipped="0">/);
+});
+
+test('mergeXunit escapes the suite name', () => {
+  const merged = mergeXunit(['<testsuite name="A &amp; B"><testcase name="x" classname="document"/></testsuite>']);
+  assert.match(merged, /<testsuite name="A &amp; B" tests="1"/);
+});
+
+test('mergeReports combines the shard reports and moves the test bitmaps to one run', (t) => {
+  const { dir, config, timingsPath } = withOutput(t);
+  const result = mergeReports(shardDirs, { config, timingsPath });
+
+  assert.equal(result.tests, 2);
+  assert.equal(result.shards, 2);
+  assert.equal(result.exitCode, 1);
+  assert.equal(path.basename(result.runDir), '20261019-120100');
+
+  const report = readJson(path.join(dir, 'json_report', 'jsonReport.json'));
+  assert.deepEqual(
+    report.tests.map((test) => test.pair.label),
+    ['Home Page', 'Blog Page']
+  );
+  report.tests.forEach(({ pair }) => {
+    assert.ok(pair.test.startsWith('../bitmaps_test/20261019-120100/'), pair.test);
+    assert.ok(fs.existsSync(path.join(dir, 'json_report', pair.test)), pair.test);
+  });
+  assert.ok(fs.existsSync(path.join(dir, 'json_report', report.tests[1].pair.diffImage)));
+  // The shard's own BackstopJS run report is not copied
+  assert.ok(!fs.existsSync(path.join(result.runDir, 'report.json')));
+
+  assert.equal(parseXunit(fs.readFileSync(path.join(dir, 'ci_report', 'xunit.xml'), 'utf8')).total, 2);
+  assert.deepEqual(readJson(timingsPath).labels, { 'Home Page': 4000, 'Blog Page': 6000 });
+});
+
+test('mergeReports fails when a shard of the run is missing', (t) => {
+  const { dir, config, timingsPath } = withOutput(t);
+
+  assert.throws(
+    () => mergeReports(shardDirs.slice(0, 1), { config, timingsPath }),
+    /Missing results of shard 2\/2 \(no shard\.json\)/
+  );
+  assert.ok(!fs.existsSync(path.join(dir, 'json_report')));
+});
+
+test('findMissingShards names shards without a manifest and shards that did not finish', () => {
+  const shards = shardDirs.map(loadShard);
+  assert.deepEqual(findMissingShards(shards), []);
+
+  const unfinished = { ...shards[1], manifest: { ...shards[1].manifest, exitCode: null } };
+  assert.deepEqual(findMissingShards([shards[0], unfinished]), ['shard 2/2 (did not finish)']);
+
+  const third = { ...shards[0], manifest: { ...shards[0].manifest, total: 3 } };
+  assert.deepEqual(findMissingShards([third, shards[1]]), ['shard 3/3 (no shard.json)']);
+});
@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { readFixture, startServer, tempDir } = require('./helpers');
+const {
+  parsePRBody,
+  validatePRBody,
+  extractUrlPairs,
+  getScenarioHosts,
+  expandPathEntries,
+  writeValidationReport,
+  updateBackstopConfig,
+} = require('../scripts/parse-pr-urls');
+
+const HOSTS = { test: 'https://stage--site--org.aem.page', reference: 'https://main--site--org.aem.page' };
+
+test('extractUrlPairs reads sub-bullet options and skips malformed ones', () => {
+  const [pricing, about] = extractUrlPairs(readFixture('pr-bodies', 'options.md'));
+
+  assert.equal(pricing.before, 'https://main--site--org.aem.live/pricing');
+  assert.equal(pricing.after, 'https://my-branch--site--org.aem.live/pricing');
+  assert.equal(pricing.label, 'Pricing page');
+  assert.deepEqual(pricing.options, {
+    hideSelectors: ['.promo-ticker', '.countdown'],
+    viewports: ['phone', 'desktop'],
+    misMatchThreshold: 0.5,
+  });
+  assert.deepEqual(about.options, {});
+});
+
+test('extractUrlPairs reads pairs from fenced yaml blocks', () => {
+  const pairs = extractUrlPairs(readFixture('pr-bodies', 'options.md'));
+
+  assert.equal(pairs.length, 3);
+  assert.equal(pairs[2].label, 'Contact');
+  assert.deepEqual(pairs[2].options, { selectors: ['.form', '.map'], clickSelectors: ['.tab-2'] });
+});
+
+test('extractUrlPairs reads the same pairs from a json block', () => {
+  const body = [
+    '```json',
+    JSON.stringify({ pairs: [{ before: 'https://a.example/x', after: 'https://b.example/x', hover: ['.nav'] }] }),
+    '```',
+  ].join('\n');
+
+  assert.deepEqual(extractUrlPairs(body), [
+    { before: 'https://a.example/x', after: 'https://b.example/x', options: { hoverSelectors: ['.nav'] } },
+  ]);
+});
+
+test('extractUrlPairs returns path entries for Page lines', () => {
+  const body = ['- Page: /products/x', '  - Label: Product X', '* Page: `/blog/*`'].join('\n');
+
+  assert.deepEqual(extractUrlPairs(body), [
+    { path: '/products/x', label: 'Product X', options: {} },
+    { path: '/blog/*', options: {} },
+  ]);
+});
+
+test('getScenarioHosts takes the origins of the first complete scenario', () => {
+  const config = {
+    scenarios: [
+      { label: 'No reference', url: 'https://other.example/x' },
+      { label: 'Home', url: `${HOSTS.test}/`, referenceUrl: `${HOSTS.reference}/index` },
+    ],
+  };
+
+  assert.deepEqual(getScenarioHosts(config), HOSTS);
+  assert.equal(getScenarioHosts({ scenarios: [] }), null);
+});
+
+test('expandPathEntries maps paths and wildcards onto the scenario hosts', async (t) => {
+  const blogPaths = Array.from({ length: 25 }, (_, i) => `/blog/post-${i + 1}`);
+  const indexUrl = `${await startServer(t, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ total: 26, data: ['/', ...blogPaths].map((path) => ({ path })) }));
+  })}/query-index.json`;
+
+  const entries = [
+    { before: 'https://a.example/x', after: 'https://b.example/x', options: {} },
+    { path: '/', options: {} },
+    { path: '/blog/*', label: 'Blog', options: { viewports: ['phone'] } },
+    { path: '/news/*', options: {} },
+  ];
+  const pairs = await expandPathEntries(entries, HOSTS, indexUrl);
+
+  assert.equal(pairs.length, 22);
+  assert.deepEqual(pairs[0], entries[0]);
+  assert.deepEqual(pairs[1], { before: HOSTS.reference, after: HOSTS.test, label: 'Home Page', options: {} });
+  assert.deepEqual(pairs[2], {
+    before: `${HOSTS.reference}/blog/post-1`,
+    after: `${HOSTS.test}/blog/post-1`,
+    label: 'Blog (/blog/post-1)',
+    options: { viewports: ['phone'] },
+  });
+  assert.equal(pairs[21].label, 'Blog (/blog/post-20)');
+});
+
+test('expandPathEntries skips path entries without scenario hosts', async () => {
+  assert.deepEqual(await expandPathEntries([{ path: '/x', options: {} }], null), []);
+});
+
+test('expandPathEntries keeps the query string and treats only * as a wildcard', async () => {
+  const pairs = await expandPathEntries([{ path: '/search?q=a&page=2', options: {} }, { path: '/?preview=1', options: {} }], HOSTS);
+
+  assert.deepEqual(
+    pairs.map((pair) => [pair.before, pair.after, pair.label]),
+    [
+      [`${HOSTS.reference}/search?q=a&page=2`, `${HOSTS.test}/search?q=a&page=2`, 'Search Page'],
+      [`${HOSTS.reference}/?preview=1`, `${HOSTS.test}/?preview=1`, 'Home Page'],
+    ]
+  );
+});
+
+test('VALIDATE_CONCURRENCY and VALIDATE_RETRIES must be whole numbers', (t) => {
+  const run = (env) =>
+    spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'parse-pr-urls.js')], {
+      encoding: 'utf8',
+      env: { ...process.env, PR_BODY: 'No pairs', BACKSTOP_PATH: path.join(tempDir(t), 'backstop.json'), ...env },
+    });
+
+  const fraction = run({ VALIDATE_CONCURRENCY: '1.5' });
+  assert.equal(fraction.status, 1);
+  assert.match(fraction.stderr, /VALIDATE_CONCURRENCY must be a whole number of at least 1, got "1\.5"/);
+  assert.match(run({ VALIDATE_RETRIES: '-1' }).stderr, /VALIDATE_RETRIES must be a whole number of at least 0/);
+});
+
+test('extractUrlPairs ignores mappings given for list and label options', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const body = [
+    '```yaml',
+    '- before: https://a.example/x',
+    '  after: https://b.example/x',
+    '  label: { text: X }',
+    '  hide: { selector: .promo }',
+    '  remove: .banner',
+    '```',
+  ].join('\n');
+
+  assert.deepEqual(extractUrlPairs(body), [
+    { before: 'https://a.example/x', after: 'https://b.example/x', options: { removeSelectors: ['.banner'] } },
+  ]);
+});
+
+test('updateBackstopConfig gives a repeated label the first free number', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const backstopPath = path.join(tempDir(t), 'backstop.json');
+  const scenario = (label, pagePath) => ({ label, url: `${HOSTS.test}${pagePath}`, referenceUrl: `${HOSTS.reference}${pagePath}` });
+  fs.writeFileSync(
+    backstopPath,
+    JSON.stringify({
+      viewports: [{ label: 'desktop', width: 1280, height: 800 }],
+      scenarios: [scenario('Blog', '/blog'), scenario('Blog (2)', '/blog/2')],
+    })
+  );
+
+  const config = updateBackstopConfig([{ label: 'Blog', before: `${HOSTS.reference}/news`, after: `${HOSTS.test}/news` }], backstopPath);
+
+  assert.deepEqual(
+    config.scenarios.map((s) => s.label),
+    ['Blog', 'Blog (2)', 'Blog (3)']
+  );
+});
+
+test('parsePRBody returns the valid pairs, validatePRBody also the rejected ones', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const origin = await startServer(t, (req, res) => {
+    res.writeHead(req.url === '/missing' ? 404 : 200);
+    res.end();
+  });
+  const body = [`- Before: ${origin}/a`, `- After: ${origin}/b`, `- Before: ${origin}/a`, `- After: ${origin}/missing`].join('\n');
+  const validation = { retryDelay: 1 };
+
+  const urlPairs = await parsePRBody(body, { validation });
+  assert.deepEqual(
+    urlPairs.map((pair) => pair.after),
+    [`${origin}/b`]
+  );
+
+  const result = await validatePRBody(body, { validation });
+  assert.deepEqual(result.urlPairs, urlPairs);
+  assert.equal(result.rejected[0].reasons.after.status, 404);
+  assert.deepEqual(await parsePRBody(''), []);
+});
+
+test('writeValidationReport ends the rejected_pairs output with a random delimiter', (t) => {
+  const dir = tempDir(t);
+  const outputPath = path.join(dir, 'github-output');
+  const saved = process.env.GITHUB_OUTPUT;
+  t.after(() => {
+    if (saved === undefined) {
+      delete process.env.GITHUB_OUTPUT;
+    } else {
+      process.env.GITHUB_OUTPUT = saved;
+    }
+  });
+  process.env.GITHUB_OUTPUT = outputPath;
+  const rejected = [
+    {
+      label: 'EOF',
+      before: 'https://a.example/EOF',
+      after: 'https://b.example/x',
+      reasons: { before: null, after: { code: 'http-status', status: 404, message: 'HTTP 404' } },
+    },
+  ];
+
+  writeValidationReport(1, rejected, path.join(dir, 'report.json'));
+
+  const [, delimiter] = fs.readFileSync(outputPath, 'utf8').match(/^rejected_pairs<<(ghadelim_[0-9a-f-]{36})\n/);
+  const output = fs.readFileSync(outputPath, 'utf8').split('\n');
+  assert.equal(output.indexOf(delimiter), output.length - 2);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')).checked, 1);
+});
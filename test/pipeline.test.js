@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, fakeAdapter, fakeRequest } = require('./helpers');
+const createAdapter = require('../backstop_data/engine_scripts/adapter');
+const cookies = require('../backstop_data/engine_scripts/pipeline/cookies');
+const csp = require('../backstop_data/engine_scripts/pipeline/csp');
+
+test('cookies loads the storage state when the engine does not', async (t) => {
+  const statePath = path.join(tempDir(t), 'cookies.json');
+  fs.writeFileSync(
+    statePath,
+    JSON.stringify({
+      cookies: [{ name: 'banner', value: '1', domain: '.site.example', expirationDate: 1900000000, sameSite: 'lax' }],
+      origins: [{ origin: 'https://site.example', localStorage: [{ name: 'indexToUse', value: 'b' }] }],
+    })
+  );
+  const config = { engineOptions: { storageState: statePath } };
+
+  const playwright = fakeAdapter();
+  await cookies(playwright, { label: 'Home' }, config);
+  assert.deepEqual([playwright.cookies, playwright.initScripts], [[], []]);
+
+  const puppeteer = fakeAdapter({ engine: 'puppeteer', storageStateApplied: false });
+  await cookies(puppeteer, { label: 'Home' }, config);
+  assert.deepEqual(puppeteer.cookies, [
+    { name: 'banner', value: '1', domain: '.site.example', path: '/', httpOnly: false, secure: false, expires: 1900000000 },
+  ]);
+  assert.deepEqual(puppeteer.initScripts[0].arg, [
+    { origin: 'https://site.example', localStorage: [{ name: 'indexToUse', value: 'b' }] },
+  ]);
+});
+
+test('cookies reads scenario.cookiePath arrays for every engine', async (t) => {
+  const cookiePath = path.join(tempDir(t), 'scenario-cookies.json');
+  fs.writeFileSync(cookiePath, JSON.stringify([{ name: 'a', value: 'b', domain: 'site.example', session: true, expires: 5 }]));
+
+  const adapter = fakeAdapter();
+  await cookies(adapter, { label: 'Home', cookiePath }, {});
+
+  assert.equal(adapter.cookies.length, 1);
+  assert.equal(adapter.cookies[0].expires, undefined);
+});
+
+test('csp uses the engine switch when there is one', async () => {
+  let bypassed = false;
+  const adapter = fakeAdapter({
+    bypassCSP: async () => {
+      bypassed = true;
+    },
+  });
+  await csp(adapter, { label: 'Home', bypassCSP: true });
+
+  assert.equal(bypassed, true);
+  assert.deepEqual(adapter.interceptors, []);
+});
+
+test('csp strips the policy headers and meta tags from navigations', async () => {
+  const adapter = fakeAdapter();
+  await csp(adapter, { label: 'Home' });
+  assert.deepEqual(adapter.interceptors, []);
+
+  await csp(adapter, { label: 'Home', bypassCSP: true });
+  const [intercept] = adapter.interceptors;
+  const html = '<head><meta http-equiv="Content-Security-Policy" content="default-src \'self\'"><title>x</title></head>';
+  const response = {
+    status: 200,
+    headers: { 'content-type': 'text/html', 'Content-Security-Policy': "default-src 'self'" },
+    body: Buffer.from(html),
+  };
+
+  const page = await intercept(fakeRequest('https://site.example/', { isNavigation: true, response }));
+  assert.deepEqual(page, { status: 200, headers: { 'content-type': 'text/html' }, body: '<head><title>x</title></head>' });
+  assert.equal(await intercept(fakeRequest('https://site.example/app.js', { resourceType: 'script' })), null);
+});
+
+test('the adapter is picked per engine and kept per page', () => {
+  const puppeteerPage = { setRequestInterception: () => {} };
+  const playwrightPage = {};
+
+  assert.equal(createAdapter(puppeteerPage, null, {}).engine, 'puppeteer');
+  assert.equal(createAdapter(playwrightPage, {}, { engine: 'playwright' }).engine, 'playwright');
+  assert.equal(createAdapter(playwrightPage, {}, {}), createAdapter(playwrightPage, {}, {}));
+});
+
+test('the Playwright adapter runs interceptors in order on a single route', async () => {
+  const routes = [];
+  const page = { route: async (pattern, handler) => routes.push(handler) };
+  const adapter = createAdapter(page, {}, { engine: 'playwright' });
+
+  await adapter.intercept(async (request) => (request.url.endsWith('.png') ? { status: 200, body: 'stub' } : null));
+  await adapter.intercept(async (request) => (request.resourceType === 'font' ? 'abort' : null));
+  assert.equal(routes.length, 1);
+
+  const handle = async (url, resourceType) => {
+    let result = null;
+    await routes[0]({
+      request: () => ({
+        url: () => url,
+        resourceType: () => resourceType,
+        method: () => 'GET',
+        headers: () => ({}),
+        isNavigationRequest: () => false,
+      }),
+      fulfill: async (response) => {
+        result = response;
+      },
+      abort: async () => {
+        result = 'abort';
+      },
+      fallback: async () => {
+        result = 'fallback';
+      },
+    });
+    return result;
+  };
+
+  assert.deepEqual(await handle('https://site.example/a.png', 'image'), { status: 200, body: 'stub' });
+  assert.equal(await handle('https://site.example/a.woff2', 'font'), 'abort');
+  assert.equal(await handle('https://site.example/a.js', 'script'), 'fallback');
+});
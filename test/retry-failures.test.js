@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { classify, retryFailures, writeRetries, readRetries, formatRetry, retryExitCode } = require('../scripts/retry-failures');
+
+const CONFIG = {
+  id: 'test',
+  viewports: [{ label: 'desktop', width: 1280, height: 800 }],
+  scenarios: [{ label: 'Home' }, { label: 'Blog' }, { label: 'News' }],
+  paths: {},
+};
+
+/**
+ * Builds a jsonReport.json test entry
+ * @param {string} label - Scenario label
+ * @param {string} status - 'pass' or 'fail'
+ * @param {number} misMatchPercentage - Mismatch of the comparison
+ * @returns {Object} - The test
+ */
+function reportTest(label, status, misMatchPercentage) {
+  return {
+    status,
+    pair: { label, viewportLabel: 'desktop', selector: 'document', diff: { misMatchPercentage: String(misMatchPercentage) } },
+  };
+}
+
+function writeReport(reportPath, tests) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({ testSuite: 'BackstopJS', tests }));
+}
+
+test('classify tells flaky, failing and error tests apart', () => {
+  assert.equal(classify([{ status: 'fail', misMatchPercentage: 2 }, { status: 'pass', misMatchPercentage: 0 }]), 'flaky');
+  assert.equal(classify([{ status: 'fail', misMatchPercentage: 2 }, { status: 'fail', misMatchPercentage: 3 }]), 'failing');
+  assert.equal(classify([{ status: 'fail', misMatchPercentage: 2 }, { status: 'missing', misMatchPercentage: null }]), 'error');
+  assert.equal(classify([]), 'error');
+});
+
+test('retryExitCode fails on failing and error tests, and on flaky ones unless allowed', () => {
+  assert.equal(retryExitCode(null, false), 0);
+  assert.equal(retryExitCode({ counts: { failing: 0, error: 0, flaky: 1 } }, true), 0);
+  assert.equal(retryExitCode({ counts: { failing: 0, error: 0, flaky: 1 } }, false), 1);
+  assert.equal(retryExitCode({ counts: { failing: 0, error: 1, flaky: 0 } }, true), 1);
+});
+
+test('retryFailures captures only the failed pairs again and stops retrying passed ones', async (t) => {
+  const reportPath = path.join(tempDir(t), 'json_report', 'jsonReport.json');
+  writeReport(reportPath, [reportTest('Home', 'pass', 0), reportTest('Blog', 'fail', 4), reportTest('News', 'fail', 2)]);
+  const runs = [];
+
+  const run = async (configPath) => {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const labels = config.scenarios.map((scenario) => scenario.label);
+    runs.push(labels);
+    // Blog keeps failing, News passes on its first retry
+    const tests = labels.map((label) => (label === 'News' ? reportTest(label, 'pass', 0) : reportTest(label, 'fail', 5)));
+    writeReport(path.join(config.paths.json_report, 'jsonReport.json'), tests);
+  };
+  const result = await retryFailures({ config: CONFIG, reportPath, retries: 2, run });
+
+  assert.deepEqual(runs, [['Blog', 'News'], ['Blog']]);
+  assert.deepEqual(result.counts, { failing: 1, flaky: 1, error: 0 });
+  assert.equal(formatRetry(result.tests[0]), 'failed all 2 retries (5%, 5%)');
+  assert.equal(formatRetry(result.tests[1]), 'flaky, passed on retry 1');
+
+  writeRetries(result, reportPath);
+  assert.deepEqual(readRetries(reportPath), JSON.parse(JSON.stringify(result)));
+  // A new run of the report makes the classification stale
+  writeReport(reportPath, []);
+  assert.equal(readRetries(reportPath), null);
+});
+
+test('retryFailures counts a retry without a report as an error', async (t) => {
+  const reportPath = path.join(tempDir(t), 'json_report', 'jsonReport.json');
+  writeReport(reportPath, [reportTest('Blog', 'fail', 4)]);
+
+  const result = await retryFailures({ config: CONFIG, reportPath, retries: 1, run: async () => {} });
+
+  assert.deepEqual(result.counts, { failing: 0, flaky: 0, error: 1 });
+  assert.equal(formatRetry(result.tests[0]), 'error on retry: no result');
+
+  writeReport(reportPath, [reportTest('Blog', 'pass', 0)]);
+  assert.equal(await retryFailures({ config: CONFIG, reportPath }), null);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RULES_PATH,
+  toHostBranch,
+  loadRules,
+  createRewriter,
+  rewriteBackstopConfig,
+  rewriteStorageState,
+} = require('../scripts/rewrite-hosts');
+
+const CONFIG = {
+  scenarios: [
+    {
+      label: 'Home',
+      url: 'https://stage--site--org.aem.page',
+      referenceUrl: 'https://main--site--org.aem.page/',
+    },
+  ],
+};
+
+test('toHostBranch turns git branch names into host-safe names', () => {
+  assert.equal(toHostBranch('feature/Hero_Block'), 'feature-hero-block');
+  assert.equal(toHostBranch('main--'), 'main');
+});
+
+test('the default rules point each side at the chosen branch and environment', () => {
+  const rewriter = createRewriter(loadRules(DEFAULT_RULES_PATH), { testBranch: 'feature/hero', testEnv: 'live' });
+  const [scenario] = rewriteBackstopConfig(CONFIG, rewriter).scenarios;
+
+  assert.equal(scenario.url, 'https://feature-hero--site--org.aem.live');
+  assert.equal(scenario.referenceUrl, 'https://main--site--org.aem.page/');
+  assert.equal(CONFIG.scenarios[0].url, 'https://stage--site--org.aem.page');
+});
+
+test('the local environment rewrites cookies to a host-only localhost domain', () => {
+  const rewriter = createRewriter(loadRules(), { testEnv: 'local' });
+  const state = {
+    cookies: [{ name: 'banner', domain: '.stage--site--org.aem.page' }],
+    origins: [{ origin: 'https://stage--site--org.aem.page', localStorage: [] }],
+  };
+
+  const rewritten = rewriteStorageState(state, rewriter);
+
+  assert.equal(rewritten.cookies[0].domain, 'localhost');
+  assert.equal(rewritten.origins[0].origin, 'http://localhost:3000');
+});
+
+test('each host is rewritten by its first matching rule only', () => {
+  const rewriter = createRewriter({
+    rules: [
+      { host: 'a.example', to: 'b.example' },
+      { match: '^b\\.', replace: 'c.' },
+    ],
+  });
+
+  assert.equal(rewriter.rewriteUrl('https://a.example/x?y#z'), 'https://b.example/x?y#z');
+  assert.equal(rewriter.rewriteUrl('https://b.example/x'), 'https://c.example/x');
+  assert.equal(rewriter.rewriteDomain('.a.example'), '.b.example');
+});
+
+test('createRewriter rejects incomplete rules and unknown environments', () => {
+  assert.throws(() => createRewriter({ rules: [{ side: 'test' }] }), /rule 1 needs either "host" or "match"/);
+  assert.throws(() => createRewriter({ rules: [{ match: 'x' }] }), /needs "environment" or "replace"/);
+  assert.throws(
+    () => createRewriter({ environments: { live: 'x' }, rules: [{ match: 'x', environment: 'staging' }] }),
+    /unknown environment "staging" \(available: live\)/
+  );
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { readFailedTests, matchesLabel, filterScenarios } = require('../scripts/scenario-filter');
+
+const CONFIG = {
+  id: 'visual_regression_test',
+  viewports: [{ label: 'phone' }, { label: 'tablet' }, { label: 'desktop' }],
+  scenarios: [
+    { label: 'Home Page' },
+    { label: 'Blog Page' },
+    { label: 'Pricing', viewports: [{ label: 'wide' }] },
+  ],
+};
+
+/**
+ * Writes a jsonReport.json with the given tests
+ * @param {Object} t - The node:test context
+ * @param {Array<Array<string>>} tests - [label, viewportLabel, status] triples
+ * @returns {string} - The report path
+ */
+function writeReport(t, tests) {
+  const reportPath = path.join(tempDir(t), 'jsonReport.json');
+  const report = { tests: tests.map(([label, viewportLabel, status]) => ({ pair: { label, viewportLabel }, status })) };
+  fs.writeFileSync(reportPath, JSON.stringify(report));
+  return reportPath;
+}
+
+test('filterScenarios selects by label, regex and viewport', () => {
+  const byLabel = filterScenarios(CONFIG, { labels: ['Blog Page'], viewports: ['phone', 'desktop'] });
+  assert.deepEqual(byLabel.selection, [{ label: 'Blog Page', viewports: ['phone', 'desktop'] }]);
+  assert.deepEqual(byLabel.config.viewports, CONFIG.viewports);
+
+  const byRegex = filterScenarios(CONFIG, { labelRegex: 'page$' });
+  assert.deepEqual(
+    byRegex.selection.map((entry) => entry.label),
+    ['Home Page', 'Blog Page']
+  );
+
+  // Scenario-level viewports replace the global list
+  assert.deepEqual(filterScenarios(CONFIG, { viewports: ['wide'] }).selection, [{ label: 'Pricing', viewports: ['wide'] }]);
+});
+
+test('filterScenarios with changedOnly keeps the failed label/viewport pairs', (t) => {
+  const reportPath = writeReport(t, [
+    ['Home Page', 'phone', 'pass'],
+    ['Blog Page', 'tablet', 'fail'],
+    ['Blog Page', 'desktop', 'fail'],
+  ]);
+
+  const { config, selection } = filterScenarios(CONFIG, { changedOnly: true, viewports: ['desktop'] }, reportPath);
+
+  assert.deepEqual(selection, [{ label: 'Blog Page', viewports: ['desktop'] }]);
+  assert.deepEqual(config.scenarios[0].viewports, [{ label: 'desktop' }]);
+});
+
+test('readFailedTests explains a missing report', (t) => {
+  assert.throws(() => readFailedTests(path.join(tempDir(t), 'missing.json')), /No previous test report found/);
+});
+
+test('matchesLabel combines exact labels and a case-insensitive regex', () => {
+  assert.equal(matchesLabel('Blog Page', {}), true);
+  assert.equal(matchesLabel('Blog Page', { labels: ['Home Page'] }), false);
+  assert.equal(matchesLabel('Blog Page', { labels: ['Blog Page'], labelRegex: '^blog' }), true);
+  assert.equal(matchesLabel('Blog Page', { labelRegex: '^home' }), false);
+});
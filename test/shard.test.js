@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { readTimings, planShards, buildShardConfig } = require('../scripts/shard');
+
+const CONFIG = {
+  viewports: [{ label: 'phone' }, { label: 'desktop' }],
+  paths: { bitmaps_reference: 'backstop_data/bitmaps_reference', bitmaps_test: 'backstop_data/bitmaps_test' },
+  scenarios: [
+    { label: 'A' },
+    { label: 'B' },
+    { label: 'C', viewports: [{ label: 'desktop' }] },
+    { label: 'D' },
+  ],
+};
+
+test('planShards spreads scenarios by viewport count without timings', () => {
+  assert.deepEqual(planShards(CONFIG, 2), [
+    { index: 1, labels: ['A', 'D'], estimate: 4 },
+    { index: 2, labels: ['B', 'C'], estimate: 3 },
+  ]);
+});
+
+test('planShards balances by recorded timings', () => {
+  const shards = planShards(CONFIG, 2, { A: 9000, B: 1000, C: 1000, D: 1000 });
+
+  assert.deepEqual(
+    shards.map((shard) => shard.labels),
+    [['A'], ['B', 'C', 'D']]
+  );
+  // Every scenario lands in exactly one shard, also with more shards than scenarios
+  assert.deepEqual(planShards(CONFIG, 6).flatMap((shard) => shard.labels).sort(), ['A', 'B', 'C', 'D']);
+});
+
+test('buildShardConfig keeps the shared references and redirects the test output', () => {
+  const { config, shard } = buildShardConfig(CONFIG, 2, 2);
+
+  assert.deepEqual(
+    config.scenarios.map((scenario) => scenario.label),
+    ['B', 'C']
+  );
+  assert.equal(config.paths.bitmaps_reference, 'backstop_data/bitmaps_reference');
+  assert.equal(config.paths.bitmaps_test, 'backstop_data/shards/shard-2/bitmaps_test');
+  assert.equal(config.paths.json_report, 'backstop_data/shards/shard-2/json_report');
+  assert.equal(shard.total, 2);
+  assert.equal(CONFIG.scenarios.length, 4);
+});
+
+test('readTimings returns an empty map for missing or broken files', (t) => {
+  const dir = tempDir(t);
+  const timingsPath = path.join(dir, 'shard_timings.json');
+
+  assert.deepEqual(readTimings(timingsPath), {});
+  fs.writeFileSync(timingsPath, '{');
+  assert.deepEqual(readTimings(timingsPath), {});
+  fs.writeFileSync(timingsPath, JSON.stringify({ labels: { A: 1200 } }));
+  assert.deepEqual(readTimings(timingsPath), { A: 1200 });
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, readFixture, startServer } = require('./helpers');
+const {
+  globToRegExp,
+  filterPaths,
+  parseSitemap,
+  parseSitemapIndex,
+  fetchIndexPaths,
+  labelFromPath,
+  uniqueLabel,
+} = require('../scripts/site-index');
+
+// Serves test/fixtures/sitemaps, where the page of a query index at ?offset=<n> is query-index-<n>.json
+function serveSitemaps(t) {
+  const requested = [];
+  const origin = startServer(t, (req, res) => {
+    requested.push(req.url);
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (pathname === '/moved.xml') {
+      res.writeHead(301, { Location: '/sitemap.xml' }).end();
+      return;
+    }
+    const offset = searchParams.get('offset');
+    const file = path.join(FIXTURES_DIR, 'sitemaps', offset ? pathname.replace(/\.json$/, `-${offset}.json`) : pathname);
+    if (!fs.existsSync(file)) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.end(fs.readFileSync(file));
+  });
+  return { origin, requested };
+}
+
+// Reads https://www.example.com/<file> from test/fixtures/sitemaps and records the requested URLs
+function fixtureFetcher() {
+  const requested = [];
+  const fetcher = async (url) => {
+    requested.push(url);
+    const file = path.join(FIXTURES_DIR, 'sitemaps', new URL(url).pathname);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Request to ${url} failed with status 404`);
+    }
+    return fs.readFileSync(file, 'utf8');
+  };
+  return { fetcher, requested };
+}
+
+test('globToRegExp matches * within a segment and ** across segments', () => {
+  assert.ok(globToRegExp('/blog/*').test('/blog/first-post'));
+  assert.ok(!globToRegExp('/blog/*').test('/blog/2026/first-post'));
+  assert.ok(globToRegExp('/products/**').test('/products/a/b'));
+  assert.ok(!globToRegExp('/a.b').test('/axb'));
+});
+
+test('filterPaths applies include and exclude globs, drops duplicates and caps the count', () => {
+  const paths = ['/', '/blog/a', '/blog/b', '/blog/a', '/products/x', '/blog/drafts'];
+
+  assert.deepEqual(filterPaths(paths, { include: ['/blog/*'], exclude: ['/blog/drafts'] }), ['/blog/a', '/blog/b']);
+  assert.deepEqual(filterPaths(paths, { max: 2 }), ['/', '/blog/a']);
+  assert.equal(filterPaths(paths, { max: 0 }).length, 5);
+});
+
+test('parseSitemap reads the paths of the <url> entries and skips invalid ones', () => {
+  assert.deepEqual(parseSitemap(readFixture('sitemaps', 'sitemap.xml')), ['/', '/blog/first-post', '/search']);
+  assert.deepEqual(parseSitemap(readFixture('sitemaps', 'sitemap-index.xml')), []);
+});
+
+test('parseSitemapIndex lists the child sitemaps, or null for a plain sitemap', () => {
+  assert.deepEqual(parseSitemapIndex(readFixture('sitemaps', 'sitemap-index.xml')), [
+    'https://www.example.com/sitemap-en.xml',
+    '/de/sitemap-index.xml',
+    'https://www.example.com/missing.xml',
+  ]);
+  assert.equal(parseSitemapIndex(readFixture('sitemaps', 'sitemap.xml')), null);
+});
+
+test('fetchIndexPaths follows nested sitemap indexes and skips sitemaps that fail', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { fetcher, requested } = fixtureFetcher();
+
+  assert.deepEqual(await fetchIndexPaths('https://www.example.com/sitemap-index.xml', fetcher), [
+    '/products',
+    '/about',
+    '/de/produkte',
+  ]);
+  assert.deepEqual(requested, [
+    'https://www.example.com/sitemap-index.xml',
+    'https://www.example.com/sitemap-en.xml',
+    'https://www.example.com/de/sitemap-index.xml',
+    'https://www.example.com/de/sitemap-de.xml',
+    'https://www.example.com/missing.xml',
+  ]);
+});
+
+test('fetchIndexPaths stops following a sitemap index that lists itself', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { fetcher, requested } = fixtureFetcher();
+
+  assert.deepEqual(await fetchIndexPaths('https://www.example.com/loop-index.xml', fetcher), []);
+  // The index itself and one request per level up to MAX_SITEMAP_DEPTH
+  assert.equal(requested.length, 4);
+});
+
+test('fetchIndexPaths reads every page of a query index', async (t) => {
+  const { origin, requested } = serveSitemaps(t);
+  const paths = await fetchIndexPaths(`${await origin}/query-index.json`);
+
+  assert.deepEqual(paths, ['/', '/blog/first-post', '/products']);
+  assert.deepEqual(requested, ['/query-index.json', '/query-index.json?offset=2']);
+});
+
+test('fetchIndexPaths follows redirects and reads sitemaps', async (t) => {
+  const { origin } = serveSitemaps(t);
+
+  assert.deepEqual(await fetchIndexPaths(`${await origin}/moved.xml`), ['/', '/blog/first-post', '/search']);
+  await assert.rejects(fetchIndexPaths(`${await origin}/missing.json`), /failed with status 404/);
+});
+
+test('labelFromPath builds readable labels', () => {
+  assert.equal(labelFromPath('/'), 'Home Page');
+  assert.equal(labelFromPath('/products/threat-intelligence'), 'Products Threat Intelligence Page');
+  assert.equal(labelFromPath('/landing-page'), 'Landing Page');
+});
+
+test('uniqueLabel numbers labels that different paths share', () => {
+  const used = new Set();
+  const labels = ['/a-b', '/a/b', '/a_b'].map((pagePath) => uniqueLabel(labelFromPath(pagePath), used));
+
+  assert.deepEqual(labels, ['A B Page', 'A B Page (2)', 'A B Page (3)']);
+});
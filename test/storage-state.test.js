@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { loadTemplate, expandTemplate, applyStorageTemplate, findMissingEntries } = require('../scripts/storage-state');
+
+const TEMPLATE = {
+  cookies: [
+    { name: 'hide-banner', value: 'true' },
+    { name: 'consent', value: '{hostname}', hosts: ['*.aem.live'] },
+  ],
+  localStorage: [{ name: 'indexToUse', value: 'prod_RF_SITE' }],
+};
+
+test('expandTemplate gives every origin its cookies and localStorage', () => {
+  const state = expandTemplate(TEMPLATE, ['https://main--site--org.aem.live', 'http://localhost:3000']);
+
+  assert.deepEqual(
+    state.cookies.map(({ name, value, domain }) => `${name}=${value} ${domain}`),
+    [
+      'hide-banner=true .main--site--org.aem.live',
+      'consent=main--site--org.aem.live .main--site--org.aem.live',
+      'hide-banner=true localhost',
+    ]
+  );
+  assert.equal(state.cookies[0].sameSite, 'Lax');
+  assert.deepEqual(state.origins, [
+    { origin: 'https://main--site--org.aem.live', localStorage: [{ name: 'indexToUse', value: 'prod_RF_SITE' }] },
+    { origin: 'http://localhost:3000', localStorage: [{ name: 'indexToUse', value: 'prod_RF_SITE' }] },
+  ]);
+});
+
+test('loadTemplate rejects entries without a string value', (t) => {
+  const templatePath = path.join(tempDir(t), 'storage-template.json');
+
+  assert.equal(loadTemplate(templatePath), null);
+  fs.writeFileSync(templatePath, JSON.stringify({ cookies: [{ name: 'hide-banner', value: true }] }));
+  assert.throws(() => loadTemplate(templatePath), /cookies\[0\] in storage-template\.json needs a "name" and a string "value"/);
+});
+
+test('applyStorageTemplate adds the expanded entries to the existing storage state', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(
+    path.join(dir, 'cookies.json'),
+    JSON.stringify({ cookies: [{ name: 'other', value: '1', domain: 'example.com', path: '/' }], origins: [] })
+  );
+  const config = {
+    scenarios: [{ label: 'Home', url: 'https://stage--site--org.aem.page/', referenceUrl: 'https://main--site--org.aem.page/' }],
+    engineOptions: { storageState: 'cookies.json' },
+  };
+
+  const result = applyStorageTemplate(config, { template: TEMPLATE, baseDir: dir });
+
+  assert.equal(result.path, path.join(dir, 'cookies.json'));
+  assert.equal(result.config.engineOptions.storageState, result.path);
+  assert.deepEqual(result.hosts, ['stage--site--org.aem.page', 'main--site--org.aem.page']);
+  const state = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+  assert.deepEqual(
+    state.cookies.map((cookie) => `${cookie.name} ${cookie.domain}`),
+    ['other example.com', 'hide-banner .stage--site--org.aem.page', 'hide-banner .main--site--org.aem.page']
+  );
+  assert.equal(state.origins.length, 2);
+});
+
+test('findMissingEntries lists template entries the storage state lacks', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'cookies.json'), JSON.stringify([]));
+  const config = {
+    scenarios: [{ label: 'Home', url: 'https://main--site--org.aem.live/' }],
+    engineOptions: { storageState: 'cookies.json' },
+  };
+
+  assert.deepEqual(findMissingEntries(config, { template: TEMPLATE, baseDir: dir }), [
+    'cookie "hide-banner" for .main--site--org.aem.live',
+    'cookie "consent" for .main--site--org.aem.live',
+    'localStorage "indexToUse" for https://main--site--org.aem.live',
+  ]);
+
+  applyStorageTemplate(config, { template: TEMPLATE, baseDir: dir });
+  assert.deepEqual(findMissingEntries(config, { template: TEMPLATE, baseDir: dir }), []);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeAdapter, fakeRequest } = require('./helpers');
+const imageSize = require('../backstop_data/engine_scripts/pipeline/imageSize');
+const stubImages = require('../backstop_data/engine_scripts/pipeline/stubImages');
+
+/**
+ * Builds a PNG signature and IHDR chunk, which is all imageSize reads
+ */
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+/**
+ * Starts a JPEG with an APP0 segment followed by a SOF0 frame header
+ */
+function jpegHeader(width, height) {
+  const app0 = [0xff, 0xe0, 0x00, 0x04, 0x00, 0x00];
+  const sof0 = [0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03];
+  return Buffer.from([0xff, 0xd8, ...app0, ...sof0, ...new Array(8).fill(0)]);
+}
+
+test('imageSize reads the size from image headers', () => {
+  const gif = Buffer.from('GIF89a\x40\x01\xf0\x00', 'latin1');
+  const webp = Buffer.alloc(30);
+  webp.write('RIFF', 0, 'ascii');
+  webp.write('WEBPVP8X', 8, 'ascii');
+  webp.writeUIntLE(799, 24, 3);
+  webp.writeUIntLE(599, 27, 3);
+
+  assert.deepEqual(imageSize(pngHeader(750, 422)), { width: 750, height: 422 });
+  assert.deepEqual(imageSize(gif), { width: 320, height: 240 });
+  assert.deepEqual(imageSize(jpegHeader(1200, 800)), { width: 1200, height: 800 });
+  assert.deepEqual(imageSize(webp), { width: 800, height: 600 });
+  assert.deepEqual(imageSize(Buffer.from('<svg viewBox="0 0 24 16.4"></svg>')), { width: 24, height: 16 });
+  assert.deepEqual(imageSize(Buffer.from('<svg width="10px" height="20"/>')), { width: 10, height: 20 });
+  assert.equal(imageSize(Buffer.from('<svg width="50%"/>')), null);
+  assert.equal(imageSize(Buffer.from('not an image')), null);
+  assert.equal(imageSize(Buffer.from([0xff, 0xd8, 0x00])), null);
+});
+
+test('stubImages is off unless the scenario turns it on', async () => {
+  const adapter = fakeAdapter();
+  await stubImages(adapter, { label: 'Home' });
+
+  assert.deepEqual(adapter.interceptors, []);
+});
+
+test('stubImages serves same-size placeholders and keeps allowlisted images', async () => {
+  const adapter = fakeAdapter();
+  await stubImages(adapter, { label: 'Home', stubImages: { color: '#000' } });
+  const [intercept] = adapter.interceptors;
+
+  const image = (body, status = 200) => ({ response: { status, headers: {}, body } });
+  const photo = await intercept(fakeRequest('https://site.example/media_1a2b.jpg?width=750', image(pngHeader(750, 422))));
+  const logo = await intercept(fakeRequest('https://site.example/icons/logo.png'));
+  const script = await intercept(fakeRequest('https://site.example/scripts/aem.js', { resourceType: 'script' }));
+  const unknown = await intercept(fakeRequest('https://site.example/photo.png', image(Buffer.from('?'))));
+  const missing = await intercept(fakeRequest('https://site.example/gone.png', image(pngHeader(1, 1), 404)));
+
+  assert.equal(photo.contentType, 'image/svg+xml');
+  assert.match(photo.body, /width="750" height="422"/);
+  assert.match(photo.body, /fill="#000"/);
+  assert.equal(logo, null);
+  assert.equal(script, null);
+  // Unknown formats and failed requests are passed through unchanged
+  assert.equal(unknown.body.toString(), '?');
+  assert.equal(missing.status, 404);
+});
+
+test('stubImages stubs URLs that match extra patterns in fixed mode', async () => {
+  const adapter = fakeAdapter();
+  await stubImages(adapter, { label: 'Home', stubImages: { mode: 'fixed', patterns: ['/cdn/'], allow: [] } });
+
+  const response = await adapter.interceptors[0](fakeRequest('https://cdn.example/cdn/hero', { resourceType: 'fetch' }));
+
+  assert.equal(response.contentType, 'image/jpeg');
+  assert.ok(Buffer.isBuffer(response.body));
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers');
+const { parseXunit, summarize, renderMarkdown, toGithubOutputs, formatGithubOutput } = require('../scripts/summarize-results');
+
+// The reports of both shards as one run
+const json = {
+  ...JSON.parse(readFixture('shards', 'shard-1', 'json_report', 'jsonReport.json')),
+  tests: ['shard-1', 'shard-2'].flatMap((shard) => JSON.parse(readFixture('shards', shard, 'json_report', 'jsonReport.json')).tests),
+};
+const xunit = readFixture('shards', 'shard-2', 'ci_report', 'xunit.xml');
+
+test('parseXunit counts a test case with both <failure> and <error> once', () => {
+  const parsed = parseXunit(xunit);
+
+  assert.equal(parsed.total, 1);
+  assert.equal(parsed.failed, 1);
+  assert.equal(parsed.cases[0].label, 'Blog Page');
+  assert.equal(parsed.cases[0].message, 'Design deviation ›› Blog Page (document) component');
+});
+
+test('summarize prefers the JSON report and breaks the results down', () => {
+  const summary = summarize({ json, xunit });
+
+  assert.equal(summary.source, 'json');
+  assert.equal(summary.status, 'failed');
+  assert.deepEqual([summary.total, summary.passed, summary.failed, summary.diffs, summary.errors], [2, 1, 1, 1, 0]);
+  assert.deepEqual(summary.byViewport, [{ name: 'desktop', passed: 1, failed: 1 }]);
+  assert.equal(summary.failures[0].label, 'Blog Page');
+  assert.equal(summary.failures[0].misMatchPercentage, 2.5);
+  assert.equal(summary.failures[0].threshold, 0.1);
+});
+
+test('summarize falls back to xunit.xml without viewports', () => {
+  const summary = summarize({ xunit });
+
+  assert.equal(summary.source, 'xunit');
+  assert.deepEqual([summary.total, summary.failed], [1, 1]);
+  assert.deepEqual(summary.byViewport, []);
+  assert.match(renderMarkdown(summary), /Viewport breakdown unavailable/);
+});
+
+test('summarize reports failures that passed on a retry as flaky', () => {
+  const retries = {
+    tests: [
+      {
+        label: 'Blog Page',
+        viewport: 'desktop',
+        selector: 'document',
+        classification: 'flaky',
+        attempts: [{ attempt: 1, status: 'pass', misMatchPercentage: 0 }],
+      },
+    ],
+  };
+  const summary = summarize({ json, retries });
+
+  assert.equal(summary.status, 'flaky');
+  assert.equal(summary.flaky, 1);
+  assert.match(toGithubOutputs(summary).failed_details, /flaky, passed on retry 1/);
+});
+
+test('summarize without reports is unknown', () => {
+  const summary = summarize({});
+
+  assert.equal(summary.status, 'unknown');
+  assert.equal(renderMarkdown(summary), '');
+});
+
+test('formatGithubOutput writes multi-line values as heredocs', () => {
+  assert.equal(
+    formatGithubOutput({ status: 'failed', details: 'a\nEOF\nb' }),
+    'status=failed\ndetails<<EOF_\na\nEOF\nb\nEOF_\n'
+  );
+});
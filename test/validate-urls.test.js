@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { createLimiter, checkUrl, validatePairs, formatRejectedMarkdown } = require('../scripts/validate-urls');
+
+// Keep retries fast in tests
+const FAST = { retryDelay: 1, timeout: 2000 };
+
+/**
+ * Starts a fixture site that records every request as "METHOD /path"
+ * @param {Object} t - The node:test context
+ * @returns {Promise<{origin: string, requests: Array<string>}>}
+ */
+async function serveSite(t) {
+  const requests = [];
+  let flakyCalls = 0;
+
+  const origin = await startServer(t, (req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+
+    switch (req.url) {
+      case '/ok':
+        res.writeHead(200);
+        break;
+      case '/old':
+        res.writeHead(301, { Location: '/older' });
+        break;
+      case '/older':
+        res.writeHead(301, { Location: '/ok' });
+        break;
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        break;
+      case '/no-head':
+        res.writeHead(req.method === 'HEAD' ? 405 : 200);
+        break;
+      case '/flaky':
+        flakyCalls++;
+        res.writeHead(flakyCalls < 3 ? 503 : 200);
+        break;
+      default:
+        res.writeHead(404);
+    }
+    res.end();
+  });
+
+  return { origin, requests };
+}
+
+test('checkUrl follows a 301 chain to the final URL', async (t) => {
+  const { origin } = await serveSite(t);
+  const result = await checkUrl(`${origin}/old`, FAST);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.finalUrl, `${origin}/ok`);
+  assert.deepEqual(result.redirects, [`${origin}/older`, `${origin}/ok`]);
+});
+
+test('checkUrl stops at maxRedirects without retrying', async (t) => {
+  const { origin, requests } = await serveSite(t);
+  const result = await checkUrl(`${origin}/loop`, { ...FAST, maxRedirects: 2 });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason.code, 'too-many-redirects');
+  assert.equal(result.attempts, 1);
+  assert.equal(requests.length, 3);
+});
+
+test('checkUrl falls back to GET when HEAD returns 405', async (t) => {
+  const { origin, requests } = await serveSite(t);
+  const result = await checkUrl(`${origin}/no-head`, FAST);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.method, 'GET');
+  assert.deepEqual(requests, ['HEAD /no-head', 'GET /no-head']);
+});
+
+test('checkUrl retries a transient 503', async (t) => {
+  const { origin } = await serveSite(t);
+  const result = await checkUrl(`${origin}/flaky`, FAST);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 3);
+  assert.equal(result.reason, null);
+});
+
+test('checkUrl rejects a permanent 404 after one attempt', async (t) => {
+  const { origin, requests } = await serveSite(t);
+  const result = await checkUrl(`${origin}/missing`, FAST);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.attempts, 1);
+  assert.deepEqual(result.reason, { code: 'http-status', status: 404, message: `HTTP 404 from ${origin}/missing` });
+  assert.deepEqual(requests, ['HEAD /missing']);
+});
+
+test('checkUrl rejects malformed URLs without a request', async () => {
+  const result = await checkUrl('not a url');
+
+  assert.equal(result.reason.code, 'invalid-url');
+  assert.equal(result.attempts, 0);
+});
+
+test('createLimiter never runs more than `concurrency` tasks at once', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+
+  const task = async (value) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active--;
+    return value;
+  };
+
+  assert.deepEqual(await Promise.all([1, 2, 3, 4, 5].map((n) => limit(() => task(n)))), [1, 2, 3, 4, 5]);
+  assert.equal(peak, 2);
+});
+
+test('validatePairs splits pairs and can rewrite redirects', async (t) => {
+  const { origin } = await serveSite(t);
+  const pairs = [
+    { label: 'Moved', before: `${origin}/old`, after: `${origin}/ok` },
+    { label: 'Gone', before: `${origin}/ok`, after: `${origin}/missing` },
+  ];
+
+  const { valid, rejected } = await validatePairs(pairs, { ...FAST, rewriteRedirects: true });
+
+  assert.deepEqual(valid, [{ label: 'Moved', before: `${origin}/ok`, after: `${origin}/ok` }]);
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].reasons.before, null);
+  assert.equal(rejected[0].reasons.after.status, 404);
+  assert.equal(
+    formatRejectedMarkdown(rejected),
+    `- **Gone** ${origin}/ok → ${origin}/missing (after: \`http-status\` HTTP 404 from ${origin}/missing)`
+  );
+});